@@ -2,6 +2,7 @@
 
 import { program } from 'commander';
 import { startInteractiveMode } from './src/interactive.mjs';
+import { registerCommands } from './src/cli.mjs';
 
 program
   .name('lagoon-wrapper')
@@ -11,11 +12,11 @@ program
 program
   .command('interactive')
   .description('Start interactive mode')
-  .action(startInteractiveMode);
+  .action(() => startInteractiveMode());
+
+registerCommands(program);
 
 // Default to interactive mode if no command is specified
-if (process.argv.length === 2) {
-  startInteractiveMode();
-} else {
-  program.parse(process.argv);
-}
+program.action(() => startInteractiveMode());
+
+await program.parseAsync(process.argv);
@@ -4,5 +4,8 @@ export default {
     '^(\\.{1,2}/.*)\\.js$': '$1',
   },
   testEnvironment: 'node',
+  // Puts the fake lagoon CLI on PATH for the integration tests (see test/fake-lagoon)
+  globalSetup: './test/fake-lagoon/global-setup.mjs',
+  globalTeardown: './test/fake-lagoon/global-teardown.mjs',
   testMatch: ['**/__tests__/**/*.mjs', '**/?(*.)+(spec|test).mjs'],
 };
\ No newline at end of file
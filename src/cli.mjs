@@ -0,0 +1,686 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { Option, InvalidArgumentError } from 'commander';
+import {
+  getLagoonInstancesWithDetails,
+  getProjectsWithDetails,
+  getEnvironmentsWithDetails,
+  getUsersWithDetails,
+  deleteEnvironment,
+  generateLoginLink,
+  clearDrupalCache,
+  deployBranch,
+  getSSHCommand,
+  runRemoteCommand,
+  watchDeployment,
+  describeDeployment,
+  formatDuration,
+  getDeployments,
+  getDeploymentNames,
+  getBranchEnvironmentName,
+  getDeploymentLogs,
+  followDeploymentLogs,
+  searchLog,
+  LOG_ERROR_PATTERN,
+  getVariables,
+  setVariable,
+  deleteVariable,
+  maskValue,
+  VARIABLE_SCOPES,
+  configureExecutor,
+  isDryRun
+} from './lagoon-api.mjs';
+import { formatOutput, OUTPUT_FORMATS } from './output.mjs';
+import {
+  VARIABLE_FILE_FORMATS,
+  formatVariablesFile,
+  readVariablesFile,
+  writeVariablesFile,
+  diffVariables,
+  describeVariableDiff,
+  applyVariableDiff
+} from './variables.mjs';
+import { loadEnvironmentSnapshot, compareSnapshots, getComparisonColumns } from './compare.mjs';
+import { searchAllInstances, SEARCH_COLUMNS } from './search.mjs';
+import { configureResponseCache } from './response-cache.mjs';
+import { Cassette, findLagoonError } from './command/index.mjs';
+import { loadConfig } from './config.mjs';
+import { configureLogger } from './logger.mjs';
+import { getTokenExpiries } from './lagoon-config.mjs';
+import { configureRedaction } from './redact.mjs';
+import { HISTORY_COLUMNS, HISTORY_STATUSES, parseHistoryDate, readHistory, historyToRow } from './history.mjs';
+
+// Columns shown by the table output format; JSON and YAML always include every field
+const INSTANCE_COLUMNS = [
+  { key: 'name', header: 'NAME' },
+  { key: 'version', header: 'VERSION' },
+  { key: 'graphql', header: 'GRAPHQL' },
+  { key: 'expires', header: 'TOKEN EXPIRES' }
+];
+const PROJECT_COLUMNS = [
+  { key: 'projectname', header: 'NAME' },
+  { key: 'giturl', header: 'GIT URL' },
+  { key: 'productionenvironment', header: 'PRODUCTION' },
+  { key: 'developmentenvironments', header: 'DEV ENVS' }
+];
+const ENVIRONMENT_COLUMNS = [
+  { key: 'name', header: 'NAME' },
+  { key: 'environmenttype', header: 'TYPE' },
+  { key: 'deploytype', header: 'DEPLOY TYPE' },
+  { key: 'route', header: 'ROUTE' }
+];
+const VARIABLE_COLUMNS = [
+  { key: 'scope', header: 'SCOPE' },
+  { key: 'name', header: 'NAME' },
+  { key: 'value', header: 'VALUE' }
+];
+const DEPLOYMENT_COLUMNS = [
+  { key: 'name', header: 'NAME' },
+  { key: 'status', header: 'STATUS' },
+  { key: 'buildStep', header: 'PHASE' },
+  { key: 'created', header: 'CREATED' },
+  { key: 'duration', header: 'DURATION' }
+];
+
+/**
+ * Converts a normalised deployment into a flat row for printing.
+ *
+ * @param {Object} deployment - A normalised deployment.
+ * @returns {Object} The row, with ISO timestamps and a formatted duration.
+ */
+function deploymentToRow(deployment) {
+  return {
+    name: deployment.name,
+    status: deployment.status,
+    buildStep: deployment.buildStep,
+    created: deployment.created ? deployment.created.toISOString() : null,
+    started: deployment.started ? deployment.started.toISOString() : null,
+    completed: deployment.completed ? deployment.completed.toISOString() : null,
+    duration: formatDuration(deployment.elapsed)
+  };
+}
+
+/**
+ * Splits a `project:environment` argument, defaulting the project.
+ *
+ * @param {string} value - The argument, e.g. `develop` or `other-project:develop`.
+ * @param {string} defaultProject - The project to use when none is given.
+ * @returns {{ project: string, environment: string }} The project and environment.
+ */
+function parseEnvironmentRef(value, defaultProject) {
+  const separator = value.indexOf(':');
+  return separator === -1
+    ? { project: defaultProject, environment: value }
+    : { project: value.slice(0, separator), environment: value.slice(separator + 1) };
+}
+
+/**
+ * Reads a value piped on stdin, so secrets don't have to be passed on the command line.
+ *
+ * @returns {Promise<string>} The piped value, without its trailing newline.
+ * @throws {Error} If stdin is a terminal.
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('No value given. Pass it as an argument or pipe it on stdin.');
+  }
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.replace(/\r?\n$/, '');
+}
+
+/**
+ * Wraps a subcommand action so failures are reported on stderr and turned into a non-zero exit code instead of an
+ * unhandled rejection. Failed Lagoon commands exit with the code of their error type (see LagoonError.mjs).
+ *
+ * @param {Function} action - The async action to run.
+ * @returns {Function} The wrapped action for commander.
+ */
+function runAction(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      // Failed Lagoon commands say what to do about them and end with an exit code for their type
+      const lagoonError = findLagoonError(error);
+      if (lagoonError?.hint) {
+        console.error(chalk.yellow(`Hint: ${lagoonError.hint}`));
+      }
+      process.exitCode = lagoonError?.exitStatus ?? 1;
+    }
+  };
+}
+
+/**
+ * Parses a non-negative integer option value.
+ *
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed number.
+ * @throws {InvalidArgumentError} If the value is not a non-negative integer.
+ */
+function parseCount(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Must be a non-negative integer.');
+  }
+  return parsed;
+}
+
+/**
+ * Parses a date option of `lh history`.
+ *
+ * @param {string} value - The raw option value.
+ * @param {boolean} [end=false] - Whether a date without a time means the end of the day.
+ * @returns {Date} The parsed date.
+ * @throws {InvalidArgumentError} If the value is not a date.
+ */
+function parseDateOption(value, end = false) {
+  try {
+    return parseHistoryDate(value, { end });
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Turns the words given to `lh run` into the command line for the remote shell.
+ *
+ * A single word is used as is, so a quoted command line with pipes or redirects reaches the shell intact. Several
+ * words are each single-quoted where needed, so `-- drush sqlq "SELECT 1"` keeps `SELECT 1` as one argument.
+ *
+ * @param {string[]} words - The command and its arguments.
+ * @returns {string} The remote command line.
+ */
+function toRemoteCommandLine(words) {
+  if (words.length === 1) {
+    return words[0];
+  }
+  return words
+    .map(word => (/^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+}
+
+/**
+ * Prints list rows to stdout in the output format selected by the global `--output` option.
+ *
+ * @param {import('commander').Command} command - The subcommand being run.
+ * @param {Object[]} rows - The rows to print.
+ * @param {{ key: string, header: string }[]} [columns] - Columns to show in table format.
+ */
+function printRows(command, rows, columns = null) {
+  const { output } = command.optsWithGlobals();
+  console.log(formatOutput(rows, output, columns));
+}
+
+/**
+ * Adds the `--instance` and `--project` options shared by every project-scoped subcommand.
+ *
+ * @param {import('commander').Command} command - The subcommand to configure.
+ * @returns {import('commander').Command} The same subcommand for chaining.
+ */
+function withProjectOptions(command) {
+  return command
+    .requiredOption('-i, --instance <name>', 'Lagoon instance name')
+    .requiredOption('-p, --project <name>', 'Lagoon project name');
+}
+
+/**
+ * Adds the `--instance`, `--project` and `--environment` options used by environment-scoped subcommands.
+ *
+ * @param {import('commander').Command} command - The subcommand to configure.
+ * @returns {import('commander').Command} The same subcommand for chaining.
+ */
+function withEnvironmentOptions(command) {
+  return withProjectOptions(command)
+    .requiredOption('-e, --environment <name>', 'Lagoon environment name');
+}
+
+/**
+ * Opens the cassette chosen with --record or --replay.
+ *
+ * @param {string} [record] - File to record to.
+ * @param {string} [replay] - File to replay from.
+ * @returns {Promise<Cassette|null>} The cassette, or null if neither option is set.
+ * @throws {Error} If both are set or the cassette can't be opened.
+ */
+async function openCassette(record, replay) {
+  if (record && replay) {
+    throw new Error('Use either --record or --replay, not both.');
+  }
+  if (replay) {
+    return Cassette.load(replay);
+  }
+  return record ? Cassette.create(record) : null;
+}
+
+/**
+ * Registers the non-interactive subcommands on the given commander program.
+ *
+ * Each subcommand calls the same `lagoon-api.mjs` functions as the interactive flows. Missing required options are
+ * reported by commander as a usage error; nothing here ever falls back to a prompt.
+ *
+ * @param {import('commander').Command} program - The root commander program.
+ */
+export function registerCommands(program) {
+  program.addOption(
+    new Option('-o, --output <format>', 'Output format for list commands')
+      .choices(OUTPUT_FORMATS)
+      .default('table')
+  );
+  program.option('--dry-run',
+    'Print every lagoon/git command instead of running it; lists come back empty unless cached or replayed with ' +
+    '--replay (or set LH_DRY_RUN=1)');
+  program.option('--timeout <seconds>', 'Timeout for each lagoon/git command, 0 for none (or set LH_TIMEOUT)', parseCount);
+  program.option('--retries <count>', 'Retries for failed read-only commands (or set LH_RETRIES)', parseCount);
+  program.option('--no-cache', 'Load lists from Lagoon instead of the local cache (or set LH_NO_CACHE=1)');
+  program.addOption(
+    new Option('--record <file>', 'Record every lagoon/git result to a cassette file (or set LH_RECORD)')
+      .conflicts('replay')
+  );
+  program.option('--replay <file>', 'Replay lagoon/git results from a cassette instead of running them (or set LH_REPLAY)');
+  program.option('--show-secrets', 'Show tokens, passwords and login links in status and error messages instead of '
+    + 'masking them; logs stay masked (or set LH_SHOW_SECRETS=1)');
+
+  // Apply global options before any action runs, including the default interactive mode
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    const { dryRun, timeout, retries, cache, record, replay, showSecrets } = actionCommand.optsWithGlobals();
+    configureRedaction({ reveal: showSecrets || undefined });
+
+    // A broken configuration file is reported by whatever reads it next; logging falls back to the defaults
+    const { logging } = await loadConfig().catch(() => ({}));
+    configureLogger(logging);
+
+    let cassette;
+    try {
+      cassette = await openCassette(record ?? process.env.LH_RECORD, replay ?? process.env.LH_REPLAY);
+    } catch (error) {
+      thisCommand.error(chalk.red(`Error: ${error.message}`));
+    }
+
+    configureExecutor({
+      dryRun: dryRun || undefined,
+      timeout: timeout !== undefined ? timeout * 1000 : undefined,
+      retries,
+      cassette
+    });
+    // --no-cache only ever turns the cache off, so LH_NO_CACHE still applies without it. A cassette must see every
+    // command, and replayed responses and the empty lists of a dry run must never be cached.
+    configureResponseCache({
+      enabled: cache === false || cassette ? false : undefined,
+      store: cassette?.mode !== 'replay' && !isDryRun()
+    });
+  });
+
+  program
+    .command('instances')
+    .description('List configured Lagoon instances')
+    .action(runAction(async (options, command) => {
+      const [instances, expiries] = await Promise.all([getLagoonInstancesWithDetails(), getTokenExpiries()]);
+      printRows(command, instances.map(instance => ({
+        ...instance,
+        expires: expiries[instance.name]?.toISOString() ?? null
+      })), INSTANCE_COLUMNS);
+    }));
+
+  program
+    .command('projects')
+    .description('List projects on a Lagoon instance')
+    .requiredOption('-i, --instance <name>', 'Lagoon instance name')
+    .action(runAction(async (options, command) => {
+      const projects = await getProjectsWithDetails(options.instance);
+      printRows(command, projects, PROJECT_COLUMNS);
+    }));
+
+  const env = program
+    .command('env')
+    .description('Manage project environments');
+
+  withProjectOptions(env.command('list'))
+    .description('List environments for a project')
+    .action(runAction(async (options, command) => {
+      const environments = await getEnvironmentsWithDetails(options.instance, options.project);
+      printRows(command, environments, ENVIRONMENT_COLUMNS);
+    }));
+
+  withProjectOptions(env.command('delete'))
+    .description('Delete one or more environments')
+    .requiredOption('-e, --environment <names...>', 'Lagoon environment name(s) to delete')
+    .option('-y, --yes', 'Confirm the deletion (required)')
+    .action(runAction(async (options) => {
+      if (!options.yes) {
+        throw new Error('Refusing to delete environments without --yes.');
+      }
+
+      let failed = 0;
+      for (const environment of options.environment) {
+        try {
+          await deleteEnvironment(options.instance, options.project, environment);
+        } catch (error) {
+          console.error(chalk.red(error.message));
+          failed++;
+        }
+      }
+
+      if (failed > 0) {
+        throw new Error(`${failed} of ${options.environment.length} environment(s) could not be deleted.`);
+      }
+    }));
+
+  withEnvironmentOptions(program.command('login-link'))
+    .description('Generate a one-time login link for an environment')
+    .action(runAction(async (options) => {
+      const loginLink = await generateLoginLink(options.instance, options.project, options.environment);
+      console.log(loginLink);
+    }));
+
+  withEnvironmentOptions(program.command('cache-clear'))
+    .description('Clear the Drupal cache for an environment')
+    .action(runAction(async (options) => {
+      const result = await clearDrupalCache(options.instance, options.project, options.environment);
+      console.log(result || 'Cache cleared successfully.');
+    }));
+
+  withProjectOptions(program.command('deploy'))
+    .description('Deploy a branch to a project')
+    .requiredOption('-b, --branch <name>', 'Git branch to deploy')
+    .option('-w, --wait', 'Wait for the deployment to finish; exit non-zero unless it completes')
+    .option('--interval <seconds>', 'Polling interval while waiting', parseCount, 10)
+    .option('--wait-timeout <seconds>', 'Stop waiting after this many seconds, 0 for no limit', parseCount, 0)
+    .action(runAction(async (options) => {
+      // Earlier builds of the branch's environment must not be mistaken for this one
+      const { instance, project, branch } = options;
+      const existing = options.wait
+        ? await getDeploymentNames(instance, project, getBranchEnvironmentName(branch))
+        : null;
+      const result = await deployBranch(instance, project, branch);
+      console.log(result.message);
+
+      if (!options.wait || result.dryRun) {
+        return;
+      }
+
+      let lastDescription = null;
+      const deployment = await watchDeployment(options.instance, options.project, result.environment, {
+        since: result.triggeredAt,
+        existing,
+        interval: options.interval * 1000,
+        timeout: options.waitTimeout * 1000,
+        onUpdate: (current) => {
+          const description = current ? describeDeployment(current) : 'Waiting for the deployment to start...';
+          // Progress goes to stderr; only print when something other than the elapsed time changed
+          if (description.replace(/ - .*$/, '') !== lastDescription) {
+            console.error(chalk.blue(description));
+            lastDescription = description.replace(/ - .*$/, '');
+          }
+        }
+      });
+
+      const summary = `Deployment ${deployment.name} ${deployment.status} after ${formatDuration(deployment.elapsed)}`;
+      if (deployment.status !== 'complete') {
+        throw new Error(summary);
+      }
+      console.log(summary);
+    }));
+
+  withEnvironmentOptions(program.command('ssh-command'))
+    .description('Print the lagoon ssh command for an environment')
+    .option('-s, --service <name>', 'Container/service name', 'cli')
+    .action(runAction(async (options) => {
+      const { command } = getSSHCommand(options.instance, options.project, options.environment, options.service);
+      console.log(command);
+    }));
+
+  withEnvironmentOptions(program.command('run'))
+    .description('Run a command on an environment over SSH, streaming its output')
+    .argument('<command...>',
+      'The command to run, e.g. -- drush deploy -y; arguments are quoted, so pass a shell command line as one argument')
+    .action(runAction(async (words, options) => {
+      await runRemoteCommand(options.instance, options.project, options.environment, toRemoteCommandLine(words));
+    }));
+
+  const deployments = program
+    .command('deployments')
+    .description('Inspect deployments and build logs');
+
+  withEnvironmentOptions(deployments.command('list'))
+    .description('List recent deployments of an environment')
+    .option('-n, --limit <count>', 'Maximum number of deployments to show', parseCount, 10)
+    .action(runAction(async (options, command) => {
+      const recent = await getDeployments(options.instance, options.project, options.environment);
+      printRows(command, recent.slice(0, options.limit).map(deploymentToRow), DEPLOYMENT_COLUMNS);
+    }));
+
+  withEnvironmentOptions(deployments.command('logs'))
+    .description('Print, follow, search or save the build log of a deployment')
+    .option('--name <deployment>', 'Deployment name (defaults to the most recent deployment)')
+    .option('-f, --follow', 'Keep printing new log output until the deployment finishes')
+    .option('--search [pattern]', 'Only print lines matching the pattern (defaults to errors)')
+    .option('--save <file>', 'Save the build log to a file instead of printing it')
+    .action(runAction(async (options) => {
+      const { instance, project, environment } = options;
+
+      let name = options.name;
+      if (!name) {
+        const [latest] = await getDeployments(instance, project, environment);
+        if (!latest) {
+          throw new Error(`No deployments found for environment ${environment}`);
+        }
+        name = latest.name;
+        console.error(chalk.blue(`Showing the most recent deployment: ${name}`));
+      }
+
+      if (options.follow) {
+        const deployment = await followDeploymentLogs(instance, project, environment, name);
+        if (deployment.status !== 'complete') {
+          throw new Error(`Deployment ${name} ${deployment.status}`);
+        }
+        return;
+      }
+
+      const log = await getDeploymentLogs(instance, project, environment, name);
+
+      if (options.save) {
+        await fs.writeFile(options.save, log, 'utf8');
+        console.error(chalk.green(`Build log saved to ${options.save}`));
+        return;
+      }
+
+      if (options.search !== undefined) {
+        const pattern = options.search === true ? LOG_ERROR_PATTERN : options.search;
+        searchLog(log, pattern).forEach(({ lineNumber, line }) => console.log(`${lineNumber}: ${line}`));
+        return;
+      }
+
+      console.log(log);
+    }));
+
+  const variables = program
+    .command('variables')
+    .alias('vars')
+    .description('Manage project and environment variables');
+
+  withProjectOptions(variables.command('list'))
+    .description('List project variables, or environment variables with --environment')
+    .option('-e, --environment <name>', 'Lagoon environment name')
+    .addOption(new Option('-s, --scope <scope>', 'Only list variables with this scope').choices(VARIABLE_SCOPES))
+    .option('--reveal', 'Show variable values instead of masking them')
+    .action(runAction(async (options, command) => {
+      const found = await getVariables(options.instance, options.project, options.environment, {
+        reveal: options.reveal
+      });
+      const rows = found
+        .filter(variable => !options.scope || variable.scope === options.scope)
+        .map(variable => ({
+          name: variable.name,
+          scope: variable.scope,
+          environment: variable.environment,
+          value: options.reveal ? variable.value : maskValue(variable.value)
+        }));
+      printRows(command, rows, VARIABLE_COLUMNS);
+    }));
+
+  withProjectOptions(variables.command('set'))
+    .description('Add a variable, or update it if it exists. Reads the value from stdin if it is not given')
+    .argument('<name>', 'Variable name')
+    .argument('[value]', 'Variable value')
+    .option('-e, --environment <name>', 'Set an environment variable instead of a project variable')
+    .addOption(new Option('-s, --scope <scope>', 'Variable scope').choices(VARIABLE_SCOPES).makeOptionMandatory())
+    .action(runAction(async (name, value, options) => {
+      const resolvedValue = value ?? await readStdin();
+      const result = await setVariable(
+        options.instance, options.project, options.environment, name, resolvedValue, options.scope
+      );
+      console.error(chalk.green(result.dryRun ? `Dry run: variable ${name} would be set` : `Variable ${name} set`));
+    }));
+
+  withProjectOptions(variables.command('delete'))
+    .description('Delete a variable')
+    .argument('<name>', 'Variable name')
+    .option('-e, --environment <name>', 'Delete an environment variable instead of a project variable')
+    .option('-y, --yes', 'Confirm the deletion (required)')
+    .action(runAction(async (name, options) => {
+      if (!options.yes) {
+        throw new Error('Refusing to delete a variable without --yes.');
+      }
+      const result = await deleteVariable(options.instance, options.project, options.environment, name);
+      console.error(chalk.green(result.dryRun
+        ? `Dry run: variable ${name} would be deleted`
+        : `Variable ${name} deleted`));
+    }));
+
+  withProjectOptions(variables.command('export'))
+    .description('Export variables with their values to a .env or JSON file, or to stdout')
+    .option('-e, --environment <name>', 'Export environment variables instead of project variables')
+    .option('-f, --file <path>', 'File to write; the format follows the extension (.json or .env)')
+    .addOption(new Option('--format <format>', 'File format, overriding the extension').choices(VARIABLE_FILE_FORMATS))
+    .action(runAction(async (options) => {
+      const found = await getVariables(options.instance, options.project, options.environment, { reveal: true });
+      if (options.file) {
+        await writeVariablesFile(options.file, found, options.format);
+        console.error(chalk.green(`Exported ${found.length} variable(s) to ${options.file}`));
+      } else {
+        process.stdout.write(formatVariablesFile(found, options.format || 'env'));
+      }
+    }));
+
+  withProjectOptions(variables.command('import'))
+    .description('Import variables from a .env or JSON file. Shows the changes and only applies them with --yes')
+    .argument('<file>', 'The .env or JSON file to import')
+    .option('-e, --environment <name>', 'Import into an environment instead of the project')
+    .addOption(new Option('-s, --scope <scope>', 'Scope for new variables that the file does not give one')
+      .choices(VARIABLE_SCOPES)
+      .default('runtime'))
+    .option('--prune', 'Delete variables that are not in the file')
+    .option('-y, --yes', 'Apply the changes instead of only previewing them')
+    .action(runAction(async (file, options) => {
+      const incoming = await readVariablesFile(file);
+      const current = await getVariables(options.instance, options.project, options.environment, { reveal: true });
+      const diff = diffVariables(current, incoming, options.scope);
+      const lines = describeVariableDiff(diff)
+        .filter(line => options.prune || line.type !== 'removed');
+
+      if (lines.length === 0) {
+        console.error(chalk.green('Nothing to change.'));
+        return;
+      }
+
+      const colours = { added: chalk.green, changed: chalk.yellow, removed: chalk.red };
+      lines.forEach(line => console.log(colours[line.type](line.text)));
+      if (!options.prune && diff.removed.length > 0) {
+        console.error(chalk.gray(`${diff.removed.length} variable(s) not in the file are kept; use --prune to delete them.`));
+      }
+
+      if (!options.yes) {
+        console.error(chalk.yellow('Preview only, nothing was changed. Re-run with --yes to apply.'));
+        return;
+      }
+
+      const result = await applyVariableDiff(options.instance, options.project, options.environment, diff, {
+        prune: options.prune
+      });
+      result.failed.forEach(({ name, error }) => console.error(chalk.red(`${name}: ${error.message}`)));
+      if (result.failed.length > 0) {
+        throw new Error(`${result.failed.length} of ${lines.length} change(s) failed.`);
+      }
+      console.error(chalk.green(`Applied ${result.applied.length} change(s).`));
+    }));
+
+  withProjectOptions(program.command('compare'))
+    .description('Compare the variables and settings of two environments')
+    .argument('<left>', 'First environment, as <environment> or <project>:<environment>')
+    .argument('<right>', 'Second environment, as <environment> or <project>:<environment>')
+    .option('--right-instance <name>', 'Lagoon instance of the second environment, if it is on another instance')
+    .option('-a, --all', 'Include settings and variables that are the same')
+    .option('--reveal', 'Show variable values instead of masking them')
+    .action(runAction(async (leftArg, rightArg, options, command) => {
+      const leftRef = parseEnvironmentRef(leftArg, options.project);
+      const rightRef = parseEnvironmentRef(rightArg, options.project);
+      const [left, right] = await Promise.all([
+        loadEnvironmentSnapshot(options.instance, leftRef.project, leftRef.environment),
+        loadEnvironmentSnapshot(options.rightInstance || options.instance, rightRef.project, rightRef.environment)
+      ]);
+
+      const rows = compareSnapshots(left, right, { reveal: options.reveal })
+        .filter(row => options.all || row.status !== 'same');
+      if (rows.length === 0) {
+        console.error(chalk.green('No differences found.'));
+        return;
+      }
+
+      printRows(command, rows, getComparisonColumns(left, right));
+    }));
+
+  program
+    .command('find')
+    .description('Search the projects, environments and routes of every Lagoon instance')
+    .argument('<term>', 'Text to look for; matching ignores case')
+    .action(runAction(async (term, options, command) => {
+      const { matches, failed } = await searchAllInstances(term);
+      failed.forEach(({ source, error }) => console.error(chalk.yellow(`Could not search ${source}: ${error.message}`)));
+      if (matches.length === 0) {
+        console.error(chalk.yellow('No matches found.'));
+        return;
+      }
+
+      const rows = matches.map(({ match, instance, project, environment, route }) => ({
+        match, instance, project, environment, route
+      }));
+      printRows(command, rows, SEARCH_COLUMNS);
+    }));
+
+  withProjectOptions(program.command('users'))
+    .description('List users for a project')
+    .action(runAction(async (options, command) => {
+      const users = await getUsersWithDetails(options.instance, options.project);
+      printRows(command, users);
+    }));
+
+  program
+    .command('history')
+    .description('Show the commands lh ran, from its logs')
+    .option('--since <date>', 'Only entries from this date or time, or this long ago (e.g. 2026-03-01, yesterday, 7d)',
+      value => parseDateOption(value))
+    .option('--until <date>', 'Only entries up to this date or time; a date includes the whole day',
+      value => parseDateOption(value, true))
+    .option('-i, --instance <name>', 'Only entries for this Lagoon instance')
+    .option('-p, --project <name>', 'Only entries for this project')
+    .option('-e, --environment <name>', 'Only entries for this environment')
+    .option('-a, --action <text>', 'Only actions or commands containing this text, e.g. delete or deploy')
+    .option('-u, --user <name>', 'Only entries of this user')
+    .addOption(new Option('-s, --status <status>', 'Only entries with this outcome').choices(HISTORY_STATUSES))
+    .option('--all', 'Include session events such as menu selections, not only commands')
+    .option('-n, --limit <count>', 'Show only this many of the most recent entries', parseCount)
+    .action(runAction(async (options, command) => {
+      const entries = await readHistory(options);
+      if (entries.length === 0) {
+        console.error(chalk.yellow('No matching log entries found.'));
+        return;
+      }
+
+      const shown = options.limit !== undefined ? entries.slice(0, options.limit) : entries;
+      printRows(command, shown.map(historyToRow), HISTORY_COLUMNS);
+    }));
+}
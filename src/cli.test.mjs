@@ -0,0 +1,434 @@
+import { jest } from '@jest/globals';
+import { Command } from 'commander';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const api = {
+  getLagoonInstances: jest.fn(),
+  getLagoonInstancesWithDetails: jest.fn(),
+  getProjectsWithDetails: jest.fn(),
+  getEnvironmentsWithDetails: jest.fn(),
+  getUsersWithDetails: jest.fn(),
+  deleteEnvironment: jest.fn(),
+  generateLoginLink: jest.fn(),
+  clearDrupalCache: jest.fn(),
+  deployBranch: jest.fn(),
+  getSSHCommand: jest.fn(),
+  runRemoteCommand: jest.fn(),
+  watchDeployment: jest.fn(),
+  describeDeployment: jest.fn(),
+  formatDuration: jest.fn(),
+  getDeployments: jest.fn(),
+  getDeploymentNames: jest.fn(),
+  getBranchEnvironmentName: jest.fn(branch => branch.replace(/\//g, '-')),
+  getDeploymentLogs: jest.fn(),
+  followDeploymentLogs: jest.fn(),
+  searchLog: jest.fn(),
+  getVariables: jest.fn(),
+  setVariable: jest.fn(),
+  deleteVariable: jest.fn(),
+  maskValue: jest.fn(),
+  configureExecutor: jest.fn(),
+  isDryRun: jest.fn()
+};
+
+const LOG_ERROR_PATTERN = /error/i;
+const VARIABLE_SCOPES = ['build', 'runtime', 'global', 'container_registry'];
+
+jest.unstable_mockModule('./lagoon-api.mjs', () => ({ ...api, LOG_ERROR_PATTERN, VARIABLE_SCOPES }));
+
+const { registerCommands } = await import('./cli.mjs');
+
+/**
+ * Builds a fresh program that throws instead of exiting so usage errors can be asserted.
+ */
+function createProgram() {
+  const program = new Command();
+  program.exitOverride();
+  program.configureOutput({ writeErr: () => {}, writeOut: () => {} });
+  registerCommands(program);
+  program.commands.forEach(command => {
+    command.exitOverride();
+    command.commands.forEach(subcommand => subcommand.exitOverride());
+  });
+  return program;
+}
+
+describe('registerCommands', () => {
+  beforeEach(() => {
+    Object.values(api).forEach(mock => mock.mockReset());
+    console.log = jest.fn();
+    console.error = jest.fn();
+    process.exitCode = undefined;
+  });
+
+  afterAll(() => {
+    process.exitCode = undefined;
+  });
+
+  test('env list prints environments as a table by default', async () => {
+    api.getEnvironmentsWithDetails.mockResolvedValue([
+      { name: 'develop', environmenttype: 'development' },
+      { name: 'pr-1', environmenttype: 'development' }
+    ]);
+
+    await createProgram().parseAsync(['env', 'list', '-i', 'amazee.io', '-p', 'test-project'], { from: 'user' });
+
+    expect(api.getEnvironmentsWithDetails).toHaveBeenCalledWith('amazee.io', 'test-project');
+    const output = console.log.mock.calls[0][0];
+    expect(output).toContain('NAME');
+    expect(output).toMatch(/pr-1\s+development/);
+  });
+
+  test('the global --output option selects JSON output', async () => {
+    const environments = [{ name: 'develop', environmenttype: 'development', id: 1 }];
+    api.getEnvironmentsWithDetails.mockResolvedValue(environments);
+
+    await createProgram().parseAsync(
+      ['--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    );
+
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual(environments);
+  });
+
+  test('unsupported output formats are rejected', async () => {
+    await expect(createProgram().parseAsync(['--output', 'xml', 'instances'], { from: 'user' }))
+      .rejects.toThrow(/Allowed choices are table, json, yaml/);
+  });
+
+  test('the global --dry-run option configures the executor', async () => {
+    api.deployBranch.mockResolvedValue({ success: true, message: 'Dry run' });
+
+    await createProgram().parseAsync(
+      ['--dry-run', 'deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'main'],
+      { from: 'user' }
+    );
+
+    expect(api.configureExecutor).toHaveBeenCalledWith(expect.objectContaining({ dryRun: true }));
+    expect(api.deployBranch).toHaveBeenCalledWith('amazee.io', 'test-project', 'main');
+  });
+
+  test('the global --timeout and --retries options configure the executor', async () => {
+    api.getUsersWithDetails.mockResolvedValue([]);
+
+    await createProgram().parseAsync(
+      ['--timeout', '30', '--retries', '0', 'users', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    );
+
+    expect(api.configureExecutor).toHaveBeenCalledWith({
+      dryRun: undefined,
+      timeout: 30000,
+      retries: 0,
+      cassette: null
+    });
+  });
+
+  test('the global --record and --replay options give the executor a cassette', async () => {
+    api.getUsersWithDetails.mockResolvedValue([]);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-cassette-'));
+    const file = path.join(tempDir, 'session.json');
+
+    try {
+      await createProgram().parseAsync(['--record', file, 'users', '-i', 'amazee.io', '-p', 'test-project'], { from: 'user' });
+      expect(api.configureExecutor.mock.calls[0][0].cassette).toMatchObject({ mode: 'record', file });
+      expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({ version: 1, interactions: [] });
+
+      await createProgram().parseAsync(['--replay', file, 'users', '-i', 'amazee.io', '-p', 'test-project'], { from: 'user' });
+      expect(api.configureExecutor.mock.calls[1][0].cassette).toMatchObject({ mode: 'replay', file });
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('--record and --replay cannot be combined', async () => {
+    await expect(createProgram().parseAsync(
+      ['--record', 'a.json', '--replay', 'b.json', 'users', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    )).rejects.toThrow(/cannot be used with option '--replay/);
+    expect(api.getUsersWithDetails).not.toHaveBeenCalled();
+  });
+
+  test('run joins the remote command arguments', async () => {
+    api.runRemoteCommand.mockResolvedValue({ exitCode: 0 });
+
+    await createProgram().parseAsync(
+      ['run', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '--', 'drush', 'deploy', '-y'],
+      { from: 'user' }
+    );
+
+    expect(api.runRemoteCommand).toHaveBeenCalledWith('amazee.io', 'test-project', 'develop', 'drush deploy -y');
+  });
+
+  test('run quotes arguments that the remote shell would split or expand', async () => {
+    api.runRemoteCommand.mockResolvedValue({ exitCode: 0 });
+
+    await createProgram().parseAsync(
+      ['run', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '--', 'drush', 'sqlq', "SELECT 'a' FROM $t", ''],
+      { from: 'user' }
+    );
+
+    expect(api.runRemoteCommand).toHaveBeenCalledWith(
+      'amazee.io', 'test-project', 'develop', "drush sqlq 'SELECT '\\''a'\\'' FROM $t' ''"
+    );
+  });
+
+  test('run passes a single argument to the remote shell as is', async () => {
+    api.runRemoteCommand.mockResolvedValue({ exitCode: 0 });
+
+    await createProgram().parseAsync(
+      ['run', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '--', 'drush status | grep Drupal'],
+      { from: 'user' }
+    );
+
+    expect(api.runRemoteCommand).toHaveBeenCalledWith(
+      'amazee.io', 'test-project', 'develop', 'drush status | grep Drupal'
+    );
+  });
+
+  test('deploy --wait exits non-zero when the deployment fails', async () => {
+    const triggeredAt = new Date();
+    const existing = new Set(['lagoon-build-old']);
+    api.getDeploymentNames.mockResolvedValue(existing);
+    api.deployBranch.mockResolvedValue({ success: true, message: 'Deploying', environment: 'main', triggeredAt });
+    api.watchDeployment.mockResolvedValue({ name: 'lagoon-build-abc', status: 'failed', elapsed: 300000 });
+
+    await createProgram().parseAsync(
+      ['deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'main', '--wait', '--interval', '5'],
+      { from: 'user' }
+    );
+
+    expect(api.watchDeployment).toHaveBeenCalledWith('amazee.io', 'test-project', 'main', expect.objectContaining({
+      since: triggeredAt,
+      existing,
+      interval: 5000
+    }));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('lagoon-build-abc failed'));
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('deploy --wait succeeds when the deployment completes', async () => {
+    api.deployBranch.mockResolvedValue({
+      success: true,
+      message: 'Deploying',
+      environment: 'main',
+      triggeredAt: new Date()
+    });
+    api.watchDeployment.mockResolvedValue({ name: 'lagoon-build-abc', status: 'complete', elapsed: 300000 });
+    api.formatDuration.mockReturnValue('5m 0s');
+
+    await createProgram().parseAsync(
+      ['deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'main', '-w'],
+      { from: 'user' }
+    );
+
+    expect(console.log).toHaveBeenCalledWith('Deployment lagoon-build-abc complete after 5m 0s');
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('deployments logs defaults to the most recent deployment', async () => {
+    api.getDeployments.mockResolvedValue([{ name: 'lagoon-build-new' }, { name: 'lagoon-build-old' }]);
+    api.getDeploymentLogs.mockResolvedValue('build log');
+
+    await createProgram().parseAsync(
+      ['deployments', 'logs', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop'],
+      { from: 'user' }
+    );
+
+    expect(api.getDeploymentLogs).toHaveBeenCalledWith('amazee.io', 'test-project', 'develop', 'lagoon-build-new');
+    expect(console.log).toHaveBeenCalledWith('build log');
+  });
+
+  test('deployments logs --search without a pattern searches for errors', async () => {
+    api.getDeploymentLogs.mockResolvedValue('ok\nERROR: boom');
+    api.searchLog.mockReturnValue([{ lineNumber: 2, line: 'ERROR: boom' }]);
+
+    await createProgram().parseAsync(
+      ['deployments', 'logs', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '--name', 'b1', '--search'],
+      { from: 'user' }
+    );
+
+    expect(api.searchLog).toHaveBeenCalledWith('ok\nERROR: boom', LOG_ERROR_PATTERN);
+    expect(console.log).toHaveBeenCalledWith('2: ERROR: boom');
+  });
+
+  test('variables list masks values unless --reveal is given', async () => {
+    api.getVariables.mockResolvedValue([{ name: 'API_KEY', scope: 'runtime', environment: null, value: null }]);
+    api.maskValue.mockReturnValue('********');
+
+    await createProgram().parseAsync(
+      ['--output', 'json', 'vars', 'list', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    );
+
+    expect(api.getVariables).toHaveBeenCalledWith('amazee.io', 'test-project', undefined, { reveal: undefined });
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual([
+      { name: 'API_KEY', scope: 'runtime', environment: null, value: '********' }
+    ]);
+  });
+
+  test('variables set passes the name, value and scope', async () => {
+    api.setVariable.mockResolvedValue({ success: true, dryRun: false });
+
+    await createProgram().parseAsync(
+      ['variables', 'set', 'API_KEY', 's3cret', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '-s', 'build'],
+      { from: 'user' }
+    );
+
+    expect(api.setVariable)
+      .toHaveBeenCalledWith('amazee.io', 'test-project', 'develop', 'API_KEY', 's3cret', 'build');
+  });
+
+  test('variables set requires a valid scope', async () => {
+    await expect(createProgram().parseAsync(
+      ['variables', 'set', 'API_KEY', 's3cret', '-i', 'amazee.io', '-p', 'test-project', '-s', 'nope'],
+      { from: 'user' }
+    )).rejects.toThrow();
+
+    expect(api.setVariable).not.toHaveBeenCalled();
+  });
+
+  test('variables delete refuses to run without --yes', async () => {
+    await createProgram().parseAsync(
+      ['variables', 'delete', 'API_KEY', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    );
+
+    expect(api.deleteVariable).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(1);
+  });
+
+  describe('variables import', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-vars-'));
+      file = path.join(dir, '.env');
+      await fs.writeFile(file, 'API_KEY=new-secret\nADDED=1\n');
+      api.getVariables.mockResolvedValue([
+        { name: 'API_KEY', value: 'old-secret', scope: 'runtime' },
+        { name: 'GONE', value: 'x', scope: 'build' }
+      ]);
+      api.setVariable.mockResolvedValue({ success: true, dryRun: false });
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('previews the changes without values and writes nothing without --yes', async () => {
+      await createProgram().parseAsync(
+        ['variables', 'import', file, '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-1'],
+        { from: 'user' }
+      );
+
+      const printed = console.log.mock.calls.map(call => call[0]).join('\n');
+      expect(printed).toContain('ADDED (runtime)');
+      expect(printed).toContain('API_KEY (runtime, value changed)');
+      expect(printed).not.toContain('GONE');
+      expect(printed).not.toContain('secret');
+      expect(api.setVariable).not.toHaveBeenCalled();
+    });
+
+    test('applies the changes with --yes', async () => {
+      await createProgram().parseAsync(
+        ['variables', 'import', file, '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-1', '--yes'],
+        { from: 'user' }
+      );
+
+      expect(api.setVariable)
+        .toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-1', 'API_KEY', 'new-secret', 'runtime');
+      expect(api.setVariable).toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-1', 'ADDED', '1', 'runtime');
+      expect(api.deleteVariable).not.toHaveBeenCalled();
+      expect(process.exitCode).toBeUndefined();
+    });
+  });
+
+  test('compare loads both environments and hides identical rows by default', async () => {
+    api.getEnvironmentsWithDetails.mockResolvedValue([
+      { name: 'develop', deploytype: 'branch', environmenttype: 'development' },
+      { name: 'pr-12', deploytype: 'pullrequest', environmenttype: 'development', deployheadref: 'feature/foo' }
+    ]);
+    api.getVariables.mockImplementation(async (instance, project, environment) => (environment === 'pr-12'
+      ? [{ name: 'API_KEY', value: 'pr-secret', scope: 'runtime' }]
+      : [{ name: 'API_KEY', value: 'dev-secret', scope: 'runtime' }]));
+    api.maskValue.mockReturnValue('********');
+
+    await createProgram().parseAsync(
+      ['--output', 'json', 'compare', 'develop', 'other-project:pr-12', '-i', 'amazee.io', '-p', 'test-project'],
+      { from: 'user' }
+    );
+
+    expect(api.getEnvironmentsWithDetails).toHaveBeenCalledWith('amazee.io', 'other-project');
+    const rows = JSON.parse(console.log.mock.calls[0][0]);
+    expect(rows.map(row => row.key)).toEqual(['deploy type', 'git ref', 'API_KEY']);
+    expect(JSON.stringify(rows)).not.toContain('secret');
+  });
+
+  test('find searches every instance and reports instances that could not be searched', async () => {
+    api.getLagoonInstances.mockResolvedValue(['amazee.io', 'other', 'broken']);
+    api.getProjectsWithDetails.mockImplementation(async instance => {
+      if (instance === 'broken') {
+        throw new Error('Not authenticated');
+      }
+      return instance === 'amazee.io' ? [{ projectname: 'shop' }, { projectname: 'blog' }] : [{ projectname: 'shop-legacy' }];
+    });
+    api.getEnvironmentsWithDetails.mockImplementation(async (instance, project) => (project === 'blog'
+      ? [{ name: 'main', route: 'https://shop-blog.example.com' }, { name: 'develop', route: 'https://develop.example.com' }]
+      : []));
+
+    await createProgram().parseAsync(['--output', 'json', 'find', 'SHOP'], { from: 'user' });
+
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual([
+      { match: 'project', instance: 'amazee.io', project: 'shop', environment: '', route: '' },
+      { match: 'route', instance: 'amazee.io', project: 'blog', environment: 'main', route: 'https://shop-blog.example.com' },
+      { match: 'project', instance: 'other', project: 'shop-legacy', environment: '', route: '' }
+    ]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not search broken: Not authenticated'));
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('missing required options fail with a usage error', async () => {
+    await expect(createProgram().parseAsync(['env', 'list', '-i', 'amazee.io'], { from: 'user' }))
+      .rejects.toThrow(/required option '-p, --project <name>' not specified/);
+    expect(api.getEnvironmentsWithDetails).not.toHaveBeenCalled();
+  });
+
+  test('env delete refuses to run without --yes', async () => {
+    await createProgram().parseAsync(
+      ['env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-1'],
+      { from: 'user' }
+    );
+
+    expect(api.deleteEnvironment).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('env delete deletes every requested environment', async () => {
+    api.deleteEnvironment.mockResolvedValue(true);
+
+    await createProgram().parseAsync(
+      ['env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-1', 'pr-2', '--yes'],
+      { from: 'user' }
+    );
+
+    expect(api.deleteEnvironment).toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-1');
+    expect(api.deleteEnvironment).toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-2');
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('failures set a non-zero exit code', async () => {
+    api.generateLoginLink.mockRejectedValue(new Error('Cannot generate login link'));
+
+    await createProgram().parseAsync(
+      ['login-link', '-i', 'amazee.io', '-p', 'test-project', '-e', 'production'],
+      { from: 'user' }
+    );
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Cannot generate login link'));
+    expect(process.exitCode).toBe(1);
+  });
+});
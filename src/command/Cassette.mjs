@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { redact } from '../redact.mjs';
+
+// Bumped when the file format changes incompatibly
+const CASSETTE_VERSION = 1;
+
+/**
+ * Gets the argv a command is recorded and looked up under, with secrets redacted.
+ *
+ * @param {Object} command - The command (LagoonCommand or GitCommand).
+ * @returns {string[]} The base command and its arguments.
+ */
+function recordedArgv(command) {
+  return [command.getBaseCommand(), ...command.getMaskedArgs()].map(arg => redact(arg));
+}
+
+/**
+ * Masks variable values in the output of `lagoon list variables --reveal`.
+ *
+ * @param {Object} command - The command that produced the output.
+ * @param {string} stdout - Its output.
+ * @returns {string} The output with revealed values masked.
+ */
+function maskRevealedVariables(command, stdout) {
+  if (!command.getArgs().includes('--reveal')) {
+    return stdout;
+  }
+  try {
+    const parsed = JSON.parse(stdout);
+    (parsed.data || []).forEach(variable => {
+      if (variable.value !== undefined) {
+        variable.value = '****';
+      }
+    });
+    return JSON.stringify(parsed);
+  } catch {
+    return stdout;
+  }
+}
+
+/**
+ * A file of recorded command results: what `lagoon` and `git` printed and how they exited, for every argv.
+ *
+ * In `record` mode the executor adds each command it runs, and the file is rewritten after every interaction so a
+ * crashed or interrupted session still leaves a usable cassette. In `replay` mode the executor asks for the recorded
+ * result instead of starting a process. An argv recorded more than once is replayed in the order it was recorded,
+ * and its last result is repeated once they have all been used.
+ *
+ * Cassettes are plain JSON, so tests can load one as a fixture:
+ *
+ * @example
+ * const cassette = await Cassette.load('test/cassettes/delete-environment.json');
+ * const executor = new LagoonExecutor(logger, { cassette });
+ */
+export class Cassette {
+  /**
+   * Creates a cassette. Use Cassette.load() or Cassette.create() rather than calling this directly.
+   *
+   * @param {string} file - Path of the cassette file.
+   * @param {string} mode - `record` or `replay`.
+   * @param {Object[]} [interactions] - Interactions already on the cassette.
+   */
+  constructor(file, mode, interactions = []) {
+    this.file = file;
+    this.mode = mode;
+    this.interactions = interactions;
+    this.played = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads a cassette to replay.
+   *
+   * @param {string} file - Path of the cassette file.
+   * @returns {Promise<Cassette>} The cassette, in replay mode.
+   * @throws {Error} If the file can't be read or isn't a cassette.
+   */
+  static async load(file) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load cassette ${file}: ${error.message}`, { cause: error });
+    }
+    if (!content || !Array.isArray(content.interactions)) {
+      throw new Error(`Failed to load cassette ${file}: no interactions found`);
+    }
+    return new Cassette(file, 'replay', content.interactions);
+  }
+
+  /**
+   * Starts an empty cassette to record to, replacing the file if it exists.
+   *
+   * @param {string} file - Path of the cassette file.
+   * @returns {Promise<Cassette>} The cassette, in record mode.
+   * @throws {Error} If the file can't be written.
+   */
+  static async create(file) {
+    const cassette = new Cassette(file, 'record');
+    await cassette.save();
+    return cassette;
+  }
+
+  /**
+   * Adds the result of a command to the cassette and saves it, with secrets redacted.
+   *
+   * @param {Object} command - The command that ran (LagoonCommand or GitCommand).
+   * @param {Object} result - What happened.
+   * @param {string} [result.stdout] - Captured standard output.
+   * @param {string} [result.stderr] - Captured standard error.
+   * @param {Object[]} [result.lines] - Streamed output lines, as `{ line, stream }`, for streamed commands.
+   * @param {number|null} result.exitCode - The exit code; null if the process was killed or never started.
+   * @param {string} [result.errorCode] - The error code, e.g. `ENOENT`, when there is no exit code.
+   * @param {string} [result.signal] - The signal that killed the process.
+   * @param {string} [result.message] - The error message, for failed commands.
+   * @param {number} result.durationMs - How long the command took.
+   * @returns {Promise<void>} Resolves once the cassette is saved.
+   */
+  record(command, result) {
+    const secrets = command.getSecrets();
+    const interaction = {
+      argv: recordedArgv(command),
+      exitCode: result.exitCode,
+      durationMs: result.durationMs
+    };
+    if (result.lines) {
+      interaction.lines = result.lines.map(({ line, stream }) => ({ line: redact(line, secrets), stream }));
+    } else {
+      interaction.stdout = redact(maskRevealedVariables(command, result.stdout ?? ''), secrets);
+      interaction.stderr = redact(result.stderr ?? '', secrets);
+    }
+    if (result.errorCode) {
+      interaction.errorCode = result.errorCode;
+    }
+    if (result.signal) {
+      interaction.signal = result.signal;
+    }
+    if (result.message) {
+      interaction.message = redact(result.message, secrets);
+    }
+
+    this.interactions.push(interaction);
+    return this.save();
+  }
+
+  /**
+   * Finds the recorded result for a command.
+   *
+   * @param {Object} command - The command to replay (LagoonCommand or GitCommand).
+   * @returns {Object} The recorded interaction.
+   * @throws {Error} If the command was never recorded.
+   */
+  replay(command) {
+    const key = JSON.stringify(recordedArgv(command));
+    const matches = this.interactions.filter(interaction => JSON.stringify(interaction.argv) === key);
+    if (matches.length === 0) {
+      throw new Error(`No recorded result in cassette ${path.basename(this.file)} for: ${command.toString()}`);
+    }
+
+    const position = this.played.get(key) || 0;
+    this.played.set(key, position + 1);
+    return matches[Math.min(position, matches.length - 1)];
+  }
+
+  /**
+   * Writes the cassette file. Saves are queued, so concurrent commands never interleave writes.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the file can't be written.
+   */
+  save() {
+    const write = async () => {
+      try {
+        await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+        const content = { version: CASSETTE_VERSION, interactions: this.interactions };
+        await fs.writeFile(this.file, `${JSON.stringify(content, null, 2)}\n`, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to save cassette ${this.file}: ${error.message}`, { cause: error });
+      }
+    };
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
@@ -11,6 +11,7 @@ export class GitCommand {
   constructor() {
     this.baseCommand = 'git';
     this.args = [];
+    this.readOnly = false;
   }
 
   /**
@@ -21,10 +22,58 @@ export class GitCommand {
   lsRemote(gitUrl) {
     if (gitUrl) {
       this.args = ['ls-remote', '--heads', gitUrl];
+      this.readOnly = true;
     }
     return this;
   }
 
+  /**
+   * Configures command to print the URL of a remote of the repository in the working directory.
+   * @param {string} [remote='origin'] - The remote name.
+   * @returns {GitCommand} - The current command instance for chaining.
+   */
+  getRemoteUrl(remote = 'origin') {
+    if (remote) {
+      this.args = ['remote', 'get-url', remote];
+      this.readOnly = true;
+    }
+    return this;
+  }
+
+  /**
+   * Configures command to list the remotes of the repository in the working directory with their URLs.
+   * @returns {GitCommand} - The current command instance for chaining.
+   */
+  listRemotes() {
+    this.args = ['remote', '-v'];
+    this.readOnly = true;
+    return this;
+  }
+
+  /**
+   * Whether the command only reads data, so it is safe to run in dry-run mode.
+   * @returns {boolean} - True if the command doesn't change anything.
+   */
+  isReadOnly() {
+    return this.readOnly;
+  }
+
+  /**
+   * Gets the values of the secret arguments. Git commands never carry secrets.
+   * @returns {string[]} - An empty array.
+   */
+  getSecrets() {
+    return [];
+  }
+
+  /**
+   * Gets the arguments for display and logging.
+   * @returns {string[]} - The array of command arguments.
+   */
+  getMaskedArgs() {
+    return this.args;
+  }
+
   /**
    * Gets the array of arguments for this command.
    * @returns {string[]} - The array of command arguments.
@@ -0,0 +1,466 @@
+import http from 'http';
+import https from 'https';
+import { LagoonExecutor } from './LagoonExecutor.mjs';
+import { AuthenticationError } from './LagoonError.mjs';
+import { readLagoonConfig, getLagoonInstanceConfig, getLagoonConfigPath } from '../lagoon-config.mjs';
+
+// LagoonCommand flags that are followed by a value
+const VALUE_FLAGS = ['-l', '-p', '-e', '-C', '--name', '--value', '--scope', '--branch', '--environment'];
+
+const DEPLOYMENT_FIELDS = 'id name status created started completed buildStep remoteId';
+
+const PROJECT_ID_QUERY = `query projectId($project: String!) {
+  projectByName(name: $project) { id }
+}`;
+
+const PROJECTS_QUERY = `query projects {
+  allProjects {
+    id name gitUrl productionEnvironment developmentEnvironmentsLimit
+    environments { environmentType }
+  }
+}`;
+
+const ENVIRONMENTS_QUERY = `query environments($project: String!) {
+  projectByName(name: $project) {
+    environments {
+      id name environmentType deployType deployHeadRef deployBaseRef deployTitle openshiftProjectName autoIdle
+      route routes created updated
+      facts { name value }
+    }
+  }
+}`;
+
+const USERS_QUERY = `query users($project: String!) {
+  projectByName(name: $project) {
+    groups { name members { role user { email firstName lastName } } }
+  }
+}`;
+
+const DEPLOYMENTS_QUERY = `query deployments($environment: String!, $projectId: Int!) {
+  environmentByName(name: $environment, project: $projectId) { deployments { ${DEPLOYMENT_FIELDS} } }
+}`;
+
+const DEPLOYMENT_QUERY = `query deployment($environment: String!, $projectId: Int!, $name: String!, $logs: Boolean!) {
+  environmentByName(name: $environment, project: $projectId) {
+    deployments(name: $name) { ${DEPLOYMENT_FIELDS} buildLog @include(if: $logs) }
+  }
+}`;
+
+const VARIABLES_QUERY = `query variables($input: EnvVariableByProjectEnvironmentNameInput!, $reveal: Boolean!) {
+  getEnvVariablesByProjectEnvironmentName(input: $input) { id name scope value @include(if: $reveal) }
+}`;
+
+const ADD_VARIABLE_MUTATION = `mutation addVariable($input: EnvVariableByNameInput!) {
+  addOrUpdateEnvVariableByName(input: $input) { id }
+}`;
+
+const DELETE_VARIABLE_MUTATION = `mutation deleteVariable($input: DeleteEnvVariableByNameInput!) {
+  deleteEnvVariableByName(input: $input)
+}`;
+
+const DELETE_ENVIRONMENT_MUTATION = `mutation deleteEnvironment($input: DeleteEnvironmentInput!) {
+  deleteEnvironment(input: $input)
+}`;
+
+const DEPLOY_BRANCH_MUTATION = `mutation deployBranch($input: DeployEnvironmentBranchInput!) {
+  deployEnvironmentBranch(input: $input)
+}`;
+
+const DEPLOY_LATEST_MUTATION = `mutation deployLatest($input: DeployEnvironmentLatestInput!) {
+  deployEnvironmentLatest(input: $input)
+}`;
+
+/**
+ * Splits the arguments of a LagoonCommand into the operation, its target and its options.
+ *
+ * @param {string[]} args - The command arguments, e.g. from LagoonCommand.getArgs().
+ * @returns {{ operation: string, instance: string|null, project: string|null, environment: string|null,
+ *   options: Object<string, string>, flags: Set<string> }} The parsed command. `operation` is the words of the
+ * command, e.g. `list environments`; `options` holds flag values by flag name without dashes.
+ */
+export function parseLagoonArgs(args) {
+  const options = {};
+  const flags = new Set();
+  const words = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (VALUE_FLAGS.includes(arg)) {
+      options[arg.replace(/^-+/, '')] = args[++index];
+    } else if (arg.startsWith('-')) {
+      flags.add(arg.replace(/^-+/, ''));
+    } else {
+      words.push(arg);
+    }
+  }
+
+  return {
+    operation: words.join(' '),
+    instance: options.l ?? null,
+    project: options.p ?? null,
+    environment: options.e ?? null,
+    options,
+    flags
+  };
+}
+
+/**
+ * Sends a JSON POST request.
+ *
+ * @param {string} url - The URL, `http:` or `https:`.
+ * @param {Object} headers - Request headers.
+ * @param {string} body - The JSON body.
+ * @param {AbortSignal} signal - Signal that cancels the request.
+ * @returns {Promise<{ status: number, body: string }>} The response status and body.
+ * @throws {Error} If the request can't be sent or is cancelled.
+ */
+function postJson(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      signal
+    }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body: data }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Lowercases the keys of an object returned by the API, matching the keys of the Lagoon CLI's JSON output.
+ *
+ * @param {Object} object - The API object.
+ * @returns {Object} A copy with lowercase keys.
+ */
+function toCliKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Formats rows as the pipe-delimited table the Lagoon CLI prints for commands without JSON output.
+ *
+ * @param {string[]} headers - The column headers.
+ * @param {Array[]} rows - The cell values of each row.
+ * @returns {string} The table.
+ */
+function toPipeTable(headers, rows) {
+  return [headers, ...rows].map(cells => cells.map(cell => cell ?? '').join(' | ')).join('\n');
+}
+
+/**
+ * Turns the string a Lagoon mutation returns into the CLI's JSON response.
+ *
+ * @param {string} result - The mutation result, `success` if it worked.
+ * @returns {string} `{"result":"success"}`.
+ * @throws {Error} If the mutation reported anything else.
+ */
+function toMutationResponse(result) {
+  if (result !== 'success') {
+    throw new Error(String(result));
+  }
+  return JSON.stringify({ result: 'success' });
+}
+
+/**
+ * Loads a project, failing clearly if it doesn't exist.
+ *
+ * @param {Function} request - Sends a query to the instance.
+ * @param {string} query - A query with a `$project` variable that selects `projectByName`.
+ * @param {string} project - The project name.
+ * @returns {Promise<Object>} The project.
+ * @throws {Error} If the project doesn't exist.
+ */
+async function queryProject(request, query, project) {
+  const { projectByName } = await request(query, { project });
+  if (!projectByName) {
+    throw new Error(`Project ${project} not found`);
+  }
+  return projectByName;
+}
+
+/**
+ * Looks up a project's ID, which environment queries need.
+ *
+ * @param {Function} request - Sends a query to the instance.
+ * @param {string} project - The project name.
+ * @returns {Promise<number>} The project ID.
+ * @throws {Error} If the project doesn't exist.
+ */
+async function getProjectId(request, project) {
+  return (await queryProject(request, PROJECT_ID_QUERY, project)).id;
+}
+
+/**
+ * The LagoonCommand operations the GraphQL backend implements, keyed by command words. Each returns the stdout the
+ * Lagoon CLI would print for the same command.
+ */
+const OPERATIONS = {
+  'config list': async () => {
+    const config = await readLagoonConfig();
+    const data = Object.entries(config.lagoons || {}).map(([name, lagoon]) => ({
+      // Annotated like the CLI does; getLagoonInstancesWithDetails() strips the annotations again
+      name: `${name}${name === config.default ? '(default)' : ''}${name === config.current ? '(current)' : ''}`,
+      version: lagoon.version ?? '',
+      graphql: lagoon.graphql ?? '',
+      hostname: lagoon.hostname ?? '',
+      port: lagoon.port ?? '',
+      ui: lagoon.ui ?? ''
+    }));
+    return JSON.stringify({ data });
+  },
+
+  'list projects': async ({ request }) => {
+    const { allProjects } = await request(PROJECTS_QUERY);
+    const data = (allProjects || []).map(project => {
+      const developmentCount = (project.environments || [])
+        .filter(environment => environment.environmentType === 'development').length;
+      return {
+        id: project.id,
+        projectname: project.name,
+        giturl: project.gitUrl,
+        productionenvironment: project.productionEnvironment,
+        developmentenvironments: project.developmentEnvironmentsLimit != null
+          ? `${developmentCount}/${project.developmentEnvironmentsLimit}`
+          : String(developmentCount)
+      };
+    });
+    return JSON.stringify({ data });
+  },
+
+  'list environments': async ({ request, parsed }) => {
+    const project = await queryProject(request, ENVIRONMENTS_QUERY, parsed.project);
+    return JSON.stringify({ data: (project.environments || []).map(toCliKeys) });
+  },
+
+  'list all-users': async ({ request, parsed }) => {
+    const project = await queryProject(request, USERS_QUERY, parsed.project);
+    const rows = (project.groups || []).flatMap(group => (group.members || []).map(member => [
+      member.user?.email,
+      member.user?.firstName,
+      member.user?.lastName,
+      member.role,
+      group.name
+    ]));
+    return toPipeTable(['EMAIL', 'FIRSTNAME', 'LASTNAME', 'ROLE', 'GROUP'], rows);
+  },
+
+  'list deployments': async ({ request, parsed }) => {
+    const projectId = await getProjectId(request, parsed.project);
+    const { environmentByName } = await request(DEPLOYMENTS_QUERY, { environment: parsed.environment, projectId });
+    if (!environmentByName) {
+      throw new Error(`Environment ${parsed.environment} not found`);
+    }
+    return JSON.stringify({ data: (environmentByName.deployments || []).map(toCliKeys) });
+  },
+
+  'get deployment': async ({ request, parsed }) => {
+    const projectId = await getProjectId(request, parsed.project);
+    const { environmentByName } = await request(DEPLOYMENT_QUERY, {
+      environment: parsed.environment,
+      projectId,
+      name: parsed.options.name,
+      logs: parsed.flags.has('logs')
+    });
+    if (!environmentByName) {
+      throw new Error(`Environment ${parsed.environment} not found`);
+    }
+    return JSON.stringify({ data: (environmentByName.deployments || []).map(toCliKeys) });
+  },
+
+  'list variables': async ({ request, parsed }) => {
+    const { getEnvVariablesByProjectEnvironmentName: variables } = await request(VARIABLES_QUERY, {
+      input: { project: parsed.project, ...(parsed.environment ? { environment: parsed.environment } : {}) },
+      reveal: parsed.flags.has('reveal')
+    });
+    // Like the CLI, print nothing when there are no variables
+    return variables && variables.length > 0 ? JSON.stringify({ data: variables.map(toCliKeys) }) : '';
+  },
+
+  'add variable': async ({ request, parsed }) => {
+    await request(ADD_VARIABLE_MUTATION, {
+      input: {
+        project: parsed.project,
+        ...(parsed.environment ? { environment: parsed.environment } : {}),
+        name: parsed.options.name,
+        value: parsed.options.value,
+        scope: String(parsed.options.scope).toUpperCase()
+      }
+    });
+    return JSON.stringify({ result: 'success' });
+  },
+
+  'delete variable': async ({ request, parsed }) => {
+    const { deleteEnvVariableByName } = await request(DELETE_VARIABLE_MUTATION, {
+      input: {
+        project: parsed.project,
+        ...(parsed.environment ? { environment: parsed.environment } : {}),
+        name: parsed.options.name
+      }
+    });
+    return toMutationResponse(deleteEnvVariableByName);
+  },
+
+  'delete environment': async ({ request, parsed }) => {
+    const { deleteEnvironment } = await request(DELETE_ENVIRONMENT_MUTATION, {
+      input: { name: parsed.options.environment, project: parsed.project, execute: true }
+    });
+    return toMutationResponse(deleteEnvironment);
+  },
+
+  'deploy branch': async ({ request, parsed }) => {
+    const { deployEnvironmentBranch } = await request(DEPLOY_BRANCH_MUTATION, {
+      input: { project: { name: parsed.project }, branchName: parsed.options.branch }
+    });
+    return toMutationResponse(deployEnvironmentBranch);
+  },
+
+  'deploy latest': async ({ request, parsed }) => {
+    const { deployEnvironmentLatest } = await request(DEPLOY_LATEST_MUTATION, {
+      input: { environment: { name: parsed.environment, project: { name: parsed.project } } }
+    });
+    return toMutationResponse(deployEnvironmentLatest);
+  }
+};
+
+/**
+ * Executes LagoonCommands against the Lagoon GraphQL API instead of the `lagoon` binary.
+ *
+ * It has the same interface as LagoonExecutor, including dry-run, timeouts, retries and cancellation, and returns the
+ * output the Lagoon CLI would print, so the two can be swapped per instance. Each instance's `graphql` URL and `token`
+ * are read from the Lagoon configuration file. Commands that need SSH, such as `lagoon ssh` and `lagoon login`, are
+ * not supported; check supports() first.
+ */
+export class GraphQLExecutor extends LagoonExecutor {
+  /**
+   * Whether a command can be run through the GraphQL API.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @returns {boolean} True if the command is a Lagoon command this backend implements.
+   */
+  supports(command) {
+    const { operation } = parseLagoonArgs(command.getArgs());
+    return command.getBaseCommand() === 'lagoon' && Object.prototype.hasOwnProperty.call(OPERATIONS, operation);
+  }
+
+  /**
+   * Runs a command once through the GraphQL API.
+   *
+   * @param {Object} command - A LagoonCommand.
+   * @param {Object} options - Options for this run.
+   * @param {number} options.timeout - Timeout for each request in milliseconds, 0 for none.
+   * @param {AbortSignal} options.signal - Signal that cancels the run.
+   * @returns {Promise<{ stdout: string, stderr: string }>} The output the Lagoon CLI would print.
+   * @throws {Error} If the command isn't supported or the API reports an error.
+   */
+  async run(command, options) {
+    const parsed = parseLagoonArgs(command.getArgs());
+    if (!this.supports(command)) {
+      throw new Error(`The GraphQL backend does not support: ${command.toString()}`);
+    }
+
+    const request = (query, variables = {}) => this.request(parsed.instance, query, variables, options, command);
+    return { stdout: await OPERATIONS[parsed.operation]({ request, parsed }), stderr: '' };
+  }
+
+  /**
+   * Sends a GraphQL request to a Lagoon instance.
+   *
+   * @param {string} instance - The Lagoon instance name.
+   * @param {string} query - The GraphQL query or mutation.
+   * @param {Object} variables - The query variables.
+   * @param {{ timeout: number, signal: AbortSignal }} options - The run options.
+   * @param {Object} command - The command being run, for error messages.
+   * @returns {Promise<Object>} The `data` of the response.
+   * @throws {Error} If the instance isn't configured, the request fails or times out, or the API reports errors.
+   * HTTP errors have the response status in `status`.
+   */
+  async request(instance, query, variables, options, command) {
+    const { graphql, token } = await getLagoonInstanceConfig(instance);
+    if (!graphql) {
+      throw new Error(`Lagoon instance "${instance}" has no graphql URL in ${getLagoonConfigPath()}`);
+    }
+    if (!token) {
+      throw new AuthenticationError(`No API token for Lagoon instance "${instance}". Run "lagoon login -l ${instance}" first.`);
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort(options.signal.reason);
+    if (options.signal.aborted) {
+      abort();
+    }
+    options.signal.addEventListener('abort', abort, { once: true });
+
+    let timedOut = false;
+    const timer = options.timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, options.timeout)
+      : null;
+
+    try {
+      const response = await postJson(
+        graphql,
+        { Authorization: `Bearer ${token}` },
+        JSON.stringify({ query, variables }),
+        controller.signal
+      );
+
+      let body = null;
+      try {
+        body = JSON.parse(response.body);
+      } catch {
+        // Proxies and gateways answer errors with HTML
+      }
+      const apiErrors = (body?.errors || []).map(error => error.message).join('; ');
+      if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Lagoon API returned HTTP ${response.status}${apiErrors ? `: ${apiErrors}` : ''}`);
+        error.status = response.status;
+        throw error;
+      }
+      if (apiErrors) {
+        throw new Error(apiErrors);
+      }
+      return body?.data ?? {};
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`Command timed out after ${options.timeout / 1000}s: ${command.toString()}`);
+        timeoutError.code = 'ETIMEDOUT';
+        timeoutError.cause = error;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Describes a command for the "Executing" status line, noting that it goes through the API.
+   *
+   * @param {Object} command - A LagoonCommand.
+   * @returns {string} The description, with secrets redacted unless --show-secrets is set.
+   */
+  describeCommand(command) {
+    return `${super.describeCommand(command)} (via GraphQL API)`;
+  }
+
+  /**
+   * Streaming needs a process, so it is not supported; run such commands through LagoonExecutor.
+   *
+   * @param {Object} command - A command object.
+   * @throws {Error} Always.
+   */
+  async stream(command) {
+    throw new Error(`The GraphQL backend can't stream command output: ${command.toString()}`);
+  }
+}
@@ -1,3 +1,6 @@
+// Shown in place of secret argument values
+const SECRET_MASK = '****';
+
 /**
  * LagoonCommand class for building secure, structured Lagoon CLI commands.
  *
@@ -11,6 +14,19 @@ export class LagoonCommand {
   constructor() {
     this.baseCommand = 'lagoon';
     this.args = [];
+    this.readOnly = false;
+    this.secretIndexes = new Set();
+  }
+
+  /**
+   * Adds an argument whose value must never be displayed or logged, such as a variable value.
+   * @param {string} value - The secret value.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  withSecretArg(value) {
+    this.secretIndexes.add(this.args.length);
+    this.args.push(String(value));
+    return this;
   }
 
   /**
@@ -67,12 +83,22 @@ export class LagoonCommand {
     return this;
   }
 
+  /**
+   * Adds the logs flag, used with getDeployment() to include the build log.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  withLogs() {
+    this.args.push('--logs');
+    return this;
+  }
+
   /**
    * Configures command to list Lagoon configs.
    * @returns {LagoonCommand} - The current command instance for chaining.
    */
   listConfigs() {
     this.args.push('config', 'list');
+    this.readOnly = true;
     return this;
   }
 
@@ -82,6 +108,7 @@ export class LagoonCommand {
    */
   listProjects() {
     this.args.push('list', 'projects');
+    this.readOnly = true;
     return this;
   }
 
@@ -91,6 +118,7 @@ export class LagoonCommand {
    */
   listEnvironments() {
     this.args.push('list', 'environments');
+    this.readOnly = true;
     return this;
   }
 
@@ -100,6 +128,76 @@ export class LagoonCommand {
    */
   listUsers() {
     this.args.push('list', 'all-users');
+    this.readOnly = true;
+    return this;
+  }
+
+  /**
+   * Configures command to list deployments of an environment.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  listDeployments() {
+    this.args.push('list', 'deployments');
+    this.readOnly = true;
+    return this;
+  }
+
+  /**
+   * Configures command to get a single deployment by name.
+   * @param {string} deploymentName - The deployment (build) name, e.g. lagoon-build-abc123.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  getDeployment(deploymentName) {
+    if (deploymentName) {
+      this.args.push('get', 'deployment', '--name', deploymentName);
+      this.readOnly = true;
+    }
+    return this;
+  }
+
+  /**
+   * Configures command to list project or environment variables.
+   *
+   * Variables are listed for the project unless withEnvironment() is also used.
+   * @param {boolean} [reveal=false] - Include variable values in the output.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  listVariables(reveal = false) {
+    this.args.push('list', 'variables');
+    if (reveal) {
+      this.args.push('--reveal');
+    }
+    this.readOnly = true;
+    return this;
+  }
+
+  /**
+   * Configures command to add a project or environment variable, or update it if it already exists.
+   *
+   * The value is a secret argument, so it is masked in toString().
+   * @param {string} name - The variable name.
+   * @param {string} value - The variable value.
+   * @param {string} scope - The variable scope: build, runtime, global or container_registry.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  addVariable(name, value, scope) {
+    if (name) {
+      this.args.push('add', 'variable', '--name', name, '--value');
+      this.withSecretArg(value ?? '');
+      this.args.push('--scope', scope);
+    }
+    return this;
+  }
+
+  /**
+   * Configures command to delete a project or environment variable.
+   * @param {string} name - The variable name.
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  deleteVariable(name) {
+    if (name) {
+      this.args.push('delete', 'variable', '--name', name);
+    }
     return this;
   }
 
@@ -127,6 +225,15 @@ export class LagoonCommand {
     return this;
   }
 
+  /**
+   * Configures command to redeploy the latest deployment of an environment, set with withEnvironment().
+   * @returns {LagoonCommand} - The current command instance for chaining.
+   */
+  deployLatest() {
+    this.args.push('deploy', 'latest');
+    return this;
+  }
+
   /**
    * Configures command for login.
    * @returns {LagoonCommand} - The current command instance for chaining.
@@ -148,6 +255,30 @@ export class LagoonCommand {
     return this;
   }
 
+  /**
+   * Whether the command only reads data, so it is safe to run in dry-run mode.
+   * @returns {boolean} - True if the command doesn't change anything.
+   */
+  isReadOnly() {
+    return this.readOnly;
+  }
+
+  /**
+   * Gets the values of the secret arguments, so they can be removed from error messages.
+   * @returns {string[]} - The secret values.
+   */
+  getSecrets() {
+    return [...this.secretIndexes].map(index => this.args[index]).filter(Boolean);
+  }
+
+  /**
+   * Gets the arguments with secret values masked, for display and logging.
+   * @returns {string[]} - The array of command arguments with secrets replaced by `****`.
+   */
+  getMaskedArgs() {
+    return this.args.map((arg, index) => (this.secretIndexes.has(index) ? SECRET_MASK : arg));
+  }
+
   /**
    * Gets the array of arguments for this command.
    * @returns {string[]} - The array of command arguments.
@@ -173,11 +304,11 @@ export class LagoonCommand {
   }
 
   /**
-   * Returns a string representation of the command for logging purposes.
+   * Returns a string representation of the command for logging purposes, with secret values masked.
    * Note: This should not be used for command execution to avoid security issues.
    * @returns {string} - String representation of the command.
    */
   toString() {
-    return `${this.baseCommand} ${this.args.join(' ')}`;
+    return `${this.baseCommand} ${this.getMaskedArgs().join(' ')}`;
   }
 }
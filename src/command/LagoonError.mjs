@@ -0,0 +1,284 @@
+/**
+ * Errors for failed Lagoon and Git commands, told apart by what went wrong.
+ *
+ * The executors turn every failure into one of these (see toLagoonError()), working out the type from the error code,
+ * HTTP status and Lagoon's output. Each carries the command line (redacted), the captured stderr and a hint telling the
+ * user what to do about it, and says which exit code `lh` commands end with.
+ */
+
+// Details of a failure that are copied from the original error
+const DETAIL_KEYS = ['stdout', 'stderr', 'code', 'exitCode', 'status', 'cmd', 'killed', 'signal'];
+
+/**
+ * Picks the details of a failure from an error.
+ *
+ * @param {Error} error - The error.
+ * @returns {Object} The details it has, such as `stderr` and `code`.
+ */
+function pickDetails(error) {
+  return Object.fromEntries(DETAIL_KEYS.filter(key => error[key] !== undefined).map(key => [key, error[key]]));
+}
+
+/**
+ * A failed Lagoon or Git command. Used as is when the failure isn't one of the more specific types below.
+ */
+export class LagoonError extends Error {
+  /**
+   * Exit code of `lh` commands that fail with this type of error.
+   */
+  static exitStatus = 1;
+
+  /**
+   * What to do about this type of error, unless the error has a more specific hint.
+   */
+  static hint = null;
+
+  /**
+   * Whether running the same command again might work, so read-only commands are retried.
+   */
+  static retryable = true;
+
+  /**
+   * Creates a new LagoonError.
+   *
+   * @param {string} message - The error message.
+   * @param {Object} [options] - Error details.
+   * @param {string} [options.command] - The command line, with secrets redacted.
+   * @param {string} [options.stderr] - What the command printed on stderr.
+   * @param {string} [options.stdout] - What the command printed on stdout.
+   * @param {number|string} [options.code] - The exit code, or a system error code such as `ENOENT`.
+   * @param {number} [options.exitCode] - The exit code of a streamed command.
+   * @param {number} [options.status] - The HTTP status, for the GraphQL backend.
+   * @param {string} [options.hint] - What the user can do about it, instead of the default for the type.
+   * @param {Error} [options.cause] - The original error.
+   * Further details of execFile errors (`cmd`, `killed`, `signal`) are kept too.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.command = options.command ?? null;
+    this.stderr = '';
+    this.stdout = '';
+    DETAIL_KEYS.forEach(key => {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    });
+    this.hint = options.hint ?? this.constructor.hint;
+  }
+
+  /**
+   * Exit code of `lh` commands that fail with this error.
+   *
+   * @returns {number} The exit code.
+   */
+  get exitStatus() {
+    return this.constructor.exitStatus;
+  }
+
+  /**
+   * Whether running the same command again might work.
+   *
+   * @returns {boolean} True for transient failures.
+   */
+  get retryable() {
+    return this.constructor.retryable;
+  }
+
+  /**
+   * Creates an error of the same type with a message that says what was being done, e.g. "Failed to get projects".
+   *
+   * @param {string} message - The new message.
+   * @returns {LagoonError} The new error, caused by this one.
+   */
+  withMessage(message) {
+    return new this.constructor(message, { ...pickDetails(this), command: this.command, hint: this.hint, cause: this });
+  }
+}
+
+/**
+ * Lagoon rejected the token: it is missing, invalid or expired, or the SSH key isn't accepted to get a new one.
+ */
+export class AuthenticationError extends LagoonError {
+  static exitStatus = 4;
+  static hint = 'Run "lagoon login" for the instance, and check the SSH key it uses with "Configure User SSH Key" in ' +
+    'interactive mode.';
+  static retryable = false;
+}
+
+/**
+ * The user is logged in but their role doesn't allow the operation.
+ */
+export class PermissionDeniedError extends LagoonError {
+  static exitStatus = 5;
+  static hint = 'Your Lagoon user lacks the role this needs. Ask a maintainer or owner of the project to grant it.';
+  static retryable = false;
+}
+
+/**
+ * The instance, project, environment or deployment doesn't exist.
+ */
+export class NotFoundError extends LagoonError {
+  static exitStatus = 3;
+  static hint = 'Check the name. If it was only just created, reload the lists with --no-cache or "Refresh".';
+  static retryable = false;
+}
+
+/**
+ * Something else is already happening to the target, e.g. the environment is already being deleted or deployed.
+ */
+export class ConflictError extends LagoonError {
+  static exitStatus = 6;
+  static hint = 'Wait for the running task on the environment to finish, then try again.';
+  static retryable = false;
+}
+
+/**
+ * Lagoon can't be reached: DNS, connection or gateway failures.
+ */
+export class NetworkError extends LagoonError {
+  static exitStatus = 7;
+  static hint = 'Check your network connection and VPN, and that the Lagoon API and SSH hosts are reachable.';
+}
+
+/**
+ * The command took longer than its timeout and was stopped.
+ */
+export class TimeoutError extends LagoonError {
+  static exitStatus = 8;
+  static hint = 'Raise the limit with --timeout (or LH_TIMEOUT), or 0 for none.';
+}
+
+/**
+ * The `lagoon` or `git` binary isn't installed or isn't on PATH.
+ */
+export class CommandNotFoundError extends LagoonError {
+  static exitStatus = 127;
+  static retryable = false;
+}
+
+// System error codes of failed connections
+const NETWORK_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+// What the lagoon CLI, SSH and curl-like tools print when a host can't be reached
+const NETWORK_MESSAGES = [
+  'network is unreachable',
+  'no route to host',
+  'connection (?:refused|reset|timed out)',
+  'could not resolve host',
+  'no such host',
+  'temporary failure in name resolution',
+  'i/o timeout'
+];
+
+// Checked in order, as some messages match more than one: "Permission denied (publickey)" is about the SSH key
+const ERROR_PATTERNS = [
+  [AuthenticationError, /\bpermission denied \(publickey|\bunable to authenticate\b/i],
+  [PermissionDeniedError, /\b(?:you don'?t have permission|permission denied|forbidden|not authori[sz]ed to)\b/i],
+  [AuthenticationError,
+    /\b(?:unauthori[sz]ed|invalid (?:auth\w* )?token|token (?:is |has )?(?:invalid|expired)|jwt expired)\b/i],
+  [ConflictError,
+    /\b(?:already (?:being )?(?:deleting|deleted|deploying|in progress|running|exists)|conflict)\b/i],
+  [NetworkError, new RegExp(`\\b(?:${NETWORK_MESSAGES.join('|')})\\b`, 'i')],
+  [NotFoundError, /\b(?:not found|does ?n[o']t exist|no such (?:project|environment|deployment))\b/i]
+];
+
+/**
+ * Works out the type of a failure from its error code, HTTP status and output.
+ *
+ * @param {Error} error - The error, e.g. from execFile or the GraphQL API.
+ * @returns {Function} The LagoonError class for it, LagoonError itself if nothing more specific fits.
+ */
+export function detectErrorType(error) {
+  if (error instanceof LagoonError && error.constructor !== LagoonError) {
+    return error.constructor;
+  }
+  if (error.code === 'ENOENT' && String(error.syscall || '').startsWith('spawn')) {
+    return CommandNotFoundError;
+  }
+  if (error.code === 'ETIMEDOUT') {
+    return TimeoutError;
+  }
+  if (NETWORK_CODES.includes(error.code)) {
+    return NetworkError;
+  }
+
+  const byStatus = { 401: AuthenticationError, 403: PermissionDeniedError, 404: NotFoundError, 409: ConflictError };
+  if (byStatus[error.status]) {
+    return byStatus[error.status];
+  }
+  if ([502, 503, 504].includes(error.status)) {
+    return NetworkError;
+  }
+
+  // execFile's message starts with the command line, which could match by itself, e.g. for a project named "not-found"
+  const text = typeof error.stderr === 'string' && error.stderr.trim() ? error.stderr : String(error.message || '');
+  const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : LagoonError;
+}
+
+/**
+ * Says how to install the binary a command couldn't start.
+ *
+ * @param {Error} error - The ENOENT error from execFile or spawn.
+ * @returns {string} The hint.
+ */
+function installHint(error) {
+  const binary = String(error.path || error.spawnargs?.[0] || 'lagoon');
+  return binary === 'lagoon'
+    ? 'Install the Lagoon CLI (https://github.com/uselagoon/lagoon-cli) and make sure it is on your PATH.'
+    : `Install ${binary} and make sure it is on your PATH.`;
+}
+
+/**
+ * Turns a failure into a LagoonError of the matching type, keeping the original error as its cause.
+ *
+ * @param {Error} error - The error. LagoonErrors are returned as they are.
+ * @param {Object} [options] - Details to add.
+ * @param {string} [options.command] - The command line, with secrets redacted.
+ * @param {string} [options.hint] - A hint to use instead of the type's default.
+ * @returns {LagoonError} The typed error.
+ */
+export function toLagoonError(error, options = {}) {
+  if (error instanceof LagoonError) {
+    return error;
+  }
+
+  const ErrorType = detectErrorType(error);
+  return new ErrorType(error.message, {
+    ...pickDetails(error),
+    command: options.command,
+    hint: options.hint ?? (ErrorType === CommandNotFoundError ? installHint(error) : undefined),
+    cause: error
+  });
+}
+
+/**
+ * Finds the LagoonError behind an error, which may have been wrapped since.
+ *
+ * @param {Error} error - The error.
+ * @returns {LagoonError|null} The first LagoonError in the `cause` chain, or null if there is none.
+ */
+export function findLagoonError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof LagoonError) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether an error (or any error in its `cause` chain) says the Lagoon token was rejected.
+ *
+ * @param {Error} error - The error to check.
+ * @returns {boolean} True for HTTP 401 responses and Lagoon's "Unauthorized" or expired token errors.
+ */
+export function isAuthError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof AuthenticationError || detectErrorType(current) === AuthenticationError) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -1,44 +1,746 @@
-import { execFile } from 'child_process';
+import { execFile, spawn } from 'child_process';
+import readline from 'readline';
 import { promisify } from 'util';
 import chalk from 'chalk';
+import { isRevealing, redactError, redactForDisplay } from '../redact.mjs';
+import { TimeoutError, isAuthError, toLagoonError } from './LagoonError.mjs';
+
+// Defaults used when neither the constructor options nor the environment set a value
+const DEFAULT_TIMEOUT_SECONDS = 180;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * Checks whether an environment variable is set to a truthy value such as `1`, `true` or `yes`.
+ *
+ * @param {string} [value] - The environment variable value.
+ * @returns {boolean} True if the value enables the setting.
+ */
+function isEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Parses a non-negative number from an environment variable.
+ *
+ * @param {string} [value] - The environment variable value.
+ * @param {number} fallback - Value to use when the variable is unset or invalid.
+ * @returns {number} The parsed number or the fallback.
+ */
+function numberFromEnv(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Checks whether an error (or any error in its `cause` chain) is a cancellation.
+ *
+ * @param {Error} error - The error to check.
+ * @returns {boolean} True if the command was cancelled through an AbortSignal.
+ */
+export function isAbortError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.name === 'AbortError' || current.code === 'ABORT_ERR') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal is aborted.
+ *
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} signal - Signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the error thrown when a command is cancelled.
+ *
+ * @returns {Error} An error named `AbortError` with code `ABORT_ERR`.
+ */
+function createAbortError() {
+  const error = new Error('Command cancelled');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Formats a command for the terminal: masked and redacted, or in full with --show-secrets.
+ *
+ * @param {Object} command - A command object (LagoonCommand or GitCommand).
+ * @returns {string} The command line to print.
+ */
+function displayCommand(command) {
+  if (isRevealing()) {
+    return [command.getBaseCommand(), ...command.getArgs()].join(' ');
+  }
+  return redactForDisplay(command.toString());
+}
+
+/**
+ * Turns a recorded interaction back into what execFile would have returned or thrown.
+ *
+ * @param {Object} interaction - The interaction from the cassette.
+ * @returns {{ stdout: string, stderr: string }} The recorded output, if the command succeeded.
+ * @throws {Error} An error like execFile's, if the command failed.
+ */
+function replayResult(interaction) {
+  if (interaction.exitCode === 0) {
+    return { stdout: interaction.stdout ?? '', stderr: interaction.stderr ?? '' };
+  }
+
+  const error = new Error(interaction.message || `Command failed with exit code ${interaction.exitCode}`);
+  error.code = interaction.errorCode ?? interaction.exitCode;
+  error.killed = Boolean(interaction.signal);
+  error.signal = interaction.signal ?? null;
+  error.stdout = interaction.stdout ?? '';
+  error.stderr = interaction.stderr ?? '';
+  throw error;
+}
+
+/**
+ * Describes a failed run for a cassette: its exit code, or the error code when the process never exited normally.
+ *
+ * @param {Error} error - The error thrown by execFile, spawn or an API backend.
+ * @returns {Object} The fields to record.
+ */
+function describeFailure(error) {
+  return {
+    stdout: error.stdout,
+    stderr: error.stderr,
+    exitCode: typeof error.code === 'number' ? error.code : (error.exitCode ?? null),
+    errorCode: typeof error.code === 'string' ? error.code : undefined,
+    signal: error.signal,
+    message: error.message
+  };
+}
+
+/**
+ * Builds the structured log fields for a command: its masked argv and the Lagoon target it names.
+ *
+ * @param {Object} command - A command object (LagoonCommand or GitCommand).
+ * @param {Object} [details] - Further fields, such as `exitCode` and `durationMs`.
+ * @returns {Object} The fields to log.
+ */
+function logDetails(command, details = {}) {
+  const args = command.getMaskedArgs();
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  return {
+    argv: [command.getBaseCommand(), ...args],
+    instance: valueOf('-l'),
+    project: valueOf('-p'),
+    environment: valueOf('-e') ?? valueOf('--environment'),
+    ...details
+  };
+}
+
+/**
+ * Gets the exit code of a failed command from its error, if it exited at all.
+ *
+ * @param {Error} error - The error, possibly wrapping the original one.
+ * @returns {number|null} The exit code, or null if the process never exited normally.
+ */
+function exitCodeOf(error) {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.code === 'number') {
+      return current.code;
+    }
+    if (typeof current.exitCode === 'number') {
+      return current.exitCode;
+    }
+  }
+  return null;
+}
+
+/**
+ * Default line handler for streaming: writes each line to the matching terminal stream.
+ *
+ * @param {string} line - The output line, without its newline.
+ * @param {string} streamName - Either `stdout` or `stderr`.
+ */
+function writeToTerminal(line, streamName) {
+  (streamName === 'stderr' ? process.stderr : process.stdout).write(`${line}\n`);
+}
 
 /**
- * Executes Lagoon and Git commands securely using child_process.execFile.
+ * Executes Lagoon and Git commands securely using child_process.execFile, or child_process.spawn when streaming.
  */
 export class LagoonExecutor {
   /**
    * Creates a new LagoonExecutor instance.
    * @param {Object} logger - Logger object with logAction and logError methods.
+   * @param {Object} [options] - Executor options.
+   * @param {boolean} [options.dryRun] - Print and log every command instead of running it. Defaults to the
+   * `LH_DRY_RUN` environment variable.
+   * @param {number} [options.timeout] - Default per-command timeout in milliseconds, 0 for none. Defaults to
+   * `LH_TIMEOUT` (in seconds) or 180 seconds.
+   * @param {number} [options.retries] - How many times read-only commands are retried after a failure. Defaults to
+   * `LH_RETRIES` or 2.
+   * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds; doubled for each further
+   * retry.
+   * @param {Cassette} [options.cassette] - Cassette to record every command's result to, or to replay results from
+   * instead of starting processes (see Cassette.mjs).
+   * @param {Function} [options.login] - Called with an instance name when Lagoon rejects the token for a command on
+   * that instance; resolves to true once it has logged in again, and the command is then retried once.
    */
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
     this.execFileAsync = promisify(execFile);
+    this.spawn = spawn;
+    this.dryRun = options.dryRun ?? isEnabled(process.env.LH_DRY_RUN);
+    this.timeout = options.timeout ?? numberFromEnv(process.env.LH_TIMEOUT, DEFAULT_TIMEOUT_SECONDS) * 1000;
+    this.retries = options.retries ?? numberFromEnv(process.env.LH_RETRIES, DEFAULT_RETRIES);
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.cassette = options.cassette ?? null;
+    this.login = options.login ?? null;
+    this.running = new Set();
+    // Logins in progress by instance, so commands failing together log in once
+    this.loggingIn = new Map();
   }
 
   /**
    * Executes a command securely using execFile.
+   *
+   * Read-only commands are retried with exponential backoff; commands that change anything (delete, deploy, ssh) run
+   * exactly once. In dry-run mode nothing is spawned: every command is printed and logged with its exact argv and a
+   * synthetic successful result is returned instead (see simulate()). Only read-only commands replayed from a cassette
+   * still get their recorded results, so flows can be walked through with real data.
+   *
+   * If Lagoon rejects the token and the executor has a `login` function, it logs in to the command's instance again
+   * and retries the command once.
+   *
    * @param {Object} command - A command object (LagoonCommand or GitCommand).
    * @param {string} action - Description of the action for logging.
-   * @returns {Promise<Object>} - Promise resolving to { stdout, stderr }.
-   * @throws {Error} If the command execution fails.
+   * @param {Object} [options] - Per-command options.
+   * @param {number} [options.timeout] - Timeout in milliseconds, overriding the executor default. 0 disables it.
+   * @param {number} [options.retries] - Retries for read-only commands, overriding the executor default.
+   * @param {AbortSignal} [options.signal] - Signal that cancels the command and kills the child process.
+   * @param {boolean} [options.reauthenticate] - Whether to log in again after an authentication error. Defaults to
+   * true.
+   * @returns {Promise<Object>} - Promise resolving to { stdout, stderr }, plus `dryRun: true` for skipped commands.
+   * @throws {Error} If the command execution fails, times out or is cancelled.
    */
-  async execute(command, action = 'Unknown Action') {
-    const baseCommand = command.getBaseCommand();
-    const args = command.getArgs();
+  async execute(command, action = 'Unknown Action', options = {}) {
+    if (this.shouldSimulate(command)) {
+      return this.simulate(command, action);
+    }
 
-    console.log(chalk.blue(`Executing: ${chalk.bold(command.toString())}`));
+    const timeout = options.timeout ?? this.timeout;
+    const retries = command.isReadOnly() ? (options.retries ?? this.retries) : 0;
+
+    const { signal, release } = this.trackRun(options.signal);
+    const started = Date.now();
+
+    // Status output goes to stderr so stdout can be piped
+    const verb = this.isReplaying() ? 'Replaying' : 'Executing';
+    console.error(chalk.blue(`${verb}: ${chalk.bold(this.describeCommand(command))}`));
 
     try {
-      const result = await this.execFileAsync(baseCommand, args);
+      let result;
+      try {
+        result = await this.runWithRetries(command, { timeout, retries, signal });
+      } catch (error) {
+        if (options.reauthenticate === false || !(await this.loginAgain(command, error))) {
+          throw error;
+        }
+        result = await this.runWithRetries(command, { timeout, retries, signal });
+      }
+
       if (this.logger && typeof this.logger.logAction === 'function') {
-        this.logger.logAction(action, command.toString(), 'Success');
+        this.logger.logAction(action, command.toString(), 'Success', logDetails(command, {
+          exitCode: 0,
+          durationMs: Date.now() - started
+        }));
       }
       return result;
     } catch (error) {
       if (this.logger && typeof this.logger.logError === 'function') {
-        this.logger.logError(action, command.toString(), error);
+        this.logger.logError(action, command.toString(), error, logDetails(command, {
+          exitCode: exitCodeOf(error),
+          durationMs: Date.now() - started
+        }));
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Runs a command, retrying read-only commands with exponential backoff.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {Object} options - Options for this run.
+   * @param {number} options.timeout - Timeout for each attempt in milliseconds, 0 for none.
+   * @param {number} options.retries - How many times to retry after a failure.
+   * @param {AbortSignal} options.signal - Signal that cancels the run.
+   * @returns {Promise<{ stdout: string, stderr: string }>} The command output.
+   * @throws {Error} If the last attempt fails, or the run is cancelled.
+   */
+  async runWithRetries(command, { timeout, retries, signal }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.runOnce(command, { timeout, signal });
+      } catch (rawError) {
+        const error = this.normaliseError(rawError, command, timeout);
+        // Errors such as a rejected token or a missing project don't get better by asking again
+        if (isAbortError(error) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * 2 ** attempt;
+        console.error(chalk.yellow(
+          `${error.message.split('\n')[0]} - retrying in ${delay / 1000}s (attempt ${attempt + 2} of ${retries + 1})`
+        ));
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Logs in to a command's instance again after Lagoon rejected its token.
+   *
+   * Only commands for a named instance qualify. Commands that fail at the same time share one login.
+   *
+   * @param {Object} command - The command that failed.
+   * @param {Error} error - The error it failed with.
+   * @returns {Promise<boolean>} True if the executor logged in again and the command should be retried.
+   */
+  async loginAgain(command, error) {
+    const { instance } = logDetails(command);
+    if (!this.login || !instance || !isAuthError(error)) {
+      return false;
+    }
+
+    if (!this.loggingIn.has(instance)) {
+      console.error(chalk.yellow(`Lagoon rejected the token for ${chalk.bold(instance)} - logging in again`));
+      const login = Promise.resolve()
+        .then(() => this.login(instance))
+        .catch(() => false)
+        .finally(() => this.loggingIn.delete(instance));
+      this.loggingIn.set(instance, login);
+    }
+    return this.loggingIn.get(instance);
+  }
+
+  /**
+   * Checks whether results are served from a cassette instead of running commands.
+   *
+   * @returns {boolean} True in replay mode.
+   */
+  isReplaying() {
+    return this.cassette?.mode === 'replay';
+  }
+
+  /**
+   * Whether a command is only printed in dry-run mode. Read-only commands replayed from a cassette start no process,
+   * so they keep their recorded results.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @returns {boolean} True if the command must not run.
+   */
+  shouldSimulate(command) {
+    return Boolean(this.dryRun) && !(command.isReadOnly() && this.isReplaying());
+  }
+
+  /**
+   * Runs a command once through run(), recording the result or serving it from the cassette if there is one.
+   *
+   * Cancelled runs are not recorded, as they only say what the user did.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {Object} options - Options for this run, as for run().
+   * @returns {Promise<{ stdout: string, stderr: string }>} The command output.
+   * @throws {Error} If the command fails, or failed when it was recorded.
+   */
+  async runOnce(command, options) {
+    if (this.isReplaying()) {
+      return replayResult(this.cassette.replay(command));
+    }
+    if (this.cassette?.mode !== 'record') {
+      return this.run(command, options);
+    }
+
+    const started = Date.now();
+    try {
+      const result = await this.run(command, options);
+      await this.recordRun(command, {
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exitCode: 0,
+        durationMs: Date.now() - started
+      });
+      return result;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        await this.recordRun(command, { ...describeFailure(error), durationMs: Date.now() - started });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a run to the cassette. Failing to save the cassette is reported but never fails the command itself.
+   *
+   * @param {Object} command - The command that ran.
+   * @param {Object} result - What happened, as for Cassette#record().
+   * @returns {Promise<void>}
+   */
+  async recordRun(command, result) {
+    try {
+      await this.cassette.record(command, result);
+    } catch (error) {
+      console.error(chalk.yellow(error.message));
+    }
+  }
+
+  /**
+   * Runs a command once and returns its output. Backends that don't start a process override this.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {Object} options - Options for this run.
+   * @param {number} options.timeout - Timeout in milliseconds, 0 for none.
+   * @param {AbortSignal} options.signal - Signal that cancels the run.
+   * @returns {Promise<{ stdout: string, stderr: string }>} The command output.
+   * @throws {Error} If the command fails.
+   */
+  async run(command, options) {
+    return this.execFileAsync(command.getBaseCommand(), command.getArgs(), options);
+  }
+
+  /**
+   * Describes a command for the "Executing" status line.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @returns {string} The description, with secrets redacted unless --show-secrets is set.
+   */
+  describeCommand(command) {
+    return displayCommand(command);
+  }
+
+  /**
+   * Executes a command with spawn, handing its output over line by line while it runs.
+   *
+   * Unlike execute(), output is never buffered, so long-running remote commands show progress and very large output
+   * can't hit execFile's maxBuffer. Streamed commands are never retried and have no timeout unless one is given.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {string} action - Description of the action for logging.
+   * @param {Object} [options] - Per-command options.
+   * @param {Function} [options.onLine] - Called with `(line, streamName)` for every line, where `streamName` is
+   * `stdout` or `stderr`. Defaults to writing the line to the terminal.
+   * @param {number} [options.timeout] - Timeout in milliseconds; 0 (the default) disables it.
+   * @param {AbortSignal} [options.signal] - Signal that cancels the command and kills the child process.
+   * @returns {Promise<{ exitCode: number }>} - Resolves once the process has exited successfully, with `dryRun: true`
+   * added for skipped commands.
+   * @throws {Error} If the process can't be started, exits non-zero, times out or is cancelled.
+   */
+  async stream(command, action = 'Unknown Action', options = {}) {
+    if (this.shouldSimulate(command)) {
+      this.simulate(command, action);
+      return { exitCode: 0, dryRun: true };
+    }
+
+    const timeout = options.timeout ?? 0;
+    const onLine = options.onLine || writeToTerminal;
+    const { signal, release } = this.trackRun(options.signal);
+    const started = Date.now();
+
+    const verb = this.isReplaying() ? 'Replaying' : 'Executing';
+    console.error(chalk.blue(`${verb}: ${chalk.bold(this.describeCommand(command))}`));
+
+    try {
+      const { code, signal: exitSignal } = await this.spawnOnce(command, { signal, timeout, onLine });
+
+      if (code !== 0) {
+        const error = new Error(`Command failed with exit code ${code ?? exitSignal}: ${command.toString()}`);
+        error.exitCode = code;
+        error.killed = code === null;
+        error.signal = exitSignal;
+        throw error;
+      }
+
+      if (this.logger && typeof this.logger.logAction === 'function') {
+        this.logger.logAction(action, command.toString(), 'Success (exit code 0)', logDetails(command, {
+          exitCode: 0,
+          durationMs: Date.now() - started
+        }));
+      }
+      return { exitCode: 0 };
+    } catch (rawError) {
+      const error = this.normaliseError(rawError, command, timeout);
+      if (this.logger && typeof this.logger.logError === 'function') {
+        this.logger.logError(action, command.toString(), error, logDetails(command, {
+          exitCode: exitCodeOf(error),
+          durationMs: Date.now() - started
+        }));
       }
       throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Spawns a command once, recording its output lines or serving them from the cassette if there is one.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {Object} options - Options for this run.
+   * @param {AbortSignal} options.signal - Signal that kills the process.
+   * @param {number} options.timeout - Timeout in milliseconds, 0 for none.
+   * @param {Function} options.onLine - Called with `(line, streamName)` for every line.
+   * @returns {Promise<{ code: number|null, signal: string|null }>} How the process exited.
+   * @throws {Error} If the process can't be started or is cancelled.
+   */
+  async spawnOnce(command, options) {
+    if (this.isReplaying()) {
+      const interaction = this.cassette.replay(command);
+      (interaction.lines || []).forEach(({ line, stream }) => options.onLine(line, stream));
+      return { code: interaction.exitCode, signal: interaction.signal ?? null };
+    }
+    if (this.cassette?.mode !== 'record') {
+      return this.spawnProcess(command, options);
+    }
+
+    const lines = [];
+    const started = Date.now();
+    const onLine = (line, streamName) => {
+      lines.push({ line, stream: streamName });
+      options.onLine(line, streamName);
+    };
+    try {
+      const result = await this.spawnProcess(command, { ...options, onLine });
+      await this.recordRun(command, {
+        lines,
+        exitCode: result.code,
+        signal: result.signal,
+        durationMs: Date.now() - started
+      });
+      return result;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        const { stdout: _stdout, stderr: _stderr, ...failure } = describeFailure(error);
+        await this.recordRun(command, { ...failure, lines, durationMs: Date.now() - started });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Spawns a command and hands its output over line by line until it exits.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {Object} options - Options for this run, as for spawnOnce().
+   * @returns {Promise<{ code: number|null, signal: string|null }>} How the process exited.
+   * @throws {Error} If the process can't be started or is cancelled.
+   */
+  spawnProcess(command, { signal, timeout, onLine }) {
+    return new Promise((resolve, reject) => {
+      const child = this.spawn(command.getBaseCommand(), command.getArgs(), {
+        signal,
+        timeout: timeout || undefined,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      ['stdout', 'stderr'].forEach(streamName => {
+        readline
+          .createInterface({ input: child[streamName], crlfDelay: Infinity })
+          .on('line', line => onLine(line, streamName));
+      });
+
+      child.on('error', reject);
+      child.on('close', (exitCode, killSignal) => resolve({ code: exitCode, signal: killSignal }));
+    });
+  }
+
+  /**
+   * Executes a command with spawn and yields its output lines as they arrive.
+   *
+   * Breaking out of the loop early cancels the command.
+   *
+   * @example
+   * for await (const { line, stream } of executor.streamLines(command, 'Tail Log')) { ... }
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {string} action - Description of the action for logging.
+   * @param {Object} [options] - Per-command options, as for stream() but without `onLine`.
+   * @yields {{ line: string, stream: string }} Each output line and the stream it came from.
+   * @returns {AsyncGenerator<{ line: string, stream: string }, { exitCode: number }>}
+   * @throws {Error} If the process can't be started, exits non-zero, times out or is cancelled.
+   */
+  async *streamLines(command, action = 'Unknown Action', options = {}) {
+    const queue = [];
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    if (options.signal) {
+      options.signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+
+    let notify = null;
+    let finished = false;
+    let failure = null;
+    let result = null;
+
+    const run = this.stream(command, action, {
+      ...options,
+      signal: controller.signal,
+      onLine: (line, stream) => {
+        queue.push({ line, stream });
+        if (notify) {
+          notify();
+        }
+      }
+    }).then(
+      value => { result = value; },
+      error => { failure = error; }
+    ).finally(() => {
+      finished = true;
+      if (notify) {
+        notify();
+      }
+    });
+
+    try {
+      while (queue.length > 0 || !finished) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else {
+          await new Promise(resolve => { notify = resolve; });
+          notify = null;
+        }
+      }
+    } finally {
+      if (!finished) {
+        controller.abort();
+        await run;
+      }
+      if (options.signal) {
+        options.signal.removeEventListener('abort', abortFromCaller);
+      }
     }
+
+    if (failure) {
+      throw failure;
+    }
+    return result;
+  }
+
+  /**
+   * Registers a run so cancelAll() can stop it, linked to the caller's signal if there is one.
+   *
+   * @param {AbortSignal} [callerSignal] - Signal passed in by the caller.
+   * @returns {{ signal: AbortSignal, release: Function }} - The signal to run with, and a function to call once the
+   * run has finished.
+   */
+  trackRun(callerSignal) {
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    if (callerSignal) {
+      if (callerSignal.aborted) {
+        controller.abort();
+      }
+      callerSignal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+    this.running.add(controller);
+
+    return {
+      signal: controller.signal,
+      release: () => {
+        this.running.delete(controller);
+        if (callerSignal) {
+          callerSignal.removeEventListener('abort', abortFromCaller);
+        }
+      }
+    };
+  }
+
+  /**
+   * Cancels every command currently running through this executor, killing the child processes.
+   *
+   * @returns {boolean} True if there was anything to cancel.
+   */
+  cancelAll() {
+    const hadRunning = this.running.size > 0;
+    this.running.forEach(controller => controller.abort());
+    return hadRunning;
+  }
+
+  /**
+   * Turns the error of a failed run into a LagoonError of the matching type (see LagoonError.mjs), with a readable
+   * message for timeouts. Cancellations stay AbortErrors.
+   *
+   * Secrets are redacted from the error, as execFile includes the full command line and the command's output in it.
+   *
+   * @param {Error} error - The error thrown by execFile, spawn or an API backend.
+   * @param {Object} command - The command that failed.
+   * @param {number} timeout - The timeout the command ran with, in milliseconds.
+   * @returns {Error} The error to report: a LagoonError, or an AbortError if the run was cancelled.
+   */
+  normaliseError(error, command, timeout) {
+    redactError(error, command.getSecrets());
+
+    if (isAbortError(error)) {
+      const abortError = createAbortError();
+      abortError.cause = error;
+      return abortError;
+    }
+
+    // execFile kills the child with SIGTERM when the timeout expires
+    if (timeout > 0 && error.killed && error.signal === 'SIGTERM') {
+      return new TimeoutError(`Command timed out after ${timeout / 1000}s: ${displayCommand(command)}`, {
+        command: displayCommand(command),
+        stderr: error.stderr,
+        code: 'ETIMEDOUT',
+        cause: error
+      });
+    }
+
+    return toLagoonError(error, { command: displayCommand(command) });
+  }
+
+  /**
+   * Prints and logs a command without running it, returning a synthetic successful result.
+   *
+   * @param {Object} command - A command object (LagoonCommand or GitCommand).
+   * @param {string} action - Description of the action for logging.
+   * @returns {{ stdout: string, stderr: string, dryRun: true }} - The synthetic result. Commands that ask for JSON
+   * output get Lagoon's `{"result":"success"}` response, or an empty `{"data":[]}` list for read-only commands; other
+   * commands print nothing.
+   */
+  simulate(command, action) {
+    const argv = JSON.stringify([command.getBaseCommand(), ...command.getMaskedArgs()]);
+    console.error(chalk.yellow(`Dry run, not executing: ${chalk.bold(displayCommand(command))}`));
+    console.error(chalk.gray(`  argv: ${redactForDisplay(argv)}`));
+
+    if (this.logger && typeof this.logger.logAction === 'function') {
+      this.logger.logAction(action, command.toString(), `Dry run: ${argv}`, logDetails(command, { dryRun: true }));
+    }
+
+    const response = command.isReadOnly() ? { data: [] } : { result: 'success' };
+    const stdout = command.getArgs().includes('--output-json') ? JSON.stringify(response) : '';
+    return { stdout, stderr: '', dryRun: true };
   }
 }
@@ -41,3 +41,29 @@ describe('GitCommand', () => {
     expect(command.toString()).toBe('git ls-remote --heads https://github.com/example/repo.git');
   });
 });
+
+describe('GitCommand isReadOnly', () => {
+  test('ls-remote should be read-only', () => {
+    expect(new GitCommand().lsRemote('https://github.com/example/repo.git').isReadOnly()).toBe(true);
+  });
+});
+
+describe('GitCommand getRemoteUrl', () => {
+  test('getRemoteUrl should default to the origin remote', () => {
+    const command = new GitCommand().getRemoteUrl();
+    expect(command.getArgs()).toEqual(['remote', 'get-url', 'origin']);
+    expect(command.isReadOnly()).toBe(true);
+  });
+
+  test('getRemoteUrl should accept another remote', () => {
+    expect(new GitCommand().getRemoteUrl('upstream').getArgs()).toEqual(['remote', 'get-url', 'upstream']);
+  });
+});
+
+describe('GitCommand listRemotes', () => {
+  test('listRemotes should list the remotes with their URLs', () => {
+    const command = new GitCommand().listRemotes();
+    expect(command.getArgs()).toEqual(['remote', '-v']);
+    expect(command.isReadOnly()).toBe(true);
+  });
+});
@@ -0,0 +1,290 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { GraphQLExecutor, parseLagoonArgs } from '../GraphQLExecutor.mjs';
+import { LagoonCommand } from '../LagoonCommand.mjs';
+import { GitCommand } from '../GitCommand.mjs';
+
+/**
+ * Starts a stub Lagoon GraphQL server that answers each operation from `handlers`, keyed by operation name.
+ */
+async function startStubServer(handlers) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const { query, variables } = JSON.parse(body);
+      const operationName = query.match(/^(?:query|mutation)\s+(\w+)/)[1];
+      requests.push({ operationName, variables, authorization: request.headers.authorization });
+
+      const handler = handlers[operationName];
+      const { status = 200, body: responseBody } = handler
+        ? handler(variables)
+        : { status: 400, body: { errors: [{ message: `Unknown operation ${operationName}` }] } };
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/graphql` };
+}
+
+describe('parseLagoonArgs', () => {
+  test('should split the operation, target and options', () => {
+    const command = new LagoonCommand()
+      .withInstance('amazee.io')
+      .withProject('test-project')
+      .withEnvironment('develop')
+      .addVariable('API_KEY', 'secret', 'runtime')
+      .withJsonOutput();
+
+    const parsed = parseLagoonArgs(command.getArgs());
+    expect(parsed).toMatchObject({
+      operation: 'add variable',
+      instance: 'amazee.io',
+      project: 'test-project',
+      environment: 'develop',
+      options: expect.objectContaining({ name: 'API_KEY', value: 'secret', scope: 'runtime' })
+    });
+    expect(parsed.flags.has('output-json')).toBe(true);
+  });
+});
+
+describe('GraphQLExecutor', () => {
+  let stub;
+  let tempDir;
+  let executor;
+  const handlers = {};
+  const originalLagoonConfig = process.env.LH_LAGOON_CONFIG;
+
+  beforeAll(async () => {
+    stub = await startStubServer(handlers);
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-graphql-'));
+    process.env.LH_LAGOON_CONFIG = path.join(tempDir, 'lagoon.yml');
+    await fs.writeFile(process.env.LH_LAGOON_CONFIG, [
+      'default: amazee.io',
+      'lagoons:',
+      '  amazee.io:',
+      `    graphql: ${stub.url}`,
+      '    token: test-token',
+      '    version: v2.20.0',
+      '  no-token:',
+      `    graphql: ${stub.url}`
+    ].join('\n'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+    if (originalLagoonConfig === undefined) {
+      delete process.env.LH_LAGOON_CONFIG;
+    } else {
+      process.env.LH_LAGOON_CONFIG = originalLagoonConfig;
+    }
+  });
+
+  beforeEach(() => {
+    Object.keys(handlers).forEach(key => delete handlers[key]);
+    stub.requests.length = 0;
+    executor = new GraphQLExecutor({ logAction: jest.fn(), logError: jest.fn() }, { retries: 0 });
+    console.error = jest.fn();
+  });
+
+  test('should only support Lagoon commands the API implements', () => {
+    expect(executor.supports(new LagoonCommand().withInstance('amazee.io').listProjects())).toBe(true);
+    expect(executor.supports(new LagoonCommand().withInstance('amazee.io').ssh('drush cr'))).toBe(false);
+    expect(executor.supports(new GitCommand().lsRemote('git@github.com:org/repo.git'))).toBe(false);
+  });
+
+  test('should list projects with the token from the Lagoon config, in the CLI format', async () => {
+    handlers.projects = () => ({
+      body: {
+        data: {
+          allProjects: [{
+            id: 1,
+            name: 'test-project',
+            gitUrl: 'git@github.com:org/repo.git',
+            productionEnvironment: 'main',
+            developmentEnvironmentsLimit: 5,
+            environments: [{ environmentType: 'production' }, { environmentType: 'development' }]
+          }]
+        }
+      }
+    });
+
+    const { stdout } = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').listProjects().withJsonOutput(),
+      'List Projects'
+    );
+
+    expect(JSON.parse(stdout).data).toEqual([{
+      id: 1,
+      projectname: 'test-project',
+      giturl: 'git@github.com:org/repo.git',
+      productionenvironment: 'main',
+      developmentenvironments: '1/5'
+    }]);
+    expect(stub.requests[0].authorization).toBe('Bearer test-token');
+  });
+
+  test('should return environments with lowercase keys, routes and facts', async () => {
+    handlers.environments = ({ project }) => ({
+      body: {
+        data: {
+          projectByName: project === 'test-project'
+            ? {
+              environments: [{
+                name: 'main',
+                environmentType: 'production',
+                deployType: 'branch',
+                route: 'https://www.example.com',
+                routes: 'https://www.example.com,https://example.com',
+                facts: [{ name: 'drupal-core', value: '10.2.0' }]
+              }]
+            }
+            : null
+        }
+      }
+    });
+
+    const { stdout } = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').listEnvironments().withJsonOutput(),
+      'List Environments'
+    );
+    expect(JSON.parse(stdout).data[0]).toEqual({
+      name: 'main',
+      environmenttype: 'production',
+      deploytype: 'branch',
+      route: 'https://www.example.com',
+      routes: 'https://www.example.com,https://example.com',
+      facts: [{ name: 'drupal-core', value: '10.2.0' }]
+    });
+
+    await expect(executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('missing').listEnvironments(),
+      'List Environments'
+    )).rejects.toThrow('Project missing not found');
+  });
+
+  test('should print users as the pipe table the CLI prints', async () => {
+    handlers.users = () => ({
+      body: {
+        data: {
+          projectByName: {
+            groups: [{
+              name: 'project-test-project',
+              members: [{ role: 'MAINTAINER', user: { email: 'dev@example.com', firstName: 'Dev', lastName: null } }]
+            }]
+          }
+        }
+      }
+    });
+
+    const { stdout } = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').listUsers(),
+      'List Users'
+    );
+    expect(stdout).toBe('EMAIL | FIRSTNAME | LASTNAME | ROLE | GROUP\ndev@example.com | Dev |  | MAINTAINER | project-test-project');
+  });
+
+  test('should look up the project ID for deployment queries', async () => {
+    handlers.projectId = () => ({ body: { data: { projectByName: { id: 42 } } } });
+    handlers.deployment = variables => ({
+      body: {
+        data: {
+          environmentByName: {
+            deployments: [{ name: variables.name, status: 'complete', buildLog: variables.logs ? 'Build log' : undefined }]
+          }
+        }
+      }
+    });
+
+    const { stdout } = await executor.execute(
+      new LagoonCommand()
+        .withInstance('amazee.io')
+        .withProject('test-project')
+        .withEnvironment('develop')
+        .getDeployment('lagoon-build-abc')
+        .withLogs()
+        .withJsonOutput(),
+      'Get Deployment'
+    );
+
+    expect(JSON.parse(stdout).data).toEqual([{ name: 'lagoon-build-abc', status: 'complete', buildlog: 'Build log' }]);
+    expect(stub.requests[1].variables).toEqual({
+      environment: 'develop',
+      projectId: 42,
+      name: 'lagoon-build-abc',
+      logs: true
+    });
+  });
+
+  test('should send mutations and answer like the CLI', async () => {
+    handlers.deployBranch = () => ({ body: { data: { deployEnvironmentBranch: 'success' } } });
+    handlers.deleteEnvironment = () => ({ body: { data: { deleteEnvironment: 'Environment is protected' } } });
+
+    const { stdout } = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').withForce().deployBranch('feature/foo'),
+      'Deploy Branch'
+    );
+    expect(JSON.parse(stdout)).toEqual({ result: 'success' });
+    expect(stub.requests[0].variables).toEqual({
+      input: { project: { name: 'test-project' }, branchName: 'feature/foo' }
+    });
+
+    await expect(executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').deleteEnvironment('main').withForce(),
+      'Delete Environment'
+    )).rejects.toThrow('Environment is protected');
+  });
+
+  test('should never show variable values in errors', async () => {
+    handlers.addVariable = ({ input }) => ({
+      body: { errors: [{ message: `Invalid value ${input.value}` }] }
+    });
+
+    const error = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').addVariable('API_KEY', 'secret', 'runtime'),
+      'Set Variable'
+    ).catch(caught => caught);
+
+    expect(error.message).toBe('Invalid value ****');
+    expect(stub.requests[0].variables.input).toMatchObject({ name: 'API_KEY', scope: 'RUNTIME' });
+  });
+
+  test('should report HTTP errors with their status', async () => {
+    handlers.projects = () => ({ status: 401, body: { errors: [{ message: 'Unauthorized - Bearer Token Invalid' }] } });
+
+    const error = await executor.execute(new LagoonCommand().withInstance('amazee.io').listProjects(), 'List Projects')
+      .catch(caught => caught);
+    expect(error.message).toBe('Lagoon API returned HTTP 401: Unauthorized - Bearer Token Invalid');
+    expect(error.status).toBe(401);
+  });
+
+  test('should fail clearly without a token', async () => {
+    await expect(executor.execute(new LagoonCommand().withInstance('no-token').listProjects(), 'List Projects'))
+      .rejects.toThrow('No API token for Lagoon instance "no-token"');
+  });
+
+  test('should list instances from the Lagoon config without contacting the API', async () => {
+    const { stdout } = await executor.execute(new LagoonCommand().listConfigs().withJsonOutput(), 'List Instances');
+    expect(JSON.parse(stdout).data.map(instance => instance.name)).toEqual(['amazee.io(default)', 'no-token']);
+    expect(stdout).not.toContain('test-token');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('should not run mutations in dry-run mode', async () => {
+    executor.dryRun = true;
+
+    const result = await executor.execute(
+      new LagoonCommand().withInstance('amazee.io').withProject('test-project').deployBranch('main').withJsonOutput(),
+      'Deploy Branch'
+    );
+    expect(result).toMatchObject({ dryRun: true });
+    expect(stub.requests).toHaveLength(0);
+  });
+});
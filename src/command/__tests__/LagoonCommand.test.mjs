@@ -106,3 +106,88 @@ describe('LagoonCommand', () => {
     ]);
   });
 });
+
+describe('LagoonCommand isReadOnly', () => {
+  test('list commands should be read-only', () => {
+    expect(new LagoonCommand().listConfigs().isReadOnly()).toBe(true);
+    expect(new LagoonCommand().listProjects().isReadOnly()).toBe(true);
+    expect(new LagoonCommand().listEnvironments().isReadOnly()).toBe(true);
+    expect(new LagoonCommand().listUsers().isReadOnly()).toBe(true);
+  });
+
+  test('commands that change anything should not be read-only', () => {
+    expect(new LagoonCommand().deleteEnvironment('dev').isReadOnly()).toBe(false);
+    expect(new LagoonCommand().deployBranch('main').isReadOnly()).toBe(false);
+    expect(new LagoonCommand().ssh('drush cr').isReadOnly()).toBe(false);
+    expect(new LagoonCommand().login().isReadOnly()).toBe(false);
+  });
+});
+
+describe('LagoonCommand deployments', () => {
+  test('listDeployments should add list deployments arguments', () => {
+    const command = new LagoonCommand().listDeployments();
+    expect(command.getArgs()).toEqual(['list', 'deployments']);
+    expect(command.isReadOnly()).toBe(true);
+  });
+
+  test('getDeployment should add get deployment arguments', () => {
+    const command = new LagoonCommand().getDeployment('lagoon-build-abc123');
+    expect(command.getArgs()).toEqual(['get', 'deployment', '--name', 'lagoon-build-abc123']);
+    expect(command.isReadOnly()).toBe(true);
+  });
+
+  test('getDeployment should not add arguments if the name is falsy', () => {
+    expect(new LagoonCommand().getDeployment('').getArgs()).toEqual([]);
+  });
+});
+
+describe('LagoonCommand withLogs', () => {
+  test('withLogs should add the logs flag', () => {
+    expect(new LagoonCommand().getDeployment('lagoon-build-abc123').withLogs().getArgs())
+      .toEqual(['get', 'deployment', '--name', 'lagoon-build-abc123', '--logs']);
+  });
+});
+
+describe('LagoonCommand variables', () => {
+  test('listVariables should add list variables arguments', () => {
+    const command = new LagoonCommand().withProject('test-project').listVariables();
+    expect(command.getArgs()).toEqual(['-p', 'test-project', 'list', 'variables']);
+    expect(command.isReadOnly()).toBe(true);
+  });
+
+  test('listVariables should add the reveal flag when asked to', () => {
+    expect(new LagoonCommand().listVariables(true).getArgs()).toEqual(['list', 'variables', '--reveal']);
+  });
+
+  test('addVariable should add name, value and scope arguments', () => {
+    const command = new LagoonCommand().addVariable('API_KEY', 's3cret', 'runtime');
+    expect(command.getArgs())
+      .toEqual(['add', 'variable', '--name', 'API_KEY', '--value', 's3cret', '--scope', 'runtime']);
+    expect(command.isReadOnly()).toBe(false);
+  });
+
+  test('addVariable should mask the value in toString', () => {
+    const command = new LagoonCommand().withProject('test-project').addVariable('API_KEY', 's3cret', 'runtime');
+    expect(command.toString()).toBe('lagoon -p test-project add variable --name API_KEY --value **** --scope runtime');
+    expect(command.toString()).not.toContain('s3cret');
+    expect(command.getSecrets()).toEqual(['s3cret']);
+  });
+
+  test('deleteVariable should add delete variable arguments', () => {
+    expect(new LagoonCommand().deleteVariable('API_KEY').getArgs())
+      .toEqual(['delete', 'variable', '--name', 'API_KEY']);
+  });
+
+  test('variable builders should not add arguments if the name is falsy', () => {
+    expect(new LagoonCommand().addVariable('', 'value', 'runtime').getArgs()).toEqual([]);
+    expect(new LagoonCommand().deleteVariable('').getArgs()).toEqual([]);
+  });
+});
+
+describe('LagoonCommand deployLatest', () => {
+  test('deployLatest should add deploy latest arguments', () => {
+    const command = new LagoonCommand().withProject('test-project').withEnvironment('develop').deployLatest();
+    expect(command.getArgs()).toEqual(['-p', 'test-project', '-e', 'develop', 'deploy', 'latest']);
+    expect(command.isReadOnly()).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  LagoonError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  NetworkError,
+  TimeoutError,
+  CommandNotFoundError,
+  detectErrorType,
+  toLagoonError,
+  findLagoonError
+} from '../LagoonError.mjs';
+
+/**
+ * Builds an error like the one execFile rejects with when lagoon exits non-zero.
+ */
+const failed = (stderr, code = 1) => Object.assign(new Error(`Command failed: lagoon list projects\n${stderr}`), {
+  code,
+  stderr
+});
+
+describe('detectErrorType', () => {
+  test.each([
+    ['Error: Unauthorized - Bearer Token Invalid', AuthenticationError],
+    ['lagoon@ssh.lagoon.amazeeio.cloud: Permission denied (publickey).', AuthenticationError],
+    ['Error: Unauthorized: You don\'t have permission to "delete:production" on "environment"', PermissionDeniedError],
+    ['Error: project "site" not found', NotFoundError],
+    ['Error: environment pr-1 is already being deleted', ConflictError],
+    ['Error: dial tcp: lookup api.lagoon.example.com: no such host', NetworkError],
+    ['Error: something unexpected', LagoonError]
+  ])('should classify %s', (stderr, ErrorType) => {
+    expect(detectErrorType(failed(stderr))).toBe(ErrorType);
+  });
+
+  test('should classify by error code and HTTP status', () => {
+    expect(detectErrorType(Object.assign(new Error('spawn lagoon ENOENT'), { code: 'ENOENT', syscall: 'spawn lagoon' })))
+      .toBe(CommandNotFoundError);
+    expect(detectErrorType(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }))).toBe(NetworkError);
+    expect(detectErrorType(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }))).toBe(TimeoutError);
+    expect(detectErrorType(Object.assign(new Error('Lagoon API returned HTTP 403'), { status: 403 })))
+      .toBe(PermissionDeniedError);
+    expect(detectErrorType(Object.assign(new Error('Lagoon API returned HTTP 503'), { status: 503 })))
+      .toBe(NetworkError);
+  });
+
+  test('should not be misled by names in the command line', () => {
+    const error = Object.assign(new Error('Command failed: lagoon -p not-found-test list environments'), {
+      code: 1,
+      stderr: 'Error: Lagoon API is unavailable'
+    });
+    expect(detectErrorType(error)).toBe(LagoonError);
+  });
+});
+
+describe('toLagoonError', () => {
+  test('should keep the details of the failure', () => {
+    const cause = failed('Error: project "site" not found');
+    const error = toLagoonError(cause, { command: 'lagoon list projects' });
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toMatchObject({
+      name: 'NotFoundError',
+      message: cause.message,
+      command: 'lagoon list projects',
+      stderr: 'Error: project "site" not found',
+      code: 1,
+      exitStatus: 3,
+      retryable: false,
+      hint: expect.stringContaining('Check the name'),
+      cause
+    });
+  });
+
+  test('should say how to install a missing binary', () => {
+    const missingGit = Object.assign(new Error('spawn git ENOENT'), { code: 'ENOENT', syscall: 'spawn git', path: 'git' });
+    expect(toLagoonError(missingGit).hint).toBe('Install git and make sure it is on your PATH.');
+  });
+
+  test('should return LagoonErrors as they are', () => {
+    const error = new TimeoutError('Command timed out after 5s');
+    expect(toLagoonError(error)).toBe(error);
+  });
+});
+
+describe('findLagoonError', () => {
+  test('should find the typed error behind wrapped ones, keeping its type when rewrapped', () => {
+    const error = new ConflictError('Command failed', { stderr: 'already deploying' });
+    const rewrapped = error.withMessage('Failed to deploy branch main: Command failed');
+
+    expect(rewrapped).toBeInstanceOf(ConflictError);
+    expect(rewrapped.stderr).toBe('already deploying');
+    expect(findLagoonError(new Error('Deploy failed', { cause: rewrapped }))).toBe(rewrapped);
+    expect(findLagoonError(new Error('Invalid branch name'))).toBeNull();
+  });
+});
@@ -1,6 +1,12 @@
 import { jest } from '@jest/globals';
-import { LagoonExecutor } from '../LagoonExecutor.mjs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LagoonExecutor, isAbortError } from '../LagoonExecutor.mjs';
+import { isAuthError, CommandNotFoundError } from '../LagoonError.mjs';
 import { LagoonCommand } from '../LagoonCommand.mjs';
+import { Cassette } from '../Cassette.mjs';
+import { configureRedaction } from '../../redact.mjs';
 
 // This is a simple mock logger for testing
 const createMockLogger = () => ({
@@ -32,9 +38,11 @@ describe('LagoonExecutor', () => {
 
     // Override the execFileAsync method with our mock
     executor.execFileAsync = jest.fn().mockResolvedValue(mockExecFileResults);
+    executor.retryDelay = 0;
 
-    // Mock console.log to avoid cluttering test output
+    // Mock console output to avoid cluttering test output
     console.log = jest.fn();
+    console.error = jest.fn();
   });
 
   test('should execute command with correct parameters', async () => {
@@ -44,7 +52,8 @@ describe('LagoonExecutor', () => {
     // Verify execFileAsync was called with correct arguments
     expect(executor.execFileAsync).toHaveBeenCalledWith(
       'lagoon',
-      ['-l', 'amazee.io', '-p', 'test-project', 'list', 'environments', '--output-json']
+      ['-l', 'amazee.io', '-p', 'test-project', 'list', 'environments', '--output-json'],
+      expect.objectContaining({ timeout: executor.timeout })
     );
 
     // Verify result is what we expect
@@ -54,7 +63,15 @@ describe('LagoonExecutor', () => {
     expect(mockLogger.logAction).toHaveBeenCalledWith(
       'Test Action',
       expect.any(String),
-      'Success'
+      'Success',
+      {
+        argv: ['lagoon', '-l', 'amazee.io', '-p', 'test-project', 'list', 'environments', '--output-json'],
+        instance: 'amazee.io',
+        project: 'test-project',
+        environment: undefined,
+        exitCode: 0,
+        durationMs: expect.any(Number)
+      }
     );
   });
 
@@ -70,7 +87,489 @@ describe('LagoonExecutor', () => {
     expect(mockLogger.logError).toHaveBeenCalledWith(
       'Test Action',
       expect.any(String),
-      mockError
+      mockError,
+      expect.objectContaining({ instance: 'amazee.io', exitCode: null, durationMs: expect.any(Number) })
     );
   });
+
+  test('should report a binary that is not installed with exit status 127 and how to install it', async () => {
+    // A real execFile, so the error is the one a missing binary really causes
+    const realExecutor = new LagoonExecutor(mockLogger, { retries: 0 });
+    command.getBaseCommand = () => 'lh-missing-binary';
+
+    const error = await realExecutor.execute(command, 'Test Action').catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandNotFoundError);
+    expect(error.exitStatus).toBe(127);
+    expect(error.hint).toBe('Install lh-missing-binary and make sure it is on your PATH.');
+  });
+
+  test('should remove secret values from errors', async () => {
+    const secretCommand = new LagoonCommand().addVariable('API_KEY', 's3cret', 'runtime');
+    const mockError = new Error('Command failed: lagoon add variable --name API_KEY --value s3cret --scope runtime');
+    mockError.cmd = 'lagoon add variable --name API_KEY --value s3cret --scope runtime';
+    executor.execFileAsync = jest.fn().mockRejectedValue(mockError);
+
+    const error = await executor.execute(secretCommand, 'Add Variable').catch(e => e);
+
+    expect(error.message).toBe('Command failed: lagoon add variable --name API_KEY --value **** --scope runtime');
+    expect(error.cmd).not.toContain('s3cret');
+    expect(mockLogger.logError.mock.calls[0][1]).not.toContain('s3cret');
+    expect(mockLogger.logError.mock.calls[0][3].argv).toContain('****');
+    expect(JSON.stringify(mockLogger.logError.mock.calls[0][3])).not.toContain('s3cret');
+  });
+
+  test('should redact passwords and login links from the status line and errors', async () => {
+    const sshCommand = new LagoonCommand()
+      .withProject('test-project')
+      .withEnvironment('develop')
+      .ssh('drush upwd admin --password=hunter2 && drush uli');
+    const mockError = new Error('Command failed: lagoon ssh -C drush upwd admin --password=hunter2 && drush uli');
+    mockError.stdout = 'https://develop.example.com/user/reset/1/1700000000/abc123/login';
+    executor.execFileAsync = jest.fn().mockRejectedValue(mockError);
+
+    const error = await executor.execute(sshCommand, 'Reset Password').catch(e => e);
+
+    const banner = console.error.mock.calls[0][0];
+    expect(banner).toContain('--password=****');
+    expect(banner).not.toContain('hunter2');
+    expect(error.message).not.toContain('hunter2');
+    expect(error.stdout).toBe('https://develop.example.com/user/reset/****');
+  });
+
+  test('should show secrets on the terminal with --show-secrets', async () => {
+    const secretCommand = new LagoonCommand().addVariable('API_KEY', 's3cret', 'runtime');
+    configureRedaction({ reveal: true });
+    try {
+      await executor.execute(secretCommand, 'Add Variable');
+    } finally {
+      configureRedaction();
+    }
+
+    expect(console.error.mock.calls[0][0]).toContain('--value s3cret');
+    expect(mockLogger.logAction.mock.calls[0][1]).not.toContain('s3cret');
+  });
+});
+
+describe('LagoonExecutor dry-run mode', () => {
+  let executor;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    executor = new LagoonExecutor(mockLogger, { dryRun: true });
+    executor.execFileAsync = jest.fn().mockResolvedValue(mockExecFileResults);
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  test('should not spawn commands that change anything', async () => {
+    const command = new LagoonCommand()
+      .withInstance('amazee.io')
+      .withProject('test-project')
+      .deleteEnvironment('pr-1')
+      .withForce()
+      .withJsonOutput();
+
+    const result = await executor.execute(command, 'Delete Environment');
+
+    expect(executor.execFileAsync).not.toHaveBeenCalled();
+    expect(result).toEqual({ stdout: '{"result":"success"}', stderr: '', dryRun: true });
+    expect(mockLogger.logAction).toHaveBeenCalledWith(
+      'Delete Environment',
+      command.toString(),
+      expect.stringContaining('"--force"'),
+      expect.objectContaining({ dryRun: true })
+    );
+  });
+
+  test('should return empty output for commands without JSON output', async () => {
+    const command = new LagoonCommand().withEnvironment('pr-1').ssh('drush cr');
+
+    const result = await executor.execute(command, 'Clear Cache');
+
+    expect(result.stdout).toBe('');
+    expect(executor.execFileAsync).not.toHaveBeenCalled();
+  });
+
+  test('should not spawn read-only commands either, returning an empty list', async () => {
+    const command = new LagoonCommand().withInstance('amazee.io').listProjects().withJsonOutput();
+
+    const result = await executor.execute(command, 'List Projects');
+
+    expect(executor.execFileAsync).not.toHaveBeenCalled();
+    expect(result).toEqual({ stdout: '{"data":[]}', stderr: '', dryRun: true });
+  });
+
+  test('should mask secret values in the logged argv', async () => {
+    const command = new LagoonCommand().withProject('test-project').addVariable('API_KEY', 's3cret', 'runtime');
+
+    await executor.execute(command, 'Add Variable');
+
+    const [, loggedCommand, result] = mockLogger.logAction.mock.calls[0];
+    expect(loggedCommand).not.toContain('s3cret');
+    expect(result).not.toContain('s3cret');
+    expect(result).toContain('"****"');
+  });
+
+  test('should default to the LH_DRY_RUN environment variable', () => {
+    const original = process.env.LH_DRY_RUN;
+    process.env.LH_DRY_RUN = 'true';
+    try {
+      expect(new LagoonExecutor(mockLogger).dryRun).toBe(true);
+    } finally {
+      if (original === undefined) {
+        delete process.env.LH_DRY_RUN;
+      } else {
+        process.env.LH_DRY_RUN = original;
+      }
+    }
+  });
+});
+
+describe('LagoonExecutor timeouts, retries and cancellation', () => {
+  let executor;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    executor = new LagoonExecutor(mockLogger, { dryRun: false, timeout: 5000, retries: 2, retryDelay: 0 });
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  test('should pass the per-command timeout to execFile', async () => {
+    executor.execFileAsync = jest.fn().mockResolvedValue(mockExecFileResults);
+
+    await executor.execute(new LagoonCommand().listProjects(), 'List Projects', { timeout: 1000 });
+
+    expect(executor.execFileAsync).toHaveBeenCalledWith(
+      'lagoon',
+      ['list', 'projects'],
+      expect.objectContaining({ timeout: 1000, signal: expect.any(AbortSignal) })
+    );
+  });
+
+  test('should retry read-only commands until they succeed', async () => {
+    executor.execFileAsync = jest.fn()
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue(mockExecFileResults);
+
+    const result = await executor.execute(new LagoonCommand().listProjects(), 'List Projects');
+
+    expect(result).toEqual(mockExecFileResults);
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(3);
+    expect(mockLogger.logError).not.toHaveBeenCalled();
+  });
+
+  test('should give up after the configured number of retries', async () => {
+    executor.execFileAsync = jest.fn().mockRejectedValue(new Error('connection reset'));
+
+    await expect(executor.execute(new LagoonCommand().listProjects(), 'List Projects')).rejects.toThrow('connection reset');
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(3);
+    expect(mockLogger.logError).toHaveBeenCalledTimes(1);
+  });
+
+  test('should never retry commands that change anything', async () => {
+    executor.execFileAsync = jest.fn().mockRejectedValue(new Error('connection reset'));
+
+    await expect(executor.execute(new LagoonCommand().deployBranch('main'), 'Deploy')).rejects.toThrow('connection reset');
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report timeouts with a readable message', async () => {
+    const killed = Object.assign(new Error('Command failed'), { killed: true, signal: 'SIGTERM' });
+    executor.execFileAsync = jest.fn().mockRejectedValue(killed);
+
+    await expect(executor.execute(new LagoonCommand().ssh('drush uli'), 'Login Link'))
+      .rejects.toMatchObject({ code: 'ETIMEDOUT', message: expect.stringContaining('timed out after 5s') });
+  });
+
+  test('cancelAll should abort running commands without retrying', async () => {
+    executor.execFileAsync = jest.fn((file, args, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError', code: 'ABORT_ERR' }));
+      });
+    }));
+
+    const pending = executor.execute(new LagoonCommand().listProjects(), 'List Projects');
+    expect(executor.cancelAll()).toBe(true);
+
+    const error = await pending.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(1);
+    expect(executor.cancelAll()).toBe(false);
+  });
+
+  test('should abort when the caller signal is aborted', async () => {
+    const controller = new AbortController();
+    executor.execFileAsync = jest.fn((file, args, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+
+    const pending = executor.execute(new LagoonCommand().listProjects(), 'List Projects', { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Command cancelled');
+  });
+});
+
+describe('LagoonExecutor re-authentication', () => {
+  let executor;
+  let mockLogger;
+  let login;
+  const listProjects = () => new LagoonCommand().withInstance('amazee.io').listProjects();
+  const unauthorized = () => Object.assign(new Error('Command failed'), {
+    code: 1,
+    stderr: 'Error: Unauthorized - Bearer Token Invalid'
+  });
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    login = jest.fn().mockResolvedValue(true);
+    executor = new LagoonExecutor(mockLogger, { dryRun: false, retries: 2, retryDelay: 0, login });
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  test('isAuthError should recognise rejected and expired tokens', () => {
+    expect(isAuthError(unauthorized())).toBe(true);
+    expect(isAuthError(new Error('Failed to get projects', { cause: new Error('jwt expired') }))).toBe(true);
+    expect(isAuthError(Object.assign(new Error('Lagoon API returned HTTP 401'), { status: 401 }))).toBe(true);
+    expect(isAuthError(new Error('connection reset'))).toBe(false);
+  });
+
+  test('should log in again and retry once after an authentication error', async () => {
+    executor.execFileAsync = jest.fn()
+      .mockRejectedValueOnce(unauthorized())
+      .mockResolvedValue(mockExecFileResults);
+
+    await expect(executor.execute(listProjects(), 'List Projects')).resolves.toEqual(mockExecFileResults);
+
+    // Not retried with backoff first, as the same token would be rejected again
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(2);
+    expect(login).toHaveBeenCalledWith('amazee.io');
+    expect(mockLogger.logAction).toHaveBeenCalledTimes(1);
+    expect(mockLogger.logError).not.toHaveBeenCalled();
+  });
+
+  test('should fail with the authentication error if logging in does not help', async () => {
+    executor.execFileAsync = jest.fn().mockRejectedValue(unauthorized());
+
+    const error = await executor.execute(listProjects(), 'List Projects').catch(e => e);
+
+    expect(isAuthError(error)).toBe(true);
+    expect(login).toHaveBeenCalledTimes(1);
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(2);
+    expect(mockLogger.logError).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry when the login fails', async () => {
+    login.mockResolvedValue(false);
+    executor.execFileAsync = jest.fn().mockRejectedValue(unauthorized());
+
+    await expect(executor.execute(listProjects(), 'List Projects')).rejects.toMatchObject({
+      stderr: expect.stringContaining('Unauthorized')
+    });
+    expect(executor.execFileAsync).toHaveBeenCalledTimes(1);
+  });
+
+  test('should log in once for commands failing at the same time', async () => {
+    let release;
+    login.mockReturnValue(new Promise(resolve => { release = () => resolve(true); }));
+    executor.execFileAsync = jest.fn()
+      .mockRejectedValueOnce(unauthorized())
+      .mockRejectedValueOnce(unauthorized())
+      .mockResolvedValue(mockExecFileResults);
+
+    const pending = [executor.execute(listProjects(), 'List Projects'), executor.execute(listProjects(), 'List Projects')];
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+
+    await expect(Promise.all(pending)).resolves.toEqual([mockExecFileResults, mockExecFileResults]);
+    expect(login).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not log in for commands without an instance or when asked not to', async () => {
+    executor.execFileAsync = jest.fn().mockRejectedValue(unauthorized());
+
+    await expect(executor.execute(new LagoonCommand().listProjects(), 'List Projects')).rejects.toThrow();
+    await expect(executor.execute(listProjects(), 'List Projects', { reauthenticate: false })).rejects.toThrow();
+    expect(login).not.toHaveBeenCalled();
+  });
+});
+
+describe('LagoonExecutor streaming', () => {
+  let executor;
+  let mockLogger;
+
+  /**
+   * Builds a command object that runs a small node script, so the real spawn path is exercised.
+   */
+  const nodeCommand = (script, readOnly = true) => ({
+    getBaseCommand: () => process.execPath,
+    getArgs: () => ['-e', script],
+    getCommandArray: () => [process.execPath, '-e', script],
+    getMaskedArgs: () => ['-e', script],
+    getSecrets: () => [],
+    isReadOnly: () => readOnly,
+    toString: () => `node -e ${script}`
+  });
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    executor = new LagoonExecutor(mockLogger, { dryRun: false });
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  test('stream should hand over each line with its stream name', async () => {
+    const lines = [];
+    const result = await executor.stream(
+      nodeCommand('console.log("one"); console.error("warn"); console.log("two")'),
+      'Stream Test',
+      { onLine: (line, stream) => lines.push([stream, line]) }
+    );
+
+    expect(result).toEqual({ exitCode: 0 });
+    expect(lines).toEqual(expect.arrayContaining([['stdout', 'one'], ['stdout', 'two'], ['stderr', 'warn']]));
+    expect(mockLogger.logAction).toHaveBeenCalledWith(
+      'Stream Test',
+      expect.any(String),
+      'Success (exit code 0)',
+      expect.objectContaining({ exitCode: 0 })
+    );
+  });
+
+  test('stream should reject with the exit code on failure', async () => {
+    await expect(executor.stream(nodeCommand('process.exit(3)'), 'Stream Test', { onLine: () => {} }))
+      .rejects.toMatchObject({ exitCode: 3 });
+    expect(mockLogger.logError.mock.calls[0][3]).toMatchObject({ exitCode: 3 });
+  });
+
+  test('streamLines should yield lines as an async iterator', async () => {
+    const lines = [];
+    for await (const { line } of executor.streamLines(nodeCommand('console.log("a\\nb\\nc")'), 'Stream Test')) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual(['a', 'b', 'c']);
+  });
+
+  test('breaking out of streamLines should cancel the command', async () => {
+    const command = nodeCommand('console.log("first"); setTimeout(() => console.log("second"), 5000)');
+    for await (const { line } of executor.streamLines(command, 'Stream Test')) {
+      expect(line).toBe('first');
+      break;
+    }
+
+    expect(executor.running.size).toBe(0);
+  });
+
+  test('stream should not spawn commands that change anything in dry-run mode', async () => {
+    executor.dryRun = true;
+    executor.spawn = jest.fn();
+
+    const result = await executor.stream(new LagoonCommand().ssh('drush deploy'), 'Stream Test');
+
+    expect(result).toEqual({ exitCode: 0, dryRun: true });
+    expect(executor.spawn).not.toHaveBeenCalled();
+  });
+});
+
+describe('LagoonExecutor record and replay', () => {
+  let tempDir;
+  let file;
+
+  const listCommand = () => new LagoonCommand()
+    .withInstance('amazee.io')
+    .withProject('test-project')
+    .listEnvironments()
+    .withJsonOutput();
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-executor-cassette-'));
+    file = path.join(tempDir, 'cassette.json');
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should record results, including failures and retries, and replay them without running anything', async () => {
+    const failure = Object.assign(new Error('Command failed: lagoon list environments\nError: connection reset'), {
+      code: 1,
+      stdout: '',
+      stderr: 'Error: connection reset'
+    });
+    const recorder = new LagoonExecutor(createMockLogger(), { retryDelay: 0, cassette: await Cassette.create(file) });
+    recorder.execFileAsync = jest.fn()
+      .mockRejectedValueOnce(failure)
+      .mockResolvedValueOnce({ stdout: '{"data":[]}', stderr: '' });
+
+    await recorder.execute(listCommand(), 'List Environments');
+
+    const player = new LagoonExecutor(createMockLogger(), { retryDelay: 0, cassette: await Cassette.load(file) });
+    player.execFileAsync = jest.fn();
+
+    const result = await player.execute(listCommand(), 'List Environments');
+    expect(result).toEqual({ stdout: '{"data":[]}', stderr: '' });
+    expect(player.execFileAsync).not.toHaveBeenCalled();
+    // The recorded failure is retried again on replay
+    const retries = console.error.mock.calls.filter(([message]) => message.includes('retrying'));
+    expect(retries).toHaveLength(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Replaying'));
+  });
+
+  test('should replay failures as errors with the recorded exit code and output', async () => {
+    await fs.writeFile(file, JSON.stringify({
+      version: 1,
+      interactions: [{
+        argv: ['lagoon', '-l', 'amazee.io', '-p', 'test-project', 'list', 'environments', '--output-json'],
+        exitCode: 1,
+        stdout: '',
+        stderr: 'Error: project not found',
+        message: 'Command failed: lagoon list environments\nError: project not found'
+      }]
+    }));
+    const player = new LagoonExecutor(createMockLogger(), { retries: 0, cassette: await Cassette.load(file) });
+
+    await expect(player.execute(listCommand(), 'List Environments'))
+      .rejects.toMatchObject({ code: 1, stderr: 'Error: project not found', message: expect.stringContaining('not found') });
+  });
+
+  test('should record and replay streamed output line by line', async () => {
+    const command = {
+      getBaseCommand: () => process.execPath,
+      getArgs: () => ['-e', 'console.log("one"); console.error("two"); process.exit(2)'],
+      getMaskedArgs: () => ['-e', 'console.log("one"); console.error("two"); process.exit(2)'],
+      getSecrets: () => [],
+      isReadOnly: () => true,
+      toString: () => 'node -e ...'
+    };
+    const recorder = new LagoonExecutor(createMockLogger(), { cassette: await Cassette.create(file) });
+    await expect(recorder.stream(command, 'Stream Test', { onLine: () => {} })).rejects.toMatchObject({ exitCode: 2 });
+
+    const player = new LagoonExecutor(createMockLogger(), { cassette: await Cassette.load(file) });
+    player.spawn = jest.fn();
+    const lines = [];
+    await expect(player.stream(command, 'Stream Test', { onLine: (line, stream) => lines.push([stream, line]) }))
+      .rejects.toMatchObject({ exitCode: 2 });
+
+    expect(lines).toEqual(expect.arrayContaining([['stdout', 'one'], ['stderr', 'two']]));
+    expect(player.spawn).not.toHaveBeenCalled();
+  });
+
+  test('should not fail a command when the cassette cannot be saved', async () => {
+    const cassette = await Cassette.create(file);
+    cassette.file = tempDir;
+    const recorder = new LagoonExecutor(createMockLogger(), { cassette });
+    recorder.execFileAsync = jest.fn().mockResolvedValue({ stdout: '{"data":[]}', stderr: '' });
+
+    await expect(recorder.execute(listCommand(), 'List Environments')).resolves.toMatchObject({ stdout: '{"data":[]}' });
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to save cassette'));
+  });
 });
@@ -1,3 +1,18 @@
 export { LagoonCommand } from './LagoonCommand.mjs';
 export { GitCommand } from './GitCommand.mjs';
-export { LagoonExecutor } from './LagoonExecutor.mjs';
+export { LagoonExecutor, isAbortError, wait } from './LagoonExecutor.mjs';
+export {
+  LagoonError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  NetworkError,
+  TimeoutError,
+  CommandNotFoundError,
+  toLagoonError,
+  findLagoonError,
+  isAuthError
+} from './LagoonError.mjs';
+export { GraphQLExecutor, parseLagoonArgs } from './GraphQLExecutor.mjs';
+export { Cassette } from './Cassette.mjs';
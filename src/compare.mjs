@@ -0,0 +1,190 @@
+import { getEnvironmentsWithDetails, getVariables, maskValue } from './lagoon-api.mjs';
+
+/**
+ * Statuses of a comparison row.
+ */
+export const COMPARE_STATUSES = ['same', 'different', 'left only', 'right only'];
+
+/**
+ * Reads a key from raw Lagoon data regardless of its case.
+ *
+ * Lagoon's JSON output lowercases keys, the GraphQL API uses camelCase.
+ *
+ * @param {Object} data - The raw data.
+ * @param {string} key - The key to read.
+ * @returns {*} The value, or null if the key is missing.
+ */
+function getField(data, key) {
+  const match = Object.keys(data).find(k => k.toLowerCase() === key.toLowerCase());
+  return match ? data[match] : null;
+}
+
+/**
+ * Extracts the settings worth comparing from the environment details Lagoon returns.
+ *
+ * @param {Object} details - One entry of getEnvironmentsWithDetails().
+ * @returns {{ deployType: string|null, environmentType: string|null, routes: string[], gitRef: string|null }} The
+ * settings. `gitRef` is the deployed branch, or the head ref for pull request environments.
+ */
+export function getEnvironmentConfig(details) {
+  const routes = [getField(details, 'routes'), getField(details, 'route')]
+    .flatMap(value => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/)))
+    .filter(Boolean);
+
+  const deployType = getField(details, 'deployType') || null;
+  const gitRef = getField(details, 'deployHeadRef')
+    || getField(details, 'deployBaseRef')
+    || (deployType === 'branch' ? getField(details, 'name') : null);
+
+  return {
+    deployType,
+    environmentType: getField(details, 'environmentType') || null,
+    routes: [...new Set(routes)].sort(),
+    gitRef: gitRef || null
+  };
+}
+
+/**
+ * Loads everything needed to compare an environment: its settings and its effective variables.
+ *
+ * Effective variables are the project variables overridden by the environment's own variables, as Lagoon applies them
+ * at deploy time.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @returns {Promise<{ instance: string, project: string, environment: string, config: Object, variables: Object[] }>}
+ * The snapshot. Each variable has `name`, `scope`, `value` and `source` (`project` or `environment`).
+ * @throws {Error} If the environment doesn't exist or Lagoon can't be queried.
+ */
+export async function loadEnvironmentSnapshot(instance, project, environment) {
+  const [environments, projectVariables, environmentVariables] = await Promise.all([
+    getEnvironmentsWithDetails(instance, project),
+    getVariables(instance, project, null, { reveal: true }),
+    getVariables(instance, project, environment, { reveal: true })
+  ]);
+
+  const details = environments.find(env => env.name === environment);
+  if (!details) {
+    throw new Error(`Environment ${environment} not found in project ${project}`);
+  }
+
+  const variables = new Map();
+  projectVariables.forEach(variable => variables.set(variable.name, { ...variable, source: 'project' }));
+  environmentVariables.forEach(variable => variables.set(variable.name, { ...variable, source: 'environment' }));
+
+  return {
+    instance,
+    project,
+    environment,
+    config: getEnvironmentConfig(details),
+    variables: [...variables.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Formats a variable for one side of the comparison.
+ *
+ * @param {Object|undefined} variable - The variable, or undefined if that side doesn't have it.
+ * @param {boolean} reveal - Whether to show the value instead of masking it.
+ * @returns {string} The cell text, e.g. `runtime: ********`.
+ */
+function formatVariableCell(variable, reveal) {
+  if (!variable) {
+    return '';
+  }
+  return `${variable.scope}: ${reveal ? variable.value : maskValue(variable.value)}`;
+}
+
+/**
+ * Compares two environment snapshots side by side.
+ *
+ * Values are always compared in full, but masked in the result unless `reveal` is set, so a changed secret shows up as
+ * `different` without being printed.
+ *
+ * @param {Object} left - A snapshot from loadEnvironmentSnapshot().
+ * @param {Object} right - A snapshot from loadEnvironmentSnapshot().
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.reveal=false] - Show variable values.
+ * @returns {{ section: string, key: string, left: string, right: string, status: string }[]} One row per setting and
+ * per variable, where `status` is one of COMPARE_STATUSES.
+ */
+export function compareSnapshots(left, right, options = {}) {
+  const reveal = Boolean(options.reveal);
+
+  const configRows = [
+    ['deploy type', 'deployType'],
+    ['environment type', 'environmentType'],
+    ['routes', 'routes'],
+    ['git ref', 'gitRef']
+  ].map(([label, key]) => {
+    const format = value => (Array.isArray(value) ? value.join(', ') : value || '');
+    const leftValue = format(left.config[key]);
+    const rightValue = format(right.config[key]);
+    return {
+      section: 'environment',
+      key: label,
+      left: leftValue,
+      right: rightValue,
+      status: leftValue === rightValue ? 'same' : 'different'
+    };
+  });
+
+  const leftVariables = new Map(left.variables.map(variable => [variable.name, variable]));
+  const rightVariables = new Map(right.variables.map(variable => [variable.name, variable]));
+  const names = [...new Set([...leftVariables.keys(), ...rightVariables.keys()])].sort();
+
+  const variableRows = names.map(name => {
+    const leftVariable = leftVariables.get(name);
+    const rightVariable = rightVariables.get(name);
+
+    let status;
+    if (!rightVariable) {
+      status = 'left only';
+    } else if (!leftVariable) {
+      status = 'right only';
+    } else {
+      const same = leftVariable.value === rightVariable.value && leftVariable.scope === rightVariable.scope;
+      status = same ? 'same' : 'different';
+    }
+
+    return {
+      section: 'variables',
+      key: name,
+      left: formatVariableCell(leftVariable, reveal),
+      right: formatVariableCell(rightVariable, reveal),
+      status
+    };
+  });
+
+  return [...configRows, ...variableRows];
+}
+
+/**
+ * Describes a snapshot as `project:environment`, or just the environment when both sides share a project.
+ *
+ * @param {Object} snapshot - A snapshot from loadEnvironmentSnapshot().
+ * @param {Object} other - The snapshot it is compared with.
+ * @returns {string} The label.
+ */
+export function describeSnapshot(snapshot, other) {
+  const sameProject = snapshot.instance === other.instance && snapshot.project === other.project;
+  return sameProject ? snapshot.environment : `${snapshot.project}:${snapshot.environment}`;
+}
+
+/**
+ * Returns the table columns for a comparison, headed with the labels of both environments.
+ *
+ * @param {Object} left - A snapshot from loadEnvironmentSnapshot().
+ * @param {Object} right - A snapshot from loadEnvironmentSnapshot().
+ * @returns {{ key: string, header: string }[]} The columns for renderTable() or formatOutput().
+ */
+export function getComparisonColumns(left, right) {
+  return [
+    { key: 'section', header: 'SECTION' },
+    { key: 'key', header: 'KEY' },
+    { key: 'left', header: describeSnapshot(left, right).toUpperCase() },
+    { key: 'right', header: describeSnapshot(right, left).toUpperCase() },
+    { key: 'status', header: 'STATUS' }
+  ];
+}
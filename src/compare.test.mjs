@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+
+const api = {
+  getEnvironmentsWithDetails: jest.fn(),
+  getVariables: jest.fn(),
+  maskValue: jest.fn(value => (value === '' ? '' : '********'))
+};
+
+jest.unstable_mockModule('./lagoon-api.mjs', () => api);
+
+const {
+  getEnvironmentConfig,
+  loadEnvironmentSnapshot,
+  compareSnapshots,
+  describeSnapshot
+} = await import('./compare.mjs');
+
+describe('getEnvironmentConfig', () => {
+  test('should read branch environments', () => {
+    expect(getEnvironmentConfig({
+      name: 'develop',
+      deploytype: 'branch',
+      environmenttype: 'development',
+      route: 'https://develop.example.com',
+      routes: 'https://develop.example.com,https://www.develop.example.com'
+    })).toEqual({
+      deployType: 'branch',
+      environmentType: 'development',
+      routes: ['https://develop.example.com', 'https://www.develop.example.com'],
+      gitRef: 'develop'
+    });
+  });
+
+  test('should use the head ref of pull request environments', () => {
+    const config = getEnvironmentConfig({
+      name: 'pr-12',
+      deployType: 'pullrequest',
+      deployBaseRef: 'develop',
+      deployHeadRef: 'feature/foo'
+    });
+    expect(config.gitRef).toBe('feature/foo');
+    expect(config.routes).toEqual([]);
+  });
+});
+
+describe('loadEnvironmentSnapshot', () => {
+  beforeEach(() => {
+    api.getEnvironmentsWithDetails.mockReset();
+    api.getVariables.mockReset();
+  });
+
+  test('should let environment variables override project variables', async () => {
+    api.getEnvironmentsWithDetails.mockResolvedValue([{ name: 'develop', deploytype: 'branch' }]);
+    api.getVariables.mockImplementation(async (instance, project, environment) => (environment
+      ? [{ name: 'API_URL', value: 'env', scope: 'runtime' }]
+      : [{ name: 'API_URL', value: 'project', scope: 'runtime' }, { name: 'TOKEN', value: 't', scope: 'build' }]));
+
+    const snapshot = await loadEnvironmentSnapshot('amazee.io', 'test-project', 'develop');
+
+    expect(api.getVariables).toHaveBeenCalledWith('amazee.io', 'test-project', null, { reveal: true });
+    expect(api.getVariables).toHaveBeenCalledWith('amazee.io', 'test-project', 'develop', { reveal: true });
+    expect(snapshot.variables).toEqual([
+      { name: 'API_URL', value: 'env', scope: 'runtime', source: 'environment' },
+      { name: 'TOKEN', value: 't', scope: 'build', source: 'project' }
+    ]);
+    expect(snapshot.config.gitRef).toBe('develop');
+  });
+
+  test('should fail for unknown environments', async () => {
+    api.getEnvironmentsWithDetails.mockResolvedValue([]);
+    api.getVariables.mockResolvedValue([]);
+
+    await expect(loadEnvironmentSnapshot('amazee.io', 'test-project', 'nope'))
+      .rejects.toThrow('Environment nope not found in project test-project');
+  });
+});
+
+describe('compareSnapshots', () => {
+  const snapshot = (environment, config, variables) => ({
+    instance: 'amazee.io',
+    project: 'test-project',
+    environment,
+    config: { deployType: 'branch', environmentType: 'development', routes: [], gitRef: environment, ...config },
+    variables
+  });
+
+  const left = snapshot('develop', {}, [
+    { name: 'SAME', value: 'x', scope: 'runtime' },
+    { name: 'SECRET', value: 'left-secret', scope: 'runtime' },
+    { name: 'LEFT', value: 'l', scope: 'build' }
+  ]);
+  const right = snapshot('pr-12', { deployType: 'pullrequest' }, [
+    { name: 'SAME', value: 'x', scope: 'runtime' },
+    { name: 'SECRET', value: 'right-secret', scope: 'runtime' },
+    { name: 'RIGHT', value: 'r', scope: 'global' }
+  ]);
+
+  test('should compare settings and variables', () => {
+    const rows = compareSnapshots(left, right);
+    const statuses = Object.fromEntries(rows.map(row => [row.key, row.status]));
+
+    expect(statuses).toEqual({
+      'deploy type': 'different',
+      'environment type': 'same',
+      routes: 'same',
+      'git ref': 'different',
+      LEFT: 'left only',
+      RIGHT: 'right only',
+      SAME: 'same',
+      SECRET: 'different'
+    });
+  });
+
+  test('should mask values unless asked to reveal them', () => {
+    const masked = JSON.stringify(compareSnapshots(left, right));
+    expect(masked).not.toContain('left-secret');
+    expect(masked).not.toContain('right-secret');
+
+    const secretRow = compareSnapshots(left, right, { reveal: true }).find(row => row.key === 'SECRET');
+    expect(secretRow).toMatchObject({ left: 'runtime: left-secret', right: 'runtime: right-secret' });
+  });
+
+  test('should treat a scope change as a difference', () => {
+    const moved = snapshot('pr-1', {}, [{ name: 'SAME', value: 'x', scope: 'build' }]);
+    const row = compareSnapshots(left, moved).find(r => r.key === 'SAME');
+    expect(row.status).toBe('different');
+  });
+});
+
+describe('describeSnapshot', () => {
+  test('should only include the project when the projects differ', () => {
+    const a = { instance: 'amazee.io', project: 'one', environment: 'develop' };
+    const b = { instance: 'amazee.io', project: 'two', environment: 'develop' };
+    expect(describeSnapshot(a, { ...a, environment: 'main' })).toBe('develop');
+    expect(describeSnapshot(a, b)).toBe('one:develop');
+  });
+});
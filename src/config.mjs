@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { compilePattern } from './patterns.mjs';
+
+const APP_NAME = 'lagoon-cli-wrapper';
+
+let configPromise = null;
+
+/**
+ * Returns the per-user directory for wrapper configuration.
+ *
+ * Uses `LH_CONFIG_DIR` when set, otherwise `$XDG_CONFIG_HOME/lagoon-cli-wrapper`, falling back to
+ * `~/.config/lagoon-cli-wrapper`.
+ *
+ * @returns {string} Absolute path to the configuration directory.
+ */
+export function getConfigDir() {
+  if (process.env.LH_CONFIG_DIR) {
+    return process.env.LH_CONFIG_DIR;
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, APP_NAME);
+}
+
+/**
+ * Returns the per-user directory for data the wrapper can always rebuild, such as detected projects.
+ *
+ * Uses `LH_CACHE_DIR` when set, otherwise `$XDG_CACHE_HOME/lagoon-cli-wrapper`, falling back to
+ * `~/.cache/lagoon-cli-wrapper`.
+ *
+ * @returns {string} Absolute path to the cache directory.
+ */
+export function getCacheDir() {
+  if (process.env.LH_CACHE_DIR) {
+    return process.env.LH_CACHE_DIR;
+  }
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, APP_NAME);
+}
+
+/**
+ * Returns the per-user directory for data worth keeping between runs but not worth backing up, such as logs.
+ *
+ * Uses `LH_STATE_DIR` when set, otherwise `$XDG_STATE_HOME/lagoon-cli-wrapper`, falling back to
+ * `~/.local/state/lagoon-cli-wrapper`.
+ *
+ * @returns {string} Absolute path to the state directory.
+ */
+export function getStateDir() {
+  if (process.env.LH_STATE_DIR) {
+    return process.env.LH_STATE_DIR;
+  }
+  const base = process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(base, APP_NAME);
+}
+
+/**
+ * Returns the path of the wrapper configuration file.
+ *
+ * Uses `LH_CONFIG` when set, otherwise `config.yml` inside the configuration directory.
+ *
+ * @returns {string} Absolute path to the configuration file.
+ */
+export function getConfigPath() {
+  return process.env.LH_CONFIG || path.join(getConfigDir(), 'config.yml');
+}
+
+/**
+ * Loads the wrapper configuration file.
+ *
+ * The file is optional: a missing file yields an empty configuration. The result is cached for the lifetime of the
+ * process.
+ *
+ * @returns {Promise<Object>} The parsed configuration.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+export async function loadConfig() {
+  if (!configPromise) {
+    configPromise = readConfigFile(getConfigPath()).catch(error => {
+      // Don't cache failures so a fixed file is picked up on the next call
+      configPromise = null;
+      throw error;
+    });
+  }
+  return configPromise;
+}
+
+/**
+ * Clears the cached configuration so the next loadConfig() call reads the file again.
+ */
+export function resetConfigCache() {
+  configPromise = null;
+}
+
+/**
+ * Compiles every pattern of the `protection` section, so a broken one is reported once, when the file is loaded,
+ * rather than by every protected operation.
+ *
+ * @param {*} section - The section, or any part of it.
+ * @param {string} configPath - Path of the file, for the error message.
+ * @throws {Error} If a pattern isn't valid.
+ */
+function validateProtectionPatterns(section, configPath) {
+  if (!section || typeof section !== 'object') {
+    return;
+  }
+  Object.entries(section).forEach(([key, value]) => {
+    if (['environments', 'environmentTypes'].includes(key) && Array.isArray(value)) {
+      value.forEach(pattern => {
+        try {
+          compilePattern(String(pattern));
+        } catch (error) {
+          throw new Error(`Invalid protection pattern "${pattern}" in ${configPath}: ${error.message}`, { cause: error });
+        }
+      });
+    } else {
+      validateProtectionPatterns(value, configPath);
+    }
+  });
+}
+
+/**
+ * Reads and parses a wrapper configuration file.
+ *
+ * @param {string} configPath - Path to the YAML file.
+ * @returns {Promise<Object>} The parsed configuration; an empty object if the file doesn't exist or is empty.
+ * @throws {Error} If the file exists but can't be read, e.g. for lack of permission, isn't valid YAML, or has a
+ * protection pattern that isn't a valid regular expression. The message names the file.
+ */
+async function readConfigFile(configPath) {
+  let config;
+  try {
+    const fileContent = await fs.readFile(configPath, 'utf8');
+    config = yaml.load(fileContent) || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read wrapper configuration ${configPath}: ${error.message}`);
+  }
+
+  validateProtectionPatterns(config.protection, configPath);
+  return config;
+}
@@ -0,0 +1,124 @@
+import { extractPrNumber, parseLagoonDate } from './lagoon-api.mjs';
+
+/**
+ * Columns of the environment dashboard, in display order.
+ */
+export const DASHBOARD_COLUMNS = [
+  { key: 'badge', header: '' },
+  { key: 'name', header: 'NAME' },
+  { key: 'type', header: 'TYPE' },
+  { key: 'deployType', header: 'DEPLOY TYPE' },
+  { key: 'age', header: 'AGE' },
+  { key: 'updatedAgo', header: 'UPDATED' },
+  { key: 'route', header: 'ROUTE' },
+  { key: 'prUrl', header: 'PULL REQUEST' }
+];
+
+/**
+ * Keys the dashboard can be sorted by, with a label for the sort menu.
+ */
+export const DASHBOARD_SORT_KEYS = {
+  name: 'Name',
+  type: 'Environment type',
+  deployType: 'Deploy type',
+  created: 'Age',
+  updated: 'Last updated'
+};
+
+// Badge shown next to production environments
+const PRODUCTION_BADGE = 'PROD';
+
+/**
+ * Formats how long ago something happened in the largest sensible unit, e.g. `5m`, `3h`, `12d`, `4mo` or `2y`.
+ *
+ * @param {Date|null} date - The point in time.
+ * @param {Date} [now] - The current time.
+ * @returns {string} The age, or an empty string if the date is unknown.
+ */
+export function formatAge(date, now = new Date()) {
+  if (!date) {
+    return '';
+  }
+
+  const minutes = Math.floor(Math.max(0, now.getTime() - date.getTime()) / 60000);
+  if (minutes < 1) {
+    return 'now';
+  }
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}h`;
+  }
+  const days = Math.floor(hours / 24);
+  if (days < 30) {
+    return `${days}d`;
+  }
+  if (days < 365) {
+    return `${Math.floor(days / 30)}mo`;
+  }
+  return `${Math.floor(days / 365)}y`;
+}
+
+/**
+ * Turns the environment details Lagoon returns into dashboard rows.
+ *
+ * @param {Object[]} environments - Environment details from getEnvironmentsWithDetails().
+ * @param {Object} [options] - Options.
+ * @param {string|null} [options.githubBaseUrl] - The project's GitHub URL, used to link PR environments.
+ * @param {Date} [options.now] - The current time, used for ages.
+ * @returns {Object[]} One row per environment, with the DASHBOARD_COLUMNS keys plus `created`, `updated`,
+ * `production`, `openshiftProject` and the raw `details`.
+ */
+export function buildDashboardRows(environments, options = {}) {
+  const now = options.now || new Date();
+
+  return environments.map(env => {
+    const created = parseLagoonDate(env.created);
+    const updated = parseLagoonDate(env.updated);
+    const prNumber = extractPrNumber(env.name);
+    const production = env.environmenttype === 'production';
+
+    return {
+      badge: production ? PRODUCTION_BADGE : '',
+      name: env.name,
+      type: env.environmenttype || '',
+      deployType: env.deploytype || '',
+      age: formatAge(created, now),
+      updatedAgo: formatAge(updated, now),
+      route: env.route || '',
+      prUrl: prNumber && options.githubBaseUrl ? `${options.githubBaseUrl}/pull/${prNumber}` : '',
+      created,
+      updated,
+      production,
+      openshiftProject: env.openshiftprojectname || '',
+      details: env
+    };
+  });
+}
+
+/**
+ * Sorts dashboard rows by one of DASHBOARD_SORT_KEYS.
+ *
+ * Dates sort newest first unless `descending` is false; text sorts alphabetically unless `descending` is true. Rows
+ * with equal keys keep name order.
+ *
+ * @param {Object[]} rows - Rows from buildDashboardRows().
+ * @param {string} key - One of the DASHBOARD_SORT_KEYS keys.
+ * @param {boolean} [descending] - Reverse the natural order of the key.
+ * @returns {Object[]} A sorted copy of the rows.
+ */
+export function sortDashboardRows(rows, key = 'name', descending = undefined) {
+  const isDate = key === 'created' || key === 'updated';
+  const reverse = descending ?? isDate;
+
+  const compare = (a, b) => {
+    if (isDate) {
+      return (a[key]?.getTime() ?? 0) - (b[key]?.getTime() ?? 0);
+    }
+    return String(a[key] || '').localeCompare(String(b[key] || ''));
+  };
+
+  return [...rows].sort((a, b) => (reverse ? compare(b, a) : compare(a, b)) || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,93 @@
+import { formatAge, buildDashboardRows, sortDashboardRows } from './dashboard.mjs';
+
+const now = new Date('2024-06-15T12:00:00Z');
+
+describe('formatAge', () => {
+  test('should pick the largest sensible unit', () => {
+    expect(formatAge(new Date('2024-06-15T11:59:30Z'), now)).toBe('now');
+    expect(formatAge(new Date('2024-06-15T11:15:00Z'), now)).toBe('45m');
+    expect(formatAge(new Date('2024-06-15T07:00:00Z'), now)).toBe('5h');
+    expect(formatAge(new Date('2024-06-03T12:00:00Z'), now)).toBe('12d');
+    expect(formatAge(new Date('2024-02-01T12:00:00Z'), now)).toBe('4mo');
+    expect(formatAge(new Date('2022-01-01T12:00:00Z'), now)).toBe('2y');
+  });
+
+  test('should return an empty string for unknown dates', () => {
+    expect(formatAge(null, now)).toBe('');
+  });
+});
+
+describe('buildDashboardRows', () => {
+  const environments = [
+    {
+      name: 'main',
+      environmenttype: 'production',
+      deploytype: 'branch',
+      route: 'https://www.example.com',
+      created: '2023-06-15 12:00:00',
+      updated: '2024-06-15 10:00:00',
+      openshiftprojectname: 'test-project-main'
+    },
+    {
+      name: 'pr-12',
+      environmenttype: 'development',
+      deploytype: 'pullrequest',
+      route: 'https://pr-12.example.com',
+      created: '2024-06-14 12:00:00',
+      updated: null
+    }
+  ];
+
+  test('should add ages, a production badge and PR links', () => {
+    const [main, pr] = buildDashboardRows(environments, { githubBaseUrl: 'https://github.com/org/repo', now });
+
+    expect(main).toMatchObject({
+      badge: 'PROD',
+      name: 'main',
+      type: 'production',
+      deployType: 'branch',
+      age: '1y',
+      updatedAgo: '2h',
+      route: 'https://www.example.com',
+      prUrl: '',
+      production: true,
+      openshiftProject: 'test-project-main'
+    });
+    expect(pr).toMatchObject({
+      badge: '',
+      age: '1d',
+      updatedAgo: '',
+      prUrl: 'https://github.com/org/repo/pull/12',
+      production: false
+    });
+    expect(pr.details).toBe(environments[1]);
+  });
+
+  test('should not link PRs without a GitHub URL', () => {
+    expect(buildDashboardRows(environments, { now })[1].prUrl).toBe('');
+  });
+});
+
+describe('sortDashboardRows', () => {
+  const rows = buildDashboardRows([
+    { name: 'develop', environmenttype: 'development', created: '2024-01-01 00:00:00' },
+    { name: 'main', environmenttype: 'production', created: '2023-01-01 00:00:00' },
+    { name: 'pr-1', environmenttype: 'development', created: '2024-06-01 00:00:00' }
+  ], { now });
+
+  test('should sort text alphabetically by default', () => {
+    expect(sortDashboardRows(rows, 'type').map(row => row.name)).toEqual(['develop', 'pr-1', 'main']);
+    expect(sortDashboardRows(rows, 'name', true).map(row => row.name)).toEqual(['pr-1', 'main', 'develop']);
+  });
+
+  test('should sort dates newest first by default', () => {
+    expect(sortDashboardRows(rows, 'created').map(row => row.name)).toEqual(['pr-1', 'develop', 'main']);
+    expect(sortDashboardRows(rows, 'created', false).map(row => row.name)).toEqual(['main', 'develop', 'pr-1']);
+  });
+
+  test('should not modify the original rows', () => {
+    const names = rows.map(row => row.name);
+    sortDashboardRows(rows, 'created');
+    expect(rows.map(row => row.name)).toEqual(names);
+  });
+});
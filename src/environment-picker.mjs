@@ -0,0 +1,151 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { search, checkbox } from '@inquirer/prompts';
+import { getEnvironmentsWithDetails, extractPrNumber } from './lagoon-api.mjs';
+import { loadConfig } from './config.mjs';
+import { loadState, isFavouriteEnvironment } from './session-state.mjs';
+import { PROTECTED_OPERATIONS, getProtectionReason } from './protection.mjs';
+
+// How operations are named in environment labels, e.g. "[protected: delete, login link]"
+const OPERATION_NAMES = {
+  delete: 'delete',
+  loginLink: 'login link',
+  drush: 'drush',
+  deploy: 'deploy'
+};
+
+/**
+ * Works out which operations the protection policy forbids for an environment.
+ *
+ * @param {Object} config - The wrapper configuration.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {Object} environment - The environment details from Lagoon.
+ * @returns {Object<string, string|null>} The reason each of PROTECTED_OPERATIONS is forbidden, or null if it is
+ * allowed.
+ */
+export function getEnvironmentProtection(config, instance, project, environment) {
+  const context = { instance, project, environment: environment.name, environmentType: environment.environmenttype };
+  return Object.fromEntries(PROTECTED_OPERATIONS.map(operation => [
+    operation,
+    getProtectionReason(config, operation, context)
+  ]));
+}
+
+/**
+ * Builds the prompt choice for an environment, labelled with its PR number, production status and protection.
+ *
+ * @param {Object} environment - The environment details from Lagoon.
+ * @param {Object<string, string|null>} protection - The result of getEnvironmentProtection().
+ * @param {Object} [options] - Options.
+ * @param {string} [options.operation] - The operation the environment is picked for. Environments it is protected
+ * from are disabled; without an operation, every protected operation is listed instead.
+ * @param {string|null} [options.githubBaseUrl] - The project's GitHub URL; PR numbers are only shown when it is set.
+ * @param {boolean} [options.favourite] - Mark the environment as a favourite.
+ * @returns {{ value: Object, name: string, disabled: string|false }} The choice.
+ */
+export function buildEnvironmentChoice(environment, protection, options = {}) {
+  const labels = [options.favourite ? `${chalk.yellow('★')} ${environment.name}` : environment.name];
+
+  const prNumber = extractPrNumber(environment.name);
+  if (prNumber && options.githubBaseUrl) {
+    labels.push(`(PR #${prNumber})`);
+  }
+  if (environment.environmenttype === 'production') {
+    labels.push(chalk.red('[production]'));
+  }
+
+  if (options.operation) {
+    const reason = protection[options.operation];
+    return {
+      value: environment,
+      name: labels.join(' '),
+      disabled: reason ? `(protected: ${reason})` : false
+    };
+  }
+
+  const protectedFrom = PROTECTED_OPERATIONS.filter(operation => protection[operation]);
+  if (protectedFrom.length > 0) {
+    labels.push(chalk.gray(`[protected: ${protectedFrom.map(operation => OPERATION_NAMES[operation]).join(', ')}]`));
+  }
+  return { value: environment, name: labels.join(' '), disabled: false };
+}
+
+/**
+ * Loads a project's environments and builds a prompt choice for each.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {Object} options - Options for buildEnvironmentChoice().
+ * @returns {Promise<Object[]>} The choices: favourite environments first, otherwise in Lagoon's order.
+ */
+async function loadEnvironmentChoices(instance, project, options) {
+  const spinner = ora(`Loading environments for ${project}...`).start();
+  const [environments, config, state] = await Promise.all([
+    getEnvironmentsWithDetails(instance, project),
+    loadConfig(),
+    loadState()
+  ]);
+  spinner.stop();
+
+  const isFavourite = environment => isFavouriteEnvironment(state, instance, project, environment.name);
+  return [
+    ...environments.filter(isFavourite),
+    ...environments.filter(environment => !isFavourite(environment))
+  ].map(environment => buildEnvironmentChoice(
+    environment,
+    getEnvironmentProtection(config, instance, project, environment),
+    { ...options, favourite: isFavourite(environment) }
+  ));
+}
+
+/**
+ * Asks the user to pick one environment of a project, with type-to-search.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.message] - The prompt message.
+ * @param {string} [options.operation] - The operation the environment is picked for; protected environments are shown
+ * but can't be picked.
+ * @param {string|null} [options.githubBaseUrl] - The project's GitHub URL, for PR labels.
+ * @returns {Promise<Object|null>} The picked environment's details, or null if there was nothing to pick.
+ */
+export async function pickEnvironment(instance, project, options = {}) {
+  const choices = await loadEnvironmentChoices(instance, project, options);
+
+  if (choices.every(choice => choice.disabled)) {
+    console.log(chalk.yellow(choices.length === 0 ? '\nNo environments found.' : '\nNo eligible environments found.'));
+    return null;
+  }
+
+  return search({
+    message: options.message || 'Select an environment (type to search):',
+    source: (term) => {
+      term = (term || '').toLowerCase();
+      return choices.filter(choice => choice.value.name.toLowerCase().includes(term));
+    }
+  });
+}
+
+/**
+ * Asks the user to pick any number of environments of a project.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {Object} [options] - The same options as pickEnvironment().
+ * @returns {Promise<Object[]>} The picked environments' details; empty if there was nothing to pick.
+ */
+export async function pickEnvironments(instance, project, options = {}) {
+  const choices = await loadEnvironmentChoices(instance, project, options);
+
+  if (choices.every(choice => choice.disabled)) {
+    console.log(chalk.yellow(choices.length === 0 ? '\nNo environments found.' : '\nNo eligible environments found.'));
+    return [];
+  }
+
+  return checkbox({
+    message: options.message || 'Select environments:',
+    choices
+  });
+}
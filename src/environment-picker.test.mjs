@@ -0,0 +1,54 @@
+import chalk from 'chalk';
+import { getEnvironmentProtection, buildEnvironmentChoice } from './environment-picker.mjs';
+
+// Compare labels without colours
+chalk.level = 0;
+
+const production = { name: 'main', environmenttype: 'production' };
+const pullRequest = { name: 'pr-12', environmenttype: 'development' };
+
+describe('getEnvironmentProtection', () => {
+  test('should apply the default policy', () => {
+    expect(getEnvironmentProtection({}, 'amazee.io', 'test-project', production)).toEqual({
+      delete: 'environment type "production" is protected',
+      loginLink: 'environment type "production" is protected',
+      drush: null,
+      deploy: null
+    });
+    expect(Object.values(getEnvironmentProtection({}, 'amazee.io', 'test-project', pullRequest)))
+      .toEqual([null, null, null, null]);
+  });
+
+  test('should apply configured rules', () => {
+    const config = { protection: { deploy: { environments: ['pr-*'] } } };
+    expect(getEnvironmentProtection(config, 'amazee.io', 'test-project', pullRequest).deploy)
+      .toBe('matches protected pattern "pr-*"');
+  });
+});
+
+describe('buildEnvironmentChoice', () => {
+  const protection = getEnvironmentProtection({}, 'amazee.io', 'test-project', production);
+  const noProtection = getEnvironmentProtection({}, 'amazee.io', 'test-project', pullRequest);
+
+  test('should label PR environments when the project is on GitHub', () => {
+    const choice = buildEnvironmentChoice(pullRequest, noProtection, { githubBaseUrl: 'https://github.com/org/repo' });
+    expect(choice).toEqual({ value: pullRequest, name: 'pr-12 (PR #12)', disabled: false });
+    expect(buildEnvironmentChoice(pullRequest, noProtection).name).toBe('pr-12');
+  });
+
+  test('should mark favourite environments', () => {
+    expect(buildEnvironmentChoice(pullRequest, noProtection, { favourite: true }).name).toBe('★ pr-12');
+  });
+
+  test('should list protected operations when picking for any operation', () => {
+    const choice = buildEnvironmentChoice(production, protection);
+    expect(choice.name).toBe('main [production] [protected: delete, login link]');
+    expect(choice.disabled).toBe(false);
+  });
+
+  test('should disable environments protected from the operation', () => {
+    expect(buildEnvironmentChoice(production, protection, { operation: 'delete' }).disabled)
+      .toBe('(protected: environment type "production" is protected)');
+    expect(buildEnvironmentChoice(production, protection, { operation: 'drush' }).disabled).toBe(false);
+  });
+});
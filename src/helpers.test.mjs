@@ -1,7 +1,19 @@
 /**
  * Comprehensive tests for all helper functions in the Lagoon CLI Wrapper
  */
-import { gitUrlToGithubUrl, extractPrNumber } from './lagoon-api.mjs';
+import {
+  gitUrlToGithubUrl,
+  extractPrNumber,
+  parsePipeTable,
+  parseLagoonDate,
+  formatDuration,
+  normaliseDeployment,
+  describeDeployment,
+  isDeploymentFinished,
+  searchLog,
+  normaliseVariable,
+  maskValue
+} from './lagoon-api.mjs';
 
 describe('gitUrlToGithubUrl', () => {
   test('should handle empty input', () => {
@@ -100,3 +112,115 @@ describe('extractPrNumber', () => {
     expect(extractPrNumber('pr-12345')).toBe('12345');
   });
 });
+
+describe('parsePipeTable', () => {
+  test('should key rows by normalised header names', () => {
+    const stdout = 'ID | Email Address | Role\n1 | dev@example.com | DEVELOPER\n\n2 | ops@example.com | OWNER\n';
+    expect(parsePipeTable(stdout)).toEqual([
+      { id: '1', emailaddress: 'dev@example.com', role: 'DEVELOPER' },
+      { id: '2', emailaddress: 'ops@example.com', role: 'OWNER' }
+    ]);
+  });
+
+  test('should return an empty array for empty output', () => {
+    expect(parsePipeTable('')).toEqual([]);
+  });
+});
+
+describe('deployment helpers', () => {
+  test('parseLagoonDate should treat Lagoon timestamps as UTC', () => {
+    expect(parseLagoonDate('2024-05-01 10:20:30').toISOString()).toBe('2024-05-01T10:20:30.000Z');
+    expect(parseLagoonDate('2024-05-01T10:20:30+02:00').toISOString()).toBe('2024-05-01T08:20:30.000Z');
+    expect(parseLagoonDate('')).toBeNull();
+    expect(parseLagoonDate('not a date')).toBeNull();
+  });
+
+  test('formatDuration should use the two largest units', () => {
+    expect(formatDuration(45 * 1000)).toBe('45s');
+    expect(formatDuration(200 * 1000)).toBe('3m 20s');
+    expect(formatDuration(3720 * 1000)).toBe('1h 2m');
+    expect(formatDuration(-5)).toBe('0s');
+  });
+
+  test('normaliseDeployment should compute the elapsed time', () => {
+    const deployment = normaliseDeployment({
+      name: 'lagoon-build-abc',
+      status: 'Running',
+      buildstep: 'deploying',
+      created: '2024-05-01 10:00:00',
+      started: '2024-05-01 10:01:00',
+      completed: ''
+    }, new Date('2024-05-01T10:04:00Z'));
+
+    expect(deployment).toMatchObject({
+      name: 'lagoon-build-abc',
+      status: 'running',
+      buildStep: 'deploying',
+      elapsed: 3 * 60 * 1000
+    });
+    expect(describeDeployment(deployment)).toBe('lagoon-build-abc: running (deploying) - 3m 0s');
+  });
+
+  test('isDeploymentFinished should recognise final statuses', () => {
+    expect(isDeploymentFinished('complete')).toBe(true);
+    expect(isDeploymentFinished('Failed')).toBe(true);
+    expect(isDeploymentFinished('cancelled')).toBe(true);
+    expect(isDeploymentFinished('running')).toBe(false);
+    expect(isDeploymentFinished('new')).toBe(false);
+  });
+});
+
+describe('searchLog', () => {
+  const log = 'Step 1\nERROR: composer install failed\nStep 2\nFatal exception in deploy\nDone';
+
+  test('should find error lines by default', () => {
+    expect(searchLog(log)).toEqual([
+      { lineNumber: 2, line: 'ERROR: composer install failed' },
+      { lineNumber: 4, line: 'Fatal exception in deploy' }
+    ]);
+  });
+
+  test('should match plain text case-insensitively and literally', () => {
+    expect(searchLog(log, 'step 2')).toEqual([{ lineNumber: 3, line: 'Step 2' }]);
+    expect(searchLog('a.b\naxb', 'a.b')).toEqual([{ lineNumber: 1, line: 'a.b' }]);
+  });
+
+  test('should accept regular expressions', () => {
+    expect(searchLog(log, /^Step \d$/)).toHaveLength(2);
+  });
+
+  test('should handle empty logs', () => {
+    expect(searchLog('')).toEqual([]);
+    expect(searchLog(null)).toEqual([]);
+  });
+});
+
+describe('normaliseVariable', () => {
+  test('should normalise Lagoon CLI JSON output', () => {
+    const raw = { id: '12', name: 'API_KEY', project: 'test', environment: 'develop', scope: 'RUNTIME', value: 'x' };
+    expect(normaliseVariable(raw)).toEqual({
+      name: 'API_KEY',
+      value: 'x',
+      scope: 'runtime',
+      environment: 'develop',
+      raw
+    });
+  });
+
+  test('should treat missing values and environments as null', () => {
+    const variable = normaliseVariable({ name: 'API_KEY', scope: 'build', environment: '' });
+    expect(variable.value).toBeNull();
+    expect(variable.environment).toBeNull();
+  });
+});
+
+describe('maskValue', () => {
+  test('should mask values, including ones that were not fetched', () => {
+    expect(maskValue('s3cret')).toBe('********');
+    expect(maskValue(null)).toBe('********');
+  });
+
+  test('should not mask empty values', () => {
+    expect(maskValue('')).toBe('');
+  });
+});
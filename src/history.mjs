@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { listLogFiles, formatDay } from './logger.mjs';
+import { formatOutput } from './output.mjs';
+
+/**
+ * Columns of history entries shown as a table. JSON and CSV include every field, including the command that ran.
+ */
+export const HISTORY_COLUMNS = [
+  { key: 'timestamp', header: 'TIME' },
+  { key: 'user', header: 'USER' },
+  { key: 'instance', header: 'INSTANCE' },
+  { key: 'project', header: 'PROJECT' },
+  { key: 'environment', header: 'ENVIRONMENT' },
+  { key: 'action', header: 'ACTION' },
+  { key: 'status', header: 'STATUS' },
+  { key: 'duration', header: 'DURATION' }
+];
+
+/**
+ * Outcomes a history entry can have: the command succeeded, failed, or was only printed because of --dry-run.
+ */
+export const HISTORY_STATUSES = ['success', 'failure', 'dry-run'];
+
+/**
+ * File formats history can be exported to, by file extension.
+ */
+export const HISTORY_FILE_FORMATS = { '.csv': 'csv', '.json': 'json' };
+
+const RELATIVE_DATE_PATTERN = /^(\d+)\s*([mhdw])$/;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a date given on the command line or in a prompt.
+ *
+ * Accepts a time span before now (`30m`, `12h`, `7d`, `2w`), `today`, `yesterday`, a local date (`2026-03-01`) or
+ * anything Date understands, such as `2026-03-01T14:00`. Dates without a time are the start of that day, or its end
+ * when `end` is set, so `--until 2026-03-01` includes the whole day.
+ *
+ * @param {string} value - The date to parse.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.end=false] - Whether a date without a time means the end of the day.
+ * @param {Date} [options.now] - The current time, for relative dates.
+ * @returns {Date} The parsed date.
+ * @throws {Error} If the value isn't a date.
+ */
+export function parseHistoryDate(value, { end = false, now = new Date() } = {}) {
+  const text = String(value).trim().toLowerCase();
+
+  const relative = text.match(RELATIVE_DATE_PATTERN);
+  if (relative) {
+    return new Date(now.getTime() - Number(relative[1]) * UNIT_MS[relative[2]]);
+  }
+
+  let day = null;
+  const dateOnly = text.match(DATE_ONLY_PATTERN);
+  if (text === 'today' || text === 'yesterday') {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (text === 'yesterday' ? 1 : 0));
+  } else if (dateOnly) {
+    day = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  }
+  if (day) {
+    return end ? new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1, 0, 0, 0, -1) : day;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}. Use a date such as 2026-03-01 or 2026-03-01T14:00, today, yesterday, `
+      + 'or a time span such as 12h or 7d.');
+  }
+  return date;
+}
+
+/**
+ * Works out how a logged command turned out.
+ *
+ * @param {Object} entry - A log entry.
+ * @returns {string} One of HISTORY_STATUSES.
+ */
+export function getHistoryStatus(entry) {
+  if (entry.level === 'error') {
+    return 'failure';
+  }
+  return entry.dryRun ? 'dry-run' : 'success';
+}
+
+/**
+ * Checks a log entry against history filters.
+ *
+ * @param {Object} entry - A log entry.
+ * @param {Object} filters - The filters; see readHistory().
+ * @returns {boolean} Whether the entry matches every filter.
+ */
+export function matchesHistoryFilters(entry, filters) {
+  // Without --all only commands are shown, not session events such as menu selections
+  if (!filters.all && !entry.command && !entry.argv) {
+    return false;
+  }
+
+  const time = new Date(entry.timestamp).getTime();
+  if ((filters.since && time < filters.since.getTime()) || (filters.until && time > filters.until.getTime())) {
+    return false;
+  }
+  if (['instance', 'project', 'environment', 'user'].some(key => filters[key] && entry[key] !== filters[key])) {
+    return false;
+  }
+  if (filters.action) {
+    const text = `${entry.action || ''} ${entry.command || ''}`.toLowerCase();
+    if (!text.includes(filters.action.toLowerCase())) {
+      return false;
+    }
+  }
+  return !filters.status || getHistoryStatus(entry) === filters.status;
+}
+
+/**
+ * Parses one line of a log file.
+ *
+ * @param {string} line - The line.
+ * @returns {Object|null} The entry, or null for blank lines and anything that isn't a log entry.
+ */
+function parseLogLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+  try {
+    const entry = JSON.parse(line);
+    return entry && typeof entry === 'object' && typeof entry.timestamp === 'string' ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the log entries that match the given filters, newest first.
+ *
+ * Only the files of days within `since` and `until` are read. Lines that aren't JSON log entries are skipped.
+ *
+ * @param {Object} [filters] - Filters; all are optional.
+ * @param {Date} [filters.since] - Only entries at or after this time.
+ * @param {Date} [filters.until] - Only entries at or before this time.
+ * @param {string} [filters.instance] - Only entries for this Lagoon instance.
+ * @param {string} [filters.project] - Only entries for this project.
+ * @param {string} [filters.environment] - Only entries for this environment.
+ * @param {string} [filters.user] - Only entries of this user.
+ * @param {string} [filters.action] - Only entries whose action or command contains this text, ignoring case.
+ * @param {string} [filters.status] - Only entries with this outcome, one of HISTORY_STATUSES.
+ * @param {boolean} [filters.all] - Include session events as well as commands.
+ * @returns {Promise<Object[]>} The matching log entries.
+ * @throws {Error} If a log file can't be read.
+ */
+export async function readHistory(filters = {}) {
+  const firstDay = filters.since ? formatDay(filters.since) : null;
+  const lastDay = filters.until ? formatDay(filters.until) : null;
+  const files = listLogFiles().filter(({ day }) => (!firstDay || day >= firstDay) && (!lastDay || day <= lastDay));
+
+  const entries = [];
+  for (const { file } of files) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      // Pruned since it was listed
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw new Error(`Failed to read log file ${file}: ${error.message}`, { cause: error });
+    }
+
+    content.split('\n').forEach(line => {
+      const entry = parseLogLine(line);
+      if (entry && matchesHistoryFilters(entry, filters)) {
+        entries.push(entry);
+      }
+    });
+  }
+
+  return entries.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+}
+
+/**
+ * Converts a log entry into a flat row for printing or exporting.
+ *
+ * @param {Object} entry - A log entry.
+ * @returns {Object} The row.
+ */
+export function historyToRow(entry) {
+  return {
+    timestamp: entry.timestamp,
+    user: entry.user ?? null,
+    instance: entry.instance ?? null,
+    project: entry.project ?? null,
+    environment: entry.environment ?? null,
+    action: entry.action ?? null,
+    status: getHistoryStatus(entry),
+    exitCode: entry.exitCode ?? null,
+    durationMs: entry.durationMs ?? null,
+    duration: typeof entry.durationMs === 'number' ? `${(entry.durationMs / 1000).toFixed(1)}s` : null,
+    command: entry.command ?? (Array.isArray(entry.argv) ? entry.argv.join(' ') : null),
+    error: entry.error ?? null
+  };
+}
+
+/**
+ * Writes history rows to a CSV or JSON file.
+ *
+ * @param {string} filePath - The file to write.
+ * @param {Object[]} rows - The rows, from historyToRow().
+ * @param {string} [format] - `csv` or `json`; defaults to the one matching the file's extension.
+ * @throws {Error} If the format isn't supported or the file can't be written.
+ */
+export async function writeHistoryFile(filePath, rows, format = null) {
+  const fileFormat = format || HISTORY_FILE_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!Object.values(HISTORY_FILE_FORMATS).includes(fileFormat)) {
+    throw new Error(`Unsupported history file: ${filePath}. Use a .csv or .json file.`);
+  }
+
+  try {
+    await fs.writeFile(filePath, `${formatOutput(rows, fileFormat)}\n`, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to write history to ${filePath}: ${error.message}`, { cause: error });
+  }
+}
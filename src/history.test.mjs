@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseHistoryDate,
+  matchesHistoryFilters,
+  readHistory,
+  historyToRow,
+  writeHistoryFile
+} from './history.mjs';
+
+const deleted = {
+  timestamp: '2026-03-03T09:12:44.000Z',
+  user: 'jane',
+  level: 'info',
+  action: 'Delete Environment pr-412 from test-project',
+  command: 'lagoon -l amazee.io -p test-project delete environment --environment pr-412 --force --output-json',
+  instance: 'amazee.io',
+  project: 'test-project',
+  environment: 'pr-412',
+  exitCode: 0,
+  durationMs: 2310
+};
+const failedDeploy = {
+  timestamp: '2026-03-04T15:00:00.000Z',
+  user: 'sam',
+  level: 'error',
+  action: 'Deploy Branch feature-x',
+  command: 'lagoon -l amazee.io -p test-project deploy branch --branch feature-x',
+  instance: 'amazee.io',
+  project: 'test-project',
+  environment: 'feature-x',
+  error: 'Error: Unauthorized',
+  exitCode: 1,
+  durationMs: 400
+};
+const menuSelection = {
+  timestamp: '2026-03-04T15:01:00.000Z',
+  user: 'sam',
+  level: 'info',
+  action: 'Menu Selection',
+  result: 'Selected action: exit'
+};
+
+describe('parseHistoryDate', () => {
+  const now = new Date(2026, 2, 10, 12, 30);
+
+  test('should parse time spans before now', () => {
+    expect(parseHistoryDate('7d', { now })).toEqual(new Date(2026, 2, 3, 12, 30));
+    expect(parseHistoryDate('2h', { now })).toEqual(new Date(2026, 2, 10, 10, 30));
+  });
+
+  test('should take dates without a time as the start or end of the day', () => {
+    expect(parseHistoryDate('2026-03-03', { now })).toEqual(new Date(2026, 2, 3));
+    expect(parseHistoryDate('2026-03-03', { now, end: true })).toEqual(new Date(2026, 2, 3, 23, 59, 59, 999));
+    expect(parseHistoryDate('yesterday', { now })).toEqual(new Date(2026, 2, 9));
+  });
+
+  test('should parse full timestamps and reject anything else', () => {
+    expect(parseHistoryDate('2026-03-03T09:00:00Z')).toEqual(new Date('2026-03-03T09:00:00Z'));
+    expect(() => parseHistoryDate('last tuesday')).toThrow('Invalid date: last tuesday');
+  });
+});
+
+describe('matchesHistoryFilters', () => {
+  test('should match the target, action text and outcome', () => {
+    expect(matchesHistoryFilters(deleted, { environment: 'pr-412', action: 'DELETE' })).toBe(true);
+    expect(matchesHistoryFilters(deleted, { environment: 'pr-413' })).toBe(false);
+    expect(matchesHistoryFilters(failedDeploy, { status: 'failure' })).toBe(true);
+    expect(matchesHistoryFilters(failedDeploy, { status: 'success' })).toBe(false);
+    expect(matchesHistoryFilters({ ...deleted, dryRun: true }, { status: 'dry-run' })).toBe(true);
+  });
+
+  test('should match a date range', () => {
+    const filters = { since: new Date('2026-03-03T00:00:00Z'), until: new Date('2026-03-03T23:59:59Z') };
+    expect(matchesHistoryFilters(deleted, filters)).toBe(true);
+    expect(matchesHistoryFilters(failedDeploy, filters)).toBe(false);
+  });
+
+  test('should only include session events with all', () => {
+    expect(matchesHistoryFilters(menuSelection, {})).toBe(false);
+    expect(matchesHistoryFilters(menuSelection, { all: true })).toBe(true);
+  });
+});
+
+describe('readHistory', () => {
+  let tempDir;
+  const originalLogDir = process.env.LH_LOG_DIR;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lh-history-'));
+    process.env.LH_LOG_DIR = tempDir;
+    fs.writeFileSync(path.join(tempDir, 'lh-20260303.jsonl'), `${JSON.stringify(deleted)}\nnot json\n`);
+    fs.writeFileSync(
+      path.join(tempDir, 'lh-20260304.jsonl'),
+      [failedDeploy, menuSelection].map(entry => JSON.stringify(entry)).join('\n')
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalLogDir === undefined) {
+      delete process.env.LH_LOG_DIR;
+    } else {
+      process.env.LH_LOG_DIR = originalLogDir;
+    }
+  });
+
+  test('should read commands from every log file, newest first', async () => {
+    expect(await readHistory()).toEqual([failedDeploy, deleted]);
+  });
+
+  test('should apply filters', async () => {
+    expect(await readHistory({ user: 'jane' })).toEqual([deleted]);
+    const since = new Date('2026-03-04T00:00:00Z');
+    expect(await readHistory({ since, all: true })).toEqual([menuSelection, failedDeploy]);
+  });
+
+  test('should return nothing when there are no logs', async () => {
+    process.env.LH_LOG_DIR = path.join(tempDir, 'missing');
+    expect(await readHistory()).toEqual([]);
+  });
+});
+
+describe('historyToRow', () => {
+  test('should flatten an entry', () => {
+    expect(historyToRow(failedDeploy)).toEqual(expect.objectContaining({
+      status: 'failure',
+      duration: '0.4s',
+      command: failedDeploy.command,
+      error: 'Error: Unauthorized'
+    }));
+  });
+
+  test('should build the command from argv when there is no command', () => {
+    const { command: _command, ...entry } = deleted;
+    expect(historyToRow({ ...entry, argv: ['lagoon', 'list', 'projects'] }).command).toBe('lagoon list projects');
+  });
+});
+
+describe('writeHistoryFile', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lh-history-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should write CSV or JSON by file extension', async () => {
+    const rows = [historyToRow(deleted)];
+    await writeHistoryFile(path.join(tempDir, 'history.csv'), rows);
+    await writeHistoryFile(path.join(tempDir, 'history.json'), rows);
+
+    expect(fs.readFileSync(path.join(tempDir, 'history.csv'), 'utf8')).toMatch(/^timestamp,user,instance/);
+    expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'history.json'), 'utf8'))).toEqual(rows);
+  });
+
+  test('should reject other file types', async () => {
+    await expect(writeHistoryFile(path.join(tempDir, 'history.txt'), [])).rejects.toThrow('Unsupported history file');
+  });
+});
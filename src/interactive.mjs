@@ -1,9 +1,11 @@
+import fs from 'fs/promises';
+import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 import {
   getLagoonInstances,
   getProjectsWithDetails,
-  getEnvironments,
+  getEnvironmentsWithDetails,
   getUsers,
   deleteEnvironment,
   generateLoginLink,
@@ -12,13 +14,68 @@ import {
   extractPrNumber,
   getGitBranches,
   deployBranch,
-  getSSHCommand
+  redeployEnvironment,
+  getSSHCommand,
+  runRemoteCommand,
+  watchDeployment,
+  describeDeployment,
+  formatDuration,
+  getDeployments,
+  getDeploymentNames,
+  getBranchEnvironmentName,
+  getDeploymentLogs,
+  followDeploymentLogs,
+  searchLog,
+  getVariables,
+  setVariable,
+  deleteVariable,
+  maskValue,
+  VARIABLE_SCOPES,
+  isDryRun,
+  cancelRunningCommands,
+  isCancelledError,
+  describeTokenExpiry
 } from './lagoon-api.mjs';
-import { logAction } from './logger.mjs';
+import { AuthenticationError, findLagoonError } from './command/index.mjs';
+import { logAction, logError } from './logger.mjs';
 import { configureSshKey } from './lagoon-ssh-key-configurator.mjs';
+import { getTokenExpiries } from './lagoon-config.mjs';
+import {
+  readVariablesFile,
+  writeVariablesFile,
+  diffVariables,
+  describeVariableDiff,
+  applyVariableDiff
+} from './variables.mjs';
+import { loadEnvironmentSnapshot, compareSnapshots, getComparisonColumns } from './compare.mjs';
+import { renderTable } from './output.mjs';
+import { DASHBOARD_COLUMNS, DASHBOARD_SORT_KEYS, buildDashboardRows, sortDashboardRows } from './dashboard.mjs';
+import { pickEnvironment, pickEnvironments, getEnvironmentProtection } from './environment-picker.mjs';
+import { loadConfig } from './config.mjs';
+import { detectProject } from './project-detection.mjs';
+import { searchAllInstances } from './search.mjs';
+import { invalidateCache } from './response-cache.mjs';
+import {
+  HISTORY_COLUMNS,
+  HISTORY_STATUSES,
+  parseHistoryDate,
+  readHistory,
+  historyToRow,
+  writeHistoryFile
+} from './history.mjs';
+import {
+  loadState,
+  updateState,
+  recordProjectUse,
+  isFavouriteProject,
+  toggleFavouriteProject,
+  isFavouriteEnvironment,
+  toggleFavouriteEnvironment,
+  rankProjects
+} from './session-state.mjs';
 
 // Import the modern inquirer prompts
-import { select, input, confirm, checkbox, search } from '@inquirer/prompts';
+import { select, input, confirm, search, password, Separator } from '@inquirer/prompts';
 
 /**
  * Starts the interactive Lagoon CLI session for managing projects and environments.
@@ -37,14 +94,53 @@ import { select, input, confirm, checkbox, search } from '@inquirer/prompts';
  */
 export async function startInteractiveMode() {
   console.log(chalk.green('Welcome to the Lagoon CLI Wrapper!'));
+  if (isDryRun()) {
+    console.log(chalk.yellow('Dry-run mode: commands will be printed, not executed; lists are empty unless cached or replayed.'));
+  }
   logAction('Application Start', 'N/A', 'Interactive mode started');
 
+  // Ctrl+C while a command runs cancels it and returns to the menu; otherwise it exits as usual
+  const handleInterrupt = () => {
+    if (!cancelRunningCommands()) {
+      process.exit(130);
+    }
+  };
+  process.on('SIGINT', handleInterrupt);
+
   let exit = false;
   let currentInstance = null;
   let currentProject = null;
   let currentProjectDetails = null;
   let githubBaseUrl = null;
 
+  // Makes a project current and remembers it for the next session
+  const openProject = async (instance, projectDetails) => {
+    currentInstance = instance;
+    currentProject = projectDetails.projectname;
+    currentProjectDetails = projectDetails;
+
+    // Convert git URL to GitHub URL if possible
+    githubBaseUrl = projectDetails.giturl ? gitUrlToGithubUrl(projectDetails.giturl) : null;
+
+    await rememberProjectUse(instance, currentProject);
+  };
+
+  // Inside a checked-out project repository, skip the instance and project prompts
+  const detected = await detectProjectFromGitRemote();
+  if (detected) {
+    await openProject(detected.instance, detected.projectDetails);
+    console.log(chalk.green(
+      `Detected project ${chalk.bold(currentProject)} on ${chalk.bold(currentInstance)} from the git remote.`
+    ));
+    logAction('Detect Project', 'N/A', `Detected project ${currentProject} on instance ${currentInstance}`);
+  } else {
+    const resumed = await resumeLastSession();
+    if (resumed) {
+      await openProject(resumed.instance, resumed.projectDetails);
+      logAction('Resume Session', 'N/A', `Resumed project ${currentProject} on instance ${currentInstance}`);
+    }
+  }
+
   while (!exit) {
     try {
       // If no instance is selected, prompt for one
@@ -56,14 +152,8 @@ export async function startInteractiveMode() {
       // If no project is selected, prompt for one
       if (!currentProject) {
         const result = await selectProjectWithDetails(currentInstance);
-        currentProject = result.projectName;
-        currentProjectDetails = result.projectDetails;
+        await openProject(currentInstance, result.projectDetails);
         logAction('Select Project', 'N/A', `Selected project: ${currentProject}`);
-
-        // Convert git URL to GitHub URL if possible
-        if (currentProjectDetails.giturl) {
-          githubBaseUrl = gitUrlToGithubUrl(currentProjectDetails.giturl);
-        }
       }
 
       // Show main menu
@@ -72,7 +162,10 @@ export async function startInteractiveMode() {
 
       switch (action) {
         case 'listEnvironments':
-          await listEnvironments(currentInstance, currentProject, githubBaseUrl);
+          await environmentDashboard(currentInstance, currentProject, githubBaseUrl);
+          break;
+        case 'selectEnvironment':
+          await selectEnvironmentFlow(currentInstance, currentProject, githubBaseUrl);
           break;
         case 'listUsers':
           await listUsers(currentInstance, currentProject);
@@ -86,15 +179,64 @@ export async function startInteractiveMode() {
         case 'clearCache':
           await clearCacheFlow(currentInstance, currentProject, githubBaseUrl);
           break;
+        case 'runRemoteCommand':
+          await runRemoteCommandFlow(currentInstance, currentProject, githubBaseUrl);
+          break;
         case 'deployBranch':
           await deployBranchFlow(currentInstance, currentProject, currentProjectDetails);
           break;
+        case 'viewDeploymentLogs':
+          await viewDeploymentLogsFlow(currentInstance, currentProject, githubBaseUrl);
+          break;
+        case 'compareEnvironments':
+          await compareEnvironmentsFlow(currentInstance, currentProject, githubBaseUrl);
+          break;
+        case 'manageVariables':
+          await manageVariablesFlow(currentInstance, currentProject, githubBaseUrl);
+          break;
         case 'sshToEnvironment':
           await sshToEnvironmentFlow(currentInstance, currentProject, githubBaseUrl);
           break;
+        case 'viewHistory':
+          await viewHistoryFlow(currentInstance, currentProject);
+          break;
         case 'configureUserSshKey':
           await configureSshKey(currentInstance, currentProject);
           break;
+        case 'switchProject': {
+          const switched = await switchProjectFlow(currentInstance, currentProject);
+          if (switched) {
+            await openProject(switched.instance, switched.projectDetails);
+            logAction('Switch Project', 'N/A', `Switched to project ${currentProject} on instance ${currentInstance}`);
+          }
+          break;
+        }
+        case 'searchAllInstances': {
+          const found = await searchAllInstancesFlow();
+          if (found) {
+            await openProject(found.instance, found.projectDetails);
+            logAction('Search All Instances', 'N/A', `Opened project ${currentProject} on instance ${currentInstance}`);
+          }
+          break;
+        }
+        case 'toggleFavouriteProject':
+          await toggleFavouriteProjectFlow(currentInstance, currentProject);
+          break;
+        case 'refresh': {
+          // Drop everything cached for the instance, then reload the project itself
+          await invalidateCache([currentInstance]);
+          const projectDetails = await loadProjectDetails(currentInstance, currentProject);
+          if (projectDetails) {
+            await openProject(currentInstance, projectDetails);
+          } else {
+            currentProject = null;
+            currentProjectDetails = null;
+            githubBaseUrl = null;
+          }
+          console.log(chalk.green(`\nCached data for ${currentInstance} cleared.`));
+          logAction('Refresh', 'N/A', `Cleared cached responses for instance ${currentInstance}`);
+          break;
+        }
         case 'changeProject':
           currentProject = null;
           currentProjectDetails = null;
@@ -114,7 +256,28 @@ export async function startInteractiveMode() {
           break;
       }
     } catch (error) {
+      if (isCancelledError(error)) {
+        console.log(chalk.yellow('\nCancelled.'));
+        continue;
+      }
+
       console.error(chalk.red(`Error: ${error.message}`));
+
+      const lagoonError = findLagoonError(error);
+      if (lagoonError instanceof AuthenticationError && currentInstance) {
+        // Logging in again didn't help, so the SSH key used to log in is probably wrong
+        const configure = await confirm({
+          message: `Lagoon still rejects the token for ${currentInstance}. Configure the SSH key used to log in?`,
+          default: true
+        });
+        if (configure) {
+          await configureSshKey(currentInstance);
+          continue;
+        }
+      } else if (lagoonError?.hint) {
+        console.error(chalk.yellow(`Hint: ${lagoonError.hint}`));
+      }
+
       const continueSession = await confirm({
         message: 'Do you want to continue?',
         default: true
@@ -127,46 +290,71 @@ export async function startInteractiveMode() {
     }
   }
 
+  process.off('SIGINT', handleInterrupt);
   console.log(chalk.green('Thank you for using Lagoon CLI Wrapper!'));
 }
 
 async function selectLagoonInstance() {
   const spinner = ora('Loading Lagoon instances...').start();
-  const instances = await getLagoonInstances();
+  const [instances, state, expiries] = await Promise.all([getLagoonInstances(), loadState(), getTokenExpiries()]);
   spinner.stop();
 
   const instance = await select({
     message: 'Select a Lagoon instance:',
-    choices: instances.map(instance => ({
-      value: instance,
-      name: instance
-    }))
+    choices: instances.map(instance => {
+      const expiry = formatTokenExpiry(expiries[instance]);
+      return {
+        value: instance,
+        name: expiry ? `${instance} ${expiry}` : instance
+      };
+    }),
+    // Start on the instance used last
+    default: state.lastSession?.instance
   });
 
   return instance;
 }
 
+/**
+ * Formats when an instance's token expires for the instance list and menu: red once expired, yellow within the hour.
+ *
+ * @param {Date|null} [expiry] - The token expiry.
+ * @returns {string|null} The coloured, parenthesised description, or null if the expiry is unknown.
+ */
+function formatTokenExpiry(expiry) {
+  const description = describeTokenExpiry(expiry);
+  if (!description) {
+    return null;
+  }
+  const remaining = expiry.getTime() - Date.now();
+  const colour = remaining <= 0 ? chalk.red : remaining < 60 * 60 * 1000 ? chalk.yellow : chalk.gray;
+  return colour(`(${description})`);
+}
+
 /**
  * Prompts the user to select a project from the specified Lagoon instance and returns selected project's details.
  *
+ * Favourite projects are listed first, then recently used ones.
+ *
  * @param {string} instance - The Lagoon instance from which to load projects.
  * @returns {{ projectName: string, projectDetails: object }} An object containing project's name & details.
  */
 async function selectProjectWithDetails(instance) {
   const spinner = ora(`Loading projects for ${instance}...`).start();
-  const projectsWithDetails = await getProjectsWithDetails(instance);
+  const [projectsWithDetails, state] = await Promise.all([getProjectsWithDetails(instance), loadState()]);
   spinner.stop();
 
   // Use search prompt with autocomplete functionality
-  const projectChoices = projectsWithDetails.map(project => ({
-    value: project.projectname,
-    name: project.projectname
+  const projectNames = rankProjects(projectsWithDetails.map(project => project.projectname), state, instance);
+  const projectChoices = projectNames.map(project => ({
+    value: project,
+    name: isFavouriteProject(state, instance, project) ? `${chalk.yellow('★')} ${project}` : project
   }));
   const project = await search({
     message: 'Select a project (type to search):',
     source: (input) => {
       input = input || '';
-      return projectChoices.filter(choice => choice.name.toLowerCase().includes(input.toLowerCase()));
+      return projectChoices.filter(choice => choice.value.toLowerCase().includes(input.toLowerCase()));
     }
   });
 
@@ -178,6 +366,212 @@ async function selectProjectWithDetails(instance) {
   };
 }
 
+/**
+ * Loads the details of a project, e.g. one remembered from an earlier session.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @returns {Promise<Object|null>} The project details, or null if the project can't be loaded any more.
+ */
+async function loadProjectDetails(instance, project) {
+  const spinner = ora(`Loading ${project} from ${instance}...`).start();
+  try {
+    const projectDetails = (await getProjectsWithDetails(instance)).find(p => p.projectname === project);
+    if (!projectDetails) {
+      spinner.warn(`Project ${project} no longer exists on ${instance}.`);
+      return null;
+    }
+    spinner.stop();
+    return projectDetails;
+  } catch (error) {
+    spinner.fail(`Failed to load ${project} from ${instance}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Offers to resume the instance and project of the previous session.
+ *
+ * @returns {Promise<{ instance: string, projectDetails: Object }|null>} The project to resume, or null to select one.
+ */
+async function resumeLastSession() {
+  const { lastSession } = await loadState();
+  if (!lastSession) {
+    return null;
+  }
+
+  const resume = await confirm({
+    message: `Resume ${chalk.bold(lastSession.project)} on ${chalk.bold(lastSession.instance)}?`,
+    default: true
+  });
+  if (!resume) {
+    return null;
+  }
+
+  const projectDetails = await loadProjectDetails(lastSession.instance, lastSession.project);
+  return projectDetails ? { instance: lastSession.instance, projectDetails } : null;
+}
+
+/**
+ * Remembers that a project was opened, for resuming and ranking recent projects. Failing to save never interrupts
+ * the session.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ */
+async function rememberProjectUse(instance, project) {
+  try {
+    await updateState(state => recordProjectUse(state, instance, project));
+  } catch (error) {
+    logError('Save Session State', 'N/A', error);
+  }
+}
+
+/**
+ * Lets the user switch to a favourite or recently used project, on any instance.
+ *
+ * @param {string} instance - The current Lagoon instance.
+ * @param {string} project - The current project.
+ * @returns {Promise<{ instance: string, projectDetails: Object }|null>} The project to switch to, or null if the user
+ * went back or the project can't be loaded.
+ */
+async function switchProjectFlow(instance, project) {
+  const state = await loadState();
+  const isCurrent = entry => entry.instance === instance && entry.project === project;
+  const favourites = state.favouriteProjects.filter(entry => !isCurrent(entry));
+  const recent = state.recentProjects.filter(entry => !isCurrent(entry) &&
+    !isFavouriteProject(state, entry.instance, entry.project));
+
+  if (favourites.length === 0 && recent.length === 0) {
+    console.log(chalk.yellow('\nNo other recent or favourite projects yet.'));
+    return null;
+  }
+
+  const toChoice = (entry, favourite) => ({
+    value: entry,
+    name: `${favourite ? `${chalk.yellow('★')} ` : ''}${entry.project} ${chalk.gray(`(${entry.instance})`)}`
+  });
+  const target = await select({
+    message: 'Switch to project:',
+    choices: [
+      ...favourites.map(entry => toChoice(entry, true)),
+      ...recent.map(entry => toChoice(entry, false)),
+      new Separator(),
+      { value: null, name: 'Back' }
+    ]
+  });
+  if (!target) {
+    return null;
+  }
+
+  const projectDetails = await loadProjectDetails(target.instance, target.project);
+  return projectDetails ? { instance: target.instance, projectDetails } : null;
+}
+
+/**
+ * Searches the projects, environments and routes of every instance and lets the user pick a result.
+ *
+ * @returns {Promise<{ instance: string, projectDetails: Object }|null>} The project of the picked result, or null if
+ * nothing was found or the user went back.
+ */
+async function searchAllInstancesFlow() {
+  const term = await input({
+    message: 'Search projects, environments and routes on all instances for:',
+    validate: value => (value.trim() ? true : 'Enter a search term.')
+  });
+
+  const spinner = ora(`Searching all instances for "${term.trim()}"...`).start();
+  let result;
+  try {
+    result = await searchAllInstances(term);
+  } finally {
+    spinner.stop();
+  }
+  const { matches, failed } = result;
+  failed.forEach(({ source, error }) => console.log(chalk.yellow(`Could not search ${source}: ${error.message}`)));
+  logAction('Search All Instances', 'N/A', `"${term.trim()}": ${matches.length} match(es)`);
+
+  if (matches.length === 0) {
+    console.log(chalk.yellow('\nNo matches found.'));
+    return null;
+  }
+
+  const describe = match => {
+    if (match.match === 'project') {
+      return `${chalk.bold(match.project)} ${chalk.gray(`(${match.instance})`)}`;
+    }
+    const route = match.match === 'route' ? ` ${chalk.cyan(match.route)}` : '';
+    return `${match.project} › ${chalk.bold(match.environment)}${route} ${chalk.gray(`(${match.instance})`)}`;
+  };
+  const picked = await search({
+    message: `${matches.length} match(es). Select one to open its project (type to filter):`,
+    source: (filter) => {
+      filter = (filter || '').toLowerCase();
+      return [
+        ...matches
+          .filter(match => [match.instance, match.project, match.environment, match.route]
+            .some(value => value.toLowerCase().includes(filter)))
+          .map(match => ({ value: match, name: describe(match) })),
+        { value: null, name: 'Back' }
+      ];
+    }
+  });
+
+  return picked ? { instance: picked.instance, projectDetails: picked.projectDetails } : null;
+}
+
+/**
+ * Pins the current project as a favourite, or unpins it.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ */
+async function toggleFavouriteProjectFlow(instance, project) {
+  try {
+    const state = await updateState(state => toggleFavouriteProject(state, instance, project));
+    const favourite = isFavouriteProject(state, instance, project);
+    console.log(chalk.green(`\n${project} ${favourite ? 'added to' : 'removed from'} favourites.`));
+    logAction('Toggle Favourite', 'N/A', `${project} on ${instance} is ${favourite ? '' : 'no longer '}a favourite`);
+  } catch (error) {
+    console.error(chalk.red(`\n${error.message}`));
+  }
+}
+
+/**
+ * Looks up the Lagoon project of the git repository in the working directory.
+ *
+ * If several projects use the repository, the user picks one of them. Detection problems are never fatal: the user is
+ * simply asked to select the instance and project as usual.
+ *
+ * @returns {Promise<{ instance: string, projectDetails: Object }|null>} The project, or null if none was detected.
+ */
+async function detectProjectFromGitRemote() {
+  const spinner = ora('Detecting project from git remote...').start();
+  let result;
+  try {
+    result = await detectProject();
+  } catch (error) {
+    logError('Detect Project', 'N/A', error);
+    result = null;
+  }
+  spinner.stop();
+
+  if (!result || result.matches.length === 0) {
+    return null;
+  }
+  if (result.matches.length === 1) {
+    return result.matches[0];
+  }
+
+  return select({
+    message: `Several projects use ${result.remote}. Select one:`,
+    choices: result.matches.map(match => ({
+      value: match,
+      name: `${match.projectDetails.projectname} (${match.instance})`
+    }))
+  });
+}
+
 /**
  * Presents the main menu for the interactive CLI session and returns the user's selected action.
  *
@@ -186,16 +580,32 @@ async function selectProjectWithDetails(instance) {
  * @returns {Promise<string>} The action chosen by the user from the menu.
  */
 async function showMainMenu(instance, project) {
-  console.log(chalk.blue(`\nCurrent Instance: ${chalk.bold(instance)}`));
-  console.log(chalk.blue(`Current Project: ${chalk.bold(project)}\n`));
+  const [state, expiries] = await Promise.all([loadState(), getTokenExpiries()]);
+  const favourite = isFavouriteProject(state, instance, project);
+  const expiry = formatTokenExpiry(expiries[instance]);
+  console.log(chalk.blue(`\nCurrent Instance: ${chalk.bold(instance)}${expiry ? ` ${expiry}` : ''}`));
+  console.log(chalk.blue(`Current Project: ${chalk.bold(project)}${favourite ? ` ${chalk.yellow('★')}` : ''}\n`));
   const actions = [
-    { value: 'listEnvironments', name: 'List Environments' },
+    { value: 'selectEnvironment', name: 'Select Environment...' },
+    { value: 'listEnvironments', name: 'Environment Dashboard' },
     { value: 'listUsers', name: 'List Users' },
     { value: 'deleteEnvironment', name: 'Delete Environment' },
     { value: 'generateLoginLink', name: 'Generate Login Link' },
     { value: 'clearCache', name: 'Clear Drupal Cache' },
+    { value: 'runRemoteCommand', name: 'Run Remote Command' },
     { value: 'deployBranch', name: 'Deploy Branch' },
+    { value: 'viewDeploymentLogs', name: 'View Deployment Logs' },
+    { value: 'manageVariables', name: 'Manage Variables' },
+    { value: 'compareEnvironments', name: 'Compare Environments' },
     { value: 'sshToEnvironment', name: 'SSH to Environment' },
+    { value: 'viewHistory', name: 'View Action History' },
+    { value: 'switchProject', name: 'Switch to Recent or Favourite Project...' },
+    { value: 'searchAllInstances', name: 'Search All Instances...' },
+    {
+      value: 'toggleFavouriteProject',
+      name: favourite ? 'Remove Project from Favourites' : 'Add Project to Favourites'
+    },
+    { value: 'refresh', name: 'Refresh (Reload from Lagoon)' },
     { value: 'changeProject', name: 'Change Project' },
     { value: 'changeInstance', name: 'Change Instance' },
     { value: 'configureUserSshKey', name: 'Configure User SSH Key' },
@@ -210,25 +620,252 @@ async function showMainMenu(instance, project) {
   });
 }
 
-async function listEnvironments(instance, project, githubBaseUrl) {
-  const spinner = ora(`Loading environments for ${project}...`).start();
-  const environments = await getEnvironments(instance, project);
-  spinner.stop();
+/**
+ * Shows the project's environments as a sortable table and opens the action menu of the environment the user picks.
+ *
+ * The table shows each environment's type, deploy type, age, last update, route and pull request link, with a badge
+ * for production environments.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR links).
+ */
+async function environmentDashboard(instance, project, githubBaseUrl) {
+  let sortKey = 'name';
+  let descending;
+  let rows = null;
+
+  while (true) {
+    if (!rows) {
+      const spinner = ora(`Loading environments for ${project}...`).start();
+      const environments = await getEnvironmentsWithDetails(instance, project);
+      spinner.stop();
+      rows = buildDashboardRows(environments, { githubBaseUrl });
+    }
+
+    if (rows.length === 0) {
+      console.log(chalk.yellow('\nNo environments found.'));
+      await input({
+        message: 'Press Enter to continue...'
+      });
+      return;
+    }
+
+    const sorted = sortDashboardRows(rows, sortKey, descending);
+    const [header, ...lines] = renderTable(sorted, DASHBOARD_COLUMNS).split('\n');
+
+    const choice = await select({
+      message: `Environments of ${project} (${rows.length}), sorted by ${DASHBOARD_SORT_KEYS[sortKey].toLowerCase()}:`,
+      loop: false,
+      pageSize: Math.min(sorted.length + 4, 20),
+      choices: [
+        // Separators are indented one column less than choices
+        new Separator(` ${header}`),
+        ...sorted.map((row, index) => ({
+          value: row,
+          name: row.production ? chalk.red(lines[index]) : lines[index]
+        })),
+        new Separator(),
+        { value: 'sort', name: 'Sort by...' },
+        { value: 'refresh', name: 'Refresh' },
+        { value: 'back', name: 'Back to main menu' }
+      ]
+    });
+
+    if (choice === 'back') {
+      return;
+    }
+
+    if (choice === 'refresh') {
+      await invalidateCache([instance, project, 'environments']);
+      rows = null;
+      continue;
+    }
+
+    if (choice === 'sort') {
+      const newKey = await select({
+        message: 'Sort by:',
+        choices: Object.entries(DASHBOARD_SORT_KEYS).map(([value, name]) => ({ value, name })),
+        default: sortKey
+      });
+      // Picking the current column again reverses the order
+      descending = newKey === sortKey ? !(descending ?? (sortKey === 'created' || sortKey === 'updated')) : undefined;
+      sortKey = newKey;
+      continue;
+    }
+
+    const deleted = await environmentActionsMenu(instance, project, choice.details, githubBaseUrl);
+    if (deleted) {
+      rows = null;
+    }
+  }
+}
+
+/**
+ * Lets the user pick an environment first, then shows the actions available for it.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR links).
+ */
+async function selectEnvironmentFlow(instance, project, githubBaseUrl) {
+  const environment = await pickEnvironment(instance, project, { githubBaseUrl });
+
+  if (!environment) {
+    await input({
+      message: 'Press Enter to continue...'
+    });
+    return;
+  }
+
+  await environmentActionsMenu(instance, project, environment, githubBaseUrl);
+}
 
-  console.log(chalk.green('\nEnvironments:'));
-  environments.forEach(env => {
-    const prNumber = extractPrNumber(env);
+/**
+ * Shows the actions available for one environment until the user goes back.
+ *
+ * Actions the protection policy forbids for the environment are shown but disabled, with the reason.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {Object} environment - The environment details from Lagoon.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR links).
+ * @returns {Promise<boolean>} True if the environment was deleted.
+ */
+async function environmentActionsMenu(instance, project, environment, githubBaseUrl) {
+  const protection = getEnvironmentProtection(await loadConfig(), instance, project, environment);
+  const disabledBy = operation => (protection[operation] ? `(protected: ${protection[operation]})` : false);
+  const prNumber = extractPrNumber(environment.name);
+
+  while (true) {
+    const favourite = isFavouriteEnvironment(await loadState(), instance, project, environment.name);
+    const badge = environment.environmenttype === 'production' ? ` ${chalk.red.bold('[PRODUCTION]')}` : '';
+    const star = favourite ? ` ${chalk.yellow('★')}` : '';
+    console.log(chalk.blue(`\nEnvironment: ${chalk.bold(environment.name)}`) + badge + star);
+    if (environment.route) {
+      console.log(chalk.gray(`Route: ${environment.route}`));
+    }
     if (prNumber && githubBaseUrl) {
-      const prUrl = `${githubBaseUrl}/pull/${prNumber}`;
-      console.log(`- ${env} ${chalk.blue(`(PR #${prNumber}: ${prUrl})`)}`);
-    } else {
-      console.log(`- ${env}`);
+      console.log(chalk.gray(`Pull request: ${githubBaseUrl}/pull/${prNumber}`));
+    }
+
+    const environmentAction = await select({
+      message: `What would you like to do with ${environment.name}?`,
+      choices: [
+        { value: 'loginLink', name: 'Generate Login Link', disabled: disabledBy('loginLink') },
+        { value: 'clearCache', name: 'Clear Drupal Cache', disabled: disabledBy('drush') },
+        { value: 'runCommand', name: 'Run Remote Command', disabled: disabledBy('drush') },
+        { value: 'ssh', name: 'SSH to Environment' },
+        { value: 'deploy', name: 'Redeploy', disabled: disabledBy('deploy') },
+        { value: 'logs', name: 'View Deployment Logs' },
+        { value: 'variables', name: 'Manage Variables' },
+        { value: 'delete', name: 'Delete Environment', disabled: disabledBy('delete') },
+        { value: 'favourite', name: favourite ? 'Remove from Favourites' : 'Add to Favourites' },
+        { value: 'back', name: 'Back' }
+      ]
+    });
+    logAction('Environment Action', 'N/A', `Selected ${environmentAction} for ${environment.name}`);
+
+    switch (environmentAction) {
+      case 'loginLink':
+        await generateLoginLinkForEnvironment(instance, project, environment.name, environment.environmenttype);
+        break;
+      case 'clearCache':
+        await clearCacheForEnvironment(instance, project, environment.name, environment.environmenttype);
+        break;
+      case 'runCommand':
+        await runRemoteCommandOnEnvironment(instance, project, environment);
+        break;
+      case 'ssh':
+        await showSshCommandForEnvironment(instance, project, environment.name);
+        break;
+      case 'deploy':
+        await redeployEnvironmentWithConfirmation(instance, project, environment);
+        break;
+      case 'logs':
+        await viewDeploymentLogsForEnvironment(instance, project, environment.name);
+        break;
+      case 'variables':
+        await manageVariablesForTarget(instance, project, environment.name);
+        break;
+      case 'delete':
+        if (await deleteSingleEnvironment(instance, project, environment)) {
+          return true;
+        }
+        break;
+      case 'favourite':
+        try {
+          await updateState(state => toggleFavouriteEnvironment(state, instance, project, environment.name));
+          console.log(chalk.green(`\n${environment.name} ${favourite ? 'removed from' : 'added to'} favourites.`));
+        } catch (error) {
+          console.error(chalk.red(`\n${error.message}`));
+        }
+        break;
+      case 'back':
+        return false;
     }
+  }
+}
+
+/**
+ * Confirms and redeploys an environment, then offers to monitor the deployment.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {Object} environment - The environment details from Lagoon.
+ */
+async function redeployEnvironmentWithConfirmation(instance, project, environment) {
+  const userConfirm = await confirm({
+    message: `Redeploy the latest deployment of ${chalk.bold(environment.name)}?`,
+    default: false
   });
 
-  await input({
-    message: 'Press Enter to continue...',
+  if (!userConfirm) {
+    console.log(chalk.yellow('\nDeployment cancelled.'));
+    return;
+  }
+
+  const spinner = ora(`Redeploying ${environment.name}...`).start();
+  try {
+    const result = await redeployEnvironment(instance, project, environment.name, environment.environmenttype);
+    spinner.succeed(result.message);
+
+    if (!result.dryRun) {
+      await monitorDeployment(instance, project, result);
+    }
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+}
+
+/**
+ * Confirms and deletes a single environment.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {Object} environment - The environment details from Lagoon.
+ * @returns {Promise<boolean>} True if the environment was deleted.
+ */
+async function deleteSingleEnvironment(instance, project, environment) {
+  const userConfirm = await confirm({
+    message: `Are you sure you want to delete ${environment.name}?`,
+    default: false
   });
+
+  if (!userConfirm) {
+    console.log(chalk.yellow('\nDeletion cancelled.'));
+    return false;
+  }
+
+  const spinner = ora(`Deleting environment ${environment.name}...`).start();
+  try {
+    await deleteEnvironment(instance, project, environment.name, environment.environmenttype);
+    spinner.succeed(`Environment ${environment.name} deleted successfully.`);
+    return true;
+  } catch (error) {
+    spinner.fail(`Failed to delete environment ${environment.name}: ${error.message}`);
+    return false;
+  }
 }
 
 async function listUsers(instance, project) {
@@ -247,78 +884,39 @@ async function listUsers(instance, project) {
 }
 
 async function deleteEnvironmentFlow(instance, project, githubBaseUrl) {
-  const spinner = ora(`Loading environments for ${project}...`).start();
-  const allEnvironments = await getEnvironments(instance, project);
-  spinner.stop();
-
-  // Filter out protected environments
-  const eligibleEnvironments = allEnvironments.filter(env =>
-    env !== 'production' &&
-    env !== 'master' &&
-    env !== 'develop' &&
-    !env.startsWith('project/')
-  );
+  const selectedEnvironments = await pickEnvironments(instance, project, {
+    operation: 'delete',
+    githubBaseUrl,
+    message: 'Select environments to delete:'
+  });
 
-  if (eligibleEnvironments.length === 0) {
-    console.log(chalk.yellow('\nNo eligible environments to delete.'));
+  if (selectedEnvironments.length === 0) {
+    console.log(chalk.yellow('\nNo environments selected.'));
     await input({
       message: 'Press Enter to continue...'
     });
     return;
   }
 
-  // Display environments with PR links before selection
-  console.log(chalk.green('\nEligible environments for deletion:'));
-  eligibleEnvironments.forEach(env => {
-    const prNumber = extractPrNumber(env);
-    if (prNumber && githubBaseUrl) {
-      const prUrl = `${githubBaseUrl}/pull/${prNumber}`;
-      console.log(`- ${env} ${chalk.blue(`(PR #${prNumber}: ${prUrl})`)}`);
-    } else {
-      console.log(`- ${env}`);
-    }
-  });
-  console.log(''); // Add a blank line for better readability
-
-  // Create choices with PR information for selection
-  const choices = eligibleEnvironments.map(env => {
-    const prNumber = extractPrNumber(env);
-    if (prNumber && githubBaseUrl) {
-      const prUrl = `${githubBaseUrl}/pull/${prNumber}`;
-      return {
-        value: env,
-        name: `${env} (PR #${prNumber}: ${prUrl})`
-      };
-    }
-    return {
-      value: env,
-      name: env
-    };
-  });
-
-  const selectedEnvironments = await checkbox({
-    message: 'Select environments to delete:',
-    choices: choices
-  });
-
-  if (selectedEnvironments.length === 0) {
-    console.log(chalk.yellow('\nNo environments selected.'));
-    return;
-  }
+  // Show PR links before asking for confirmation
+  const describe = (env) => {
+    const prNumber = extractPrNumber(env.name);
+    return prNumber && githubBaseUrl ? `${env.name} ${chalk.blue(`(PR #${prNumber}: ${githubBaseUrl}/pull/${prNumber})`)}` : env.name;
+  };
 
   const userConfirm = await confirm({
-    message: `Are you sure you want to delete the following environment(s)?:\n${selectedEnvironments.map(env => `  - ${env}`).join('\n')}\n\nTotal: ${selectedEnvironments.length} environment(s)`,
+    message: `Are you sure you want to delete the following environment(s)?:\n${selectedEnvironments.map(env => `  - ${describe(env)}`).join('\n')}\n\nTotal: ${selectedEnvironments.length} environment(s)`,
     default: false
   });
 
   if (userConfirm) {
     for (const env of selectedEnvironments) {
-      const spinner = ora(`Deleting environment ${env}...`).start();
+      const spinner = ora(`Deleting environment ${env.name}...`).start();
       try {
-        await deleteEnvironment(instance, project, env);
-        spinner.succeed(`Environment ${env} deleted successfully.`);
+        await deleteEnvironment(instance, project, env.name, env.environmenttype);
+        spinner.succeed(`Environment ${env.name} deleted successfully.`);
       } catch (error) {
-        spinner.fail(`Failed to delete environment ${env}: ${error.message}`);
+        spinner.fail(`Failed to delete environment ${env.name}: ${error.message}`);
       }
     }
   } else {
@@ -331,58 +929,40 @@ async function deleteEnvironmentFlow(instance, project, githubBaseUrl) {
 }
 
 async function generateLoginLinkFlow(instance, project, githubBaseUrl) {
-  const spinner = ora(`Loading environments for ${project}...`).start();
-  const allEnvironments = await getEnvironments(instance, project);
-  spinner.stop();
-
-  // Filter out protected environments
-  const eligibleEnvironments = allEnvironments.filter(env =>
-    env !== 'production' &&
-    env !== 'master'
-  );
+  const environment = await pickEnvironment(instance, project, {
+    operation: 'loginLink',
+    githubBaseUrl,
+    message: 'Select an environment to generate a login link (type to search):'
+  });
 
-  if (eligibleEnvironments.length === 0) {
-    console.log(chalk.yellow('\nNo eligible environments for login link generation.'));
-    await input({
-      message: 'Press Enter to continue...'
-    });
-    return;
+  if (environment) {
+    await generateLoginLinkForEnvironment(instance, project, environment.name, environment.environmenttype);
   }
 
-  // Create choices with PR information
-  const choices = eligibleEnvironments.map(env => {
-    const prNumber = extractPrNumber(env);
-    if (prNumber && githubBaseUrl) {
-      return {
-        value: env,
-        name: `${env} (PR #${prNumber})`
-      };
-    }
-    return {
-      value: env,
-      name: env
-    };
-  });
-
-  const selectedEnvironment = await select({
-    message: 'Select an environment to generate a login link:',
-    choices: choices
+  await input({
+    message: 'Press Enter to continue...'
   });
+}
 
-  const spinner2 = ora(`Generating login link for ${selectedEnvironment}...`).start();
-  try {
-    const loginLink = await generateLoginLink(instance, project, selectedEnvironment);
-    spinner2.succeed('Login link generated successfully.');
+/**
+ * Generates a one-time login link for an environment and prints it.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} environment - The environment name.
+ * @param {string} [environmentType] - The Lagoon environment type, used by the protection policy.
+ */
+async function generateLoginLinkForEnvironment(instance, project, environment, environmentType) {
+  const spinner = ora(`Generating login link for ${environment}...`).start();
+  try {
+    const loginLink = await generateLoginLink(instance, project, environment, environmentType);
+    spinner.succeed('Login link generated successfully.');
 
     console.log(chalk.green('\nLogin Link:'));
     console.log(chalk.cyan(loginLink));
   } catch (error) {
-    spinner2.fail(`Failed to generate login link: ${error.message}`);
+    spinner.fail(`Failed to generate login link: ${error.message}`);
   }
-
-  await input({
-    message: 'Press Enter to continue...'
-  });
 }
 
 /**
@@ -392,47 +972,60 @@ async function generateLoginLinkFlow(instance, project, githubBaseUrl) {
  * errors encountered.
  */
 async function clearCacheFlow(instance, project, githubBaseUrl) {
-  const spinner = ora(`Loading environments for ${project}...`).start();
-  const allEnvironments = await getEnvironments(instance, project);
-  spinner.stop();
+  const environment = await pickEnvironment(instance, project, {
+    operation: 'drush',
+    githubBaseUrl,
+    message: 'Select an environment to clear cache (type to search):'
+  });
 
-  if (allEnvironments.length === 0) {
-    console.log(chalk.yellow('\nNo environments found.'));
-    await input({
-      message: 'Press Enter to continue...'
-    });
-    return;
+  if (environment) {
+    await clearCacheForEnvironment(instance, project, environment.name, environment.environmenttype);
   }
 
-  // Create choices with PR information
-  const choices = allEnvironments.map(env => {
-    const prNumber = extractPrNumber(env);
-    if (prNumber && githubBaseUrl) {
-      return {
-        value: env,
-        name: `${env} (PR #${prNumber})`
-      };
-    }
-    return {
-      value: env,
-      name: env
-    };
-  });
-
-  const selectedEnvironment = await select({
-    message: 'Select an environment to clear cache:',
-    choices: choices
+  await input({
+    message: 'Press Enter to continue...'
   });
+}
 
-  const spinner2 = ora(`Clearing cache for ${selectedEnvironment}...`).start();
+/**
+ * Clears the Drupal cache of an environment and prints the result.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} environment - The environment name.
+ * @param {string} [environmentType] - The Lagoon environment type, used by the protection policy.
+ */
+async function clearCacheForEnvironment(instance, project, environment, environmentType) {
+  const spinner = ora(`Clearing cache for ${environment}...`).start();
   try {
-    const result = await clearDrupalCache(instance, project, selectedEnvironment);
-    spinner2.succeed('Cache cleared successfully.');
+    const result = await clearDrupalCache(instance, project, environment, environmentType);
+    spinner.succeed('Cache cleared successfully.');
 
     console.log(chalk.green('\nCache Clear Result:'));
     console.log(chalk.cyan(result || 'Cache cleared successfully.'));
   } catch (error) {
-    spinner2.fail(`Failed to clear cache: ${error.message}`);
+    spinner.fail(`Failed to clear cache: ${error.message}`);
+  }
+}
+
+/**
+ * Guides the user through running a long-running command, such as a migration or import, on an environment.
+ *
+ * The command's output is streamed to the terminal while it runs. Ctrl+C cancels it and returns to the menu.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR information).
+ */
+async function runRemoteCommandFlow(instance, project, githubBaseUrl) {
+  const environment = await pickEnvironment(instance, project, {
+    operation: 'drush',
+    githubBaseUrl,
+    message: 'Select an environment to run the command on (type to search):'
+  });
+
+  if (environment) {
+    await runRemoteCommandOnEnvironment(instance, project, environment);
   }
 
   await input({
@@ -440,6 +1033,39 @@ async function clearCacheFlow(instance, project, githubBaseUrl) {
   });
 }
 
+/**
+ * Asks for a command, confirms it and runs it on an environment, streaming its output.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {Object} environment - The environment details from Lagoon.
+ */
+async function runRemoteCommandOnEnvironment(instance, project, environment) {
+  const remoteCommand = await input({
+    message: 'Enter the command to run:',
+    default: 'drush deploy -y'
+  });
+
+  const userConfirm = await confirm({
+    message: `Run ${chalk.bold(remoteCommand)} on ${chalk.bold(environment.name)}?`,
+    default: false
+  });
+
+  if (userConfirm) {
+    console.log(chalk.gray('Press Ctrl+C to cancel.\n'));
+    try {
+      await runRemoteCommand(instance, project, environment.name, remoteCommand, {
+        environmentType: environment.environmenttype
+      });
+      console.log(chalk.green('\nCommand completed successfully.'));
+    } catch (error) {
+      console.log(chalk.red(`\n${error.message}`));
+    }
+  } else {
+    console.log(chalk.yellow('\nCommand cancelled.'));
+  }
+}
+
 /**
  * Guides the user through deploying a selected Git branch for a Lagoon project via the interactive CLI.
  *
@@ -528,13 +1154,17 @@ async function deployBranchFlow(instance, project, projectDetails) {
     // Deploy the branch
     const spinner2 = ora(`Deploying branch ${selectedBranch}...`).start();
     try {
+      // Earlier builds of the branch's environment must not be mistaken for this one
+      const existing = await getDeploymentNames(instance, project, getBranchEnvironmentName(selectedBranch));
       const result = await deployBranch(instance, project, selectedBranch);
       spinner2.succeed('Deployment initiated successfully.');
 
       console.log(chalk.green('\nDeployment Status:'));
       console.log(chalk.cyan(result.message || 'Branch deployment initiated.'));
-      console.log(chalk.blue('\nNote: The deployment process runs asynchronously and may take several minutes to complete.'));
-      console.log(chalk.blue('You can check the status of the deployment in the Lagoon UI.'));
+
+      if (!result.dryRun) {
+        await monitorDeployment(instance, project, { ...result, existing });
+      }
     } catch (error) {
       spinner2.fail(`Failed to deploy branch: ${error.message}`);
     }
@@ -548,45 +1178,592 @@ async function deployBranchFlow(instance, project, projectDetails) {
 }
 
 /**
- * Guides the user through generating an SSH command for connecting to a Lagoon environment.
+ * Offers to follow a deployment that was just triggered until it completes, fails or is cancelled.
+ *
+ * Shows the build phase and elapsed time while polling. Ctrl+C stops watching without affecting the deployment.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {{ environment: string, triggeredAt: Date, existing: Set<string> }} deployResult - The result returned by
+ * deployBranch(), with the names of the environment's deployments from before it was called.
+ */
+async function monitorDeployment(instance, project, deployResult) {
+  const watch = await confirm({
+    message: 'Monitor the deployment until it finishes?',
+    default: true
+  });
+
+  if (!watch) {
+    console.log(chalk.blue('\nNote: The deployment process runs asynchronously and may take several minutes to complete.'));
+    console.log(chalk.blue('You can check the status of the deployment in the Lagoon UI.'));
+    return;
+  }
+
+  const spinner = ora('Waiting for the deployment to start... (Ctrl+C to stop watching)').start();
+  try {
+    const deployment = await watchDeployment(instance, project, deployResult.environment, {
+      since: deployResult.triggeredAt,
+      existing: deployResult.existing,
+      onUpdate: (current) => {
+        if (current) {
+          spinner.text = `${describeDeployment(current)} (Ctrl+C to stop watching)`;
+        }
+      }
+    });
+
+    const summary = `Deployment ${deployment.name} ${deployment.status} after ${formatDuration(deployment.elapsed)}`;
+    if (deployment.status === 'complete') {
+      spinner.succeed(summary);
+    } else {
+      spinner.fail(summary);
+    }
+  } catch (error) {
+    if (isCancelledError(error)) {
+      spinner.info('Stopped watching. The deployment continues in Lagoon.');
+    } else {
+      spinner.fail(`Failed to monitor deployment: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Guides the user through reading the build log of a recent deployment.
+ *
+ * Lists the recent deployments of an environment with their status and duration, then prints, follows, searches or
+ * saves the build log of the chosen one.
  *
  * @param {string} instance - The Lagoon instance identifier.
  * @param {string} project - The Lagoon project name.
  * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR information).
  */
-async function sshToEnvironmentFlow(instance, project, githubBaseUrl) {
-  const spinner = ora(`Loading environments for ${project}...`).start();
-  const allEnvironments = await getEnvironments(instance, project);
+async function viewDeploymentLogsFlow(instance, project, githubBaseUrl) {
+  const environment = await pickEnvironment(instance, project, { githubBaseUrl });
+
+  if (environment) {
+    await viewDeploymentLogsForEnvironment(instance, project, environment.name);
+  }
+
+  await input({
+    message: 'Press Enter to continue...'
+  });
+}
+
+/**
+ * Lets the user pick one of an environment's deployments and print, follow, search or save its build log.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} environment - The environment name.
+ */
+async function viewDeploymentLogsForEnvironment(instance, project, environment) {
+  const spinner = ora(`Loading deployments for ${environment}...`).start();
+  const deployments = await getDeployments(instance, project, environment);
   spinner.stop();
 
-  if (allEnvironments.length === 0) {
-    console.log(chalk.yellow('\nNo environments found.'));
+  if (deployments.length === 0) {
+    console.log(chalk.yellow(`\nNo deployments found for ${environment}.`));
+    return;
+  }
+
+  const statusColours = { complete: chalk.green, failed: chalk.red, cancelled: chalk.gray };
+  const deployment = await select({
+    message: 'Select a deployment:',
+    choices: deployments.slice(0, 15).map(d => ({
+      value: d,
+      name: `${d.name}  ${(statusColours[d.status] || chalk.yellow)(d.status)}  ${formatDuration(d.elapsed)}` +
+        `  ${d.created ? chalk.gray(d.created.toLocaleString()) : ''}`
+    }))
+  });
+
+  const logChoice = await select({
+    message: `What would you like to do with the build log of ${deployment.name}?`,
+    choices: [
+      { value: 'print', name: 'Print the build log' },
+      { value: 'follow', name: 'Follow the build log until the deployment finishes' },
+      { value: 'errors', name: 'Search the build log for errors' },
+      { value: 'search', name: 'Search the build log for text' },
+      { value: 'save', name: 'Save the build log to a file' }
+    ]
+  });
+
+  try {
+    if (logChoice === 'follow') {
+      console.log(chalk.gray('Press Ctrl+C to stop following.\n'));
+      const finished = await followDeploymentLogs(instance, project, environment, deployment.name);
+      console.log(chalk.green(`\nDeployment ${finished.name} ${finished.status} after ${formatDuration(finished.elapsed)}`));
+    } else {
+      const logSpinner = ora(`Loading build log for ${deployment.name}...`).start();
+      const log = await getDeploymentLogs(instance, project, environment, deployment.name);
+      logSpinner.stop();
+
+      if (logChoice === 'print') {
+        console.log(log || chalk.yellow('The build log is empty.'));
+      } else if (logChoice === 'errors' || logChoice === 'search') {
+        const pattern = logChoice === 'search'
+          ? await input({ message: 'Text to search for:' })
+          : undefined;
+        const matches = searchLog(log, pattern);
+        console.log(chalk.green(`\n${matches.length} matching line(s):`));
+        matches.forEach(({ lineNumber, line }) => console.log(`${chalk.gray(String(lineNumber).padStart(6))}  ${line}`));
+      } else if (logChoice === 'save') {
+        const file = await input({
+          message: 'Save the build log to:',
+          default: `${deployment.name}.log`
+        });
+        await fs.writeFile(path.resolve(file), log, 'utf8');
+        console.log(chalk.green(`Build log saved to ${path.resolve(file)}`));
+      }
+    }
+  } catch (error) {
+    if (isCancelledError(error)) {
+      console.log(chalk.yellow('\nStopped following the build log.'));
+    } else {
+      console.log(chalk.red(`\n${error.message}`));
+    }
+  }
+}
+
+/**
+ * Guides the user through listing, adding, updating and deleting project or environment variables.
+ *
+ * Values are masked unless the user chooses to reveal them, and are typed into a password prompt.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR information).
+ */
+async function manageVariablesFlow(instance, project, githubBaseUrl) {
+  const level = await select({
+    message: 'Which variables would you like to manage?',
+    choices: [
+      { value: 'project', name: `Project variables (${project})` },
+      { value: 'environment', name: 'Environment variables' }
+    ]
+  });
+
+  if (level === 'project') {
+    await manageVariablesForTarget(instance, project, null);
+    return;
+  }
+
+  const environment = await pickEnvironment(instance, project, { githubBaseUrl });
+  if (!environment) {
     await input({
       message: 'Press Enter to continue...'
     });
     return;
   }
 
-  // Create choices with PR information
-  const choices = allEnvironments.map(env => {
-    const prNumber = extractPrNumber(env);
-    if (prNumber && githubBaseUrl) {
-      return {
-        value: env,
-        name: `${env} (PR #${prNumber})`
-      };
+  await manageVariablesForTarget(instance, project, environment.name);
+}
+
+/**
+ * Lists the variables of a project or environment and lets the user change them until they go back.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for project variables.
+ */
+async function manageVariablesForTarget(instance, project, environment) {
+  const target = environment ? `environment ${environment}` : `project ${project}`;
+  let reveal = false;
+
+  while (true) {
+    const spinner = ora(`Loading variables for ${target}...`).start();
+    const variables = await getVariables(instance, project, environment, { reveal });
+    spinner.stop();
+
+    printVariables(variables, target, reveal);
+
+    const variableAction = await select({
+      message: 'What would you like to do?',
+      choices: [
+        { value: 'add', name: 'Add a variable' },
+        { value: 'update', name: 'Update a variable', disabled: variables.length === 0 },
+        { value: 'delete', name: 'Delete a variable', disabled: variables.length === 0 },
+        { value: 'import', name: 'Import variables from a .env or JSON file' },
+        { value: 'export', name: 'Export variables to a .env or JSON file', disabled: variables.length === 0 },
+        { value: 'toggleReveal', name: reveal ? 'Hide values' : 'Reveal values' },
+        { value: 'back', name: 'Back to main menu' }
+      ]
+    });
+
+    if (variableAction === 'back') {
+      return;
     }
-    return {
-      value: env,
-      name: env
-    };
+
+    if (variableAction === 'toggleReveal') {
+      reveal = !reveal;
+      continue;
+    }
+
+    if (variableAction === 'add') {
+      await addVariableFlow(instance, project, environment, target, variables);
+      continue;
+    }
+
+    if (variableAction === 'import') {
+      await importVariablesFlow(instance, project, environment, target);
+      continue;
+    }
+
+    if (variableAction === 'export') {
+      await exportVariablesFlow(instance, project, environment, target);
+      continue;
+    }
+
+    const variable = await select({
+      message: `Select a variable to ${variableAction}:`,
+      choices: variables.map(v => ({ value: v, name: `${v.name} ${chalk.gray(`(${v.scope})`)}` }))
+    });
+
+    if (variableAction === 'update') {
+      await updateVariableFlow(instance, project, environment, target, variable);
+    } else {
+      await deleteVariableFlow(instance, project, environment, target, variable);
+    }
+  }
+}
+
+/**
+ * Exports the variables of a project or environment, with their values, to a `.env` or JSON file.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for project variables.
+ * @param {string} target - Description of the project or environment, for messages.
+ */
+async function exportVariablesFlow(instance, project, environment, target) {
+  const file = await input({
+    message: 'Export to (.env or .json):',
+    default: `${environment || project}.env`
   });
 
-  const selectedEnvironment = await select({
-    message: 'Select an environment to SSH into:',
-    choices: choices
+  const spinner = ora(`Exporting variables for ${target}...`).start();
+  try {
+    const variables = await getVariables(instance, project, environment, { reveal: true });
+    await writeVariablesFile(path.resolve(file), variables);
+    spinner.succeed(`Exported ${variables.length} variable(s) to ${path.resolve(file)}`);
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+}
+
+/**
+ * Imports variables from a `.env` or JSON file after previewing the changes and asking for confirmation.
+ *
+ * The preview lists added, changed and removed variables by name and scope only, never their values.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for project variables.
+ * @param {string} target - Description of the project or environment, for messages.
+ */
+async function importVariablesFlow(instance, project, environment, target) {
+  const file = await input({ message: 'Import from (.env or .json):', default: '.env' });
+  const defaultScope = await select({
+    message: 'Scope for new variables the file does not give one:',
+    choices: VARIABLE_SCOPES.map(value => ({ value, name: value })),
+    default: 'runtime'
   });
 
+  const spinner = ora(`Comparing ${file} with the variables of ${target}...`).start();
+  let diff;
+  try {
+    const incoming = await readVariablesFile(path.resolve(file));
+    const current = await getVariables(instance, project, environment, { reveal: true });
+    diff = diffVariables(current, incoming, defaultScope);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(error.message);
+    return;
+  }
+
+  const lines = describeVariableDiff(diff);
+  if (lines.length === 0) {
+    console.log(chalk.green('\nNothing to change.'));
+    return;
+  }
+
+  const colours = { added: chalk.green, changed: chalk.yellow, removed: chalk.red };
+  console.log(chalk.blue(`\nPreview of changes to ${target}:`));
+  lines.forEach(line => console.log(`  ${colours[line.type](line.text)}`));
+  console.log('');
+
+  let prune = false;
+  if (diff.removed.length > 0) {
+    prune = await confirm({
+      message: `Delete the ${diff.removed.length} variable(s) that are not in the file?`,
+      default: false
+    });
+  }
+
+  const changeCount = diff.added.length + diff.changed.length + (prune ? diff.removed.length : 0);
+  if (changeCount === 0) {
+    console.log(chalk.yellow('Nothing to change.'));
+    return;
+  }
+
+  const confirmed = await confirm({
+    message: `Apply ${changeCount} change(s) to ${target}?`,
+    default: false
+  });
+  if (!confirmed) {
+    console.log(chalk.yellow('Import cancelled.'));
+    return;
+  }
+
+  const result = await applyVariableDiff(instance, project, environment, diff, {
+    prune,
+    onResult: (name, error) => {
+      if (error) {
+        console.log(chalk.red(`  ✗ ${name}: ${error.message}`));
+      } else {
+        console.log(chalk.green(`  ✓ ${name}`));
+      }
+    }
+  });
+  console.log(chalk.green(`\nApplied ${result.applied.length} of ${changeCount} change(s).`));
+}
+
+/**
+ * Prints variables grouped by scope.
+ *
+ * @param {Object[]} variables - Normalised variables.
+ * @param {string} target - Description of the project or environment, for the heading.
+ * @param {boolean} reveal - Whether to show values instead of masking them.
+ */
+function printVariables(variables, target, reveal) {
+  if (variables.length === 0) {
+    console.log(chalk.yellow(`\nNo variables found for ${target}.`));
+    return;
+  }
+
+  console.log(chalk.green(`\nVariables for ${target}:`));
+  VARIABLE_SCOPES.forEach(scope => {
+    const inScope = variables.filter(variable => variable.scope === scope);
+    if (inScope.length === 0) {
+      return;
+    }
+    console.log(chalk.blue(`\n  ${scope}`));
+    inScope.forEach(variable => {
+      const value = reveal ? variable.value : chalk.gray(maskValue(variable.value));
+      console.log(`  - ${variable.name} = ${value}`);
+    });
+  });
+  console.log('');
+}
+
+/**
+ * Prompts for a new variable and adds it.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for a project variable.
+ * @param {string} target - Description of the project or environment, for messages.
+ * @param {Object[]} variables - The existing variables, used to warn before overwriting one.
+ */
+async function addVariableFlow(instance, project, environment, target, variables) {
+  const name = await input({
+    message: 'Variable name:',
+    validate: (value) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(value)
+      || 'Names must start with a letter or underscore and contain only letters, numbers and underscores.'
+  });
+
+  const existing = variables.find(variable => variable.name === name);
+  if (existing) {
+    console.log(chalk.yellow(`${name} already exists with scope ${existing.scope}; adding it again will update it.`));
+  }
+
+  const scope = await select({
+    message: 'Variable scope:',
+    choices: VARIABLE_SCOPES.map(value => ({ value, name: value })),
+    default: existing ? existing.scope : 'runtime'
+  });
+
+  const value = await password({ message: 'Variable value (hidden):', mask: '*' });
+
+  const confirmed = await confirm({
+    message: `Set ${name} (${scope}) on ${target}?`,
+    default: true
+  });
+  if (!confirmed) {
+    console.log(chalk.yellow('Cancelled.'));
+    return;
+  }
+
+  const spinner = ora(`Setting ${name}...`).start();
+  try {
+    const result = await setVariable(instance, project, environment, name, value, scope);
+    spinner.succeed(result.dryRun ? `Dry run: ${name} would be set on ${target}` : `${name} set on ${target}`);
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+}
+
+/**
+ * Prompts for a new value (and optionally scope) of an existing variable and updates it.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for a project variable.
+ * @param {string} target - Description of the project or environment, for messages.
+ * @param {Object} variable - The normalised variable to update.
+ */
+async function updateVariableFlow(instance, project, environment, target, variable) {
+  const scope = await select({
+    message: 'Variable scope:',
+    choices: VARIABLE_SCOPES.map(value => ({ value, name: value })),
+    default: variable.scope
+  });
+
+  const value = await password({ message: `New value for ${variable.name} (hidden):`, mask: '*' });
+
+  const confirmed = await confirm({
+    message: `Update ${variable.name} (${scope}) on ${target}?`,
+    default: true
+  });
+  if (!confirmed) {
+    console.log(chalk.yellow('Cancelled.'));
+    return;
+  }
+
+  const spinner = ora(`Updating ${variable.name}...`).start();
+  try {
+    const result = await setVariable(instance, project, environment, variable.name, value, scope);
+    spinner.succeed(result.dryRun
+      ? `Dry run: ${variable.name} would be updated on ${target}`
+      : `${variable.name} updated on ${target}`);
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+}
+
+/**
+ * Confirms and deletes a variable.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string|null} environment - The environment name, or null for a project variable.
+ * @param {string} target - Description of the project or environment, for messages.
+ * @param {Object} variable - The normalised variable to delete.
+ */
+async function deleteVariableFlow(instance, project, environment, target, variable) {
+  const confirmed = await confirm({
+    message: `Are you sure you want to delete ${variable.name} (${variable.scope}) from ${target}?`,
+    default: false
+  });
+  if (!confirmed) {
+    console.log(chalk.yellow('Deletion cancelled.'));
+    return;
+  }
+
+  const spinner = ora(`Deleting ${variable.name}...`).start();
+  try {
+    const result = await deleteVariable(instance, project, environment, variable.name);
+    spinner.succeed(result.dryRun
+      ? `Dry run: ${variable.name} would be deleted from ${target}`
+      : `${variable.name} deleted from ${target}`);
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+}
+
+/**
+ * Guides the user through comparing two environments, of the current project or of different projects.
+ *
+ * Shows a side-by-side table of the deploy type, environment type, routes, deployed git ref and effective variables.
+ * Variable values are masked; a changed value shows up as "different".
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR information).
+ */
+async function compareEnvironmentsFlow(instance, project, githubBaseUrl) {
+  const left = await pickEnvironment(instance, project, {
+    githubBaseUrl,
+    message: 'Select the first environment (type to search):'
+  });
+  if (!left) {
+    await input({
+      message: 'Press Enter to continue...'
+    });
+    return;
+  }
+
+  const rightSource = await select({
+    message: 'Compare with an environment of:',
+    choices: [
+      { value: 'sameProject', name: `This project (${project})` },
+      { value: 'otherProject', name: 'Another project' }
+    ]
+  });
+  const rightProject = rightSource === 'otherProject'
+    ? (await selectProjectWithDetails(instance)).projectName
+    : project;
+  const right = await pickEnvironment(instance, rightProject, {
+    githubBaseUrl: rightProject === project ? githubBaseUrl : null,
+    message: 'Select the second environment (type to search):'
+  });
+  if (!right) {
+    await input({
+      message: 'Press Enter to continue...'
+    });
+    return;
+  }
+
+  const spinner = ora(`Comparing ${left.name} with ${right.name}...`).start();
+  const [leftSnapshot, rightSnapshot] = await Promise.all([
+    loadEnvironmentSnapshot(instance, project, left.name),
+    loadEnvironmentSnapshot(instance, rightProject, right.name)
+  ]);
+  spinner.stop();
+
+  const rows = compareSnapshots(leftSnapshot, rightSnapshot);
+  const differences = rows.filter(row => row.status !== 'same');
+
+  if (differences.length === 0) {
+    console.log(chalk.green('\nNo differences found.'));
+  } else {
+    console.log(chalk.green(`\n${differences.length} difference(s) found (${rows.length - differences.length} the same):\n`));
+    console.log(renderTable(differences, getComparisonColumns(leftSnapshot, rightSnapshot)));
+  }
+
+  await input({
+    message: 'Press Enter to continue...'
+  });
+}
+
+/**
+ * Guides the user through generating an SSH command for connecting to a Lagoon environment.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} githubBaseUrl - The GitHub base URL for the project (for PR information).
+ */
+async function sshToEnvironmentFlow(instance, project, githubBaseUrl) {
+  const environment = await pickEnvironment(instance, project, {
+    githubBaseUrl,
+    message: 'Select an environment to SSH into (type to search):'
+  });
+
+  if (environment) {
+    await showSshCommandForEnvironment(instance, project, environment.name);
+  }
+
+  await input({
+    message: 'Press Enter to continue...'
+  });
+}
+
+/**
+ * Prints the SSH command for an environment and offers to copy it to the clipboard.
+ *
+ * @param {string} instance - The Lagoon instance identifier.
+ * @param {string} project - The Lagoon project name.
+ * @param {string} environment - The environment name.
+ */
+async function showSshCommandForEnvironment(instance, project, environment) {
   // Ask for container with 'cli' as default
   const container = await input({
     message: 'Enter the container/service name (press Enter for default):',
@@ -594,7 +1771,7 @@ async function sshToEnvironmentFlow(instance, project, githubBaseUrl) {
   });
 
   // Generate the SSH command
-  const { command, message } = getSSHCommand(instance, project, selectedEnvironment, container);
+  const { command, message } = getSSHCommand(instance, project, environment, container);
 
   // Display the command
   console.log('\n' + chalk.cyan(message));
@@ -622,8 +1799,115 @@ async function sshToEnvironmentFlow(instance, project, githubBaseUrl) {
   }
 
   console.log(chalk.gray('\nTip: Run this command in a new terminal window to maintain your SSH session while continuing to use this CLI.'));
+}
 
-  await input({
-    message: 'Press Enter to continue...'
+// How many history entries are listed at once; exporting includes all of them
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Checks a date typed into a history prompt; empty means no limit.
+ *
+ * @param {string} value - The typed value.
+ * @returns {true|string} True if valid, otherwise the error message to show.
+ */
+function validateHistoryDate(value) {
+  if (!value.trim()) {
+    return true;
+  }
+  try {
+    parseHistoryDate(value);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Asks for history filters, lists the matching log entries and offers to show an entry in full or export them.
+ *
+ * @param {string} instance - The current Lagoon instance.
+ * @param {string} project - The current project.
+ */
+async function viewHistoryFlow(instance, project) {
+  const scope = await select({
+    message: 'Show the history of:',
+    choices: [
+      { value: 'project', name: `This project (${project})` },
+      { value: 'instance', name: `Every project on ${instance}` },
+      { value: 'all', name: 'Every instance' }
+    ]
   });
+  const since = await input({
+    message: 'From (e.g. 2026-03-01, yesterday, 7d; empty for all):',
+    default: '7d',
+    validate: validateHistoryDate
+  });
+  const until = await input({ message: 'Until (empty for now):', validate: validateHistoryDate });
+  const environment = await input({ message: 'Environment (empty for any):' });
+  const action = await input({ message: 'Action or command containing (e.g. delete, deploy; empty for any):' });
+  const status = await select({
+    message: 'Outcome:',
+    choices: [{ value: null, name: 'Any' }, ...HISTORY_STATUSES.map(value => ({ value, name: value }))]
+  });
+
+  const entries = await readHistory({
+    instance: scope === 'all' ? undefined : instance,
+    project: scope === 'project' ? project : undefined,
+    since: since.trim() ? parseHistoryDate(since) : undefined,
+    until: until.trim() ? parseHistoryDate(until, { end: true }) : undefined,
+    environment: environment.trim() || undefined,
+    action: action.trim() || undefined,
+    status: status || undefined
+  });
+  logAction('View History', 'N/A', `Found ${entries.length} log entries`);
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('\nNo matching log entries found.'));
+    await input({ message: 'Press Enter to continue...' });
+    return;
+  }
+
+  const rows = entries.map(historyToRow);
+  console.log(`\n${renderTable(rows.slice(0, HISTORY_PAGE_SIZE), HISTORY_COLUMNS)}`);
+  if (rows.length > HISTORY_PAGE_SIZE) {
+    console.log(chalk.gray(`\nShowing the ${HISTORY_PAGE_SIZE} most recent of ${rows.length} entries. Export them to see all.`));
+  }
+
+  let done = false;
+  while (!done) {
+    const next = await select({
+      message: 'What next?',
+      choices: [
+        { value: 'details', name: 'Show an entry in full' },
+        { value: 'csv', name: 'Export to a CSV file' },
+        { value: 'json', name: 'Export to a JSON file' },
+        { value: 'back', name: 'Back to main menu' }
+      ]
+    });
+
+    if (next === 'details') {
+      const row = await select({
+        message: 'Select an entry:',
+        choices: rows.slice(0, HISTORY_PAGE_SIZE).map(candidate => ({
+          value: candidate,
+          name: `${candidate.timestamp}  ${candidate.action}  (${candidate.status})`
+        }))
+      });
+      console.log('');
+      Object.entries(row)
+        .filter(([, value]) => value !== null)
+        .forEach(([key, value]) => console.log(`${chalk.bold(`${key}:`)} ${value}`));
+      console.log('');
+    } else if (next === 'csv' || next === 'json') {
+      const file = path.resolve(await input({ message: 'Export to:', default: `lh-history.${next}` }));
+      try {
+        await writeHistoryFile(file, rows, next);
+        console.log(chalk.green(`Exported ${rows.length} entries to ${file}`));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+      }
+    } else {
+      done = true;
+    }
+  }
 }
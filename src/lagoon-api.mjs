@@ -1,29 +1,228 @@
 import chalk from 'chalk';
-import { LagoonCommand, GitCommand, LagoonExecutor } from './command/index.mjs';
+import {
+  LagoonCommand,
+  GitCommand,
+  LagoonExecutor,
+  GraphQLExecutor,
+  parseLagoonArgs,
+  isAbortError,
+  wait,
+  LagoonError,
+  NotFoundError,
+  toLagoonError
+} from './command/index.mjs';
 import { logAction, logError } from './logger.mjs';
+import { loadConfig } from './config.mjs';
+import { assertNotProtected, resolveProtectionRules } from './protection.mjs';
+import { cachedResponse, invalidateCache } from './response-cache.mjs';
+import { redactForDisplay } from './redact.mjs';
 
 // Create a singleton executor with logger
-const executor = new LagoonExecutor({ logAction, logError });
+const executor = new LagoonExecutor({ logAction, logError }, { login: loginAfterAuthError });
+
+// Used instead of the lagoon binary for instances configured with the graphql backend
+const graphqlExecutor = new GraphQLExecutor({ logAction, logError }, { login: loginAfterAuthError });
+
+/**
+ * Backends that can run Lagoon commands: the `lagoon` binary or the Lagoon GraphQL API.
+ */
+export const BACKENDS = ['cli', 'graphql'];
+
+// `drush uli` answers in seconds, so don't let a hung SSH session block for the full default timeout
+const LOGIN_LINK_TIMEOUT = 60 * 1000;
+
+/**
+ * Creates the error thrown when an operation fails, wrapping the original error.
+ *
+ * Failed commands keep their type (see LagoonError.mjs), so callers can still tell a missing project from a rejected
+ * token. The message often quotes Lagoon's output, so tokens, passwords and login links in it are redacted.
+ *
+ * @param {string} message - The message.
+ * @param {Error} cause - The original error.
+ * @returns {Error} The error to throw: a LagoonError of the same type as the cause, or a plain Error.
+ */
+function operationError(message, cause) {
+  if (cause instanceof LagoonError) {
+    return cause.withMessage(redactForDisplay(message));
+  }
+  return new Error(redactForDisplay(message), { cause });
+}
 
 /**
  * Executes a Lagoon command securely using the LagoonExecutor.
  *
  * @param {LagoonCommand|GitCommand} command - The command to execute.
  * @param {string} action - Description of the action for logging.
+ * @param {Object} [options] - Per-command options such as `timeout`, `retries` and `signal`.
  * @returns {Promise<Object>} - Promise resolving to { stdout, stderr }.
  * @throws {Error} If the command execution fails.
  */
-export async function execCommand(command, action = 'Unknown Action') {
-  return executor.execute(command, action);
+export async function execCommand(command, action = 'Unknown Action', options = {}) {
+  const selected = await selectExecutor(command);
+  return selected.execute(command, action, options);
 }
 
 /**
- * Get all Lagoon instances from the config.
+ * Works out which backend runs Lagoon commands for an instance.
  *
- * @returns {Promise<string[]>} Array of Lagoon instance names.
+ * `LH_BACKEND` wins, then the instance's entry under `backend.instances` in the wrapper configuration, then
+ * `backend.default` (or `backend` itself when it is a string), then `cli`.
+ *
+ * @param {string|null} instance - The Lagoon instance name, or null for commands that aren't about one instance.
+ * @returns {Promise<string>} One of BACKENDS.
+ * @throws {Error} If the configured backend is unknown.
+ */
+export async function getBackend(instance) {
+  const { backend: setting } = await loadConfig();
+  const configured = typeof setting === 'string'
+    ? setting
+    : (instance && setting?.instances?.[instance]) || setting?.default;
+  const backend = process.env.LH_BACKEND || configured || 'cli';
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown backend "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Picks the executor for a command: the GraphQL executor if the command's instance uses the graphql backend and the
+ * API supports the command, otherwise the lagoon binary.
+ *
+ * @param {LagoonCommand|GitCommand} command - The command to execute.
+ * @returns {Promise<LagoonExecutor>} The executor.
+ */
+async function selectExecutor(command) {
+  if (!graphqlExecutor.supports(command)) {
+    return executor;
+  }
+  const { instance } = parseLagoonArgs(command.getArgs());
+  return (await getBackend(instance)) === 'graphql' ? graphqlExecutor : executor;
+}
+
+/**
+ * Executes a command through the LagoonExecutor, streaming its output line by line instead of buffering it.
+ *
+ * Streaming always uses the lagoon binary, whatever the instance's backend.
+ *
+ * @param {LagoonCommand|GitCommand} command - The command to execute.
+ * @param {string} action - Description of the action for logging.
+ * @param {Object} [options] - Streaming options such as `onLine`, `timeout` and `signal`.
+ * @returns {Promise<{ exitCode: number }>} - Resolves once the command has exited successfully.
+ * @throws {Error} If the command fails.
+ */
+export async function streamCommand(command, action = 'Unknown Action', options = {}) {
+  return executor.stream(command, action, options);
+}
+
+/**
+ * Updates the options of the shared executor, e.g. from global command-line flags.
+ *
+ * @param {Object} options - Executor options to set.
+ * @param {boolean} [options.dryRun] - Print and log every command instead of running it.
+ * @param {number} [options.timeout] - Default per-command timeout in milliseconds, 0 for none.
+ * @param {number} [options.retries] - How many times read-only commands are retried after a failure.
+ * @param {Cassette|null} [options.cassette] - Cassette to record results to or replay them from; null for neither.
+ */
+export function configureExecutor(options) {
+  ['dryRun', 'timeout', 'retries', 'cassette'].forEach(key => {
+    if (options[key] !== undefined) {
+      executor[key] = options[key];
+      graphqlExecutor[key] = options[key];
+    }
+  });
+}
+
+/**
+ * Cancels every Lagoon or Git command that is currently running, killing the child processes.
+ *
+ * @returns {boolean} True if there was anything to cancel.
+ */
+export function cancelRunningCommands() {
+  // Cancel both, even if the first had something to cancel
+  const cancelledCli = executor.cancelAll();
+  const cancelledGraphql = graphqlExecutor.cancelAll();
+  return cancelledCli || cancelledGraphql;
+}
+
+/**
+ * Checks whether an error was caused by a command being cancelled.
+ *
+ * @param {Error} error - The error to check, including errors wrapped by this module.
+ * @returns {boolean} True if the error is a cancellation.
+ */
+export function isCancelledError(error) {
+  return isAbortError(error);
+}
+
+/**
+ * Whether the shared executor is in dry-run mode.
+ *
+ * @returns {boolean} True if commands are only printed.
+ */
+export function isDryRun() {
+  return Boolean(executor.dryRun);
+}
+
+/**
+ * Logs in to a Lagoon instance again through the lagoon binary, which stores a fresh token in the Lagoon
+ * configuration.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @returns {Promise<void>}
+ * @throws {Error} If the login fails, e.g. because the instance doesn't accept the configured SSH key.
+ */
+export async function loginToInstance(instance) {
+  const command = new LagoonCommand()
+    .withInstance(instance)
+    .login();
+
+  try {
+    await executor.execute(command, `Refresh Token for ${instance}`, { reauthenticate: false });
+  } catch (error) {
+    throw operationError(`Failed to log in to ${instance}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Logs in again after Lagoon rejected a token, for the executors' `login` option.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @returns {Promise<boolean>} True if the login worked and the failed command should be retried.
+ */
+async function loginAfterAuthError(instance) {
+  try {
+    await loginToInstance(instance);
+    return true;
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return false;
+  }
+}
+
+/**
+ * Drops the cached environment list of a project after a change such as a deletion or deployment.
+ *
+ * Failing to do so never fails the change; the entry still expires with its TTL.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ */
+async function invalidateEnvironments(instance, project) {
+  try {
+    await invalidateCache([instance, project, 'environments']);
+  } catch (error) {
+    logError('Invalidate Cache', `${instance}/${project}/environments`, error);
+  }
+}
+
+/**
+ * Get all Lagoon instances from the config with full details.
+ *
+ * @returns {Promise<Object[]>} Array of instance configs, with `name` cleaned of any annotations.
  * @throws {Error} If the command fails or the response can't be parsed.
  */
-export async function getLagoonInstances() {
+export async function getLagoonInstancesWithDetails() {
   try {
     const command = new LagoonCommand()
       .listConfigs()
@@ -34,44 +233,55 @@ export async function getLagoonInstances() {
     // Parse the JSON output
     const configData = JSON.parse(stdout);
 
-    // Extract instance names from the JSON data and clean them
-    const instances = configData.data.map(instance => {
-      // Extract just the base name without (default)(current) or other annotations
-      const fullName = instance.name;
-      // Extract just the base name before any parentheses or whitespace
-      const baseName = fullName.split(/\s+|\(/).shift().trim();
-      return baseName;
-    });
-
-    return instances;
+    // Clean the instance names but keep the rest of the config data
+    return configData.data.map(instance => ({
+      ...instance,
+      // Extract just the base name before any parentheses or whitespace, e.g. without (default)(current)
+      name: instance.name.split(/\s+|\(/).shift().trim()
+    }));
   } catch (error) {
-    throw new Error(`Failed to get Lagoon instances: ${error.message}`);
+    throw operationError(`Failed to get Lagoon instances: ${error.message}`, error);
   }
 }
 
+/**
+ * Get all Lagoon instances from the config.
+ *
+ * @returns {Promise<string[]>} Array of Lagoon instance names.
+ * @throws {Error} If the command fails or the response can't be parsed.
+ */
+export async function getLagoonInstances() {
+  const instances = await getLagoonInstancesWithDetails();
+  return instances.map(instance => instance.name);
+}
+
 /**
  * Get all projects for a Lagoon instance with full details.
  *
+ * The response is cached (see response-cache.mjs).
+ *
  * @param {string} instance - Lagoon instance name.
  * @returns {Promise<Object[]>} Array of project details.
  * @throws {Error} If the command fails or the response can't be parsed.
  */
 export async function getProjectsWithDetails(instance) {
   try {
-    const command = new LagoonCommand()
-      .withInstance(instance)
-      .listProjects()
-      .withJsonOutput();
+    return await cachedResponse([instance, 'projects'], 'projects', async () => {
+      const command = new LagoonCommand()
+        .withInstance(instance)
+        .listProjects()
+        .withJsonOutput();
 
-    const { stdout } = await execCommand(command, `List Projects for ${instance}`);
+      const { stdout } = await execCommand(command, `List Projects for ${instance}`);
 
-    // Parse the JSON output
-    const projectsData = JSON.parse(stdout);
+      // Parse the JSON output
+      const projectsData = JSON.parse(stdout);
 
-    // Return the full project data
-    return projectsData.data;
+      // Return the full project data
+      return projectsData.data;
+    });
   } catch (error) {
-    throw new Error(`Failed to get projects for instance ${instance}: ${error.message}`);
+    throw operationError(`Failed to get projects for instance ${instance}: ${error.message}`, error);
   }
 }
 
@@ -83,18 +293,40 @@ export async function getProjectsWithDetails(instance) {
  * @throws {Error} If the command fails or the response can't be parsed.
  */
 export async function getProjects(instance) {
+  const projects = await getProjectsWithDetails(instance);
+  return projects.map(project => project.projectname);
+}
+
+/**
+ * Get all environments for a project with full details.
+ *
+ * The response is cached (see response-cache.mjs) until it expires or the project's environments are changed through
+ * this module.
+ *
+ * @param {string} instance - Lagoon instance name.
+ * @param {string} project - Project name.
+ * @returns {Promise<Object[]>} Array of environment details.
+ * @throws {Error} If the command fails or the response can't be parsed.
+ */
+export async function getEnvironmentsWithDetails(instance, project) {
   try {
-    const command = new LagoonCommand()
-      .withInstance(instance)
-      .listProjects()
-      .withJsonOutput();
+    return await cachedResponse([instance, project, 'environments'], 'environments', async () => {
+      const command = new LagoonCommand()
+        .withInstance(instance)
+        .withProject(project)
+        .listEnvironments()
+        .withJsonOutput();
+
+      const { stdout } = await execCommand(command, `List Environments for ${project}`);
 
-    const { stdout } = await execCommand(command, `List Projects for ${instance}`);
+      // Parse the JSON output
+      const environmentsData = JSON.parse(stdout);
 
-    const projectsData = JSON.parse(stdout);
-    return projectsData.data.map(project => project.projectname);
+      // Return the full environment data
+      return environmentsData.data;
+    });
   } catch (error) {
-    throw new Error(`Failed to get projects for instance ${instance}: ${error.message}`);
+    throw operationError(`Failed to get environments for project ${project}: ${error.message}`, error);
   }
 }
 
@@ -107,24 +339,56 @@ export async function getProjects(instance) {
  * @throws {Error} If the command fails or the response can't be parsed.
  */
 export async function getEnvironments(instance, project) {
-  try {
-    const command = new LagoonCommand()
-      .withInstance(instance)
-      .withProject(project)
-      .listEnvironments()
-      .withJsonOutput();
+  const environments = await getEnvironmentsWithDetails(instance, project);
+  return environments.map(env => env.name);
+}
 
-    const { stdout } = await execCommand(command, `List Environments for ${project}`);
+/**
+ * Parses the pipe-delimited table printed by Lagoon commands that have no JSON output.
+ *
+ * Header names are lowercased with whitespace removed, matching the keys Lagoon uses in its JSON output.
+ *
+ * @param {string} stdout - The raw command output, header line first.
+ * @returns {Object[]} One object per table row, keyed by header name.
+ */
+export function parsePipeTable(stdout) {
+  const lines = stdout.split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return [];
+  }
 
-    // Parse the JSON output
-    const environmentsData = JSON.parse(stdout);
+  const splitLine = line => line.split('|').map(part => part.trim());
+  const headers = splitLine(lines[0]).map(header => header.toLowerCase().replace(/\s+/g, ''));
 
-    // Extract environment names from the JSON data
-    const environments = environmentsData.data.map(env => env.name);
+  return lines.slice(1).map(line => {
+    const parts = splitLine(line);
+    return Object.fromEntries(headers.map((header, index) => [header, parts[index] ?? '']));
+  });
+}
 
-    return environments;
+/**
+ * Retrieves the users associated with a Lagoon project with all the columns Lagoon reports.
+ *
+ * The response is cached (see response-cache.mjs).
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @returns {Promise<Object[]>} An array of user rows keyed by column name.
+ * @throws {Error} If the command fails or output cannot be parsed.
+ */
+export async function getUsersWithDetails(instance, project) {
+  try {
+    return await cachedResponse([instance, project, 'users'], 'users', async () => {
+      const command = new LagoonCommand()
+        .withInstance(instance)
+        .withProject(project)
+        .listUsers();
+
+      const { stdout } = await execCommand(command, `List Users for ${project}`);
+      return parsePipeTable(stdout);
+    });
   } catch (error) {
-    throw new Error(`Failed to get environments for project ${project}: ${error.message}`);
+    throw operationError(`Failed to get users for project ${project}: ${error.message}`, error);
   }
 }
 
@@ -137,25 +401,36 @@ export async function getEnvironments(instance, project) {
  * @throws {Error} If the command fails or output cannot be parsed.
  */
 export async function getUsers(instance, project) {
-  try {
-    const command = new LagoonCommand()
-      .withInstance(instance)
-      .withProject(project)
-      .listUsers();
+  const users = await getUsersWithDetails(instance, project);
 
-    const { stdout } = await execCommand(command, `List Users for ${project}`);
-    const lines = stdout.split('\n').filter(line => line.trim() !== '');
+  // First column is the user name
+  return users.map(user => Object.values(user)[0]);
+}
 
-    // Skip the header line and extract user names
-    const users = lines.slice(1).map(line => {
-      const parts = line.split('|').map(part => part.trim());
-      return parts[0]; // First column is the user name
-    });
+/**
+ * Throws if the protected-environment policy forbids an operation on an environment.
+ *
+ * When the caller doesn't know the environment's Lagoon type and the policy has type rules for the operation, the type
+ * is looked up so production-type environments are protected whatever their name.
+ *
+ * @param {string} operation - The policy operation (delete, loginLink, drush or deploy).
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {string} [environmentType] - The environment's Lagoon type, if already known.
+ * @throws {Error} If the environment is protected.
+ */
+async function assertEnvironmentAllowed(operation, instance, project, environment, environmentType) {
+  const rules = resolveProtectionRules(await loadConfig(), operation, instance, project);
 
-    return users;
-  } catch (error) {
-    throw new Error(`Failed to get users for project ${project}: ${error.message}`);
+  let type = environmentType;
+  if (type === undefined && rules.environmentTypes.length > 0) {
+    const environments = await getEnvironmentsWithDetails(instance, project);
+    const details = environments.find(env => env.name === environment);
+    type = details ? details.environmenttype : null;
   }
+
+  await assertNotProtected(operation, { instance, project, environment, environmentType: type });
 }
 
 /**
@@ -164,19 +439,12 @@ export async function getUsers(instance, project) {
  * @param {string} instance - Name of the Lagoon instance.
  * @param {string} project - Name of the project.
  * @param {string} environment - Name of the environment to delete.
+ * @param {string} [environmentType] - The environment's Lagoon type; looked up when omitted.
  * @returns {boolean} True if the environment was deleted successfully.
  * @throws {Error} If the environment is protected or if the deletion fails.
  */
-export async function deleteEnvironment(instance, project, environment) {
-  // Check if environment is protected
-  if (
-    environment === 'production' ||
-    environment === 'master' ||
-    environment === 'develop' ||
-    environment.startsWith('project/')
-  ) {
-    throw new Error(`Cannot delete protected environment: ${environment}`);
-  }
+export async function deleteEnvironment(instance, project, environment, environmentType) {
+  await assertEnvironmentAllowed('delete', instance, project, environment, environmentType);
 
   try {
     const command = new LagoonCommand()
@@ -186,17 +454,20 @@ export async function deleteEnvironment(instance, project, environment) {
       .withForce()
       .withJsonOutput();
 
-    const { stdout } = await execCommand(command, `Delete Environment ${environment} from ${project}`);
+    const { stdout, dryRun } = await execCommand(command, `Delete Environment ${environment} from ${project}`);
 
     const response = JSON.parse(stdout);
     if (response.result === 'success') {
-      console.log(chalk.green(`Environment ${environment} deleted successfully`));
+      await invalidateEnvironments(instance, project);
+      console.error(chalk.green(dryRun
+        ? `Dry run: environment ${environment} would be deleted`
+        : `Environment ${environment} deleted successfully`));
       return true;
     } else {
       throw new Error(`Failed to delete environment ${environment}: ${response}`);
     }
   } catch (error) {
-    throw new Error(`Failed to delete environment ${environment}: ${error.message}`);
+    throw operationError(`Failed to delete environment ${environment}: ${error.message}`, error);
   }
 }
 
@@ -206,14 +477,12 @@ export async function deleteEnvironment(instance, project, environment) {
  * @param {string} instance - The Lagoon instance name.
  * @param {string} project - The Lagoon project name.
  * @param {string} environment - The environment for which to generate the login link.
+ * @param {string} [environmentType] - The environment's Lagoon type; looked up when omitted.
  * @returns {string} The generated one-time login URL.
  * @throws {Error} If the environment is protected or if the login link generation fails.
  */
-export async function generateLoginLink(instance, project, environment) {
-  // Check if environment is protected
-  if (environment === 'production' || environment === 'master') {
-    throw new Error(`Cannot generate login link for protected environment: ${environment}`);
-  }
+export async function generateLoginLink(instance, project, environment, environmentType) {
+  await assertEnvironmentAllowed('loginLink', instance, project, environment, environmentType);
 
   try {
     const command = new LagoonCommand()
@@ -222,10 +491,12 @@ export async function generateLoginLink(instance, project, environment) {
       .withEnvironment(environment)
       .ssh('drush user:unblock --uid=1 && drush uli');
 
-    const { stdout } = await execCommand(command, `Generate Login Link for ${environment} in ${project}`);
+    const { stdout } = await execCommand(command, `Generate Login Link for ${environment} in ${project}`, {
+      timeout: LOGIN_LINK_TIMEOUT
+    });
     return stdout.trim();
   } catch (error) {
-    throw new Error(`Failed to generate login link for environment ${environment}: ${error.message}`);
+    throw operationError(`Failed to generate login link for environment ${environment}: ${error.message}`, error);
   }
 }
 
@@ -274,10 +545,13 @@ export function extractPrNumber(environmentName) {
  * @param {string} instance - The Lagoon instance name.
  * @param {string} project - The project name within the Lagoon instance.
  * @param {string} environment - The environment name to clear the cache for.
+ * @param {string} [environmentType] - The environment's Lagoon type; looked up when omitted.
  * @returns {string} The trimmed output from the Drush cache clear command.
- * @throws {Error} If the cache clearing operation fails for the specified environment.
+ * @throws {Error} If the environment is protected or the cache clearing operation fails for the specified environment.
  */
-export async function clearDrupalCache(instance, project, environment) {
+export async function clearDrupalCache(instance, project, environment, environmentType) {
+  await assertEnvironmentAllowed('drush', instance, project, environment, environmentType);
+
   try {
     const command = new LagoonCommand()
       .withInstance(instance)
@@ -288,7 +562,46 @@ export async function clearDrupalCache(instance, project, environment) {
     const { stdout } = await execCommand(command, `Clear Cache for ${environment} in ${project}`);
     return stdout.trim();
   } catch (error) {
-    throw new Error(`Failed to clear cache for environment ${environment}: ${error.message}`);
+    throw operationError(`Failed to clear cache for environment ${environment}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Runs a command on a Lagoon environment over SSH, streaming its output as it runs.
+ *
+ * Intended for long-running work such as migrations, imports and `drush deploy`. The command is subject to the
+ * protection policy for drush commands.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment to run the command on.
+ * @param {string} remoteCommand - The shell command to run on the environment.
+ * @param {Object} [options] - Streaming options.
+ * @param {Function} [options.onLine] - Called with `(line, streamName)` for each output line; defaults to the
+ * terminal.
+ * @param {AbortSignal} [options.signal] - Signal that cancels the command.
+ * @param {string} [options.environmentType] - The environment's Lagoon type; looked up when omitted.
+ * @returns {Promise<{ exitCode: number }>} The exit status of the remote command.
+ * @throws {Error} If the environment is protected or the command fails.
+ */
+export async function runRemoteCommand(instance, project, environment, remoteCommand, options = {}) {
+  const { environmentType, ...streamOptions } = options;
+  await assertEnvironmentAllowed('drush', instance, project, environment, environmentType);
+
+  if (!remoteCommand || !remoteCommand.trim()) {
+    throw new Error('No remote command provided');
+  }
+
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .ssh(remoteCommand);
+
+    return await streamCommand(command, `Run Remote Command on ${environment} in ${project}`, streamOptions);
+  } catch (error) {
+    throw operationError(`Failed to run command on environment ${environment}: ${error.message}`, error);
   }
 }
 
@@ -308,14 +621,14 @@ export async function getGitBranches(gitUrl) {
 
     const command = new GitCommand().lsRemote(gitUrl);
 
-    console.log(chalk.blue(`Fetching branches from repository: ${chalk.bold(gitUrl)}`));
+    console.error(chalk.blue(`Fetching branches from repository: ${chalk.bold(gitUrl)}`));
 
     try {
       const { stdout, stderr } = await execCommand(command, `List Branches for ${gitUrl}`);
 
       // Log any warnings from stderr
       if (stderr) {
-        console.log(chalk.yellow(`Warning: ${stderr}`));
+        console.error(chalk.yellow(`Warning: ${stderr}`));
       }
 
       // Parse the branch names from the output
@@ -331,7 +644,7 @@ export async function getGitBranches(gitUrl) {
         .filter(branch => branch !== null);
 
       // Log the number of branches found
-      console.log(chalk.green(`Found ${branches.length} branches in repository`));
+      console.error(chalk.green(`Found ${branches.length} branches in repository`));
 
       return branches;
     } catch (error) {
@@ -346,7 +659,7 @@ export async function getGitBranches(gitUrl) {
     }
   } catch (error) {
     logError('List Branches', `git ls-remote ${gitUrl}`, error);
-    throw new Error(`Failed to get git branches: ${error.message}`);
+    throw operationError(`Failed to get git branches: ${error.message}`, error);
   }
 }
 
@@ -373,15 +686,28 @@ export function getSSHCommand(instance, project, environment, container = null)
   };
 }
 
+/**
+ * Returns the name Lagoon gives the environment of a branch: the branch name with slashes replaced by hyphens, so
+ * `feature/search` is deployed to `feature-search`.
+ *
+ * @param {string} branch - The branch name.
+ * @returns {string} The environment name.
+ */
+export function getBranchEnvironmentName(branch) {
+  return branch.replace(/\//g, '-');
+}
+
 /**
  * Deploys a specified branch to a Lagoon project environment.
  *
  * @param {string} instance - The Lagoon instance name.
  * @param {string} project - The project name.
  * @param {string} branch - The name of the branch to deploy.
- * @returns {{ success: true, message: string }} An object indicating successful initiation of the deployment and
- * a descriptive message.
- * @throws {Error} If the branch name is invalid, the Lagoon CLI command fails, or the deployment is unsuccessful.
+ * @returns {{ success: true, message: string, environment: string, triggeredAt: Date, dryRun: boolean }} An object
+ * indicating successful initiation of the deployment, a descriptive message, the environment being deployed and when
+ * the deployment was triggered (for watchDeployment()).
+ * @throws {Error} If the branch name is invalid, the target environment is protected, the Lagoon CLI command fails, or
+ * the deployment is unsuccessful.
  */
 export async function deployBranch(instance, project, branch) {
   try {
@@ -390,6 +716,9 @@ export async function deployBranch(instance, project, branch) {
       throw new Error('Invalid branch name. Branch names must contain only alphanumeric characters, slashes, underscores, hyphens, and periods.');
     }
 
+    const environment = getBranchEnvironmentName(branch);
+    await assertEnvironmentAllowed('deploy', instance, project, environment);
+
     const command = new LagoonCommand()
       .withInstance(instance)
       .withProject(project)
@@ -397,23 +726,631 @@ export async function deployBranch(instance, project, branch) {
       .deployBranch(branch)
       .withJsonOutput();
 
-    const { stdout } = await execCommand(command, `Deploy Branch ${branch} to ${project}`);
+    const triggeredAt = new Date();
+    const { stdout, dryRun } = await execCommand(command, `Deploy Branch ${branch} to ${project}`);
 
     // Parse the JSON response
     const response = JSON.parse(stdout);
 
     if (response.result === 'success') {
+      // A new branch gets a new environment
+      await invalidateEnvironments(instance, project);
       return {
         success: true,
-        message: `Branch ${branch} is being deployed to ${project}`
+        message: dryRun
+          ? `Dry run: branch ${branch} would be deployed to ${project}`
+          : `Branch ${branch} is being deployed to ${project}`,
+        environment,
+        triggeredAt,
+        dryRun: Boolean(dryRun)
       };
     } else if (response.result === 'error') {
-      throw new Error(`Failed to deploy branch ${branch}: ${response.message || JSON.stringify(response)}`);
+      // Lagoon reports some failures in the response instead of the exit code
+      throw toLagoonError(new Error(`Failed to deploy branch ${branch}: ${response.message || JSON.stringify(response)}`));
     } else {
       // Handle unexpected response formats
       throw new Error(`Unexpected response when deploying branch ${branch}: ${JSON.stringify(response)}`);
     }
   } catch (error) {
-    throw new Error(`Failed to deploy branch ${branch}: ${error.message}`);
+    throw operationError(`Failed to deploy branch ${branch}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Redeploys the latest deployment of an environment, whatever its deploy type.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {string} [environmentType] - The Lagoon environment type, used by the protection policy.
+ * @returns {Promise<Object>} The same result as deployBranch(), so it can be passed to watchDeployment().
+ * @throws {Error} If the environment is protected or the deployment can't be triggered.
+ */
+export async function redeployEnvironment(instance, project, environment, environmentType) {
+  await assertEnvironmentAllowed('deploy', instance, project, environment, environmentType);
+
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .withForce()
+      .deployLatest()
+      .withJsonOutput();
+
+    const triggeredAt = new Date();
+    const { stdout, dryRun } = await execCommand(command, `Redeploy Environment ${environment} in ${project}`);
+
+    const response = JSON.parse(stdout);
+    if (response.result !== 'success') {
+      throw toLagoonError(new Error(response.message || JSON.stringify(response)));
+    }
+    await invalidateEnvironments(instance, project);
+
+    return {
+      success: true,
+      message: dryRun
+        ? `Dry run: environment ${environment} would be redeployed`
+        : `Environment ${environment} is being redeployed`,
+      environment,
+      triggeredAt,
+      dryRun: Boolean(dryRun)
+    };
+  } catch (error) {
+    throw operationError(`Failed to redeploy environment ${environment}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Scopes a Lagoon variable can have.
+ */
+export const VARIABLE_SCOPES = ['build', 'runtime', 'global', 'container_registry'];
+
+// Shown in place of variable values unless they are revealed
+const MASKED_VALUE = '********';
+
+/**
+ * Masks a variable value for display.
+ *
+ * @param {string|null} value - The variable value, or null if it wasn't fetched.
+ * @returns {string} A fixed-length mask, or an empty string if the value is known to be empty.
+ */
+export function maskValue(value) {
+  return value === '' ? '' : MASKED_VALUE;
+}
+
+/**
+ * Normalises a variable returned by Lagoon so callers get consistent keys.
+ *
+ * @param {Object} variable - The raw variable data.
+ * @returns {{ name: string, value: string|null, scope: string, environment: string|null, raw: Object }} The
+ * normalised variable. `value` is null unless values were revealed; `environment` is null for project variables.
+ */
+export function normaliseVariable(variable) {
+  const get = key => {
+    const match = Object.keys(variable).find(k => k.toLowerCase() === key);
+    return match ? variable[match] : null;
+  };
+
+  return {
+    name: get('name'),
+    value: get('value'),
+    scope: String(get('scope') || '').toLowerCase(),
+    environment: get('environment') || null,
+    raw: variable
+  };
+}
+
+/**
+ * Validates a variable name and scope before they are sent to Lagoon.
+ *
+ * @param {string} name - The variable name.
+ * @param {string} scope - The variable scope.
+ * @throws {Error} If the name or scope is invalid.
+ */
+function validateVariable(name, scope) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name || '')) {
+    throw new Error('Invalid variable name. Names must start with a letter or underscore and contain only letters, numbers and underscores.');
+  }
+  if (scope !== undefined && !VARIABLE_SCOPES.includes(scope)) {
+    throw new Error(`Invalid variable scope "${scope}". Use one of: ${VARIABLE_SCOPES.join(', ')}`);
+  }
+}
+
+/**
+ * Lists the variables of a project, or of one of its environments.
+ *
+ * Values are only fetched when `reveal` is set, so they don't end up in memory or on screen by accident.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string|null} [environment] - The environment name, or null for project-level variables.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.reveal=false] - Include variable values.
+ * @returns {Promise<Object[]>} Normalised variables (see normaliseVariable()), sorted by scope and name.
+ * @throws {Error} If the command fails or the response can't be parsed.
+ */
+export async function getVariables(instance, project, environment = null, options = {}) {
+  const target = environment ? `environment ${environment}` : `project ${project}`;
+
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .listVariables(Boolean(options.reveal))
+      .withJsonOutput();
+
+    const { stdout } = await execCommand(command, `List Variables for ${target}`);
+
+    // Lagoon prints nothing at all when there are no variables
+    if (!stdout.trim()) {
+      return [];
+    }
+
+    const variablesData = JSON.parse(stdout);
+    return (variablesData.data || [])
+      .map(normaliseVariable)
+      .sort((a, b) => a.scope.localeCompare(b.scope) || a.name.localeCompare(b.name));
+  } catch (error) {
+    throw operationError(`Failed to get variables for ${target}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Adds a variable to a project or environment, or updates it if it already exists.
+ *
+ * The value is passed as a secret argument, so it is masked in the `.logs` files and on screen.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string|null} environment - The environment name, or null for a project-level variable.
+ * @param {string} name - The variable name.
+ * @param {string} value - The variable value.
+ * @param {string} scope - One of VARIABLE_SCOPES.
+ * @returns {Promise<{ success: boolean, dryRun: boolean }>} The result.
+ * @throws {Error} If the name or scope is invalid or the command fails.
+ */
+export async function setVariable(instance, project, environment, name, value, scope) {
+  const target = environment ? `environment ${environment}` : `project ${project}`;
+
+  try {
+    validateVariable(name, scope);
+
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .addVariable(name, value, scope)
+      .withJsonOutput();
+
+    const { stdout, dryRun } = await execCommand(command, `Set Variable ${name} on ${target}`);
+    assertVariableResponse(stdout);
+
+    return { success: true, dryRun: Boolean(dryRun) };
+  } catch (error) {
+    throw operationError(`Failed to set variable ${name} on ${target}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Deletes a variable from a project or environment.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string|null} environment - The environment name, or null for a project-level variable.
+ * @param {string} name - The variable name.
+ * @returns {Promise<{ success: boolean, dryRun: boolean }>} The result.
+ * @throws {Error} If the name is invalid or the command fails.
+ */
+export async function deleteVariable(instance, project, environment, name) {
+  const target = environment ? `environment ${environment}` : `project ${project}`;
+
+  try {
+    validateVariable(name);
+
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .deleteVariable(name)
+      .withForce()
+      .withJsonOutput();
+
+    const { stdout, dryRun } = await execCommand(command, `Delete Variable ${name} from ${target}`);
+    assertVariableResponse(stdout);
+
+    return { success: true, dryRun: Boolean(dryRun) };
+  } catch (error) {
+    throw operationError(`Failed to delete variable ${name} from ${target}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Throws if Lagoon reported an error for a variable change.
+ *
+ * @param {string} stdout - The JSON output of the command.
+ * @throws {Error} If the response is an error.
+ */
+function assertVariableResponse(stdout) {
+  if (!stdout.trim()) {
+    return;
+  }
+  const response = JSON.parse(stdout);
+  if (response.result && response.result !== 'success') {
+    throw toLagoonError(new Error(response.message || JSON.stringify(response)));
+  }
+}
+
+/**
+ * Deployment statuses after which Lagoon will not change a deployment any more.
+ */
+export const FINAL_DEPLOYMENT_STATUSES = ['complete', 'failed', 'cancelled'];
+
+// How far Lagoon's clock may be behind ours when matching a freshly triggered deployment
+const DEPLOYMENT_CLOCK_SKEW = 2 * 60 * 1000;
+
+/**
+ * Parses a timestamp as printed by Lagoon (`2024-05-01 10:20:30`, in UTC) or an ISO 8601 string.
+ *
+ * @param {string} value - The timestamp.
+ * @returns {Date|null} The parsed date, or null if the value is empty or invalid.
+ */
+export function parseLagoonDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  let normalised = String(value).trim().replace(' ', 'T');
+  // Lagoon omits the timezone but reports UTC
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(normalised)) {
+    normalised += 'Z';
+  }
+
+  const date = new Date(normalised);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a duration as a short human readable string, e.g. `1h 2m`, `3m 20s` or `45s`.
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${seconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Describes when a token expires, e.g. `token expires in 5h 20m` or `token expired 2h 5m ago`.
+ *
+ * @param {Date|null} expiry - The expiry, as from getTokenExpiry().
+ * @param {Date} [now] - The current time.
+ * @returns {string|null} The description, or null if the expiry is unknown.
+ */
+export function describeTokenExpiry(expiry, now = new Date()) {
+  if (!expiry) {
+    return null;
+  }
+  const remaining = expiry.getTime() - now.getTime();
+  return remaining > 0
+    ? `token expires in ${formatDuration(remaining)}`
+    : `token expired ${formatDuration(-remaining)} ago`;
+}
+
+/**
+ * Normalises a deployment returned by Lagoon so callers get consistent keys and parsed dates.
+ *
+ * @param {Object} deployment - The raw deployment data.
+ * @param {Date} [now] - The current time, used for the elapsed time of running deployments.
+ * @returns {{ name: string, status: string, buildStep: string|null, created: Date|null, started: Date|null,
+ *   completed: Date|null, elapsed: number, raw: Object }} The normalised deployment, with `elapsed` in milliseconds.
+ */
+export function normaliseDeployment(deployment, now = new Date()) {
+  // Lagoon's JSON output lowercases keys, the GraphQL API uses camelCase
+  const get = key => {
+    const match = Object.keys(deployment).find(k => k.toLowerCase() === key.toLowerCase());
+    return match ? deployment[match] : null;
+  };
+
+  const created = parseLagoonDate(get('created'));
+  const started = parseLagoonDate(get('started'));
+  const completed = parseLagoonDate(get('completed'));
+  const start = started || created;
+  const end = completed || now;
+
+  return {
+    name: get('name'),
+    status: String(get('status') || 'unknown').toLowerCase(),
+    buildStep: get('buildStep') || null,
+    created,
+    started,
+    completed,
+    elapsed: start ? end.getTime() - start.getTime() : 0,
+    raw: deployment
+  };
+}
+
+/**
+ * Checks whether a deployment status is final.
+ *
+ * @param {string} status - The deployment status.
+ * @returns {boolean} True if the deployment has finished, successfully or not.
+ */
+export function isDeploymentFinished(status) {
+  return FINAL_DEPLOYMENT_STATUSES.includes(String(status).toLowerCase());
+}
+
+/**
+ * Describes a deployment's progress in one line, e.g. `lagoon-build-abc: running (deploying) - 3m 20s`.
+ *
+ * @param {Object} deployment - A normalised deployment (see normaliseDeployment()).
+ * @returns {string} The description.
+ */
+export function describeDeployment(deployment) {
+  const buildStep = deployment.buildStep ? ` (${deployment.buildStep})` : '';
+  return `${deployment.name}: ${deployment.status}${buildStep} - ${formatDuration(deployment.elapsed)}`;
+}
+
+/**
+ * Lists the deployments of an environment, newest first.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @returns {Promise<Object[]>} Normalised deployments (see normaliseDeployment()).
+ * @throws {Error} If the command fails or the response can't be parsed.
+ */
+export async function getDeployments(instance, project, environment) {
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .listDeployments()
+      .withJsonOutput();
+
+    const { stdout } = await execCommand(command, `List Deployments for ${environment} in ${project}`);
+    const deploymentsData = JSON.parse(stdout);
+
+    return (deploymentsData.data || [])
+      .map(deployment => normaliseDeployment(deployment))
+      .sort((a, b) => (b.created?.getTime() ?? 0) - (a.created?.getTime() ?? 0));
+  } catch (error) {
+    throw operationError(`Failed to get deployments for environment ${environment}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Lists the names of an environment's deployments, to tell them apart from one that is about to be triggered.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @returns {Promise<Set<string>>} The deployment names; empty if the environment doesn't exist yet.
+ * @throws {Error} If the command fails for any other reason.
+ */
+export async function getDeploymentNames(instance, project, environment) {
+  try {
+    const deployments = await getDeployments(instance, project, environment);
+    return new Set(deployments.map(deployment => deployment.name));
+  } catch (error) {
+    // Deploying a new branch creates its environment
+    if (error instanceof NotFoundError) {
+      return new Set();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets a single deployment of an environment by name.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {string} name - The deployment name, e.g. lagoon-build-abc123.
+ * @returns {Promise<Object>} The normalised deployment (see normaliseDeployment()).
+ * @throws {Error} If the deployment doesn't exist, the command fails or the response can't be parsed.
+ */
+export async function getDeployment(instance, project, environment, name) {
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .getDeployment(name)
+      .withJsonOutput();
+
+    const { stdout } = await execCommand(command, `Get Deployment ${name} for ${environment} in ${project}`);
+    const deploymentData = JSON.parse(stdout);
+    const deployment = Array.isArray(deploymentData.data) ? deploymentData.data[0] : deploymentData.data;
+
+    if (!deployment) {
+      throw new NotFoundError(`Deployment ${name} not found`);
+    }
+    return normaliseDeployment(deployment);
+  } catch (error) {
+    throw operationError(`Failed to get deployment ${name}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Gets the build log of a deployment.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {string} name - The deployment name, e.g. lagoon-build-abc123.
+ * @returns {Promise<string>} The build log, or an empty string if Lagoon has none yet.
+ * @throws {Error} If the command fails.
+ */
+export async function getDeploymentLogs(instance, project, environment, name) {
+  try {
+    const command = new LagoonCommand()
+      .withInstance(instance)
+      .withProject(project)
+      .withEnvironment(environment)
+      .getDeployment(name)
+      .withLogs()
+      .withJsonOutput();
+
+    const { stdout } = await execCommand(command, `Get Deployment Logs ${name} for ${environment} in ${project}`);
+
+    let deploymentData;
+    try {
+      deploymentData = JSON.parse(stdout);
+    } catch {
+      // Older Lagoon CLIs print the log as plain text
+      return stdout;
+    }
+
+    const deployment = Array.isArray(deploymentData.data) ? deploymentData.data[0] : deploymentData.data;
+    const logKey = Object.keys(deployment || {}).find(key => /log/i.test(key));
+    return logKey ? deployment[logKey] || '' : '';
+  } catch (error) {
+    throw operationError(`Failed to get logs for deployment ${name}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Default pattern used when searching build logs for problems.
+ */
+export const LOG_ERROR_PATTERN = /\b(error|failed|failure|fatal|exception)\b/i;
+
+/**
+ * Finds the lines of a build log that match a pattern.
+ *
+ * @param {string} log - The build log.
+ * @param {RegExp|string} [pattern] - A regular expression, or a string matched case-insensitively. Defaults to
+ * LOG_ERROR_PATTERN.
+ * @returns {{ lineNumber: number, line: string }[]} The matching lines with their 1-based line numbers.
+ */
+export function searchLog(log, pattern = LOG_ERROR_PATTERN) {
+  const matcher = pattern instanceof RegExp
+    ? pattern
+    : new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+  return String(log || '')
+    .split('\n')
+    .map((line, index) => ({ lineNumber: index + 1, line }))
+    .filter(({ line }) => matcher.test(line));
+}
+
+/**
+ * Follows a deployment's build log, handing over new output as it arrives until the deployment finishes.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {string} name - The deployment name.
+ * @param {Object} [options] - Follow options.
+ * @param {Function} [options.onChunk] - Called with each new piece of the log. Defaults to writing to stdout.
+ * @param {number} [options.interval] - Polling interval in milliseconds. Defaults to 5 seconds.
+ * @param {AbortSignal} [options.signal] - Signal that stops following.
+ * @returns {Promise<Object>} The normalised deployment in its final state.
+ * @throws {Error} If polling fails or following is cancelled.
+ */
+export async function followDeploymentLogs(instance, project, environment, name, options = {}) {
+  const { interval = 5 * 1000, onChunk = chunk => process.stdout.write(chunk) } = options;
+  const { signal, release } = executor.trackRun(options.signal);
+  let printed = 0;
+
+  try {
+    for (;;) {
+      // Check the status first so the log fetched afterwards is complete once the deployment has finished
+      const deployment = await getDeployment(instance, project, environment, name);
+      const log = await getDeploymentLogs(instance, project, environment, name);
+
+      if (log.length > printed) {
+        onChunk(log.slice(printed));
+        printed = log.length;
+      }
+
+      if (isDeploymentFinished(deployment.status)) {
+        return deployment;
+      }
+      await wait(interval, signal);
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Polls a deployment until it reaches a final status (complete, failed or cancelled).
+ *
+ * When no deployment name is given, waits for the first deployment of the environment created at or after `since`
+ * that isn't one of the `existing` deployments, which is how a deployment that was just triggered with deployBranch()
+ * is found: pass the names from getDeploymentNames() taken before deploying, or an earlier build of the environment
+ * that Lagoon lists first could be followed instead. An environment or deployment that doesn't exist yet counts as
+ * not started, so watching the first deployment of a new branch waits for Lagoon to create it. Ctrl+C in interactive
+ * mode (via cancelRunningCommands()) or the given signal stops watching.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @param {Object} [options] - Watch options.
+ * @param {string} [options.name] - The deployment name to watch.
+ * @param {Date} [options.since] - Watch the first deployment created after this time when no name is given.
+ * @param {Iterable<string>} [options.existing] - Names of deployments to skip when no name is given.
+ * @param {number} [options.interval] - Polling interval in milliseconds. Defaults to 10 seconds.
+ * @param {number} [options.timeout] - Give up after this many milliseconds; 0 (the default) waits indefinitely.
+ * @param {Function} [options.onUpdate] - Called with the normalised deployment (or null while waiting for it to
+ * appear) after every poll.
+ * @param {AbortSignal} [options.signal] - Signal that stops watching.
+ * @returns {Promise<Object>} The normalised deployment in its final state.
+ * @throws {Error} If polling fails, the timeout expires or watching is cancelled.
+ */
+export async function watchDeployment(instance, project, environment, options = {}) {
+  const { since = new Date(0), interval = 10 * 1000, timeout = 0, onUpdate = () => {} } = options;
+  const existing = new Set(options.existing || []);
+  const { signal, release } = executor.trackRun(options.signal);
+  const startedAt = Date.now();
+  let name = options.name;
+
+  try {
+    for (;;) {
+      let deployment = null;
+      try {
+        if (name) {
+          deployment = await getDeployment(instance, project, environment, name);
+        } else {
+          const threshold = since.getTime() - DEPLOYMENT_CLOCK_SKEW;
+          const deployments = await getDeployments(instance, project, environment);
+          deployment = deployments.find(d => !existing.has(d.name) && d.created?.getTime() >= threshold) || null;
+          name = deployment ? deployment.name : null;
+        }
+      } catch (error) {
+        // Lagoon creates the environment of a new branch, and lists its deployment, a little after the deploy
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+
+      onUpdate(deployment);
+      if (deployment && isDeploymentFinished(deployment.status)) {
+        logAction('Watch Deployment', 'N/A', `Deployment ${deployment.name} finished: ${deployment.status}`);
+        return deployment;
+      }
+
+      if (timeout > 0 && Date.now() - startedAt >= timeout) {
+        throw new Error(`Timed out after ${formatDuration(timeout)} waiting for deployment of ${environment}`);
+      }
+      await wait(interval, signal);
+    }
+  } finally {
+    release();
   }
 }
@@ -1,8 +1,14 @@
 import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import {
   gitUrlToGithubUrl,
   extractPrNumber,
+  getBackend,
+  describeTokenExpiry,
 } from './lagoon-api.mjs';
+import { resetConfigCache } from './config.mjs';
 
 // Mock the execCommand function
 jest.unstable_mockModule('./command/index.mjs', () => ({
@@ -95,4 +101,64 @@ describe('Helper Functions', () => {
       expect(extractPrNumber('pr-9999')).toBe('9999');
     });
   });
+
+  describe('describeTokenExpiry', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    test('should describe the time left or since the token expired', () => {
+      expect(describeTokenExpiry(new Date('2026-03-10T17:20:00Z'), now)).toBe('token expires in 5h 20m');
+      expect(describeTokenExpiry(new Date('2026-03-10T11:45:00Z'), now)).toBe('token expired 15m 0s ago');
+    });
+
+    test('should return null when the expiry is unknown', () => {
+      expect(describeTokenExpiry(null, now)).toBeNull();
+    });
+  });
+});
+
+describe('getBackend', () => {
+  let tempDir;
+  const originalEnv = { LH_CONFIG: process.env.LH_CONFIG, LH_BACKEND: process.env.LH_BACKEND };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-backend-'));
+    process.env.LH_CONFIG = path.join(tempDir, 'config.yml');
+    delete process.env.LH_BACKEND;
+    resetConfigCache();
+  });
+
+  afterEach(async () => {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    resetConfigCache();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should use the lagoon binary by default', async () => {
+    expect(await getBackend('amazee.io')).toBe('cli');
+  });
+
+  test('should pick the backend per instance', async () => {
+    await fs.writeFile(process.env.LH_CONFIG, 'backend:\n  default: cli\n  instances:\n    amazee.io: graphql\n');
+    expect(await getBackend('amazee.io')).toBe('graphql');
+    expect(await getBackend('other')).toBe('cli');
+  });
+
+  test('should let LH_BACKEND override the configuration', async () => {
+    await fs.writeFile(process.env.LH_CONFIG, 'backend: graphql\n');
+    expect(await getBackend('amazee.io')).toBe('graphql');
+
+    process.env.LH_BACKEND = 'cli';
+    expect(await getBackend('amazee.io')).toBe('cli');
+  });
+
+  test('should reject unknown backends', async () => {
+    process.env.LH_BACKEND = 'rest';
+    await expect(getBackend('amazee.io')).rejects.toThrow('Unknown backend "rest". Use one of: cli, graphql');
+  });
 });
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { logAction, logError } from './logger.mjs';
+
+/**
+ * Returns the path of the Lagoon CLI configuration file.
+ *
+ * Uses `LH_LAGOON_CONFIG` when set, otherwise `~/.lagoon.yml`.
+ *
+ * @returns {string} Absolute path to the Lagoon configuration file.
+ */
+export function getLagoonConfigPath() {
+  return process.env.LH_LAGOON_CONFIG || path.join(os.homedir(), '.lagoon.yml');
+}
+
+/**
+ * Reads the Lagoon CLI configuration file, which lists the instances under `lagoons`.
+ *
+ * @returns {Promise<Object>} The parsed configuration.
+ * @throws {Error} If the file can't be read or parsed.
+ */
+export async function readLagoonConfig() {
+  const configPath = getLagoonConfigPath();
+  try {
+    const fileContent = await fs.readFile(configPath, 'utf8');
+    return yaml.load(fileContent) || {};
+  } catch (error) {
+    logError('Read Config', configPath, error);
+    throw new Error(`Failed to read Lagoon configuration: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Writes the Lagoon CLI configuration file.
+ *
+ * @param {Object} config - The configuration to write.
+ * @throws {Error} If the file can't be written.
+ */
+export async function writeLagoonConfig(config) {
+  const configPath = getLagoonConfigPath();
+  try {
+    const yamlString = yaml.dump(config);
+    await fs.writeFile(configPath, yamlString, 'utf8');
+    logAction('Write Config', configPath, 'Successfully updated Lagoon configuration');
+  } catch (error) {
+    logError('Write Config', configPath, error);
+    throw new Error(`Failed to write Lagoon configuration: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Gets the configuration of one Lagoon instance, such as its `graphql` URL and `token`.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @returns {Promise<Object>} The instance configuration.
+ * @throws {Error} If the configuration can't be read or doesn't have the instance.
+ */
+export async function getLagoonInstanceConfig(instance) {
+  const config = await readLagoonConfig();
+  if (!config.lagoons || !config.lagoons[instance]) {
+    throw new Error(`Lagoon instance "${instance}" not found in ${getLagoonConfigPath()}`);
+  }
+  return config.lagoons[instance];
+}
+
+/**
+ * Reads when a Lagoon token expires from its `exp` claim. Lagoon tokens are JWTs; the signature isn't checked.
+ *
+ * @param {string} token - The token from the Lagoon configuration.
+ * @returns {Date|null} The expiry, or null if the token isn't a JWT with an expiry.
+ */
+export function getTokenExpiry(token) {
+  const payload = String(token || '').split('.')[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Number.isFinite(exp) ? new Date(exp * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the expiry of the token stored for each Lagoon instance.
+ *
+ * @returns {Promise<Object<string, Date|null>>} Expiries by instance name; empty if the configuration can't be read.
+ */
+export async function getTokenExpiries() {
+  let config;
+  try {
+    config = yaml.load(await fs.readFile(getLagoonConfigPath(), 'utf8')) || {};
+  } catch {
+    // Nothing to show; commands report the missing or broken configuration themselves
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(config.lagoons || {}).map(([instance, settings]) => [instance, getTokenExpiry(settings?.token)])
+  );
+}
@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getTokenExpiry, getTokenExpiries } from './lagoon-config.mjs';
+
+/**
+ * Builds an unsigned JWT with the given claims.
+ */
+const jwt = claims => ['{"alg":"none"}', JSON.stringify(claims)]
+  .map(part => Buffer.from(part).toString('base64url'))
+  .concat('signature')
+  .join('.');
+
+describe('getTokenExpiry', () => {
+  test('should read the exp claim of a JWT', () => {
+    expect(getTokenExpiry(jwt({ sub: 'user', exp: 1773144000 }))).toEqual(new Date('2026-03-10T12:00:00Z'));
+  });
+
+  test('should return null for tokens without an expiry', () => {
+    expect(getTokenExpiry(jwt({ sub: 'user' }))).toBeNull();
+    expect(getTokenExpiry('not-a-jwt')).toBeNull();
+    expect(getTokenExpiry('a.!!!.c')).toBeNull();
+    expect(getTokenExpiry(undefined)).toBeNull();
+  });
+});
+
+describe('getTokenExpiries', () => {
+  let tempDir;
+  const originalLagoonConfig = process.env.LH_LAGOON_CONFIG;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-lagoon-config-'));
+    process.env.LH_LAGOON_CONFIG = path.join(tempDir, 'lagoon.yml');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    if (originalLagoonConfig === undefined) {
+      delete process.env.LH_LAGOON_CONFIG;
+    } else {
+      process.env.LH_LAGOON_CONFIG = originalLagoonConfig;
+    }
+  });
+
+  test('should list the token expiry of each instance', async () => {
+    await fs.writeFile(process.env.LH_LAGOON_CONFIG, [
+      'lagoons:',
+      '  amazee.io:',
+      `    token: ${jwt({ exp: 1773144000 })}`,
+      '  local:',
+      '    graphql: http://localhost:3000/graphql'
+    ].join('\n'));
+
+    expect(await getTokenExpiries()).toEqual({
+      'amazee.io': new Date('2026-03-10T12:00:00Z'),
+      local: null
+    });
+  });
+
+  test('should return nothing when there is no Lagoon configuration', async () => {
+    expect(await getTokenExpiries()).toEqual({});
+  });
+});
@@ -1,38 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import yaml from 'js-yaml';
 import chalk from 'chalk';
 import { select } from '@inquirer/prompts';
-import { execCommand } from './lagoon-api.mjs';
-import { LagoonCommand } from './command/index.mjs';
-import { logAction, logError } from './logger.mjs';
-
-// Path to the .lagoon.yml file
-const LAGOON_CONFIG_PATH = path.join('~/.lagoon.yml');
-
-// Read the Lagoon configuration file
-export async function readLagoonConfig() {
-  try {
-    const fileContent = await fs.readFile(LAGOON_CONFIG_PATH, 'utf8');
-    return yaml.load(fileContent);
-  } catch (error) {
-    logError('Read Config', LAGOON_CONFIG_PATH, error);
-    throw new Error(`Failed to read Lagoon configuration: ${error.message}`);
-  }
-}
-
-// Write the updated configuration back to the file
-async function writeLagoonConfig(config) {
-  try {
-    const yamlString = yaml.dump(config);
-    await fs.writeFile(LAGOON_CONFIG_PATH, yamlString, 'utf8');
-    logAction('Write Config', LAGOON_CONFIG_PATH, 'Successfully updated Lagoon configuration');
-  } catch (error) {
-    logError('Write Config', LAGOON_CONFIG_PATH, error);
-    throw new Error(`Failed to write Lagoon configuration: ${error.message}`);
-  }
-}
+import { loginToInstance } from './lagoon-api.mjs';
+import { logError } from './logger.mjs';
+import { readLagoonConfig, writeLagoonConfig } from './lagoon-config.mjs';
 
 // List all SSH private keys in the ~/.ssh directory
 async function listSshKeys() {
@@ -125,11 +98,7 @@ export async function refreshLagoonToken(instanceName) {
   try {
     console.log(chalk.blue(`Refreshing token for ${chalk.bold(instanceName)}...`));
 
-    const command = new LagoonCommand()
-      .withInstance(instanceName)
-      .login();
-
-    await execCommand(command, `Refresh Token for ${instanceName}`);
+    await loginToInstance(instanceName);
     console.log(chalk.green(`Successfully refreshed token for ${chalk.bold(instanceName)}`));
     return true;
   } catch (error) {
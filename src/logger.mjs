@@ -1,59 +1,261 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStateDir } from './config.mjs';
+import { redactValue } from './redact.mjs';
 
-// Get the directory name of the current module
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const LOG_DIR = path.join(__dirname, '..', '.logs');
+const MEGABYTE = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
 
-// Ensure the log directory exists
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
+/**
+ * Rotation and retention used when the `logging` section of the wrapper configuration doesn't set them.
+ */
+export const DEFAULT_LOGGING = {
+  // Start a new part once today's file reaches this many megabytes
+  maxFileSize: 10,
+  // Delete log files older than this many days
+  retentionDays: 14,
+  // Delete the oldest log files once all of them together exceed this many megabytes
+  maxTotalSize: 50
+};
+
+// Log files are named lh-YYYYMMDD.jsonl, with lh-YYYYMMDD.1.jsonl etc. for further parts of the same day
+const LOG_FILE_PATTERN = /^lh-(\d{8})(?:\.(\d+))?\.jsonl$/;
+
+let settings = { ...DEFAULT_LOGGING, dir: null };
+// The file being written to, its size so far and the day it belongs to
+let current = null;
+let pruned = false;
+let disabled = false;
+let user;
+
+/**
+ * Applies the `logging` section of the wrapper configuration.
+ *
+ * @param {Object} [options] - Logging options.
+ * @param {string} [options.dir] - Directory for log files; `~` is expanded. `LH_LOG_DIR` takes precedence.
+ * @param {number} [options.maxFileSize] - Megabytes after which a day's log continues in a new part.
+ * @param {number} [options.retentionDays] - Days after which log files are deleted.
+ * @param {number} [options.maxTotalSize] - Megabytes all log files may use together before the oldest are deleted.
+ */
+export function configureLogger(options = {}) {
+  settings = { ...DEFAULT_LOGGING, dir: null };
+  ['dir', 'maxFileSize', 'retentionDays', 'maxTotalSize'].forEach(key => {
+    if (options[key] !== undefined && options[key] !== null) {
+      settings[key] = options[key];
+    }
+  });
+  current = null;
+  pruned = false;
+  disabled = false;
 }
 
 /**
- * Returns the file path for the current day's log file in the `.logs` directory.
+ * Returns the directory log files are written to.
  *
- * The log file is named using the format `log--YYYYMMDD.txt`, where `YYYYMMDD` is the current date.
+ * Uses `LH_LOG_DIR` when set, then the configured `logging.dir`, otherwise `logs` inside the state directory.
  *
- * @returns {string} Absolute path to the log file for today.
+ * @returns {string} Absolute path to the log directory.
  */
-function getLogFilePath() {
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0].replace(/-/g, ''); // YYYYMMDD format
-  return path.join(LOG_DIR, `log--${dateStr}.txt`);
+export function getLogDir() {
+  const dir = process.env.LH_LOG_DIR || settings.dir;
+  if (!dir) {
+    return path.join(getStateDir(), 'logs');
+  }
+  return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : path.resolve(dir);
 }
 
 /**
- * Appends a timestamped action entry to the current day's log file.
+ * Lists the log files in the log directory, oldest first.
  *
- * The log entry includes the action description, executed CLI command, and an optional result string.
+ * @returns {{ file: string, day: string, part: number }[]} Each file's path, its day as YYYYMMDD (UTC) and its part
+ * number, 0 for the first part of a day. Empty if the directory doesn't exist.
+ */
+export function listLogFiles() {
+  const dir = getLogDir();
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+
+  return entries
+    .map(name => name.match(LOG_FILE_PATTERN))
+    .filter(Boolean)
+    .map(match => ({ file: path.join(dir, match[0]), day: match[1], part: Number(match[2] || 0) }))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+}
+
+/**
+ * Formats a date as YYYYMMDD in UTC, the day in log file names (see listLogFiles()) and in the entry timestamps.
  *
- * @param {string} action - Description of the action performed.
- * @param {string} command - The CLI command that was executed.
- * @param {string} [result] - Optional result or output of the command.
+ * @param {Date} date - The date.
+ * @returns {string} The day, e.g. `20240501`.
+ */
+export function formatDay(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Returns the name of the user running the wrapper, for log entries.
+ */
+function getUser() {
+  if (user === undefined) {
+    try {
+      user = os.userInfo().username;
+    } catch {
+      // No passwd entry, e.g. in some containers
+      user = process.env.USER || process.env.USERNAME || null;
+    }
+  }
+  return user;
+}
+
+/**
+ * Deletes log files past the retention age, then the oldest files while all of them together are over the size limit.
+ * The file currently written to is never deleted.
+ *
+ * @param {Date} [now] - The current time.
+ * @returns {string[]} The names of the deleted files.
  */
-export function logAction(action, command, result = null) {
-  const timestamp = new Date().toISOString(); // ISO8601 timestamp
-  const logMessage = `[${timestamp}] ACTION: ${action} | COMMAND: ${command}${result ? ` | RESULT: ${result}` : ''}\n`;
+export function pruneLogs(now = new Date()) {
+  const dir = getLogDir();
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
 
-  const logFilePath = getLogFilePath();
+  const files = entries
+    .filter(name => LOG_FILE_PATTERN.test(name))
+    .map(name => {
+      const stats = fs.statSync(path.join(dir, name));
+      return { name, size: stats.size, modified: stats.mtime.getTime() };
+    })
+    // Newest first
+    .sort((a, b) => b.modified - a.modified || b.name.localeCompare(a.name));
 
-  fs.appendFileSync(logFilePath, logMessage);
+  const deleted = [];
+  const maxAge = Number(settings.retentionDays) * DAY;
+  const maxTotal = Number(settings.maxTotalSize) * MEGABYTE;
+  let total = 0;
+  for (const file of files) {
+    total += file.size;
+    const isCurrent = current && path.basename(current.file) === file.name;
+    const tooOld = maxAge > 0 && now.getTime() - file.modified > maxAge;
+    const overSize = maxTotal > 0 && total > maxTotal;
+    if (!isCurrent && (tooOld || overSize)) {
+      fs.rmSync(path.join(dir, file.name), { force: true });
+      deleted.push(file.name);
+      total -= file.size;
+    }
+  }
+  return deleted;
 }
 
 /**
- * Logs an error entry with a timestamp, action description, command, and error message to the current day's log file.
+ * Works out which file to append to, starting a new one for a new day or once the current one is full.
  *
- * @param {string} action - Description of the action during which the error occurred.
- * @param {string} command - The CLI command that was executed.
- * @param {Error} error - The error encountered.
+ * @param {Date} now - The current time.
+ * @param {number} entrySize - Size of the entry about to be written, in bytes.
+ * @returns {string} The file to append to.
+ */
+function selectLogFile(now, entrySize) {
+  const dir = getLogDir();
+  const day = formatDay(now);
+  const maxSize = Number(settings.maxFileSize) * MEGABYTE;
+
+  if (!current || current.day !== day || path.dirname(current.file) !== dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Continue with the latest part of today's log from an earlier run
+    const parts = fs.readdirSync(dir)
+      .map(name => name.match(LOG_FILE_PATTERN))
+      .filter(match => match && match[1] === day)
+      .map(match => Number(match[2] || 0));
+    const part = parts.length > 0 ? Math.max(...parts) : 0;
+    const file = path.join(dir, `lh-${day}${part ? `.${part}` : ''}.jsonl`);
+    current = { file, day, part, size: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+  }
+
+  if (maxSize > 0 && current.size > 0 && current.size + entrySize > maxSize) {
+    const part = current.part + 1;
+    current = { file: path.join(dir, `lh-${day}.${part}.jsonl`), day, part, size: 0 };
+  }
+  return current.file;
+}
+
+/**
+ * Appends a structured entry to the log as one line of JSON.
+ *
+ * Every string in the entry is redacted first, even with --show-secrets. Logging never interrupts the wrapper: if the
+ * log directory can't be written, logging is switched off for the rest of the run after a single warning.
+ *
+ * @param {Object} entry - The entry. Fields left undefined are omitted.
+ * @param {string} entry.level - `info` or `error`.
+ * @param {string} entry.action - Description of the action.
+ * @param {string[]} [entry.argv] - The command line that ran, with secrets masked.
+ * @param {string} [entry.instance] - The Lagoon instance.
+ * @param {string} [entry.project] - The project.
+ * @param {string} [entry.environment] - The environment.
+ * @param {number|null} [entry.exitCode] - The command's exit code.
+ * @param {number} [entry.durationMs] - How long the command took.
+ * @param {Date} [now] - The time of the entry.
  */
-export function logError(action, command, error) {
-  const timestamp = new Date().toISOString(); // ISO8601 timestamp
-  const logMessage = `[${timestamp}] ERROR: ${action} | COMMAND: ${command} | ERROR: ${error.message}\n`;
+export function writeLogEntry(entry, now = new Date()) {
+  if (disabled) {
+    return;
+  }
+
+  const line = `${JSON.stringify({ timestamp: now.toISOString(), user: getUser(), ...redactValue(entry) })}\n`;
+  try {
+    const file = selectLogFile(now, Buffer.byteLength(line));
+    fs.appendFileSync(file, line);
+    current.size += Buffer.byteLength(line);
 
-  const logFilePath = getLogFilePath();
+    if (!pruned) {
+      pruned = true;
+      pruneLogs(now);
+    }
+  } catch (error) {
+    disabled = true;
+    console.error(`Logging disabled: ${error.message}`);
+  }
+}
 
-  fs.appendFileSync(logFilePath, logMessage);
+/**
+ * Logs an action. A thin wrapper around writeLogEntry().
+ *
+ * @param {string} action - Description of the action performed.
+ * @param {string} command - The command that was executed, or `N/A`.
+ * @param {string} [result] - Optional result of the action.
+ * @param {Object} [details] - Structured fields such as `argv`, `instance`, `exitCode` and `durationMs`.
+ */
+export function logAction(action, command, result = null, details = {}) {
+  writeLogEntry({
+    level: 'info',
+    action,
+    command: command && command !== 'N/A' ? command : undefined,
+    result: result ?? undefined,
+    ...details
+  });
+}
+
+/**
+ * Logs an error. A thin wrapper around writeLogEntry().
+ *
+ * @param {string} action - Description of the action during which the error occurred.
+ * @param {string} command - The command that was executed, or `N/A`.
+ * @param {Error} error - The error encountered.
+ * @param {Object} [details] - Structured fields such as `argv`, `instance`, `exitCode` and `durationMs`.
+ */
+export function logError(action, command, error, details = {}) {
+  writeLogEntry({
+    level: 'error',
+    action,
+    command: command && command !== 'N/A' ? command : undefined,
+    error: error.message,
+    ...details
+  });
 }
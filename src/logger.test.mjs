@@ -0,0 +1,165 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { configureLogger, getLogDir, logAction, logError, pruneLogs, writeLogEntry } from './logger.mjs';
+import { configureRedaction } from './redact.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads every entry from a JSON-lines log file.
+ */
+function readEntries(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('logger', () => {
+  let tempDir;
+  const originalLogDir = process.env.LH_LOG_DIR;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lh-logs-'));
+    process.env.LH_LOG_DIR = tempDir;
+    configureLogger();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalLogDir === undefined) {
+      delete process.env.LH_LOG_DIR;
+    } else {
+      process.env.LH_LOG_DIR = originalLogDir;
+    }
+    configureLogger();
+  });
+
+  test('should default to the logs directory in the XDG state directory', () => {
+    const originalStateHome = process.env.XDG_STATE_HOME;
+    delete process.env.LH_LOG_DIR;
+    process.env.XDG_STATE_HOME = '/tmp/state';
+    try {
+      expect(getLogDir()).toBe(path.join('/tmp/state', 'lagoon-cli-wrapper', 'logs'));
+      configureLogger({ dir: '~/lh-logs' });
+      expect(getLogDir()).toBe(path.join(os.homedir(), 'lh-logs'));
+    } finally {
+      if (originalStateHome === undefined) {
+        delete process.env.XDG_STATE_HOME;
+      } else {
+        process.env.XDG_STATE_HOME = originalStateHome;
+      }
+    }
+  });
+
+  test('should write structured JSON lines through logAction and logError', () => {
+    logAction('Delete Environment', 'lagoon -l amazee.io delete environment', 'Success', {
+      argv: ['lagoon', '-l', 'amazee.io', '-p', 'test-project', 'delete', 'environment', '--environment', 'pr-1'],
+      instance: 'amazee.io',
+      project: 'test-project',
+      environment: 'pr-1',
+      exitCode: 0,
+      durationMs: 812
+    });
+    logError('Select Project', 'N/A', new Error('No projects found'));
+
+    const [file] = fs.readdirSync(tempDir);
+    expect(file).toMatch(/^lh-\d{8}\.jsonl$/);
+    const [action, error] = readEntries(path.join(tempDir, file));
+    expect(action).toEqual({
+      timestamp: expect.any(String),
+      user: expect.any(String),
+      level: 'info',
+      action: 'Delete Environment',
+      command: 'lagoon -l amazee.io delete environment',
+      result: 'Success',
+      argv: ['lagoon', '-l', 'amazee.io', '-p', 'test-project', 'delete', 'environment', '--environment', 'pr-1'],
+      instance: 'amazee.io',
+      project: 'test-project',
+      environment: 'pr-1',
+      exitCode: 0,
+      durationMs: 812
+    });
+    expect(error).toEqual({
+      timestamp: expect.any(String),
+      user: expect.any(String),
+      level: 'error',
+      action: 'Select Project',
+      error: 'No projects found'
+    });
+  });
+
+  test('should redact secrets from every field, even when secrets are shown on the terminal', () => {
+    configureRedaction({ reveal: true });
+    try {
+      logAction(
+        'Generate Login Link',
+        'lagoon ssh -C drush upwd admin --password=hunter2',
+        'https://x.example.com/user/reset/1/2/3',
+        { argv: ['lagoon', 'ssh', '-C', 'drush upwd admin --password=hunter2'] }
+      );
+    } finally {
+      configureRedaction();
+    }
+
+    const [file] = fs.readdirSync(tempDir);
+    const [entry] = readEntries(path.join(tempDir, file));
+    expect(JSON.stringify(entry)).not.toContain('hunter2');
+    expect(entry.result).toBe('https://x.example.com/user/reset/****');
+    expect(entry.argv[3]).toBe('drush upwd admin --password=****');
+  });
+
+  test('should start a new file each day and a new part once a file is full', () => {
+    configureLogger({ maxFileSize: 1000 / (1024 * 1024) });
+    const day = new Date('2026-03-01T10:00:00Z');
+
+    for (let i = 0; i < 10; i++) {
+      writeLogEntry({ level: 'info', action: `Action ${i}`, result: 'x'.repeat(60) }, day);
+    }
+    writeLogEntry({ level: 'info', action: 'Next day' }, new Date('2026-03-02T10:00:00Z'));
+
+    const partOf = file => Number(file.match(/\.(\d+)\.jsonl$/)?.[1] ?? 0);
+    const parts = fs.readdirSync(tempDir)
+      .filter(file => file.startsWith('lh-20260301'))
+      .sort((a, b) => partOf(a) - partOf(b));
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts[0]).toBe('lh-20260301.jsonl');
+    parts.forEach(file => expect(fs.statSync(path.join(tempDir, file)).size).toBeLessThanOrEqual(1000));
+    const actions = parts.flatMap(file => readEntries(path.join(tempDir, file))).map(entry => entry.action);
+    expect(actions).toEqual(Array.from({ length: 10 }, (_, i) => `Action ${i}`));
+    expect(readEntries(path.join(tempDir, 'lh-20260302.jsonl'))[0].action).toBe('Next day');
+  });
+
+  test('should delete log files past the retention age or over the total size', () => {
+    const now = new Date('2026-03-20T12:00:00Z');
+    const writeOld = (name, daysAgo, size) => {
+      const file = path.join(tempDir, name);
+      fs.writeFileSync(file, 'x'.repeat(size));
+      const time = new Date(now.getTime() - daysAgo * DAY);
+      fs.utimesSync(file, time, time);
+    };
+    writeOld('lh-20260101.jsonl', 78, 10);
+    writeOld('lh-20260317.jsonl', 3, 600);
+    writeOld('lh-20260318.jsonl', 2, 600);
+    writeOld('lh-20260319.jsonl', 1, 600);
+    writeOld('notes.txt', 100, 10);
+
+    configureLogger({ retentionDays: 30, maxTotalSize: 1500 / (1024 * 1024) });
+    const deleted = pruneLogs(now);
+
+    expect(deleted.sort()).toEqual(['lh-20260101.jsonl', 'lh-20260317.jsonl']);
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['lh-20260318.jsonl', 'lh-20260319.jsonl', 'notes.txt']);
+  });
+
+  test('should switch logging off with one warning when the directory cannot be written', () => {
+    const blocker = path.join(tempDir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+    process.env.LH_LOG_DIR = blocker;
+    console.error = jest.fn();
+
+    logAction('First', 'N/A');
+    logAction('Second', 'N/A');
+
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Logging disabled'));
+  });
+});
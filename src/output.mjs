@@ -0,0 +1,93 @@
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+
+/**
+ * Output formats accepted by the global `--output` option.
+ */
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv'];
+
+/**
+ * Converts a cell value to the string shown in a table.
+ *
+ * @param {*} value - The raw value.
+ * @returns {string} The printable value, or an empty string for null/undefined.
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Renders rows as an aligned plain-text table.
+ *
+ * @param {Object[]} rows - The rows to render.
+ * @param {{ key: string, header: string }[]} [columns] - Columns to show; defaults to every key of the first row.
+ * @returns {string} The rendered table, without a trailing newline.
+ */
+export function renderTable(rows, columns = null) {
+  const tableColumns = columns || Object.keys(rows[0] || {}).map(key => ({ key, header: key.toUpperCase() }));
+
+  const cells = rows.map(row => tableColumns.map(column => toCell(row[column.key])));
+  const widths = tableColumns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map(rowCells => rowCells[index].length))
+  );
+
+  const formatLine = values => values
+    .map((value, index) => value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  const header = chalk.bold(formatLine(tableColumns.map(column => column.header)));
+  return [header, ...cells.map(formatLine)].join('\n');
+}
+
+/**
+ * Renders rows as CSV (RFC 4180), with a header line of field names.
+ *
+ * @param {Object[]} rows - The rows to render.
+ * @param {string[]} [keys] - Fields to include; defaults to every key that appears in any row.
+ * @returns {string} The CSV, without a trailing newline; empty if there are no rows and no keys.
+ */
+export function renderCsv(rows, keys = null) {
+  const fields = keys || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const quote = value => {
+    const cell = toCell(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+
+  if (fields.length === 0) {
+    return '';
+  }
+  return [fields.map(quote).join(','), ...rows.map(row => fields.map(field => quote(row[field])).join(','))].join('\n');
+}
+
+/**
+ * Formats a list result for printing in the requested output format.
+ *
+ * JSON, YAML and CSV include the full row data; the table only includes the given columns so it stays readable.
+ *
+ * @param {Object[]} rows - The rows to format.
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @param {{ key: string, header: string }[]} [columns] - Columns to show in table format.
+ * @returns {string} The formatted output.
+ * @throws {Error} If the format is not supported.
+ */
+export function formatOutput(rows, format, columns = null) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'yaml':
+      return yaml.dump(rows).trimEnd();
+    case 'csv':
+      return renderCsv(rows);
+    case 'table':
+      return renderTable(rows, columns);
+    default:
+      throw new Error(`Unsupported output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
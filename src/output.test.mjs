@@ -0,0 +1,62 @@
+import { formatOutput, renderCsv, renderTable } from './output.mjs';
+
+const rows = [
+  { name: 'develop', type: 'development', route: 'https://develop.example.com' },
+  { name: 'production', type: 'production', route: null }
+];
+
+describe('renderTable', () => {
+  test('should align columns to the widest value', () => {
+    const lines = renderTable(rows, [
+      { key: 'name', header: 'NAME' },
+      { key: 'type', header: 'TYPE' }
+    ]).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toBe('develop     development');
+    expect(lines[2]).toBe('production  production');
+  });
+
+  test('should default to every key of the first row', () => {
+    const output = renderTable(rows);
+    expect(output).toContain('ROUTE');
+    expect(output).toContain('https://develop.example.com');
+  });
+
+  test('should render only the header for empty results', () => {
+    expect(renderTable([], [{ key: 'name', header: 'NAME' }])).toContain('NAME');
+  });
+});
+
+describe('renderCsv', () => {
+  test('should include every field of every row', () => {
+    expect(renderCsv([{ name: 'develop' }, { name: 'main', route: null }]).split('\n')).toEqual([
+      'name,route',
+      'develop,',
+      'main,'
+    ]);
+  });
+
+  test('should quote values with commas, quotes and line breaks', () => {
+    const csv = renderCsv([{ command: 'drush sql:query "SELECT 1, 2"', output: 'one\ntwo' }]);
+    expect(csv).toBe('command,output\n"drush sql:query ""SELECT 1, 2""","one\ntwo"');
+  });
+});
+
+describe('formatOutput', () => {
+  test('should render JSON with every field', () => {
+    expect(JSON.parse(formatOutput(rows, 'json', [{ key: 'name', header: 'NAME' }]))).toEqual(rows);
+  });
+
+  test('should render YAML', () => {
+    expect(formatOutput(rows, 'yaml')).toContain('- name: develop');
+  });
+
+  test('should render CSV', () => {
+    expect(formatOutput(rows, 'csv').split('\n')[0]).toBe('name,type,route');
+  });
+
+  test('should throw for unknown formats', () => {
+    expect(() => formatOutput(rows, 'xml')).toThrow('Unsupported output format: xml');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Name patterns used in the wrapper configuration, e.g. for protected environments.
+ */
+
+// Compiled patterns by source, so each is only parsed once
+const compiled = new Map();
+
+/**
+ * Compiles a name pattern into a regular expression matching whole names.
+ *
+ * Patterns wrapped in slashes (`/^release-\d+$/i`) are regular expressions, patterns containing `*` or `?` are globs,
+ * and anything else must match exactly.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp} The compiled pattern.
+ * @throws {SyntaxError} If the pattern is a regular expression that isn't valid.
+ */
+export function compilePattern(pattern) {
+  if (compiled.has(pattern)) {
+    return compiled.get(pattern);
+  }
+
+  let regex;
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    // The compiled pattern is reused, so it mustn't keep state between matches
+    regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+  } else {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    regex = new RegExp(`^${source}$`);
+  }
+
+  compiled.set(pattern, regex);
+  return regex;
+}
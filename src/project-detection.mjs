@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { GitCommand } from './command/index.mjs';
+import { execCommand, getLagoonInstances, getProjectsWithDetails } from './lagoon-api.mjs';
+import { logAction } from './logger.mjs';
+import { getCacheDir } from './config.mjs';
+
+// Detected projects are remembered per remote for a day, so startup doesn't query every instance each time
+const DETECTION_CACHE_FILE = 'detected-projects.json';
+const DETECTION_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduces a git URL to `host/path`, so SSH and HTTPS remotes of the same repository compare equal.
+ *
+ * Handles scp-style (`git@github.com:org/repo.git`), `ssh://` and `https://` URLs, ignoring the user, port, `.git`
+ * suffix, trailing slashes and case.
+ *
+ * @param {string} url - The git URL.
+ * @returns {string|null} The normalised URL, e.g. `github.com/org/repo`, or null if it can't be parsed.
+ */
+export function normaliseGitUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  const value = String(url).trim();
+  let host;
+  let repoPath;
+
+  const scpMatch = !value.includes('://') && value.match(/^(?:[^@/]+@)?([^:/]+):(.+)$/);
+  if (scpMatch) {
+    host = scpMatch[1];
+    repoPath = scpMatch[2];
+  } else {
+    try {
+      const parsed = new URL(value);
+      host = parsed.hostname;
+      repoPath = parsed.pathname;
+    } catch {
+      return null;
+    }
+  }
+
+  repoPath = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/i, '');
+  if (!host || !repoPath) {
+    return null;
+  }
+  return `${host}/${repoPath}`.toLowerCase();
+}
+
+/**
+ * Finds the projects whose git URL points at the same repository as a remote.
+ *
+ * @param {string} remoteUrl - The git remote URL.
+ * @param {{ instance: string, projects: Object[] }[]} projectsByInstance - Projects of each instance, as returned by
+ * getProjectsWithDetails().
+ * @returns {{ instance: string, projectDetails: Object }[]} The matching projects.
+ */
+export function findProjectsByGitUrl(remoteUrl, projectsByInstance) {
+  const remote = normaliseGitUrl(remoteUrl);
+  if (!remote) {
+    return [];
+  }
+
+  return projectsByInstance.flatMap(({ instance, projects }) => projects
+    .filter(project => normaliseGitUrl(project.giturl) === remote)
+    .map(projectDetails => ({ instance, projectDetails })));
+}
+
+/**
+ * Finds the git repository a directory belongs to, without running git.
+ *
+ * @param {string} [directory] - The directory to start from. Defaults to the working directory.
+ * @returns {Promise<string|null>} The top-level directory of the repository, or null if there is none.
+ */
+export async function findRepositoryRoot(directory = process.cwd()) {
+  for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+    try {
+      // A directory in a normal repository, a file in worktrees and submodules
+      await fs.access(path.join(current, '.git'));
+      return current;
+    } catch {
+      if (path.dirname(current) === current) {
+        return null;
+      }
+    }
+  }
+}
+
+/**
+ * Picks the fetch URL of the `origin` remote from the output of `git remote -v`.
+ *
+ * @param {string} remotes - Lines of `<name>\t<url> (fetch|push)`.
+ * @returns {string|null} The URL, or null if there is no origin remote.
+ */
+export function parseOriginUrl(remotes) {
+  const origin = String(remotes || '').split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .find(([name, , type]) => name === 'origin' && type === '(fetch)');
+  return origin ? origin[1] : null;
+}
+
+/**
+ * Reads the URL of the `origin` remote of the git repository in the working directory.
+ *
+ * Outside a repository git isn't run at all, and a repository without an origin remote isn't an error, so starting
+ * `lh` in any directory doesn't print or log failed git commands.
+ *
+ * @returns {Promise<string|null>} The URL, or null if the working directory is not a git repository or has no origin.
+ */
+export async function getOriginUrl() {
+  if (!(await findRepositoryRoot())) {
+    return null;
+  }
+  try {
+    const command = new GitCommand().listRemotes();
+    // Failing here is unexpected but never fatal, so don't retry
+    const { stdout } = await execCommand(command, 'List Git Remotes', { retries: 0 });
+    return parseOriginUrl(stdout);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the path of the detected-projects cache file.
+ *
+ * @returns {string} Absolute path to the cache file.
+ */
+function getDetectionCachePath() {
+  return path.join(getCacheDir(), DETECTION_CACHE_FILE);
+}
+
+/**
+ * Reads the detected-projects cache. A missing or unreadable cache is treated as empty.
+ *
+ * @returns {Promise<Object>} Cache entries keyed by normalised remote URL.
+ */
+async function readDetectionCache() {
+  try {
+    return JSON.parse(await fs.readFile(getDetectionCachePath(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Stores the detected projects for a remote. Failing to write the cache never fails detection.
+ *
+ * @param {string} remote - The normalised remote URL.
+ * @param {Object[]} matches - The matching projects.
+ */
+async function writeDetectionCache(remote, matches) {
+  try {
+    const cache = await readDetectionCache();
+    cache[remote] = { detectedAt: new Date().toISOString(), matches };
+    await fs.mkdir(getCacheDir(), { recursive: true });
+    await fs.writeFile(getDetectionCachePath(), JSON.stringify(cache, null, 2), 'utf8');
+  } catch {
+    // The cache only saves time
+  }
+}
+
+/**
+ * Detects the Lagoon project of the git repository in the working directory.
+ *
+ * The `origin` remote is compared with the git URL of every project on every configured instance. Results, including
+ * "no match", are cached per remote for a day. Instances that can't be queried are skipped.
+ *
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.refresh=false] - Ignore the cache.
+ * @returns {Promise<{ remote: string, matches: { instance: string, projectDetails: Object }[], cached: boolean }|null>}
+ * The matching projects, or null if the working directory has no usable origin remote.
+ */
+export async function detectProject(options = {}) {
+  const originUrl = await getOriginUrl();
+  const remote = normaliseGitUrl(originUrl);
+  if (!remote) {
+    return null;
+  }
+
+  if (!options.refresh) {
+    const entry = (await readDetectionCache())[remote];
+    if (entry && Date.now() - new Date(entry.detectedAt).getTime() < DETECTION_CACHE_TTL) {
+      return { remote, matches: entry.matches, cached: true };
+    }
+  }
+
+  const instances = await getLagoonInstances();
+  const results = await Promise.allSettled(instances.map(async instance => ({
+    instance,
+    projects: await getProjectsWithDetails(instance)
+  })));
+  const projectsByInstance = results
+    .filter(result => result.status === 'fulfilled')
+    .map(result => result.value);
+
+  const matches = findProjectsByGitUrl(originUrl, projectsByInstance);
+  logAction('Detect Project', 'N/A', `${remote}: ${matches.length} matching project(s)`);
+
+  // Don't remember "no match" if an instance couldn't be checked
+  if (matches.length > 0 || projectsByInstance.length === instances.length) {
+    await writeDetectionCache(remote, matches);
+  }
+
+  return { remote, matches, cached: false };
+}
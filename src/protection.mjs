@@ -0,0 +1,131 @@
+import { loadConfig } from './config.mjs';
+import { compilePattern } from './patterns.mjs';
+
+/**
+ * Operations that can be guarded by the protected-environment policy.
+ */
+export const PROTECTED_OPERATIONS = ['delete', 'loginLink', 'drush', 'deploy'];
+
+// Wording used in error messages, e.g. "Cannot delete protected environment: production"
+const OPERATION_LABELS = {
+  delete: 'delete',
+  loginLink: 'generate login link for',
+  drush: 'run drush on',
+  deploy: 'deploy to'
+};
+
+/**
+ * Built-in rules, used for any operation the configuration file does not override.
+ */
+export const DEFAULT_PROTECTION_RULES = {
+  delete: {
+    environments: ['production', 'master', 'develop', 'project/*'],
+    environmentTypes: ['production']
+  },
+  loginLink: {
+    environments: ['production', 'master'],
+    environmentTypes: ['production']
+  },
+  drush: {
+    environments: [],
+    environmentTypes: []
+  },
+  deploy: {
+    environments: [],
+    environmentTypes: []
+  }
+};
+
+/**
+ * Checks whether a name matches a protection pattern.
+ *
+ * Patterns wrapped in slashes (`/^release-\d+$/i`) are regular expressions, patterns containing `*` or `?` are globs,
+ * and anything else must match exactly. Patterns from the configuration file are validated when it is loaded.
+ *
+ * @param {string} name - The environment name or type to check.
+ * @param {string} pattern - The pattern from the policy.
+ * @returns {boolean} True if the name matches.
+ * @throws {SyntaxError} If the pattern is a regular expression that isn't valid.
+ */
+export function matchesPattern(name, pattern) {
+  if (!name || !pattern) {
+    return false;
+  }
+  return compilePattern(pattern).test(name);
+}
+
+/**
+ * Resolves the rules that apply to an operation for a given instance and project.
+ *
+ * Top-level `environments` and `environmentTypes` in the `protection` section of the config each replace the built-in
+ * default of that operation; a key that isn't set keeps its default. Production-type environments therefore stay
+ * protected from deletion and login links unless `environmentTypes` is set explicitly, e.g. to `[]`. Rules under
+ * `protection.instances.<instance>` and `protection.instances.<instance>.projects.<project>` are added on top, so a
+ * project can only ever be more protected than its instance.
+ *
+ * @param {Object} config - The wrapper configuration.
+ * @param {string} operation - One of PROTECTED_OPERATIONS.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @returns {{ environments: string[], environmentTypes: string[] }} The combined rules.
+ * @throws {Error} If the operation is unknown.
+ */
+export function resolveProtectionRules(config, operation, instance, project) {
+  if (!PROTECTED_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown protected operation: ${operation}`);
+  }
+
+  const protection = (config && config.protection) || {};
+  const instanceRules = (protection.instances && protection.instances[instance]) || {};
+  const projectRules = (instanceRules.projects && instanceRules.projects[project]) || {};
+
+  const base = { ...DEFAULT_PROTECTION_RULES[operation], ...protection[operation] };
+  const layers = [base, instanceRules[operation], projectRules[operation]].filter(Boolean);
+
+  return {
+    environments: layers.flatMap(layer => layer.environments || []),
+    environmentTypes: layers.flatMap(layer => layer.environmentTypes || [])
+  };
+}
+
+/**
+ * Explains why an environment is protected for an operation.
+ *
+ * @param {Object} config - The wrapper configuration.
+ * @param {string} operation - One of PROTECTED_OPERATIONS.
+ * @param {{ instance: string, project: string, environment: string, environmentType?: string }} context - The
+ * environment being acted on. `environmentType` is Lagoon's environment type, e.g. `production`.
+ * @returns {string|null} A description of the matching rule, or null if the environment is not protected.
+ */
+export function getProtectionReason(config, operation, context) {
+  const { instance, project, environment, environmentType } = context;
+  const rules = resolveProtectionRules(config, operation, instance, project);
+
+  const typePattern = rules.environmentTypes.find(pattern => matchesPattern(environmentType, pattern));
+  if (typePattern) {
+    return `environment type "${environmentType}" is protected`;
+  }
+
+  const namePattern = rules.environments.find(pattern => matchesPattern(environment, pattern));
+  if (namePattern) {
+    return namePattern === environment ? 'environment is protected' : `matches protected pattern "${namePattern}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Throws if an environment is protected for an operation.
+ *
+ * @param {string} operation - One of PROTECTED_OPERATIONS.
+ * @param {{ instance: string, project: string, environment: string, environmentType?: string }} context - The
+ * environment being acted on.
+ * @throws {Error} If the environment is protected.
+ */
+export async function assertNotProtected(operation, context) {
+  const config = await loadConfig();
+  const reason = getProtectionReason(config, operation, context);
+  if (reason) {
+    throw new Error(`Cannot ${OPERATION_LABELS[operation]} protected environment: ${context.environment} (${reason})`);
+  }
+}
@@ -0,0 +1,107 @@
+import {
+  matchesPattern,
+  resolveProtectionRules,
+  getProtectionReason,
+  DEFAULT_PROTECTION_RULES
+} from './protection.mjs';
+
+const context = (environment, environmentType = 'development') => ({
+  instance: 'amazee.io',
+  project: 'test-project',
+  environment,
+  environmentType
+});
+
+describe('matchesPattern', () => {
+  test('should match exact names', () => {
+    expect(matchesPattern('develop', 'develop')).toBe(true);
+    expect(matchesPattern('develop-2', 'develop')).toBe(false);
+  });
+
+  test('should match glob patterns', () => {
+    expect(matchesPattern('project/foo', 'project/*')).toBe(true);
+    expect(matchesPattern('release-1.0', 'release-?.?')).toBe(true);
+    expect(matchesPattern('feature/project/foo', 'project/*')).toBe(false);
+  });
+
+  test('should match regular expressions', () => {
+    expect(matchesPattern('UAT', '/^uat$/i')).toBe(true);
+    expect(matchesPattern('pr-12', '/^release-\\d+$/')).toBe(false);
+  });
+
+  test('should not match empty names', () => {
+    expect(matchesPattern(null, 'production')).toBe(false);
+    expect(matchesPattern('', '*')).toBe(false);
+  });
+});
+
+describe('resolveProtectionRules', () => {
+  test('should use the defaults when nothing is configured', () => {
+    expect(resolveProtectionRules({}, 'delete', 'amazee.io', 'test-project')).toEqual(DEFAULT_PROTECTION_RULES.delete);
+  });
+
+  test('should let top-level rules replace the defaults', () => {
+    const config = { protection: { loginLink: { environments: ['uat'], environmentTypes: ['staging'] } } };
+    expect(resolveProtectionRules(config, 'loginLink', 'amazee.io', 'test-project')).toEqual({
+      environments: ['uat'],
+      environmentTypes: ['staging']
+    });
+  });
+
+  test('should keep protecting production-type environments when only patterns are configured', () => {
+    const config = { protection: { delete: { environments: ['uat'] } } };
+    expect(resolveProtectionRules(config, 'delete', 'amazee.io', 'test-project')).toEqual({
+      environments: ['uat'],
+      environmentTypes: ['production']
+    });
+    expect(getProtectionReason(config, 'delete', context('live', 'production')))
+      .toBe('environment type "production" is protected');
+  });
+
+  test('should only stop protecting production-type environments when told to explicitly', () => {
+    const config = { protection: { delete: { environments: ['uat'], environmentTypes: [] } } };
+    expect(getProtectionReason(config, 'delete', context('live', 'production'))).toBeNull();
+  });
+
+  test('should add instance and project rules on top', () => {
+    const config = {
+      protection: {
+        instances: {
+          'amazee.io': {
+            deploy: { environments: ['main'] },
+            projects: {
+              'test-project': { deploy: { environments: ['/^release-/'] } }
+            }
+          }
+        }
+      }
+    };
+    expect(resolveProtectionRules(config, 'deploy', 'amazee.io', 'test-project').environments)
+      .toEqual(['main', '/^release-/']);
+    expect(resolveProtectionRules(config, 'deploy', 'amazee.io', 'other-project').environments).toEqual(['main']);
+    expect(resolveProtectionRules(config, 'deploy', 'other.io', 'test-project').environments).toEqual([]);
+  });
+
+  test('should reject unknown operations', () => {
+    expect(() => resolveProtectionRules({}, 'format', 'amazee.io', 'test-project')).toThrow('Unknown protected operation');
+  });
+});
+
+describe('getProtectionReason', () => {
+  test('should protect the default environments from deletion', () => {
+    expect(getProtectionReason({}, 'delete', context('develop'))).toBe('environment is protected');
+    expect(getProtectionReason({}, 'delete', context('project/foo'))).toBe('matches protected pattern "project/*"');
+    expect(getProtectionReason({}, 'delete', context('pr-12'))).toBeNull();
+  });
+
+  test('should protect production-type environments whatever their name', () => {
+    expect(getProtectionReason({}, 'delete', context('live', 'production')))
+      .toBe('environment type "production" is protected');
+    expect(getProtectionReason({}, 'loginLink', context('live', 'production'))).not.toBeNull();
+  });
+
+  test('should allow drush and deploy by default', () => {
+    expect(getProtectionReason({}, 'drush', context('production', 'production'))).toBeNull();
+    expect(getProtectionReason({}, 'deploy', context('master'))).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getCacheDir, loadConfig } from './config.mjs';
+
+/**
+ * How long list responses are cached by default, in seconds, keyed by the kind of list.
+ */
+export const DEFAULT_CACHE_TTLS = {
+  projects: 60 * 60,
+  environments: 5 * 60,
+  users: 15 * 60
+};
+
+// Bypassed with --no-cache or LH_NO_CACHE=1
+let cacheEnabled = !['1', 'true', 'yes', 'on'].includes(String(process.env.LH_NO_CACHE || '').toLowerCase());
+// Off while replaying a cassette, so recorded responses never end up in the real cache
+let storeEnabled = true;
+
+/**
+ * Turns reading from the response cache on or off, e.g. from the `--no-cache` flag. Fresh responses are still stored
+ * while reading is off, so the next cached run sees them, unless storing is turned off too.
+ *
+ * @param {Object} options - Cache options.
+ * @param {boolean} [options.enabled] - Whether cached responses may be used.
+ * @param {boolean} [options.store] - Whether fresh responses are stored.
+ */
+export function configureResponseCache(options) {
+  if (options.enabled !== undefined) {
+    cacheEnabled = options.enabled;
+  }
+  if (options.store !== undefined) {
+    storeEnabled = options.store;
+  }
+}
+
+/**
+ * Returns the directory holding cached list responses.
+ *
+ * @returns {string} Absolute path to the response cache directory.
+ */
+export function getResponseCacheDir() {
+  return path.join(getCacheDir(), 'responses');
+}
+
+/**
+ * Turns a cache key into a path inside the response cache directory, one path segment per key part.
+ *
+ * @param {string[]} key - The key, e.g. `['amazee.io', 'test-project', 'environments']`.
+ * @returns {string} The path, without extension.
+ */
+function getKeyPath(key) {
+  // Escape a leading dot so parts like ".." stay inside the cache directory
+  const segments = key.map(part => encodeURIComponent(part).replace(/^\./, '%2E'));
+  return path.join(getResponseCacheDir(), ...segments);
+}
+
+/**
+ * Works out how long responses of a kind may be cached, from the `cache` section of the wrapper configuration.
+ *
+ * @param {string} kind - One of the DEFAULT_CACHE_TTLS keys.
+ * @returns {Promise<number>} The TTL in milliseconds; 0 when caching is off for this kind.
+ */
+async function getTtl(kind) {
+  const { cache = {} } = await loadConfig();
+  if (cache.enabled === false) {
+    return 0;
+  }
+  const seconds = Number(cache.ttl?.[kind] ?? DEFAULT_CACHE_TTLS[kind] ?? 0);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Returns a cached response if it is younger than the TTL, otherwise loads and caches a fresh one.
+ *
+ * A missing or unreadable cache entry is treated as a miss, and failing to store a response never fails the call.
+ *
+ * @param {string[]} key - The cache key: instance, then project where there is one, then the list, e.g.
+ * `['amazee.io', 'test-project', 'environments']`.
+ * @param {string} kind - The kind of list, selecting the TTL.
+ * @param {function(): Promise<*>} load - Loads the response from Lagoon. The result must be JSON-serialisable.
+ * @returns {Promise<*>} The cached or fresh response.
+ */
+export async function cachedResponse(key, kind, load) {
+  const ttl = await getTtl(kind);
+  const file = `${getKeyPath(key)}.json`;
+
+  if (cacheEnabled && ttl > 0) {
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (Date.now() - new Date(entry.storedAt).getTime() < ttl) {
+        return entry.value;
+      }
+    } catch {
+      // Not cached yet
+    }
+  }
+
+  const value = await load();
+
+  if (storeEnabled && ttl > 0) {
+    try {
+      // Write then rename, so a concurrent run never reads a half-written entry
+      const temporaryFile = `${file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(temporaryFile, JSON.stringify({ storedAt: new Date().toISOString(), value }), 'utf8');
+      await fs.rename(temporaryFile, file);
+    } catch {
+      // The cache only saves time
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Removes cached responses whose key starts with the given parts, e.g. everything cached for a project.
+ *
+ * @param {string[]} [keyPrefix] - The key prefix; an empty prefix clears the whole cache.
+ * @returns {Promise<void>}
+ */
+export async function invalidateCache(keyPrefix = []) {
+  const keyPath = getKeyPath(keyPrefix);
+  await fs.rm(keyPath, { recursive: true, force: true });
+  if (keyPrefix.length > 0) {
+    await fs.rm(`${keyPath}.json`, { force: true });
+  }
+}
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resetConfigCache } from './config.mjs';
+import { cachedResponse, invalidateCache, configureResponseCache } from './response-cache.mjs';
+
+describe('response cache', () => {
+  let tempDir;
+  const originalEnv = { LH_CACHE_DIR: process.env.LH_CACHE_DIR, LH_CONFIG: process.env.LH_CONFIG };
+
+  const writeConfig = content => fs.writeFile(process.env.LH_CONFIG, content);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-cache-'));
+    process.env.LH_CACHE_DIR = tempDir;
+    process.env.LH_CONFIG = path.join(tempDir, 'config.yml');
+    resetConfigCache();
+    configureResponseCache({ enabled: true });
+  });
+
+  afterEach(async () => {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    resetConfigCache();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should return the cached response within the TTL', async () => {
+    const load = jest.fn().mockResolvedValueOnce(['first']).mockResolvedValueOnce(['second']);
+
+    expect(await cachedResponse(['amazee.io', 'projects'], 'projects', load)).toEqual(['first']);
+    expect(await cachedResponse(['amazee.io', 'projects'], 'projects', load)).toEqual(['first']);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep entries apart by key', async () => {
+    await cachedResponse(['amazee.io', 'site-a', 'environments'], 'environments', async () => ['a']);
+    expect(await cachedResponse(['amazee.io', 'site-b', 'environments'], 'environments', async () => ['b']))
+      .toEqual(['b']);
+  });
+
+  test('should reload invalidated entries', async () => {
+    const load = jest.fn().mockResolvedValueOnce(['first']).mockResolvedValueOnce(['second']);
+    const otherLoad = jest.fn().mockResolvedValue(['users']);
+    await cachedResponse(['amazee.io', 'site-a', 'environments'], 'environments', load);
+    await cachedResponse(['amazee.io', 'site-a', 'users'], 'users', otherLoad);
+
+    await invalidateCache(['amazee.io', 'site-a', 'environments']);
+
+    expect(await cachedResponse(['amazee.io', 'site-a', 'environments'], 'environments', load)).toEqual(['second']);
+    await cachedResponse(['amazee.io', 'site-a', 'users'], 'users', otherLoad);
+    expect(otherLoad).toHaveBeenCalledTimes(1);
+  });
+
+  test('should invalidate everything under a key prefix', async () => {
+    const load = jest.fn().mockResolvedValue([]);
+    await cachedResponse(['amazee.io', 'projects'], 'projects', load);
+    await cachedResponse(['amazee.io', 'site-a', 'users'], 'users', load);
+
+    await invalidateCache(['amazee.io']);
+
+    await cachedResponse(['amazee.io', 'projects'], 'projects', load);
+    await cachedResponse(['amazee.io', 'site-a', 'users'], 'users', load);
+    expect(load).toHaveBeenCalledTimes(4);
+  });
+
+  test('should not read the cache when it is turned off, but still store fresh responses', async () => {
+    await cachedResponse(['amazee.io', 'projects'], 'projects', async () => ['stale']);
+
+    configureResponseCache({ enabled: false });
+    expect(await cachedResponse(['amazee.io', 'projects'], 'projects', async () => ['fresh'])).toEqual(['fresh']);
+
+    configureResponseCache({ enabled: true });
+    expect(await cachedResponse(['amazee.io', 'projects'], 'projects', async () => ['newer'])).toEqual(['fresh']);
+  });
+
+  test('should use the TTLs from the configuration', async () => {
+    await writeConfig('cache:\n  ttl:\n    environments: 0\n');
+    const load = jest.fn().mockResolvedValue([]);
+
+    await cachedResponse(['amazee.io', 'site-a', 'environments'], 'environments', load);
+    await cachedResponse(['amazee.io', 'site-a', 'environments'], 'environments', load);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep keys inside the cache directory', async () => {
+    await cachedResponse(['..', 'projects'], 'projects', async () => []);
+    expect(await fs.readdir(tempDir)).toEqual(['responses']);
+  });
+});
@@ -0,0 +1,149 @@
+import { getLagoonInstances, getProjectsWithDetails, getEnvironmentsWithDetails } from './lagoon-api.mjs';
+
+/**
+ * Columns of search results, in display order.
+ */
+export const SEARCH_COLUMNS = [
+  { key: 'match', header: 'MATCH' },
+  { key: 'instance', header: 'INSTANCE' },
+  { key: 'project', header: 'PROJECT' },
+  { key: 'environment', header: 'ENVIRONMENT' },
+  { key: 'route', header: 'ROUTE' }
+];
+
+// How many environment lookups run at once on each instance; every lookup starts a lagoon process
+const ENVIRONMENT_LOOKUP_CONCURRENCY = 4;
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight.
+ *
+ * @param {Array} items - The items.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {function(*): Promise<*>} fn - The function to run for each item.
+ * @returns {Promise<PromiseSettledResult[]>} The settled result for each item, in item order.
+ */
+export async function mapSettledWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Finds the projects, environments and routes of one instance that contain a search term.
+ *
+ * An environment whose name matches is reported as an `environment` match; otherwise it is reported as a `route`
+ * match if its route matches.
+ *
+ * @param {string} term - The search term; matching ignores case.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {Object[]} projects - The instance's projects, from getProjectsWithDetails().
+ * @param {Map<string, Object[]>} environmentsByProject - Each project's environments, from
+ * getEnvironmentsWithDetails(). Projects that are missing are only matched by name.
+ * @returns {Object[]} The matches, each with `match`, `instance`, `project`, `environment`, `route` and the
+ * `projectDetails` needed to open the project.
+ */
+export function findMatches(term, instance, projects, environmentsByProject) {
+  const needle = term.toLowerCase();
+  const contains = value => typeof value === 'string' && value.toLowerCase().includes(needle);
+  const matches = [];
+
+  projects.forEach(projectDetails => {
+    const project = projectDetails.projectname;
+    if (contains(project)) {
+      matches.push({ match: 'project', instance, project, environment: '', route: '', projectDetails });
+    }
+
+    (environmentsByProject.get(project) || []).forEach(environment => {
+      const match = contains(environment.name) ? 'environment' : contains(environment.route) ? 'route' : null;
+      if (match) {
+        matches.push({
+          match,
+          instance,
+          project,
+          environment: environment.name,
+          route: environment.route || '',
+          projectDetails
+        });
+      }
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Searches one instance: loads its projects, then the environments of every project.
+ *
+ * @param {string} term - The search term.
+ * @param {string} instance - The Lagoon instance name.
+ * @returns {Promise<{ matches: Object[], failed: { source: string, error: Error }[] }>} The matches, and the projects
+ * whose environments couldn't be loaded.
+ * @throws {Error} If the instance's projects can't be loaded.
+ */
+async function searchInstance(term, instance) {
+  const projects = await getProjectsWithDetails(instance);
+  const results = await mapSettledWithConcurrency(
+    projects,
+    ENVIRONMENT_LOOKUP_CONCURRENCY,
+    project => getEnvironmentsWithDetails(instance, project.projectname)
+  );
+
+  const environmentsByProject = new Map();
+  const failed = [];
+  results.forEach((result, index) => {
+    const project = projects[index].projectname;
+    if (result.status === 'fulfilled') {
+      environmentsByProject.set(project, result.value);
+    } else {
+      failed.push({ source: `${instance}/${project}`, error: result.reason });
+    }
+  });
+
+  return { matches: findMatches(term, instance, projects, environmentsByProject), failed };
+}
+
+/**
+ * Searches the projects, environments and routes of every configured Lagoon instance.
+ *
+ * Instances are searched in parallel. An instance or project that can't be queried doesn't fail the search; it is
+ * reported in `failed` instead.
+ *
+ * @param {string} term - The search term; matching ignores case.
+ * @returns {Promise<{ matches: Object[], failed: { source: string, error: Error }[] }>} The matches, grouped by
+ * instance in getLagoonInstances() order, and what couldn't be searched.
+ * @throws {Error} If the term is empty or the instances can't be listed.
+ */
+export async function searchAllInstances(term) {
+  if (!term || !term.trim()) {
+    throw new Error('Search term must not be empty');
+  }
+
+  const instances = await getLagoonInstances();
+  const results = await Promise.allSettled(instances.map(instance => searchInstance(term.trim(), instance)));
+
+  const matches = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      matches.push(...result.value.matches);
+      failed.push(...result.value.failed);
+    } else {
+      failed.push({ source: instances[index], error: result.reason });
+    }
+  });
+
+  return { matches, failed };
+}
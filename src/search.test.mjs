@@ -0,0 +1,46 @@
+import { findMatches, mapSettledWithConcurrency } from './search.mjs';
+
+describe('findMatches', () => {
+  const projects = [{ projectname: 'shop' }, { projectname: 'blog' }];
+  const environmentsByProject = new Map([
+    ['shop', [{ name: 'main', route: 'https://www.shop.example.com' }]],
+    ['blog', [
+      { name: 'main', route: 'https://blog.example.com' },
+      { name: 'feature-shop', route: 'https://feature-shop.blog.example.com' }
+    ]]
+  ]);
+
+  test('should match project names, environment names and routes, ignoring case', () => {
+    const matches = findMatches('Shop', 'amazee.io', projects, environmentsByProject);
+    expect(matches.map(({ match, project, environment }) => [match, project, environment])).toEqual([
+      ['project', 'shop', ''],
+      ['route', 'shop', 'main'],
+      ['environment', 'blog', 'feature-shop']
+    ]);
+    expect(matches[0]).toMatchObject({ instance: 'amazee.io', projectDetails: projects[0] });
+  });
+
+  test('should match projects whose environments are unknown by name only', () => {
+    expect(findMatches('main', 'amazee.io', projects, new Map())).toEqual([]);
+  });
+});
+
+describe('mapSettledWithConcurrency', () => {
+  test('should limit the calls in flight and keep item order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapSettledWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5 * (6 - item)));
+      running--;
+      if (item === 3) {
+        throw new Error('failed');
+      }
+      return item * 10;
+    });
+
+    expect(maxRunning).toBe(2);
+    expect(results.map(result => result.value ?? result.reason.message)).toEqual([10, 20, 'failed', 40, 50]);
+  });
+});
@@ -0,0 +1,189 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfigDir } from './config.mjs';
+
+const STATE_FILE = 'state.json';
+
+// How many recently used projects are remembered
+export const MAX_RECENT_PROJECTS = 10;
+
+/**
+ * Returns an empty session state.
+ *
+ * @returns {{ lastSession: Object|null, recentProjects: Object[], favouriteProjects: Object[],
+ * favouriteEnvironments: Object[] }} The state.
+ */
+export function createEmptyState() {
+  return {
+    lastSession: null,
+    recentProjects: [],
+    favouriteProjects: [],
+    favouriteEnvironments: []
+  };
+}
+
+/**
+ * Returns the path of the session state file.
+ *
+ * @returns {string} Absolute path to `state.json` inside the configuration directory.
+ */
+export function getStatePath() {
+  return path.join(getConfigDir(), STATE_FILE);
+}
+
+/**
+ * Loads the session state: the last instance and project, recently used projects and favourites.
+ *
+ * A missing or unreadable file yields an empty state, so a corrupt file never blocks startup.
+ *
+ * @returns {Promise<Object>} The state.
+ */
+export async function loadState() {
+  try {
+    const state = JSON.parse(await fs.readFile(getStatePath(), 'utf8'));
+    return { ...createEmptyState(), ...state };
+  } catch {
+    return createEmptyState();
+  }
+}
+
+/**
+ * Saves the session state.
+ *
+ * @param {Object} state - The state.
+ * @throws {Error} If the file cannot be written.
+ */
+export async function saveState(state) {
+  try {
+    await fs.mkdir(getConfigDir(), { recursive: true });
+    await fs.writeFile(getStatePath(), JSON.stringify(state, null, 2), 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to save session state: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Loads the session state, applies a change and saves the result.
+ *
+ * @param {function(Object): Object} change - Returns the new state for the current one.
+ * @returns {Promise<Object>} The new state.
+ * @throws {Error} If the file cannot be written.
+ */
+export async function updateState(change) {
+  const state = change(await loadState());
+  await saveState(state);
+  return state;
+}
+
+const sameProject = (a, b) => a.instance === b.instance && a.project === b.project;
+const sameEnvironment = (a, b) => sameProject(a, b) && a.environment === b.environment;
+
+/**
+ * Records that a project was opened: it becomes the last session and moves to the top of the recent projects.
+ *
+ * @param {Object} state - The current state.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {Date} [now] - The current time.
+ * @returns {Object} The new state.
+ */
+export function recordProjectUse(state, instance, project, now = new Date()) {
+  const entry = { instance, project };
+  return {
+    ...state,
+    lastSession: entry,
+    recentProjects: [
+      { ...entry, usedAt: now.toISOString() },
+      ...state.recentProjects.filter(recent => !sameProject(recent, entry))
+    ].slice(0, MAX_RECENT_PROJECTS)
+  };
+}
+
+/**
+ * Checks whether a project is a favourite.
+ *
+ * @param {Object} state - The state.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @returns {boolean} True if the project is pinned.
+ */
+export function isFavouriteProject(state, instance, project) {
+  return state.favouriteProjects.some(favourite => sameProject(favourite, { instance, project }));
+}
+
+/**
+ * Pins a project, or unpins it if it is already a favourite.
+ *
+ * @param {Object} state - The current state.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @returns {Object} The new state.
+ */
+export function toggleFavouriteProject(state, instance, project) {
+  const entry = { instance, project };
+  return {
+    ...state,
+    favouriteProjects: isFavouriteProject(state, instance, project)
+      ? state.favouriteProjects.filter(favourite => !sameProject(favourite, entry))
+      : [...state.favouriteProjects, entry]
+  };
+}
+
+/**
+ * Checks whether an environment is a favourite.
+ *
+ * @param {Object} state - The state.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @returns {boolean} True if the environment is pinned.
+ */
+export function isFavouriteEnvironment(state, instance, project, environment) {
+  return state.favouriteEnvironments.some(favourite => sameEnvironment(favourite, { instance, project, environment }));
+}
+
+/**
+ * Pins an environment, or unpins it if it is already a favourite.
+ *
+ * @param {Object} state - The current state.
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string} environment - The environment name.
+ * @returns {Object} The new state.
+ */
+export function toggleFavouriteEnvironment(state, instance, project, environment) {
+  const entry = { instance, project, environment };
+  return {
+    ...state,
+    favouriteEnvironments: isFavouriteEnvironment(state, instance, project, environment)
+      ? state.favouriteEnvironments.filter(favourite => !sameEnvironment(favourite, entry))
+      : [...state.favouriteEnvironments, entry]
+  };
+}
+
+/**
+ * Orders an instance's project names for selection: favourites first, then recently used projects, most recent
+ * first, then the rest in their original order.
+ *
+ * @param {string[]} projects - The project names.
+ * @param {Object} state - The state.
+ * @param {string} instance - The Lagoon instance name.
+ * @returns {string[]} A sorted copy of the project names.
+ */
+export function rankProjects(projects, state, instance) {
+  const recent = state.recentProjects
+    .filter(entry => entry.instance === instance)
+    .map(entry => entry.project);
+
+  const rank = project => {
+    if (isFavouriteProject(state, instance, project)) {
+      return 0;
+    }
+    return recent.includes(project) ? 1 + recent.indexOf(project) : Infinity;
+  };
+
+  return projects
+    .map((project, index) => ({ project, index, rank: rank(project) }))
+    .sort((a, b) => (a.rank === b.rank ? a.index - b.index : a.rank - b.rank))
+    .map(entry => entry.project);
+}
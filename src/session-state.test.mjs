@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createEmptyState,
+  loadState,
+  updateState,
+  recordProjectUse,
+  toggleFavouriteProject,
+  isFavouriteProject,
+  toggleFavouriteEnvironment,
+  isFavouriteEnvironment,
+  rankProjects,
+  MAX_RECENT_PROJECTS
+} from './session-state.mjs';
+
+describe('recordProjectUse', () => {
+  const now = new Date('2024-06-15T12:00:00Z');
+
+  test('should set the last session and move the project to the top of the recent projects', () => {
+    let state = createEmptyState();
+    state = recordProjectUse(state, 'amazee.io', 'site-a', now);
+    state = recordProjectUse(state, 'amazee.io', 'site-b', now);
+    state = recordProjectUse(state, 'amazee.io', 'site-a', now);
+
+    expect(state.lastSession).toEqual({ instance: 'amazee.io', project: 'site-a' });
+    expect(state.recentProjects).toEqual([
+      { instance: 'amazee.io', project: 'site-a', usedAt: now.toISOString() },
+      { instance: 'amazee.io', project: 'site-b', usedAt: now.toISOString() }
+    ]);
+  });
+
+  test('should keep a limited number of recent projects', () => {
+    let state = createEmptyState();
+    for (let i = 0; i < MAX_RECENT_PROJECTS + 5; i++) {
+      state = recordProjectUse(state, 'amazee.io', `site-${i}`, now);
+    }
+    expect(state.recentProjects).toHaveLength(MAX_RECENT_PROJECTS);
+    expect(state.recentProjects[0].project).toBe(`site-${MAX_RECENT_PROJECTS + 4}`);
+  });
+});
+
+describe('favourites', () => {
+  test('should pin and unpin projects per instance', () => {
+    let state = toggleFavouriteProject(createEmptyState(), 'amazee.io', 'site-a');
+    expect(isFavouriteProject(state, 'amazee.io', 'site-a')).toBe(true);
+    expect(isFavouriteProject(state, 'other', 'site-a')).toBe(false);
+
+    state = toggleFavouriteProject(state, 'amazee.io', 'site-a');
+    expect(isFavouriteProject(state, 'amazee.io', 'site-a')).toBe(false);
+  });
+
+  test('should pin and unpin environments per project', () => {
+    let state = toggleFavouriteEnvironment(createEmptyState(), 'amazee.io', 'site-a', 'main');
+    expect(isFavouriteEnvironment(state, 'amazee.io', 'site-a', 'main')).toBe(true);
+    expect(isFavouriteEnvironment(state, 'amazee.io', 'site-b', 'main')).toBe(false);
+
+    state = toggleFavouriteEnvironment(state, 'amazee.io', 'site-a', 'main');
+    expect(state.favouriteEnvironments).toEqual([]);
+  });
+});
+
+describe('rankProjects', () => {
+  test('should list favourites, then recent projects, then the rest', () => {
+    let state = createEmptyState();
+    state = recordProjectUse(state, 'amazee.io', 'site-c');
+    state = recordProjectUse(state, 'other', 'site-e');
+    state = recordProjectUse(state, 'amazee.io', 'site-b');
+    state = toggleFavouriteProject(state, 'amazee.io', 'site-d');
+
+    expect(rankProjects(['site-a', 'site-b', 'site-c', 'site-d', 'site-e'], state, 'amazee.io'))
+      .toEqual(['site-d', 'site-b', 'site-c', 'site-a', 'site-e']);
+  });
+});
+
+describe('loadState and updateState', () => {
+  let configDir;
+  const originalConfigDir = process.env.LH_CONFIG_DIR;
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-state-'));
+    process.env.LH_CONFIG_DIR = path.join(configDir, 'nested');
+  });
+
+  afterEach(async () => {
+    if (originalConfigDir === undefined) {
+      delete process.env.LH_CONFIG_DIR;
+    } else {
+      process.env.LH_CONFIG_DIR = originalConfigDir;
+    }
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  test('should return an empty state when there is no state file', async () => {
+    expect(await loadState()).toEqual(createEmptyState());
+  });
+
+  test('should save the state in the configuration directory', async () => {
+    await updateState(state => toggleFavouriteProject(state, 'amazee.io', 'site-a'));
+
+    const saved = JSON.parse(await fs.readFile(path.join(configDir, 'nested', 'state.json'), 'utf8'));
+    expect(saved.favouriteProjects).toEqual([{ instance: 'amazee.io', project: 'site-a' }]);
+    expect(isFavouriteProject(await loadState(), 'amazee.io', 'site-a')).toBe(true);
+  });
+
+  test('should ignore a corrupt state file', async () => {
+    await fs.mkdir(path.join(configDir, 'nested'));
+    await fs.writeFile(path.join(configDir, 'nested', 'state.json'), '{not json');
+    expect(await loadState()).toEqual(createEmptyState());
+  });
+});
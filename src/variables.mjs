@@ -0,0 +1,313 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { VARIABLE_SCOPES, setVariable, deleteVariable } from './lagoon-api.mjs';
+
+/**
+ * File formats variables can be exported to and imported from.
+ */
+export const VARIABLE_FILE_FORMATS = ['env', 'json'];
+
+// `.env` files have no notion of scope, so exports group variables under `# scope: <scope>` comments
+const SCOPE_COMMENT = /^#\s*scope:\s*([a-z_]+)\s*$/i;
+
+/**
+ * Picks the file format from a file name: `.json` files are JSON, anything else is a `.env` file.
+ *
+ * @param {string} filePath - The file path.
+ * @returns {string} One of VARIABLE_FILE_FORMATS.
+ */
+export function detectFileFormat(filePath) {
+  return path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'env';
+}
+
+/**
+ * Quotes a `.env` value if it would not survive being read back unquoted.
+ *
+ * @param {string} value - The value.
+ * @returns {string} The value, double-quoted and escaped if needed.
+ */
+function quoteEnvValue(value) {
+  if (value !== '' && /^[^\s#"'\\]*$/.test(value)) {
+    return value;
+  }
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  return `"${escaped}"`;
+}
+
+/**
+ * Reads a single `.env` value, handling quotes, escapes and trailing comments.
+ *
+ * @param {string} raw - Everything after the `=`.
+ * @returns {string} The value.
+ */
+function parseEnvValue(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    let result = '';
+    for (let i = 1; i < value.length && value[i] !== '"'; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        i++;
+        result += escapes[value[i]] ?? value[i];
+      } else {
+        result += value[i];
+      }
+    }
+    return result;
+  }
+
+  if (value.startsWith('\'')) {
+    const end = value.lastIndexOf('\'');
+    return end > 0 ? value.slice(1, end) : value.slice(1);
+  }
+
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parses the contents of a `.env` file.
+ *
+ * Supports `KEY=value`, an optional `export` prefix, single and double quotes, escapes in double quotes and comments.
+ * A `# scope: <scope>` comment sets the scope of the variables that follow it.
+ *
+ * @param {string} content - The file contents.
+ * @param {string|null} [defaultScope] - Scope for variables before any scope comment.
+ * @returns {{ name: string, value: string, scope: string|null }[]} The variables, in file order.
+ * @throws {Error} If a line can't be parsed.
+ */
+export function parseEnvFile(content, defaultScope = null) {
+  const variables = [];
+  let scope = defaultScope;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    const scopeMatch = trimmed.match(SCOPE_COMMENT);
+    if (scopeMatch) {
+      scope = scopeMatch[1].toLowerCase();
+      return;
+    }
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1}: expected KEY=value`);
+    }
+    variables.push({ name: match[1], value: parseEnvValue(match[2]), scope });
+  });
+
+  return variables;
+}
+
+/**
+ * Formats variables as the contents of a `.env` file, grouped by scope.
+ *
+ * @param {{ name: string, value: string, scope: string }[]} variables - The variables.
+ * @returns {string} The file contents.
+ */
+export function formatEnvFile(variables) {
+  const lines = [];
+  VARIABLE_SCOPES.forEach(scope => {
+    const inScope = variables.filter(variable => variable.scope === scope);
+    if (inScope.length === 0) {
+      return;
+    }
+    if (lines.length > 0) {
+      lines.push('');
+    }
+    lines.push(`# scope: ${scope}`);
+    inScope.forEach(variable => lines.push(`${variable.name}=${quoteEnvValue(variable.value ?? '')}`));
+  });
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Parses variables from the contents of a `.env` or JSON file.
+ *
+ * JSON files are either an array of `{ name, value, scope }` objects (as written by formatVariablesFile()) or a
+ * plain `{ "NAME": "value" }` object.
+ *
+ * @param {string} content - The file contents.
+ * @param {string} format - One of VARIABLE_FILE_FORMATS.
+ * @param {string|null} [defaultScope] - Scope for variables that don't specify one.
+ * @returns {{ name: string, value: string, scope: string|null }[]} The variables.
+ * @throws {Error} If the contents can't be parsed or a scope is invalid.
+ */
+export function parseVariablesFile(content, format, defaultScope = null) {
+  let variables;
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    variables = Array.isArray(data)
+      ? data.map(item => ({ name: item.name, value: String(item.value ?? ''), scope: item.scope || defaultScope }))
+      : Object.entries(data).map(([name, value]) => ({ name, value: String(value ?? ''), scope: defaultScope }));
+  } else {
+    variables = parseEnvFile(content, defaultScope);
+  }
+
+  variables.forEach(variable => {
+    if (variable.scope && !VARIABLE_SCOPES.includes(variable.scope)) {
+      throw new Error(`Invalid scope "${variable.scope}" for ${variable.name}. Use one of: ${VARIABLE_SCOPES.join(', ')}`);
+    }
+  });
+
+  return variables;
+}
+
+/**
+ * Formats variables as the contents of a `.env` or JSON file.
+ *
+ * @param {{ name: string, value: string, scope: string }[]} variables - The variables.
+ * @param {string} format - One of VARIABLE_FILE_FORMATS.
+ * @returns {string} The file contents.
+ */
+export function formatVariablesFile(variables, format) {
+  if (format === 'json') {
+    const data = variables.map(({ name, value, scope }) => ({ name, value: value ?? '', scope }));
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+  return formatEnvFile(variables);
+}
+
+/**
+ * Reads variables from a `.env` or JSON file, picking the format from the file name.
+ *
+ * @param {string} filePath - The file to read.
+ * @param {string|null} [defaultScope] - Scope for variables that don't specify one.
+ * @returns {Promise<{ name: string, value: string, scope: string|null }[]>} The variables.
+ * @throws {Error} If the file can't be read or parsed.
+ */
+export async function readVariablesFile(filePath, defaultScope = null) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return parseVariablesFile(content, detectFileFormat(filePath), defaultScope);
+  } catch (error) {
+    throw new Error(`Failed to read variables from ${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Writes variables to a `.env` or JSON file, readable only by the current user.
+ *
+ * @param {string} filePath - The file to write.
+ * @param {{ name: string, value: string, scope: string }[]} variables - The variables.
+ * @param {string} [format] - One of VARIABLE_FILE_FORMATS. Defaults to the format matching the file name.
+ * @throws {Error} If the file can't be written.
+ */
+export async function writeVariablesFile(filePath, variables, format = detectFileFormat(filePath)) {
+  try {
+    await fs.writeFile(filePath, formatVariablesFile(variables, format), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    throw new Error(`Failed to write variables to ${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Compares the variables in Lagoon with the ones from a file.
+ *
+ * A variable is changed if its value or scope differs. Incoming variables without a scope keep the scope of the
+ * existing variable, or get `defaultScope` if they are new.
+ *
+ * @param {{ name: string, value: string|null, scope: string }[]} current - The variables in Lagoon, with values.
+ * @param {{ name: string, value: string, scope: string|null }[]} incoming - The variables from the file.
+ * @param {string} [defaultScope='runtime'] - Scope for new variables that don't specify one.
+ * @returns {{ added: Object[], changed: Object[], removed: Object[], unchanged: Object[] }} The differences.
+ * `changed` entries have `name`, `value`, `scope` and `previousScope`.
+ */
+export function diffVariables(current, incoming, defaultScope = 'runtime') {
+  const currentByName = new Map(current.map(variable => [variable.name, variable]));
+  const incomingNames = new Set(incoming.map(variable => variable.name));
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+  incoming.forEach(variable => {
+    const existing = currentByName.get(variable.name);
+    if (!existing) {
+      diff.added.push({ name: variable.name, value: variable.value, scope: variable.scope || defaultScope });
+      return;
+    }
+
+    const scope = variable.scope || existing.scope;
+    if (existing.value === variable.value && existing.scope === scope) {
+      diff.unchanged.push(existing);
+    } else {
+      diff.changed.push({ name: variable.name, value: variable.value, scope, previousScope: existing.scope });
+    }
+  });
+
+  diff.removed = current.filter(variable => !incomingNames.has(variable.name));
+  return diff;
+}
+
+/**
+ * Describes a variable diff line by line, without ever including values.
+ *
+ * @param {{ added: Object[], changed: Object[], removed: Object[] }} diff - The result of diffVariables().
+ * @returns {{ type: string, text: string }[]} One entry per variable, where `type` is `added`, `changed` or `removed`.
+ */
+export function describeVariableDiff(diff) {
+  return [
+    ...diff.added.map(variable => ({ type: 'added', text: `+ ${variable.name} (${variable.scope})` })),
+    ...diff.changed.map(variable => ({
+      type: 'changed',
+      text: variable.scope === variable.previousScope
+        ? `~ ${variable.name} (${variable.scope}, value changed)`
+        : `~ ${variable.name} (${variable.previousScope} -> ${variable.scope})`
+    })),
+    ...diff.removed.map(variable => ({ type: 'removed', text: `- ${variable.name} (${variable.scope})` }))
+  ];
+}
+
+/**
+ * Writes a variable diff to Lagoon: adds and updates variables, and deletes removed ones if asked to.
+ *
+ * Every change is attempted even if an earlier one fails.
+ *
+ * @param {string} instance - The Lagoon instance name.
+ * @param {string} project - The project name.
+ * @param {string|null} environment - The environment name, or null for project variables.
+ * @param {{ added: Object[], changed: Object[], removed: Object[] }} diff - The result of diffVariables().
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.prune=false] - Delete variables that are not in the file.
+ * @param {Function} [options.onResult] - Called with `(name, error)` after each change; `error` is null on success.
+ * @returns {Promise<{ applied: string[], failed: { name: string, error: Error }[] }>} What was written.
+ */
+export async function applyVariableDiff(instance, project, environment, diff, options = {}) {
+  const result = { applied: [], failed: [] };
+  const report = (name, error = null) => {
+    if (error) {
+      result.failed.push({ name, error });
+    } else {
+      result.applied.push(name);
+    }
+    if (options.onResult) {
+      options.onResult(name, error);
+    }
+  };
+
+  for (const variable of [...diff.added, ...diff.changed]) {
+    try {
+      await setVariable(instance, project, environment, variable.name, variable.value, variable.scope);
+      report(variable.name);
+    } catch (error) {
+      report(variable.name, error);
+    }
+  }
+
+  if (options.prune) {
+    for (const variable of diff.removed) {
+      try {
+        await deleteVariable(instance, project, environment, variable.name);
+        report(variable.name);
+      } catch (error) {
+        report(variable.name, error);
+      }
+    }
+  }
+
+  return result;
+}
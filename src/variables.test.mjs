@@ -0,0 +1,203 @@
+import { jest } from '@jest/globals';
+
+const api = {
+  setVariable: jest.fn(),
+  deleteVariable: jest.fn()
+};
+
+jest.unstable_mockModule('./lagoon-api.mjs', () => ({
+  ...api,
+  VARIABLE_SCOPES: ['build', 'runtime', 'global', 'container_registry']
+}));
+
+const {
+  detectFileFormat,
+  parseEnvFile,
+  formatEnvFile,
+  parseVariablesFile,
+  formatVariablesFile,
+  diffVariables,
+  describeVariableDiff,
+  applyVariableDiff
+} = await import('./variables.mjs');
+
+describe('detectFileFormat', () => {
+  test('should detect JSON files by extension', () => {
+    expect(detectFileFormat('vars.json')).toBe('json');
+    expect(detectFileFormat('VARS.JSON')).toBe('json');
+  });
+
+  test('should treat anything else as a .env file', () => {
+    expect(detectFileFormat('.env')).toBe('env');
+    expect(detectFileFormat('develop.env')).toBe('env');
+  });
+});
+
+describe('parseEnvFile', () => {
+  test('should parse plain, exported and quoted values', () => {
+    const content = [
+      '# comment',
+      'PLAIN=value',
+      'export EXPORTED=yes',
+      'DOUBLE="two words # not a comment"',
+      'SINGLE=\'it\\s literal\'',
+      'ESCAPED="line1\\nline2 \\"quoted\\""',
+      'TRAILING=value # comment',
+      'EMPTY=',
+      ''
+    ].join('\n');
+
+    expect(parseEnvFile(content)).toEqual([
+      { name: 'PLAIN', value: 'value', scope: null },
+      { name: 'EXPORTED', value: 'yes', scope: null },
+      { name: 'DOUBLE', value: 'two words # not a comment', scope: null },
+      { name: 'SINGLE', value: 'it\\s literal', scope: null },
+      { name: 'ESCAPED', value: 'line1\nline2 "quoted"', scope: null },
+      { name: 'TRAILING', value: 'value', scope: null },
+      { name: 'EMPTY', value: '', scope: null }
+    ]);
+  });
+
+  test('should apply scope comments to the variables that follow them', () => {
+    const content = 'FIRST=1\n# scope: build\nSECOND=2\n# Scope: RUNTIME\nTHIRD=3';
+    expect(parseEnvFile(content, 'global').map(v => [v.name, v.scope])).toEqual([
+      ['FIRST', 'global'],
+      ['SECOND', 'build'],
+      ['THIRD', 'runtime']
+    ]);
+  });
+
+  test('should reject invalid lines', () => {
+    expect(() => parseEnvFile('GOOD=1\nnot a variable')).toThrow('Invalid line 2');
+  });
+});
+
+describe('formatEnvFile', () => {
+  test('should group variables by scope and quote values when needed', () => {
+    const content = formatEnvFile([
+      { name: 'API_URL', value: 'https://example.com', scope: 'runtime' },
+      { name: 'MESSAGE', value: 'hello "world"\nbye', scope: 'runtime' },
+      { name: 'COMPOSER_AUTH', value: '', scope: 'build' }
+    ]);
+
+    expect(content).toBe([
+      '# scope: build',
+      'COMPOSER_AUTH=""',
+      '',
+      '# scope: runtime',
+      'API_URL=https://example.com',
+      'MESSAGE="hello \\"world\\"\\nbye"',
+      ''
+    ].join('\n'));
+  });
+
+  test('should round-trip through parseEnvFile', () => {
+    const variables = [
+      { name: 'A', value: 'with spaces # and hash', scope: 'build' },
+      { name: 'B', value: 'back\\slash', scope: 'runtime' },
+      { name: 'C', value: 'it\'s', scope: 'global' }
+    ];
+    expect(parseEnvFile(formatEnvFile(variables))).toEqual(variables);
+  });
+});
+
+describe('parseVariablesFile', () => {
+  test('should read exported JSON arrays', () => {
+    const content = formatVariablesFile([{ name: 'A', value: '1', scope: 'build' }], 'json');
+    expect(parseVariablesFile(content, 'json')).toEqual([{ name: 'A', value: '1', scope: 'build' }]);
+  });
+
+  test('should read plain JSON objects with the default scope', () => {
+    expect(parseVariablesFile('{"A": "1", "B": 2}', 'json', 'runtime')).toEqual([
+      { name: 'A', value: '1', scope: 'runtime' },
+      { name: 'B', value: '2', scope: 'runtime' }
+    ]);
+  });
+
+  test('should reject unknown scopes', () => {
+    expect(() => parseVariablesFile('# scope: nope\nA=1', 'env')).toThrow('Invalid scope "nope" for A');
+  });
+});
+
+describe('diffVariables', () => {
+  const current = [
+    { name: 'SAME', value: '1', scope: 'runtime' },
+    { name: 'NEW_VALUE', value: 'old', scope: 'runtime' },
+    { name: 'NEW_SCOPE', value: 'x', scope: 'runtime' },
+    { name: 'GONE', value: 'bye', scope: 'build' }
+  ];
+
+  test('should report added, changed, removed and unchanged variables', () => {
+    const diff = diffVariables(current, [
+      { name: 'SAME', value: '1', scope: null },
+      { name: 'NEW_VALUE', value: 'new', scope: null },
+      { name: 'NEW_SCOPE', value: 'x', scope: 'build' },
+      { name: 'ADDED', value: 'hi', scope: null }
+    ], 'global');
+
+    expect(diff.added).toEqual([{ name: 'ADDED', value: 'hi', scope: 'global' }]);
+    expect(diff.changed).toEqual([
+      { name: 'NEW_VALUE', value: 'new', scope: 'runtime', previousScope: 'runtime' },
+      { name: 'NEW_SCOPE', value: 'x', scope: 'build', previousScope: 'runtime' }
+    ]);
+    expect(diff.removed.map(v => v.name)).toEqual(['GONE']);
+    expect(diff.unchanged.map(v => v.name)).toEqual(['SAME']);
+  });
+
+  test('should never include values in the description', () => {
+    const diff = diffVariables(current, [
+      { name: 'NEW_VALUE', value: 'top-secret', scope: null },
+      { name: 'ADDED', value: 'also-secret', scope: null }
+    ]);
+    const lines = describeVariableDiff(diff);
+
+    expect(lines).toEqual([
+      { type: 'added', text: '+ ADDED (runtime)' },
+      { type: 'changed', text: '~ NEW_VALUE (runtime, value changed)' },
+      { type: 'removed', text: '- SAME (runtime)' },
+      { type: 'removed', text: '- NEW_SCOPE (runtime)' },
+      { type: 'removed', text: '- GONE (build)' }
+    ]);
+    const text = JSON.stringify(lines);
+    ['top-secret', 'also-secret', 'old', 'bye'].forEach(value => expect(text).not.toContain(value));
+  });
+});
+
+describe('applyVariableDiff', () => {
+  const diff = {
+    added: [{ name: 'ADDED', value: 'a', scope: 'runtime' }],
+    changed: [{ name: 'CHANGED', value: 'c', scope: 'build', previousScope: 'runtime' }],
+    removed: [{ name: 'GONE', value: 'g', scope: 'build' }],
+    unchanged: []
+  };
+
+  beforeEach(() => {
+    api.setVariable.mockReset();
+    api.deleteVariable.mockReset();
+  });
+
+  test('should set added and changed variables but keep removed ones by default', async () => {
+    api.setVariable.mockResolvedValue({ success: true });
+
+    const result = await applyVariableDiff('amazee.io', 'test-project', 'pr-1', diff);
+
+    expect(api.setVariable).toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-1', 'ADDED', 'a', 'runtime');
+    expect(api.setVariable).toHaveBeenCalledWith('amazee.io', 'test-project', 'pr-1', 'CHANGED', 'c', 'build');
+    expect(api.deleteVariable).not.toHaveBeenCalled();
+    expect(result).toEqual({ applied: ['ADDED', 'CHANGED'], failed: [] });
+  });
+
+  test('should delete removed variables when pruning and carry on after failures', async () => {
+    const error = new Error('boom');
+    api.setVariable.mockRejectedValueOnce(error).mockResolvedValue({ success: true });
+    api.deleteVariable.mockResolvedValue({ success: true });
+    const onResult = jest.fn();
+
+    const result = await applyVariableDiff('amazee.io', 'test-project', null, diff, { prune: true, onResult });
+
+    expect(api.deleteVariable).toHaveBeenCalledWith('amazee.io', 'test-project', null, 'GONE');
+    expect(result).toEqual({ applied: ['CHANGED', 'GONE'], failed: [{ name: 'ADDED', error }] });
+    expect(onResult).toHaveBeenCalledWith('ADDED', error);
+    expect(onResult).toHaveBeenCalledWith('GONE', null);
+  });
+});
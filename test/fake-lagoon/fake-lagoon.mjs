@@ -0,0 +1,391 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * A stateful stand-in for the `lagoon` CLI, used by the integration tests.
+ *
+ * It answers the subset of commands LagoonCommand builds from a JSON store (see default-store.json), saves changes
+ * such as deleted environments back to the store, and appends every invocation to `<store>.calls`. Errors are injected
+ * with entries in the store's `errors` list, matched on the command and optionally the target:
+ *
+ *   { "command": "delete environment", "environment": "pr-123", "stderr": "Error: ...", "exitCode": 1, "times": 1 }
+ *
+ * Without `times` an error is returned on every matching call.
+ *
+ * When a Lagoon configuration file is given, the instances and their tokens are also written there, as `lagoon login`
+ * does with ~/.lagoon.yml.
+ */
+
+// Options that take a value; anything else starting with a dash is a flag
+const VALUE_OPTIONS = {
+  '-l': 'instance',
+  '--lagoon': 'instance',
+  '-p': 'project',
+  '--project': 'project',
+  '-e': 'environment',
+  '-C': 'command',
+  '--branch': 'branch',
+  '--environment': 'environmentName',
+  '--name': 'name',
+  '--value': 'value',
+  '--scope': 'scope'
+};
+
+/**
+ * An error the fake CLI reports on stderr with a non-zero exit code, like the real one.
+ */
+export class FakeLagoonError extends Error {
+  /**
+   * @param {string} message - What is printed on stderr.
+   * @param {number} [exitCode=1] - The exit code.
+   */
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'FakeLagoonError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parses a lagoon command line into its operation (e.g. `delete environment`), options and flags.
+ *
+ * @param {string[]} args - The arguments after `lagoon`.
+ * @returns {{operation: string, options: Object<string, string>, flags: Set<string>}} The parsed command line.
+ */
+export function parseArgs(args) {
+  const words = [];
+  const options = {};
+  const flags = new Set();
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (VALUE_OPTIONS[arg]) {
+      options[VALUE_OPTIONS[arg]] = args[++i];
+    } else if (arg.startsWith('-')) {
+      flags.add(arg.replace(/^-+/, ''));
+    } else {
+      words.push(arg);
+    }
+  }
+
+  return { operation: words.join(' '), options, flags };
+}
+
+/**
+ * Prints data the way the CLI does: `{"data": [...]}` with `--output-json`, otherwise a pipe table.
+ */
+function formatRows(rows, flags) {
+  if (flags.has('output-json')) {
+    return JSON.stringify({ data: rows });
+  }
+  if (rows.length === 0) {
+    return 'No data returned';
+  }
+  const keys = Object.keys(rows[0]);
+  return [
+    keys.map(key => key.toUpperCase()).join(' | '),
+    ...rows.map(row => keys.map(key => row[key] ?? '').join(' | '))
+  ].join('\n');
+}
+
+function formatResult(flags) {
+  return flags.has('output-json') ? JSON.stringify({ result: 'success' }) : 'success';
+}
+
+function getLagoon(store, options) {
+  const name = options.instance || Object.keys(store.lagoons).find(key => store.lagoons[key].default);
+  const lagoon = store.lagoons[name];
+  if (!lagoon) {
+    throw new FakeLagoonError(`Error: lagoon "${name}" is not configured`);
+  }
+  return lagoon;
+}
+
+function getProject(store, options) {
+  if (!options.project) {
+    throw new FakeLagoonError('Error: missing arguments: Project name is not defined');
+  }
+  const project = (getLagoon(store, options).projects || []).find(p => p.projectname === options.project);
+  if (!project) {
+    throw new FakeLagoonError(`Error: project "${options.project}" not found`);
+  }
+  project.environments = project.environments || [];
+  project.deployments = project.deployments || [];
+  return project;
+}
+
+function getEnvironment(project, name) {
+  if (!name) {
+    throw new FakeLagoonError('Error: missing arguments: Environment name is not defined');
+  }
+  const environment = project.environments.find(env => env.name === name);
+  if (!environment) {
+    throw new FakeLagoonError(`Error: environment "${name}" not found in project ${project.projectname}`);
+  }
+  return environment;
+}
+
+/**
+ * Records a finished deployment of an environment, as Lagoon would after a build.
+ */
+function addDeployment(project, environment, now) {
+  const timestamp = now.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+  project.deployments.push({
+    id: project.deployments.length + 1,
+    environment: environment.name,
+    name: `lagoon-build-${randomBytes(3).toString('hex')}`,
+    status: 'complete',
+    created: timestamp,
+    started: timestamp,
+    completed: timestamp,
+    buildlog: `Deploying ${environment.name}\nBuild complete`
+  });
+}
+
+const HANDLERS = {
+  'config list': (store, { flags }) => formatRows(Object.entries(store.lagoons).map(([name, lagoon]) => ({
+    name: lagoon.default ? `${name}(default)` : name,
+    version: lagoon.version || '',
+    graphql: lagoon.graphql || '',
+    'ssh-hostname': lagoon['ssh-hostname'] || ''
+  })), flags),
+
+  'list projects': (store, { options, flags }) => formatRows((getLagoon(store, options).projects || []).map(project => {
+    const { environments = [], users: _users, deployments: _deployments, ...details } = project;
+    const { developmentenvironmentslimit, ...listed } = details;
+    const development = environments.filter(env => env.environmenttype === 'development').length;
+    return { ...listed, developmentenvironments: `${development}/${developmentenvironmentslimit ?? 5}` };
+  }), flags),
+
+  'list environments': (store, { options, flags }) => formatRows(getProject(store, options).environments, flags),
+
+  'list all-users': (store, { options, flags }) => formatRows(getProject(store, options).users || [], flags),
+
+  'list deployments': (store, { options, flags }) => {
+    const project = getProject(store, options);
+    getEnvironment(project, options.environment);
+    return formatRows(project.deployments.filter(deployment => deployment.environment === options.environment), flags);
+  },
+
+  'delete environment': (store, { options, flags }) => {
+    const project = getProject(store, options);
+    const environment = getEnvironment(project, options.environmentName || options.environment);
+    if (!flags.has('force')) {
+      throw new FakeLagoonError('Error: refusing to delete without --force in a non-interactive shell');
+    }
+    if (environment.name === project.productionenvironment) {
+      throw new FakeLagoonError(`Error: You cannot delete the production environment ${environment.name}`);
+    }
+    project.environments = project.environments.filter(env => env !== environment);
+    return { stdout: formatResult(flags), changed: true };
+  },
+
+  'deploy branch': (store, { options, flags }, now) => {
+    const project = getProject(store, options);
+    if (!options.branch) {
+      throw new FakeLagoonError('Error: missing arguments: Branch name is not defined');
+    }
+    // Lagoon replaces slashes in the branch name, so feature/search is deployed to feature-search
+    const name = options.branch.replace(/\//g, '-');
+    let environment = project.environments.find(env => env.name === name);
+    if (!environment) {
+      const slug = name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+      environment = {
+        id: Math.max(0, ...project.environments.map(env => env.id || 0)) + 1,
+        name,
+        deploytype: 'branch',
+        environmenttype: name === project.productionenvironment ? 'production' : 'development',
+        openshiftprojectname: `${project.projectname}-${slug}`,
+        route: `https://${slug}-${project.projectname}.example.com`,
+        created: now.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '')
+      };
+      project.environments.push(environment);
+    }
+    addDeployment(project, environment, now);
+    return { stdout: formatResult(flags), changed: true };
+  },
+
+  'deploy latest': (store, { options, flags }, now) => {
+    const project = getProject(store, options);
+    addDeployment(project, getEnvironment(project, options.environment), now);
+    return { stdout: formatResult(flags), changed: true };
+  },
+
+  'ssh': (store, { options }) => {
+    const project = getProject(store, options);
+    const environment = getEnvironment(project, options.environment);
+    const command = options.command;
+    const outputs = store.ssh || {};
+
+    if (Object.prototype.hasOwnProperty.call(outputs, command)) {
+      return outputs[command];
+    }
+    if (/\bdrush uli\b/.test(command)) {
+      return `${environment.route}/user/reset/1/1700000000/fake-login-hash/login`;
+    }
+    if (/\bdrush cr\b/.test(command)) {
+      return '[success] Cache rebuild complete.';
+    }
+    throw new FakeLagoonError(`bash: ${command.split(' ')[0]}: command not found`, 127);
+  },
+
+  'login': (store, { options }, now) => {
+    const lagoon = getLagoon(store, options);
+    lagoon.token = fakeToken({ sub: 'fake-user', jti: randomBytes(4).toString('hex') }, now);
+    return { stdout: '', changed: true };
+  }
+};
+
+/**
+ * Creates an unsigned JWT like the tokens Lagoon hands out, valid for an hour unless the claims say otherwise.
+ *
+ * @param {Object} [claims] - Claims to include, such as `exp` in seconds.
+ * @param {Date} [now] - The current time.
+ * @returns {string} The token.
+ */
+export function fakeToken(claims = {}, now = new Date()) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = { exp: Math.floor(now.getTime() / 1000) + 3600, ...claims };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.fake-signature`;
+}
+
+/**
+ * Builds the Lagoon CLI configuration for a store: each instance's API, SSH host and token.
+ *
+ * @param {Object} store - The parsed JSON store.
+ * @returns {Object} The configuration, in the shape of ~/.lagoon.yml.
+ */
+export function lagoonConfigFor(store) {
+  return {
+    lagoons: Object.fromEntries(Object.entries(store.lagoons).map(([name, lagoon]) => [name, {
+      graphql: lagoon.graphql,
+      hostname: lagoon['ssh-hostname'],
+      token: lagoon.token
+    }]))
+  };
+}
+
+/**
+ * Finds the injected error for a command, using up one of its `times`.
+ */
+function takeInjectedError(store, { operation, options }) {
+  const target = {
+    instance: options.instance,
+    project: options.project,
+    environment: options.environmentName || options.environment || options.branch
+  };
+  const index = (store.errors || []).findIndex(error => error.command === operation
+    && ['instance', 'project', 'environment'].every(key => error[key] === undefined || error[key] === target[key]));
+  if (index === -1) {
+    return null;
+  }
+
+  const error = store.errors[index];
+  if (error.times !== undefined && --error.times <= 0) {
+    store.errors.splice(index, 1);
+  }
+  return error;
+}
+
+/**
+ * Runs one fake lagoon command against a store, changing the store in place.
+ *
+ * @param {string[]} args - The arguments after `lagoon`.
+ * @param {Object} store - The parsed JSON store.
+ * @param {Date} [now] - The current time, for created environments and deployments.
+ * @returns {{stdout: string, stderr: string, exitCode: number, changed: boolean}} What the CLI prints and whether the
+ * store needs saving.
+ */
+export function runFakeLagoon(args, store, now = new Date()) {
+  const parsed = parseArgs(args);
+
+  const injected = takeInjectedError(store, parsed);
+  if (injected) {
+    return {
+      stdout: '',
+      stderr: injected.stderr || `Error: injected failure for ${parsed.operation}`,
+      exitCode: injected.exitCode ?? 1,
+      changed: injected.times !== undefined
+    };
+  }
+
+  const handler = HANDLERS[parsed.operation];
+  if (!handler) {
+    return { stdout: '', stderr: `Error: unknown command "${parsed.operation}" for "lagoon"`, exitCode: 1, changed: false };
+  }
+
+  try {
+    const result = handler(store, parsed, now);
+    const { stdout, changed = false } = typeof result === 'string' ? { stdout: result } : result;
+    return { stdout, stderr: '', exitCode: 0, changed };
+  } catch (error) {
+    if (!(error instanceof FakeLagoonError)) {
+      throw error;
+    }
+    return { stdout: '', stderr: error.message, exitCode: error.exitCode, changed: false };
+  }
+}
+
+/**
+ * Returns the file through which a test tells the fake CLI where its store is (see createFakeLagoon()), one per Jest
+ * worker as each runs its own tests.
+ *
+ * @returns {string|null} The path, or null outside a Jest run set up by global-setup.mjs.
+ */
+export function settingsPath() {
+  const home = process.env.FAKE_LAGOON_HOME;
+  return home ? path.join(home, `worker-${process.env.JEST_WORKER_ID || '1'}.json`) : null;
+}
+
+/**
+ * Finds the store and Lagoon configuration file to use: from FAKE_LAGOON_STORE and LH_LAGOON_CONFIG when the fake is
+ * run by hand, otherwise from the settings file of the test that started it.
+ *
+ * @returns {{ store?: string, lagoonConfig?: string }} The paths.
+ */
+function readSettings() {
+  const file = settingsPath();
+  if (process.env.FAKE_LAGOON_STORE || !file) {
+    return { store: process.env.FAKE_LAGOON_STORE, lagoonConfig: process.env.LH_LAGOON_CONFIG };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Runs the fake CLI as a process: reads the store of the running test (or the one named by FAKE_LAGOON_STORE), logs
+ * the call, prints and exits.
+ */
+export function main(args = process.argv.slice(2)) {
+  const { store: storePath, lagoonConfig } = readSettings();
+  if (!storePath) {
+    process.stderr.write('fake lagoon: no store; set FAKE_LAGOON_STORE or use createFakeLagoon() in a test\n');
+    process.exit(2);
+  }
+
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  fs.appendFileSync(`${storePath}.calls`, `${JSON.stringify(args)}\n`);
+
+  const { stdout, stderr, exitCode, changed } = runFakeLagoon(args, store);
+  if (changed) {
+    // Write then rename, so a concurrent call never reads a half-written store
+    fs.writeFileSync(`${storePath}.${process.pid}.tmp`, JSON.stringify(store, null, 2));
+    fs.renameSync(`${storePath}.${process.pid}.tmp`, storePath);
+    if (lagoonConfig) {
+      // JSON is valid YAML
+      fs.writeFileSync(lagoonConfig, JSON.stringify(lagoonConfigFor(store), null, 2));
+    }
+  }
+
+  if (stdout) {
+    process.stdout.write(`${stdout}\n`);
+  }
+  if (stderr) {
+    process.stderr.write(`${stderr}\n`);
+  }
+  process.exitCode = exitCode;
+}
@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FAKE_LAGOON_BIN_DIR } from './index.mjs';
+
+/**
+ * Jest global setup: puts the fake `lagoon` CLI first on PATH for the whole run.
+ *
+ * Tests run in a sandbox whose `process.env` is a copy, so processes they start never see variables a test sets.
+ * PATH is therefore set here, in the real environment the test workers inherit, together with FAKE_LAGOON_HOME: the
+ * directory through which createFakeLagoon() tells the fake CLI where each test's store is.
+ */
+export default async function globalSetup() {
+  process.env.FAKE_LAGOON_HOME = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-fake-lagoon-home-'));
+  process.env.PATH = `${FAKE_LAGOON_BIN_DIR}${path.delimiter}${process.env.PATH}`;
+}
@@ -0,0 +1,10 @@
+import fs from 'fs/promises';
+
+/**
+ * Jest global teardown: removes the directory created by global-setup.mjs.
+ */
+export default async function globalTeardown() {
+  if (process.env.FAKE_LAGOON_HOME) {
+    await fs.rm(process.env.FAKE_LAGOON_HOME, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lagoonConfigFor, settingsPath } from './fake-lagoon.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * The directory holding the fake `lagoon` executable, to put first on PATH.
+ */
+export const FAKE_LAGOON_BIN_DIR = path.join(__dirname, 'bin');
+
+/**
+ * Loads a fresh copy of the default store: instances amazee.io (default, with test-project and other-project) and an
+ * empty staging.
+ *
+ * @returns {Promise<Object>} The store, safe to change before passing it to createFakeLagoon().
+ */
+export async function loadDefaultStore() {
+  return JSON.parse(await fs.readFile(path.join(__dirname, 'default-store.json'), 'utf8'));
+}
+
+/**
+ * Sets up the fake `lagoon` CLI for a test: writes the store to a temporary directory and points the fake at it, along
+ * with a matching Lagoon configuration file and temporary wrapper config and cache directories so no real state is
+ * touched. The fake itself is put on PATH by global-setup.mjs.
+ *
+ * @param {Object} [store] - The store to start from; defaults to default-store.json.
+ * @returns {Promise<Object>} Helpers to read the store and the logged calls, and `restore()` to undo everything.
+ */
+export async function createFakeLagoon(store) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lh-fake-lagoon-'));
+  const storePath = path.join(tempDir, 'store.json');
+  const initialStore = store || await loadDefaultStore();
+  await fs.writeFile(storePath, JSON.stringify(initialStore, null, 2));
+  const lagoonConfigPath = path.join(tempDir, 'lagoon.yml');
+  await fs.writeFile(lagoonConfigPath, JSON.stringify(lagoonConfigFor(initialStore), null, 2));
+
+  // The fake CLI can't see this test's environment (see global-setup.mjs), so it reads where the store is from a file
+  const fakeSettingsPath = settingsPath();
+  if (!fakeSettingsPath) {
+    throw new Error('FAKE_LAGOON_HOME is not set; run the tests with npm test so global-setup.mjs runs first');
+  }
+  await fs.writeFile(fakeSettingsPath, JSON.stringify({ store: storePath, lagoonConfig: lagoonConfigPath }));
+
+  const env = {
+    LH_LAGOON_CONFIG: lagoonConfigPath,
+    LH_CONFIG: path.join(tempDir, 'config.yml'),
+    LH_CONFIG_DIR: path.join(tempDir, 'config'),
+    LH_CACHE_DIR: path.join(tempDir, 'cache'),
+    LH_STATE_DIR: path.join(tempDir, 'state')
+  };
+  const originalEnv = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+
+  return {
+    tempDir,
+    storePath,
+
+    /** Reads the store as the fake CLI left it. */
+    async readStore() {
+      return JSON.parse(await fs.readFile(storePath, 'utf8'));
+    },
+
+    /** Replaces the store, e.g. to inject errors mid-test. */
+    async writeStore(newStore) {
+      await fs.writeFile(storePath, JSON.stringify(newStore, null, 2));
+    },
+
+    /** Returns the arguments of every call made to the fake CLI so far. */
+    async readCalls() {
+      try {
+        const content = await fs.readFile(`${storePath}.calls`, 'utf8');
+        return content.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+    },
+
+    /** Restores the environment and removes the temporary directory. */
+    async restore() {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+      await fs.rm(fakeSettingsPath, { force: true });
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,299 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import { Command } from 'commander';
+import { registerCommands } from '../../src/cli.mjs';
+import { resetConfigCache } from '../../src/config.mjs';
+import { configureExecutor } from '../../src/lagoon-api.mjs';
+import { AuthenticationError, NotFoundError } from '../../src/command/index.mjs';
+import { createFakeLagoon } from '../fake-lagoon/index.mjs';
+
+/**
+ * Runs an `lh` command line against the fake lagoon CLI.
+ */
+async function lh(...args) {
+  const program = new Command();
+  program.exitOverride();
+  program.configureOutput({ writeErr: () => {}, writeOut: () => {} });
+  registerCommands(program);
+  await program.parseAsync(args, { from: 'user' });
+}
+
+describe('lh commands against the fake lagoon CLI', () => {
+  let fake;
+
+  beforeEach(async () => {
+    fake = await createFakeLagoon();
+    resetConfigCache();
+    // Global options stick to the shared executor, as they would for the rest of a real run
+    configureExecutor({ dryRun: false, retries: 0 });
+    console.log = jest.fn();
+    console.error = jest.fn();
+    process.exitCode = undefined;
+  });
+
+  afterEach(async () => {
+    await fake.restore();
+    resetConfigCache();
+    process.exitCode = undefined;
+  });
+
+  test('instances lists the configured Lagoon instances', async () => {
+    await lh('--output', 'json', 'instances');
+
+    const instances = JSON.parse(console.log.mock.calls[0][0]);
+    expect(instances.map(instance => instance.name)).toEqual(['amazee.io', 'staging']);
+    expect(console.log.mock.calls[0][0]).not.toContain('token');
+  });
+
+  test('env delete removes the environment and the next list reflects it', async () => {
+    await lh('env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes');
+    expect(process.exitCode).toBeUndefined();
+
+    const store = await fake.readStore();
+    const names = store.lagoons['amazee.io'].projects[0].environments.map(env => env.name);
+    expect(names).toEqual(['main', 'develop']);
+
+    await lh('--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project');
+    expect(JSON.parse(console.log.mock.calls[0][0]).map(env => env.name)).toEqual(['main', 'develop']);
+
+    expect(await fake.readCalls()).toContainEqual(
+      ['-l', 'amazee.io', '-p', 'test-project', 'delete', 'environment', '--environment', 'pr-123', '--force', '--output-json']
+    );
+  });
+
+  test('env delete refuses protected environments without calling lagoon', async () => {
+    await lh('env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'develop', '--yes');
+
+    expect(process.exitCode).toBe(1);
+    const calls = await fake.readCalls();
+    expect(calls.some(args => args.includes('delete'))).toBe(false);
+  });
+
+  test('env delete reports an error from lagoon and leaves the environment', async () => {
+    const store = await fake.readStore();
+    store.errors.push({
+      command: 'delete environment',
+      environment: 'pr-123',
+      stderr: 'Error: Lagoon API is unavailable'
+    });
+    await fake.writeStore(store);
+
+    await lh('env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes');
+
+    expect(process.exitCode).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Lagoon API is unavailable'));
+    const names = (await fake.readStore()).lagoons['amazee.io'].projects[0].environments.map(env => env.name);
+    expect(names).toContain('pr-123');
+  });
+
+  test('a missing project fails fast with the not-found exit code and a hint', async () => {
+    await lh('--retries', '2', 'env', 'list', '-i', 'amazee.io', '-p', 'no-such-project');
+
+    expect(process.exitCode).toBe(NotFoundError.exitStatus);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('project "no-such-project" not found'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Hint: Check the name'));
+    // Asking again wouldn't find it either
+    expect(await fake.readCalls()).toHaveLength(1);
+  });
+
+  test('read-only commands are retried after a transient failure', async () => {
+    const store = await fake.readStore();
+    store.errors.push({ command: 'list projects', stderr: 'Error: connection reset by peer', times: 1 });
+    await fake.writeStore(store);
+
+    await lh('--retries', '1', '--output', 'json', 'projects', '-i', 'amazee.io');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(JSON.parse(console.log.mock.calls[0][0]).map(project => project.projectname))
+      .toEqual(['test-project', 'other-project']);
+    expect((await fake.readCalls()).filter(args => args.includes('projects'))).toHaveLength(2);
+  });
+
+  test('logs in again and retries when lagoon rejects the token', async () => {
+    const store = await fake.readStore();
+    store.errors.push({ command: 'list projects', stderr: 'Error: Unauthorized - Bearer Token Invalid', times: 1 });
+    await fake.writeStore(store);
+
+    await lh('--output', 'json', 'projects', '-i', 'amazee.io');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(JSON.parse(console.log.mock.calls[0][0])).toHaveLength(2);
+    expect((await fake.readCalls()).map(args => args.slice(2, 4))).toEqual([
+      ['list', 'projects'],
+      ['login'],
+      ['list', 'projects']
+    ]);
+
+    // The fresh token is stored in the Lagoon configuration
+    await lh('--output', 'json', 'instances');
+    const amazee = JSON.parse(console.log.mock.calls[1][0]).find(instance => instance.name === 'amazee.io');
+    expect(new Date(amazee.expires).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('points at the SSH key when logging in again fails', async () => {
+    const store = await fake.readStore();
+    store.errors.push(
+      { command: 'list projects', stderr: 'Error: Unauthorized - Bearer Token Invalid' },
+      { command: 'login', stderr: 'Error: ssh: handshake failed: ssh: unable to authenticate' }
+    );
+    await fake.writeStore(store);
+
+    await lh('projects', '-i', 'amazee.io');
+
+    expect(process.exitCode).toBe(AuthenticationError.exitStatus);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to log in to amazee.io'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Configure User SSH Key'));
+    expect((await fake.readCalls()).filter(args => args.includes('login'))).toHaveLength(1);
+  });
+
+  test('deploy creates the branch environment', async () => {
+    await lh('deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'feature/search');
+
+    expect(console.log).toHaveBeenCalledWith('Branch feature/search is being deployed to test-project');
+    const project = (await fake.readStore()).lagoons['amazee.io'].projects[0];
+    expect(project.environments.map(env => env.name)).toContain('feature-search');
+    expect(project.deployments).toHaveLength(1);
+  });
+
+  test('deploy --wait follows the build of a slashed branch in its hyphenated environment', async () => {
+    const store = await fake.readStore();
+    store.lagoons['amazee.io'].projects[0].environments.push({
+      id: 14,
+      name: 'feature-search',
+      deploytype: 'branch',
+      environmenttype: 'development',
+      openshiftprojectname: 'test-project-feature-search',
+      route: 'https://feature-search-test-project.example.com',
+      created: '2024-04-01 09:00:00'
+    });
+    await fake.writeStore(store);
+
+    await lh('deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'feature/search', '--wait', '--interval', '0');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Deployment lagoon-build-\w+ complete/));
+    expect(await fake.readCalls()).toContainEqual(expect.arrayContaining(['list', 'deployments', '-e', 'feature-search']));
+  });
+
+  test('deploy --wait on a new branch waits for Lagoon to create the environment', async () => {
+    const store = await fake.readStore();
+    // Listed before deploying, then at the first poll, before Lagoon has created the environment
+    store.errors.push({
+      command: 'list deployments',
+      environment: 'feature-new',
+      stderr: 'Error: environment "feature-new" not found in project test-project',
+      times: 2
+    });
+    await fake.writeStore(store);
+
+    await lh('deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'feature/new', '--wait', '--interval', '0');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Waiting for the deployment to start'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Deployment lagoon-build-\w+ complete/));
+    expect((await fake.readCalls()).filter(args => args.includes('deployments'))).toHaveLength(3);
+  });
+
+  test('an invalid protection pattern is reported with the config file before anything runs', async () => {
+    await fs.writeFile(process.env.LH_CONFIG, 'protection:\n  delete:\n    environments: ["/release-(/"]\n');
+
+    await lh('env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes');
+
+    expect(process.exitCode).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining(`Invalid protection pattern "/release-(/" in ${process.env.LH_CONFIG}`)
+    );
+    expect((await fake.readCalls()).some(args => args.includes('delete'))).toBe(false);
+  });
+
+  test('deploy checks protection rules against the environment name Lagoon uses', async () => {
+    await fs.writeFile(process.env.LH_CONFIG, 'protection:\n  deploy:\n    environments: ["feature-*"]\n');
+
+    await lh('deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'feature/search');
+
+    expect(process.exitCode).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('protected environment: feature-search'));
+    expect((await fake.readCalls()).some(args => args.includes('deploy'))).toBe(false);
+  });
+
+  test('deploy --wait follows the new deployment, not a recent build that already finished', async () => {
+    const store = await fake.readStore();
+    const timestamp = new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+    store.lagoons['amazee.io'].projects[0].deployments.push({
+      id: 1,
+      environment: 'develop',
+      name: 'lagoon-build-earlier',
+      status: 'failed',
+      created: timestamp,
+      started: timestamp,
+      completed: timestamp
+    });
+    await fake.writeStore(store);
+
+    await lh('deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'develop', '--wait', '--interval', '0');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Deployment lagoon-build-(?!earlier)\w+ complete/));
+  });
+
+  test('--dry-run never calls lagoon for changes', async () => {
+    await lh('--dry-run', 'deploy', '-i', 'amazee.io', '-p', 'test-project', '-b', 'feature/search');
+
+    expect(await fake.readCalls()).toEqual([]);
+    const project = (await fake.readStore()).lagoons['amazee.io'].projects[0];
+    expect(project.deployments).toHaveLength(0);
+  });
+
+  test('--dry-run prints listings instead of running them and returns empty lists', async () => {
+    await lh('--dry-run', '--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project');
+
+    expect(await fake.readCalls()).toEqual([]);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Dry run, not executing'));
+  });
+
+  test('login-link and cache-clear run drush over SSH', async () => {
+    await lh('login-link', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123');
+    expect(console.log).toHaveBeenCalledWith(
+      'https://pr-123-test-project.example.com/user/reset/1/1700000000/fake-login-hash/login'
+    );
+
+    await lh('cache-clear', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123');
+    expect(console.log).toHaveBeenCalledWith('[success] Cache rebuild complete.');
+  });
+
+  test('users lists the project users from the pipe table', async () => {
+    await lh('--output', 'json', 'users', '-i', 'amazee.io', '-p', 'test-project');
+
+    const users = JSON.parse(console.log.mock.calls[0][0]);
+    expect(users.map(user => user.email)).toEqual(['maintainer@example.com', 'dev@example.com']);
+  });
+
+  test('find searches every instance', async () => {
+    await lh('--output', 'json', 'find', 'pr-123');
+
+    const matches = JSON.parse(console.log.mock.calls[0][0]);
+    expect(matches).toEqual([
+      expect.objectContaining({ instance: 'amazee.io', project: 'test-project', environment: 'pr-123' })
+    ]);
+  });
+
+  test('history shows who deleted an environment and the command that ran', async () => {
+    await lh('env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes');
+    await lh('--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project');
+    console.log.mockClear();
+
+    await lh('--output', 'json', 'history', '--since', 'today', '-e', 'pr-123', '--action', 'delete');
+
+    const rows = JSON.parse(console.log.mock.calls[0][0]);
+    expect(rows).toEqual([expect.objectContaining({
+      instance: 'amazee.io',
+      project: 'test-project',
+      environment: 'pr-123',
+      status: 'success',
+      exitCode: 0,
+      command: expect.stringContaining('delete environment --environment pr-123')
+    })]);
+    expect(rows[0].user).toBeTruthy();
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFakeLagoon, loadDefaultStore } from '../fake-lagoon/index.mjs';
+import { fakeToken } from '../fake-lagoon/fake-lagoon.mjs';
+
+// Scripted answers, taken in order by whichever prompt is shown next
+const answers = [];
+
+/**
+ * Answers the next prompt. Running out of answers fails the test instead of waiting for input.
+ */
+async function answerPrompt(config) {
+  if (answers.length === 0) {
+    throw new Error(`Unexpected prompt: ${config.message}`);
+  }
+  const answer = answers.shift();
+  return typeof answer === 'function' ? answer(config) : answer;
+}
+
+/**
+ * Finds the enabled choices of a select, search or checkbox prompt whose label contains each text.
+ */
+async function findChoices(config, labels) {
+  const choices = (config.choices || await config.source('', { signal: new AbortController().signal }))
+    .filter(choice => choice.value !== undefined && !choice.disabled);
+  return labels.map(label => {
+    const choice = choices.find(candidate => String(candidate.name ?? candidate.value).includes(label));
+    if (!choice) {
+      throw new Error(`No choice "${label}" in prompt: ${config.message}`);
+    }
+    return choice.value;
+  });
+}
+
+/** Picks the choice whose label contains `label`. */
+const choose = label => async config => (await findChoices(config, [label]))[0];
+
+/** Ticks the checkbox choices whose labels contain the given texts. */
+const chooseEach = (...labels) => config => findChoices(config, labels);
+
+class Separator {
+  constructor(separator = '──────────') {
+    this.separator = separator;
+    this.type = 'separator';
+  }
+}
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  select: jest.fn(answerPrompt),
+  search: jest.fn(answerPrompt),
+  checkbox: jest.fn(answerPrompt),
+  confirm: jest.fn(answerPrompt),
+  input: jest.fn(answerPrompt),
+  password: jest.fn(answerPrompt),
+  Separator
+}));
+
+const { startInteractiveMode } = await import('../../src/interactive.mjs');
+const { resetConfigCache } = await import('../../src/config.mjs');
+const { configureExecutor } = await import('../../src/lagoon-api.mjs');
+
+describe('interactive mode against the fake lagoon CLI', () => {
+  let fake;
+
+  beforeEach(async () => {
+    fake = await createFakeLagoon();
+    resetConfigCache();
+    configureExecutor({ dryRun: false, retries: 0 });
+    answers.length = 0;
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(async () => {
+    await fake.restore();
+    resetConfigCache();
+  });
+
+  /**
+   * Opens test-project on amazee.io from the instance and project prompts, then runs the given answers.
+   */
+  async function runSession(...script) {
+    answers.push(choose('amazee.io'), choose('test-project'), ...script, choose('Exit'));
+    await startInteractiveMode();
+    expect(answers).toEqual([]);
+  }
+
+  test('deletes the environments picked in the delete flow', async () => {
+    await runSession(choose('Delete Environment'), chooseEach('pr-123'), true, '');
+
+    const environments = (await fake.readStore()).lagoons['amazee.io'].projects[0].environments;
+    expect(environments.map(env => env.name)).toEqual(['main', 'develop']);
+    expect(await fake.readCalls()).toContainEqual(
+      ['-l', 'amazee.io', '-p', 'test-project', 'delete', 'environment', '--environment', 'pr-123', '--force', '--output-json']
+    );
+  });
+
+  test('keeps the environment and the session going when lagoon fails to delete it', async () => {
+    const store = await fake.readStore();
+    store.errors.push({ command: 'delete environment', stderr: 'Error: Lagoon API is unavailable' });
+    await fake.writeStore(store);
+
+    await runSession(choose('Delete Environment'), chooseEach('pr-123'), true, '');
+
+    const environments = (await fake.readStore()).lagoons['amazee.io'].projects[0].environments;
+    expect(environments.map(env => env.name)).toContain('pr-123');
+  });
+
+  test('does not delete anything when the deletion is not confirmed', async () => {
+    await runSession(choose('Delete Environment'), chooseEach('pr-123'), false, '');
+
+    const calls = await fake.readCalls();
+    expect(calls.some(args => args.includes('delete'))).toBe(false);
+  });
+
+  test('prints a login link for the picked environment', async () => {
+    await runSession(choose('Generate Login Link'), choose('pr-123'), '');
+
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('https://pr-123-test-project.example.com/user/reset/1/1700000000/fake-login-hash/login')
+    );
+  });
+
+  test('finds the deletion in the action history and exports it', async () => {
+    const file = path.join(fake.tempDir, 'history.csv');
+
+    await runSession(
+      choose('Delete Environment'), chooseEach('pr-123'), true, '',
+      choose('View Action History'), choose('This project'), 'today', '', 'pr-123', 'delete', choose('Any'),
+      choose('Export to a CSV file'), file, choose('Back')
+    );
+
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringMatching(/Delete Environment pr-123 from test-project\s+success/)
+    );
+    const [header, row, ...rest] = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    expect(header).toMatch(/^timestamp,user,instance,project,environment,action,status/);
+    expect(row).toContain('delete environment --environment pr-123');
+    expect(rest).toEqual([]);
+  });
+
+  test('shows the expired token and offers the SSH key setup when logging in again fails', async () => {
+    await fake.restore();
+    const store = await loadDefaultStore();
+    store.lagoons['amazee.io'].token = fakeToken({ exp: Math.floor(Date.now() / 1000) - 2 * 3600 });
+    store.errors.push(
+      { command: 'list all-users', stderr: 'Error: Unauthorized - Bearer Token Invalid' },
+      { command: 'login', stderr: 'Error: ssh: handshake failed: ssh: unable to authenticate' }
+    );
+    fake = await createFakeLagoon(store);
+
+    const offered = [];
+    const decline = config => {
+      offered.push(config.message);
+      return false;
+    };
+    await runSession(choose('List Users'), decline, true);
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/Current Instance: .*amazee\.io.*token expired 2h/));
+    expect(offered).toEqual([expect.stringContaining('Configure the SSH key')]);
+    expect((await fake.readCalls()).filter(args => args.includes('login'))).toHaveLength(1);
+  });
+
+  test('offers to resume the last project in the next session', async () => {
+    await runSession();
+
+    answers.push(true, choose('Exit'));
+    await startInteractiveMode();
+
+    expect(answers).toEqual([]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('test-project'));
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { Command } from 'commander';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registerCommands } from '../../src/cli.mjs';
+import { resetConfigCache } from '../../src/config.mjs';
+import { configureExecutor } from '../../src/lagoon-api.mjs';
+import { AuthenticationError } from '../../src/command/index.mjs';
+import { createFakeLagoon } from '../fake-lagoon/index.mjs';
+
+const CASSETTES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cassettes');
+
+/**
+ * Runs an `lh` command line.
+ */
+async function lh(...args) {
+  const program = new Command();
+  program.exitOverride();
+  program.configureOutput({ writeErr: () => {}, writeOut: () => {} });
+  registerCommands(program);
+  await program.parseAsync(args, { from: 'user' });
+}
+
+describe('lh with recorded cassettes', () => {
+  let fake;
+
+  beforeEach(async () => {
+    fake = await createFakeLagoon();
+    resetConfigCache();
+    // Global options stick to the shared executor, as they would for the rest of a real run
+    configureExecutor({ dryRun: false });
+    console.log = jest.fn();
+    console.error = jest.fn();
+    process.exitCode = undefined;
+  });
+
+  afterEach(async () => {
+    await fake.restore();
+    resetConfigCache();
+    process.exitCode = undefined;
+  });
+
+  test('replays a cassette fixture without running lagoon', async () => {
+    await lh(
+      '--replay', path.join(CASSETTES_DIR, 'delete-environment.json'),
+      'env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes'
+    );
+
+    expect(process.exitCode).toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Environment pr-123 deleted successfully'));
+    expect(await fake.readCalls()).toEqual([]);
+  });
+
+  test('replays lists but only prints changes in a dry run', async () => {
+    await lh(
+      '--dry-run', '--replay', path.join(CASSETTES_DIR, 'delete-environment.json'),
+      'env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'pr-123', '--yes'
+    );
+
+    expect(process.exitCode).toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Replaying: lagoon'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Dry run, not executing: lagoon'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('would be deleted'));
+    expect(await fake.readCalls()).toEqual([]);
+  });
+
+  test('fails commands that are not on the cassette', async () => {
+    await lh(
+      '--replay', path.join(CASSETTES_DIR, 'delete-environment.json'),
+      'env', 'delete', '-i', 'amazee.io', '-p', 'test-project', '-e', 'feature-x', '--yes'
+    );
+
+    expect(process.exitCode).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('No recorded result in cassette'));
+    expect(await fake.readCalls()).toEqual([]);
+  });
+
+  test('replays the output that was recorded', async () => {
+    const file = path.join(fake.tempDir, 'session.json');
+
+    await lh('--record', file, '--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project');
+    const recordedOutput = console.log.mock.calls[0][0];
+    const recordedCalls = await fake.readCalls();
+
+    console.log.mockClear();
+    await lh('--replay', file, '--output', 'json', 'env', 'list', '-i', 'amazee.io', '-p', 'test-project');
+
+    expect(console.log).toHaveBeenCalledWith(recordedOutput);
+    expect(await fake.readCalls()).toEqual(recordedCalls);
+  });
+
+  test('replays recorded failures', async () => {
+    const file = path.join(fake.tempDir, 'session.json');
+    const store = await fake.readStore();
+    store.errors.push({ command: 'list all-users', stderr: 'Error: Unauthorized - Bearer Token Invalid' });
+    await fake.writeStore(store);
+
+    await lh('--record', file, '--retries', '0', 'users', '-i', 'amazee.io', '-p', 'test-project');
+    expect(process.exitCode).toBe(AuthenticationError.exitStatus);
+    const recordedCalls = await fake.readCalls();
+
+    console.error.mockClear();
+    process.exitCode = undefined;
+    await lh('--replay', file, '--retries', '0', 'users', '-i', 'amazee.io', '-p', 'test-project');
+
+    expect(process.exitCode).toBe(AuthenticationError.exitStatus);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unauthorized - Bearer Token Invalid'));
+    expect(await fake.readCalls()).toEqual(recordedCalls);
+  });
+});